@@ -9,7 +9,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 
 // Load environment variables
-const { PORT, NODE_ENV, CORS_ORIGIN } = require('./src/config/env');
+const { PORT, NODE_ENV, CORS_ORIGIN, TRUST_PROXY } = require('./src/config/env');
 
 // Database connection
 const connectDB = require('./src/config/db');
@@ -18,10 +18,26 @@ const connectDB = require('./src/config/db');
 const authRoutes = require('./src/routes/auth.routes');
 const categoryRoutes = require('./src/routes/category.routes');
 const transactionRoutes = require('./src/routes/transaction.routes');
+const financialAccountRoutes = require('./src/routes/financialAccount.routes');
+const recurringTransactionRoutes = require('./src/routes/recurringTransaction.routes');
+const tagRoutes = require('./src/routes/tag.routes');
+const payeeRoutes = require('./src/routes/payee.routes');
+const importRoutes = require('./src/routes/import.routes');
+const categoryRuleRoutes = require('./src/routes/categoryRule.routes');
 const budgetRoutes = require('./src/routes/budget.routes');
 const summaryRoutes = require('./src/routes/summary.routes');
 const assistantRoutes = require('./src/routes/assistant.routes');
 const savingsRoutes = require('./src/routes/savings.routes');
+const workspaceRoutes = require('./src/routes/workspace.routes');
+const adminRoutes = require('./src/routes/admin.routes');
+const auditRoutes = require('./src/routes/audit.routes');
+
+// Background jobs
+const { startAccountPurgeJob } = require('./src/jobs/accountPurge.job');
+const { startRecurringTransactionsJob } = require('./src/jobs/recurringTransactions.job');
+
+// Import middleware
+const { requestId } = require('./src/middleware/requestId');
 
 // Import error handlers
 const { notFound, errorHandler } = require('./src/middleware/errorHandler');
@@ -29,6 +45,10 @@ const { notFound, errorHandler } = require('./src/middleware/errorHandler');
 // Initialize Express app
 const app = express();
 
+// Client IPs (login throttling, sessions, audit log) come from X-Forwarded-For
+// only when the request passed through a trusted proxy
+app.set('trust proxy', TRUST_PROXY);
+
 // Connect to MongoDB
 connectDB();
 
@@ -44,9 +64,13 @@ app.use(cors({
     origin: CORS_ORIGIN === '*' ? '*' : CORS_ORIGIN.split(','),
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Workspace-Id', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
 }));
 
+// Tag each request with an ID (echoed in X-Request-Id and stored in audit entries)
+app.use(requestId);
+
 // Request logging (development only)
 if (NODE_ENV === 'development') {
     app.use(morgan('dev'));
@@ -86,11 +110,20 @@ app.get('/api/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/accounts', financialAccountRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/recurring-transactions', recurringTransactionRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/payees', payeeRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/category-rules', categoryRuleRoutes);
 app.use('/api/budgets', budgetRoutes);
 app.use('/api/summary', summaryRoutes);
 app.use('/api/assistant', assistantRoutes);
 app.use('/api/savings', savingsRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
 
 // ======================
 // ERROR HANDLING
@@ -119,15 +152,28 @@ const server = app.listen(PORT, () => {
 ║   API Endpoints:                                          ║
 ║   • /api/auth        - Authentication                     ║
 ║   • /api/categories  - Category management                ║
+║   • /api/accounts    - Cash, bank and card accounts       ║
 ║   • /api/transactions - Transaction CRUD                  ║
+║   • /api/recurring-transactions - Scheduled transactions  ║
+║   • /api/tags        - Transaction tags                   ║
+║   • /api/payees      - Payees and merchants               ║
+║   • /api/imports     - Bank statement imports             ║
+║   • /api/category-rules - Auto-categorization rules       ║
 ║   • /api/budgets     - Budget management                  ║
 ║   • /api/summary     - Dashboard & analytics              ║
 ║   • /api/savings     - Savings management                 ║
+║   • /api/workspaces  - Shared workspaces                  ║
+║   • /api/audit       - Change history                     ║
+║   • /api/admin       - Administration                     ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
 });
 
+// Start background jobs
+startAccountPurgeJob();
+startRecurringTransactionsJob();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
     console.error('Unhandled Rejection:', err);
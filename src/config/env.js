@@ -5,17 +5,82 @@
 
 require('dotenv').config();
 
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" value
+ * @param {string} value - 'true'/'false', a hop count, or comma-separated addresses/subnets
+ * @returns {boolean|number|string} - Setting for app.set('trust proxy')
+ */
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+};
+
 module.exports = {
     // Server configuration
     NODE_ENV: process.env.NODE_ENV || 'development',
     PORT: process.env.PORT || 5000,
+    // Reverse proxies whose X-Forwarded-For is trusted for req.ip (off by default)
+    TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
 
     // Database configuration
     MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/budget_tracker',
 
     // JWT configuration
     JWT_SECRET: process.env.JWT_SECRET || 'fallback_secret_key',
-    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
+    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+    REFRESH_TOKEN_EXPIRES_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30,
+
+    // Login brute-force protection ('mongo' or 'memory' attempt store)
+    LOGIN_THROTTLE_STORE: process.env.LOGIN_THROTTLE_STORE || 'mongo',
+    LOGIN_MAX_ACCOUNT_FAILURES: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5,
+    LOGIN_MAX_IP_FAILURES: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20,
+    LOGIN_LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    LOGIN_ATTEMPT_WINDOW_MINUTES: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+
+    // Two-factor authentication configuration
+    TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Budget Tracker',
+    TWO_FACTOR_CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+
+    // Password reset configuration
+    PASSWORD_RESET_EXPIRES_MINUTES: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60,
+
+    // Email verification configuration
+    EMAIL_VERIFICATION_EXPIRES_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 24,
+    EMAIL_VERIFICATION_RESEND_SECONDS: parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60,
+    // When true, unverified users may only call UNVERIFIED_ALLOWED_ROUTES
+    // (comma-separated path prefixes, optionally prefixed by a method: "GET /api/categories")
+    REQUIRE_EMAIL_VERIFICATION: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+    UNVERIFIED_ALLOWED_ROUTES: process.env.UNVERIFIED_ALLOWED_ROUTES || '/api/auth',
+
+    // Account deletion (0 grace days deletes immediately)
+    ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? '14', 10) || 0,
+    ACCOUNT_PURGE_INTERVAL_MINUTES: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60,
+
+    // How often due recurring transactions are posted
+    RECURRING_TRANSACTIONS_INTERVAL_MINUTES: parseInt(process.env.RECURRING_TRANSACTIONS_INTERVAL_MINUTES, 10) || 15,
+
+    // Shared workspace invitations
+    WORKSPACE_INVITATION_EXPIRES_DAYS: parseInt(process.env.WORKSPACE_INVITATION_EXPIRES_DAYS, 10) || 7,
+
+    // Public URL of the client app (used in email links)
+    APP_URL: process.env.APP_URL || 'http://localhost:3000',
+
+    // Mail configuration ('outbox' writes messages to MAIL_OUTBOX_DIR)
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'outbox',
+    MAIL_FROM: process.env.MAIL_FROM || 'Budget Tracker <no-reply@budgettracker.local>',
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || 'outbox',
+
+    // Transaction attachments ('local' writes files to ATTACHMENT_STORAGE_DIR)
+    ATTACHMENT_STORAGE: process.env.ATTACHMENT_STORAGE || 'local',
+    ATTACHMENT_STORAGE_DIR: process.env.ATTACHMENT_STORAGE_DIR || 'uploads',
+    ATTACHMENT_MAX_SIZE_MB: parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10,
+    ATTACHMENT_MAX_PER_TRANSACTION: parseInt(process.env.ATTACHMENT_MAX_PER_TRANSACTION, 10) || 10,
+
+    // Bank statement imports
+    IMPORT_MAX_SIZE_MB: parseInt(process.env.IMPORT_MAX_SIZE_MB, 10) || 5,
+    IMPORT_MAX_ROWS: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000,
 
     // CORS configuration
     CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
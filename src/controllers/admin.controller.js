@@ -0,0 +1,171 @@
+/**
+ * Admin Controller
+ * Handles HTTP requests for user management, usage statistics and the audit trail
+ */
+
+const adminService = require('../services/admin.service');
+const auditService = require('../services/audit.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * @desc    List and search users
+ * @route   GET /api/admin/users
+ * @access  Private (admin)
+ */
+const listUsers = async (req, res, next) => {
+    try {
+        const { search, role, status, page, limit } = req.query;
+
+        const result = await adminService.listUsers({
+            search,
+            role,
+            status,
+            page: page ? parseInt(page) : 1,
+            limit: limit ? parseInt(limit) : 20,
+        });
+
+        return ApiResponse.paginated(res, result.users, result.page, result.limit, result.total);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a user with usage counts
+ * @route   GET /api/admin/users/:id
+ * @access  Private (admin)
+ */
+const getUser = async (req, res, next) => {
+    try {
+        const user = await adminService.getUser(req.params.id);
+
+        return ApiResponse.success(res, 200, 'User retrieved successfully', { user });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Disable a user account
+ * @route   POST /api/admin/users/:id/disable
+ * @access  Private (admin)
+ */
+const disableUser = async (req, res, next) => {
+    try {
+        const user = await adminService.disableUser(
+            req.params.id,
+            req.user,
+            req.body.reason,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Account disabled successfully', { user });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Re-enable a disabled user account
+ * @route   POST /api/admin/users/:id/enable
+ * @access  Private (admin)
+ */
+const enableUser = async (req, res, next) => {
+    try {
+        const user = await adminService.enableUser(req.params.id, req.user, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Account enabled successfully', { user });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Force a user to reset their password
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Private (admin)
+ */
+const forcePasswordReset = async (req, res, next) => {
+    try {
+        const user = await adminService.forcePasswordReset(req.params.id, req.user, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Password reset required and reset email sent', { user });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (admin)
+ */
+const updateRole = async (req, res, next) => {
+    try {
+        const user = await adminService.updateRole(
+            req.params.id,
+            req.body.role,
+            req.user,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Role updated successfully', { user });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get aggregate usage statistics
+ * @route   GET /api/admin/stats
+ * @access  Private (admin)
+ */
+const getStats = async (req, res, next) => {
+    try {
+        const stats = await adminService.getStats();
+
+        return ApiResponse.success(res, 200, 'Statistics retrieved successfully', { stats });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the admin audit trail
+ * @route   GET /api/admin/audit
+ * @access  Private (admin)
+ */
+const getAuditLog = async (req, res, next) => {
+    try {
+        const { actorId, action, userId, from, to, page, limit } = req.query;
+
+        // Admin actions are the entries outside any workspace
+        const result = await auditService.getAll({
+            workspaceId: null,
+            actorId,
+            action,
+            entityType: userId ? 'User' : undefined,
+            entityId: userId,
+            from,
+            to,
+            page: page ? parseInt(page) : 1,
+            limit: limit ? parseInt(limit) : 50,
+        });
+
+        return ApiResponse.paginated(res, result.entries, result.page, result.limit, result.total);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    listUsers,
+    getUser,
+    disableUser,
+    enableUser,
+    forcePasswordReset,
+    updateRole,
+    getStats,
+    getAuditLog,
+};
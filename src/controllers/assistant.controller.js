@@ -6,6 +6,7 @@
 const { generateAIResponse } = require('../services/ai.service');
 const Transaction = require('../models/Transaction');
 const Budget = require('../models/Budget');
+const { getCurrentMonth, getMonthRange } = require('../utils/dateRanges');
 
 /**
  * @desc    Send message to AI assistant
@@ -15,7 +16,7 @@ const Budget = require('../models/Budget');
 const chat = async (req, res) => {
     try {
         const { message } = req.body;
-        const userId = req.user._id;
+        const workspaceId = req.workspace._id;
 
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
             return res.status(400).json({
@@ -25,7 +26,7 @@ const chat = async (req, res) => {
         }
 
         // Get user's financial context
-        const financialContext = await getUserFinancialContext(userId);
+        const financialContext = await getUserFinancialContext(workspaceId, req.user.preferences);
 
         // Generate AI response
         const aiResponse = await generateAIResponse(message.trim(), financialContext);
@@ -58,15 +59,19 @@ const chat = async (req, res) => {
 /**
  * Get user's financial context for AI
  */
-async function getUserFinancialContext(userId) {
+async function getUserFinancialContext(workspaceId, preferences) {
     try {
-        const now = new Date();
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+        // Current month in the user's timezone
+        const current = getCurrentMonth(preferences);
+        const { startDate: startOfMonth, endDate: endOfMonth } = getMonthRange(
+            current.year,
+            current.month,
+            preferences
+        );
 
         // Get this month's transactions
         const transactions = await Transaction.find({
-            user: userId,
+            workspaceId,
             date: { $gte: startOfMonth, $lte: endOfMonth },
         }).populate('category', 'name type');
 
@@ -78,7 +83,7 @@ async function getUserFinancialContext(userId) {
         transactions.forEach(t => {
             if (t.type === 'income') {
                 totalIncome += t.amount;
-            } else {
+            } else if (t.type === 'expense') {
                 totalExpense += t.amount;
                 // Track category totals for expenses
                 const catName = t.category?.name || 'Uncategorized';
@@ -94,9 +99,9 @@ async function getUserFinancialContext(userId) {
 
         // Get budget count
         const budgetCount = await Budget.countDocuments({
-            user: userId,
-            month: now.getMonth() + 1,
-            year: now.getFullYear(),
+            workspaceId,
+            month: current.month,
+            year: current.year,
         });
 
         return {
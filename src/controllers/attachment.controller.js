@@ -0,0 +1,113 @@
+/**
+ * Attachment Controller
+ * Handles HTTP requests for transaction attachment endpoints
+ */
+
+const attachmentService = require('../services/attachment.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * @desc    Get the attachments of a transaction
+ * @route   GET /api/transactions/:id/attachments
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const attachments = await attachmentService.getAll(req.params.id, req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Attachments retrieved successfully', {
+            attachments,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Upload an attachment (multipart/form-data, "file" field)
+ * @route   POST /api/transactions/:id/attachments
+ * @access  Private
+ */
+const upload = async (req, res, next) => {
+    try {
+        const attachment = await attachmentService.upload(
+            req.params.id,
+            req.file,
+            req.workspace._id,
+            req.user._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 201, 'Attachment uploaded successfully', {
+            attachment,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download an attachment (?inline=true to display it in the browser)
+ * @route   GET /api/transactions/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const download = async (req, res, next) => {
+    try {
+        const { attachment, stream } = await attachmentService.getFile(
+            req.params.id,
+            req.params.attachmentId,
+            req.workspace._id
+        );
+
+        const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+        const asciiName = attachment.originalName.replace(/[^\x20-\x7e]/g, '_');
+
+        res.set({
+            'Content-Type': attachment.mimeType,
+            'Content-Length': attachment.size,
+            'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+            'Cache-Control': 'private, no-store',
+        });
+
+        stream.on('error', (error) => {
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                res.removeHeader('Content-Length');
+                res.removeHeader('Content-Disposition');
+                next(error);
+            }
+        });
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete an attachment
+ * @route   DELETE /api/transactions/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const remove = async (req, res, next) => {
+    try {
+        await attachmentService.delete(
+            req.params.id,
+            req.params.attachmentId,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Attachment deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    upload,
+    download,
+    remove,
+};
@@ -0,0 +1,39 @@
+/**
+ * Audit Controller
+ * Handles HTTP requests for the workspace audit trail
+ */
+
+const auditService = require('../services/audit.service');
+const ApiResponse = require('../utils/apiResponse');
+
+/**
+ * @desc    Get the change history of the workspace
+ * @route   GET /api/audit
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const { entityType, entityId, action, actorId, requestId, from, to, page, limit } = req.query;
+
+        const result = await auditService.getAll({
+            workspaceId: req.workspace._id,
+            entityType,
+            entityId,
+            action,
+            actorId,
+            requestId,
+            from,
+            to,
+            page: page ? parseInt(page) : 1,
+            limit: limit ? parseInt(limit) : 50,
+        });
+
+        return ApiResponse.paginated(res, result.entries, result.page, result.limit, result.total);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+};
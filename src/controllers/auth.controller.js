@@ -4,7 +4,19 @@
  */
 
 const authService = require('../services/auth.service');
+const accountService = require('../services/account.service');
+const dataExportService = require('../services/dataExport.service');
+const accessTokenService = require('../services/accessToken.service');
 const ApiResponse = require('../utils/apiResponse');
+const { isClientAbort } = require('../utils/streams');
+
+/**
+ * Extract device metadata recorded on the user's session
+ */
+const getClientInfo = (req) => ({
+    userAgent: req.get('User-Agent') || '',
+    ipAddress: req.ip || '',
+});
 
 /**
  * @desc    Register a new user
@@ -15,7 +27,7 @@ const register = async (req, res, next) => {
     try {
         const { name, email, password } = req.body;
 
-        const result = await authService.register({ name, email, password });
+        const result = await authService.register({ name, email, password }, getClientInfo(req));
 
         return ApiResponse.success(res, 201, 'User registered successfully', result);
     } catch (error) {
@@ -32,7 +44,11 @@ const login = async (req, res, next) => {
     try {
         const { email, password } = req.body;
 
-        const result = await authService.login(email, password);
+        const result = await authService.login(email, password, getClientInfo(req));
+
+        if (result.twoFactorRequired) {
+            return ApiResponse.success(res, 200, 'Two-factor authentication required', result);
+        }
 
         return ApiResponse.success(res, 200, 'Login successful', result);
     } catch (error) {
@@ -40,6 +56,127 @@ const login = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Complete login with a two-factor code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const loginTwoFactor = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const result = await authService.loginWithTwoFactor(
+            challengeToken,
+            { code, recoveryCode },
+            getClientInfo(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Login successful', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const result = await authService.refresh(refreshToken, getClientInfo(req));
+
+        return ApiResponse.success(res, 200, 'Token refreshed successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Logout user (revoke refresh token session)
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+const logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        await authService.logout(refreshToken);
+
+        return ApiResponse.success(res, 200, 'Logged out successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+    try {
+        await authService.forgotPassword(req.body.email);
+
+        return ApiResponse.success(
+            res,
+            200,
+            'If an account exists for this email, a password reset link has been sent'
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reset password with a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        await authService.resetPassword(token, password);
+
+        return ApiResponse.success(res, 200, 'Password reset successfully. Please log in again.');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Verify email address
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+    try {
+        const user = await authService.verifyEmail(req.body.token);
+
+        return ApiResponse.success(res, 200, 'Email verified successfully', { user });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+const resendVerification = async (req, res, next) => {
+    try {
+        await authService.resendVerificationEmail(req.user._id);
+
+        return ApiResponse.success(res, 200, 'Verification email sent');
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/profile
@@ -81,6 +218,45 @@ const updateProfile = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get regional preferences
+ * @route   GET /api/auth/preferences
+ * @access  Private
+ */
+const getPreferences = async (req, res, next) => {
+    try {
+        return ApiResponse.success(res, 200, 'Preferences retrieved successfully', {
+            preferences: req.user.toJSON().preferences,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update regional preferences
+ * @route   PUT /api/auth/preferences
+ * @access  Private
+ */
+const updatePreferences = async (req, res, next) => {
+    try {
+        const { timezone, weekStartDay, locale, numberFormat, dateFormat, fiscalMonthStartDay } = req.body;
+
+        const preferences = await authService.updatePreferences(req.user._id, {
+            timezone,
+            weekStartDay,
+            locale,
+            numberFormat,
+            dateFormat,
+            fiscalMonthStartDay,
+        });
+
+        return ApiResponse.success(res, 200, 'Preferences updated successfully', { preferences });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Change password
  * @route   PUT /api/auth/password
@@ -88,11 +264,203 @@ const updateProfile = async (req, res, next) => {
  */
 const changePassword = async (req, res, next) => {
     try {
-        const { currentPassword, newPassword } = req.body;
+        const { currentPassword, newPassword, revokeOtherSessions } = req.body;
+
+        const result = await authService.changePassword(req.user._id, currentPassword, newPassword, {
+            revokeOtherSessions: revokeOtherSessions === true,
+            currentSessionId: req.sessionId,
+        });
+
+        return ApiResponse.success(res, 200, 'Password changed successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download a JSON archive of all the user's data
+ * @route   GET /api/auth/export
+ * @access  Private
+ */
+const exportData = async (req, res, next) => {
+    try {
+        res.set({
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${dataExportService.getFileName()}"`,
+            'Cache-Control': 'no-store',
+        });
+
+        await dataExportService.streamUserArchive(req.user._id, res);
+    } catch (error) {
+        // Once streaming has started the status can't change; abort the download
+        if (res.headersSent) {
+            if (!isClientAbort(error)) console.error('Data export error:', error);
+            return res.destroy(error);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete account (immediately or after the grace period)
+ * @route   DELETE /api/auth/account
+ * @access  Private
+ */
+const deleteAccount = async (req, res, next) => {
+    try {
+        const result = await accountService.requestDeletion(req.user._id, req.body.password);
+
+        const message = result.deleted
+            ? 'Account deleted successfully'
+            : 'Account scheduled for deletion';
+
+        return ApiResponse.success(res, 200, message, result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   POST /api/auth/account/cancel-deletion
+ * @access  Private
+ */
+const cancelAccountDeletion = async (req, res, next) => {
+    try {
+        const user = await accountService.cancelDeletion(req.user._id);
+
+        return ApiResponse.success(res, 200, 'Account deletion cancelled', { user });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Start two-factor enrollment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const result = await authService.setupTwoFactor(req.user._id);
+
+        return ApiResponse.success(res, 200, 'Scan the QR code with your authenticator app', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Confirm two-factor enrollment
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const result = await authService.enableTwoFactor(req.user._id, req.body.code);
+
+        return ApiResponse.success(res, 200, 'Two-factor authentication enabled', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        await authService.disableTwoFactor(req.user._id, req.body.password);
+
+        return ApiResponse.success(res, 200, 'Two-factor authentication disabled');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    List personal access tokens
+ * @route   GET /api/auth/tokens
+ * @access  Private
+ */
+const getAccessTokens = async (req, res, next) => {
+    try {
+        const tokens = await accessTokenService.getAll(req.user._id);
+
+        return ApiResponse.success(res, 200, 'Access tokens retrieved successfully', { tokens });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create a personal access token
+ * @route   POST /api/auth/tokens
+ * @access  Private
+ */
+const createAccessToken = async (req, res, next) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        const result = await accessTokenService.create(req.user._id, {
+            name,
+            scopes,
+            expiresInDays: expiresInDays ? parseInt(expiresInDays) : null,
+        });
+
+        return ApiResponse.success(
+            res,
+            201,
+            'Access token created. Copy it now - it will not be shown again.',
+            result
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Revoke a personal access token
+ * @route   DELETE /api/auth/tokens/:id
+ * @access  Private
+ */
+const revokeAccessToken = async (req, res, next) => {
+    try {
+        await accessTokenService.revoke(req.params.id, req.user._id);
 
-        await authService.changePassword(req.user._id, currentPassword, newPassword);
+        return ApiResponse.success(res, 200, 'Access token revoked successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    List active sessions (logged-in devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await authService.getSessions(req.user._id, req.sessionId);
+
+        return ApiResponse.success(res, 200, 'Sessions retrieved successfully', { sessions });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Sign out a session (device)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res, next) => {
+    try {
+        await authService.revokeSession(req.user._id, req.params.id);
 
-        return ApiResponse.success(res, 200, 'Password changed successfully');
+        return ApiResponse.success(res, 200, 'Session revoked successfully');
     } catch (error) {
         next(error);
     }
@@ -101,7 +469,27 @@ const changePassword = async (req, res, next) => {
 module.exports = {
     register,
     login,
+    loginTwoFactor,
+    refresh,
+    logout,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     getProfile,
     updateProfile,
+    getPreferences,
+    updatePreferences,
     changePassword,
+    exportData,
+    deleteAccount,
+    cancelAccountDeletion,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    getAccessTokens,
+    createAccessToken,
+    revokeAccessToken,
+    getSessions,
+    revokeSession,
 };
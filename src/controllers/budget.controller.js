@@ -5,6 +5,8 @@
 
 const budgetService = require('../services/budget.service');
 const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+const { getCurrentMonth } = require('../utils/dateRanges');
 
 /**
  * @desc    Get all budgets for a month or by filters
@@ -15,14 +17,14 @@ const getAll = async (req, res, next) => {
     try {
         const { month, year, status, startDate, endDate, includeAll } = req.query;
 
-        const budgets = await budgetService.getAll(req.user._id, {
+        const budgets = await budgetService.getAll(req.workspace._id, {
             month: month ? parseInt(month) : null,
             year: year ? parseInt(year) : null,
             status,
             startDate,
             endDate,
             includeAll: includeAll === 'true',
-        });
+        }, req.user.preferences);
 
         return ApiResponse.success(res, 200, 'Budgets retrieved successfully', {
             budgets,
@@ -39,7 +41,7 @@ const getAll = async (req, res, next) => {
  */
 const getById = async (req, res, next) => {
     try {
-        const budget = await budgetService.getById(req.params.id, req.user._id);
+        const budget = await budgetService.getById(req.params.id, req.workspace._id);
 
         return ApiResponse.success(res, 200, 'Budget retrieved successfully', {
             budget,
@@ -56,7 +58,13 @@ const getById = async (req, res, next) => {
  */
 const createOrUpdate = async (req, res, next) => {
     try {
-        const budget = await budgetService.createOrUpdate(req.body, req.user._id);
+        const budget = await budgetService.createOrUpdate(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            getRequestContext(req)
+        );
 
         return ApiResponse.success(res, 201, 'Budget saved successfully', {
             budget,
@@ -73,7 +81,12 @@ const createOrUpdate = async (req, res, next) => {
  */
 const update = async (req, res, next) => {
     try {
-        const budget = await budgetService.update(req.params.id, req.body, req.user._id);
+        const budget = await budgetService.update(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            getRequestContext(req)
+        );
 
         return ApiResponse.success(res, 200, 'Budget updated successfully', {
             budget,
@@ -90,7 +103,7 @@ const update = async (req, res, next) => {
  */
 const remove = async (req, res, next) => {
     try {
-        await budgetService.delete(req.params.id, req.user._id);
+        await budgetService.delete(req.params.id, req.workspace._id, getRequestContext(req));
 
         return ApiResponse.success(res, 200, 'Budget deleted successfully');
     } catch (error) {
@@ -105,11 +118,16 @@ const remove = async (req, res, next) => {
  */
 const getSummary = async (req, res, next) => {
     try {
-        const now = new Date();
-        const month = req.query.month ? parseInt(req.query.month) : now.getMonth() + 1;
-        const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+        const current = getCurrentMonth(req.user.preferences);
+        const month = req.query.month ? parseInt(req.query.month) : current.month;
+        const year = req.query.year ? parseInt(req.query.year) : current.year;
 
-        const summary = await budgetService.getMonthlySummary(req.user._id, month, year);
+        const summary = await budgetService.getMonthlySummary(
+            req.workspace._id,
+            month,
+            year,
+            req.user.preferences
+        );
 
         return ApiResponse.success(res, 200, 'Budget summary retrieved successfully', summary);
     } catch (error) {
@@ -124,7 +142,7 @@ const getSummary = async (req, res, next) => {
  */
 const getPresets = async (req, res, next) => {
     try {
-        const presets = budgetService.getPresetPeriods();
+        const presets = budgetService.getPresetPeriods(req.user.preferences);
 
         return ApiResponse.success(res, 200, 'Period presets retrieved successfully', {
             presets,
@@ -141,7 +159,7 @@ const getPresets = async (req, res, next) => {
  */
 const getActive = async (req, res, next) => {
     try {
-        const budgets = await budgetService.getActiveBudgets(req.user._id);
+        const budgets = await budgetService.getActiveBudgets(req.workspace._id);
 
         return ApiResponse.success(res, 200, 'Active budgets retrieved successfully', {
             budgets,
@@ -158,7 +176,7 @@ const getActive = async (req, res, next) => {
  */
 const getEndedForTransfer = async (req, res, next) => {
     try {
-        const budgets = await budgetService.getEndedBudgetsForTransfer(req.user._id);
+        const budgets = await budgetService.getEndedBudgetsForTransfer(req.workspace._id);
 
         return ApiResponse.success(res, 200, 'Ended budgets retrieved successfully', {
             budgets,
@@ -176,7 +194,7 @@ const getEndedForTransfer = async (req, res, next) => {
  */
 const getOverrun = async (req, res, next) => {
     try {
-        const budgets = await budgetService.getOverrunBudgets(req.user._id);
+        const budgets = await budgetService.getOverrunBudgets(req.workspace._id);
 
         return ApiResponse.success(res, 200, 'Overrun budgets retrieved successfully', {
             budgets,
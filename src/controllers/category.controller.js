@@ -5,6 +5,7 @@
 
 const categoryService = require('../services/category.service');
 const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
 
 /**
  * @desc    Get all categories
@@ -14,7 +15,7 @@ const ApiResponse = require('../utils/apiResponse');
 const getAll = async (req, res, next) => {
     try {
         const { type } = req.query;
-        const categories = await categoryService.getAll(req.user._id, type);
+        const categories = await categoryService.getAll(req.workspace._id, type);
 
         return ApiResponse.success(res, 200, 'Categories retrieved successfully', {
             categories,
@@ -31,7 +32,7 @@ const getAll = async (req, res, next) => {
  */
 const getById = async (req, res, next) => {
     try {
-        const category = await categoryService.getById(req.params.id, req.user._id);
+        const category = await categoryService.getById(req.params.id, req.workspace._id);
 
         return ApiResponse.success(res, 200, 'Category retrieved successfully', {
             category,
@@ -48,7 +49,12 @@ const getById = async (req, res, next) => {
  */
 const create = async (req, res, next) => {
     try {
-        const category = await categoryService.create(req.body, req.user._id);
+        const category = await categoryService.create(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            getRequestContext(req)
+        );
 
         return ApiResponse.success(res, 201, 'Category created successfully', {
             category,
@@ -68,7 +74,8 @@ const update = async (req, res, next) => {
         const category = await categoryService.update(
             req.params.id,
             req.body,
-            req.user._id
+            req.workspace._id,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 200, 'Category updated successfully', {
@@ -86,7 +93,7 @@ const update = async (req, res, next) => {
  */
 const remove = async (req, res, next) => {
     try {
-        await categoryService.delete(req.params.id, req.user._id);
+        await categoryService.delete(req.params.id, req.workspace._id, getRequestContext(req));
 
         return ApiResponse.success(res, 200, 'Category deleted successfully');
     } catch (error) {
@@ -0,0 +1,160 @@
+/**
+ * Category Rule Controller
+ * Handles HTTP requests for auto-categorization rule endpoints
+ */
+
+const categoryRuleService = require('../services/categoryRule.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Re-run filters accepted in the request body
+const getRerunOptions = (body) => ({
+    ruleIds: body.ruleIds || null,
+    categoryId: body.categoryId || null,
+    from: body.from || null,
+    to: body.to || null,
+    excludeTransactionIds: body.excludeTransactionIds || [],
+});
+
+/**
+ * @desc    Get all rules in the order they are tried
+ * @route   GET /api/category-rules
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const rules = await categoryRuleService.getAll(req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Rules retrieved successfully', {
+            rules,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single rule
+ * @route   GET /api/category-rules/:id
+ * @access  Private
+ */
+const getById = async (req, res, next) => {
+    try {
+        const rule = await categoryRuleService.getById(req.params.id, req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Rule retrieved successfully', {
+            rule,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create rule
+ * @route   POST /api/category-rules
+ * @access  Private
+ */
+const create = async (req, res, next) => {
+    try {
+        const rule = await categoryRuleService.create(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 201, 'Rule created successfully', {
+            rule,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update rule
+ * @route   PUT /api/category-rules/:id
+ * @access  Private
+ */
+const update = async (req, res, next) => {
+    try {
+        const rule = await categoryRuleService.update(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Rule updated successfully', {
+            rule,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete rule
+ * @route   DELETE /api/category-rules/:id
+ * @access  Private
+ */
+const remove = async (req, res, next) => {
+    try {
+        await categoryRuleService.delete(req.params.id, req.workspace._id, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Rule deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Preview the category changes re-running the rules would make
+ * @route   POST /api/category-rules/rerun/preview
+ * @access  Private
+ */
+const previewRerun = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+
+        const result = await categoryRuleService.previewRerun(req.workspace._id, getRerunOptions(req.body), {
+            page: page ? parseInt(page) : 1,
+            limit: limit ? parseInt(limit) : 50,
+        });
+
+        return ApiResponse.success(res, 200, 'Rule re-run preview generated successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Re-run the rules on existing transactions
+ * @route   POST /api/category-rules/rerun
+ * @access  Private
+ */
+const applyRerun = async (req, res, next) => {
+    try {
+        const result = await categoryRuleService.applyRerun(
+            req.workspace._id,
+            getRerunOptions(req.body),
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Rules re-run successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    remove,
+    previewRerun,
+    applyRerun,
+};
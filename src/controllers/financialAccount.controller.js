@@ -0,0 +1,178 @@
+/**
+ * Financial Account Controller
+ * Handles HTTP requests for account and transfer endpoints
+ */
+
+const financialAccountService = require('../services/financialAccount.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * @desc    Get all accounts with balances
+ * @route   GET /api/accounts
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const accounts = await financialAccountService.getAll(req.workspace._id, {
+            includeArchived: req.query.includeArchived === 'true',
+        });
+
+        return ApiResponse.success(res, 200, 'Accounts retrieved successfully', {
+            accounts,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single account with its balance
+ * @route   GET /api/accounts/:id
+ * @access  Private
+ */
+const getById = async (req, res, next) => {
+    try {
+        const account = await financialAccountService.getById(req.params.id, req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Account retrieved successfully', {
+            account,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get an account's transactions with the running balance
+ * @route   GET /api/accounts/:id/ledger
+ * @access  Private
+ */
+const getLedger = async (req, res, next) => {
+    try {
+        const result = await financialAccountService.getLedger(req.params.id, req.workspace._id, {
+            page: req.query.page ? parseInt(req.query.page) : 1,
+            limit: req.query.limit ? parseInt(req.query.limit) : 50,
+        });
+
+        return ApiResponse.paginated(res, result.transactions, result.page, result.limit, result.total);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create account
+ * @route   POST /api/accounts
+ * @access  Private
+ */
+const create = async (req, res, next) => {
+    try {
+        const account = await financialAccountService.create(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 201, 'Account created successfully', {
+            account,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update, archive or make default an account
+ * @route   PUT /api/accounts/:id
+ * @access  Private
+ */
+const update = async (req, res, next) => {
+    try {
+        const account = await financialAccountService.update(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Account updated successfully', {
+            account,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete account without transactions
+ * @route   DELETE /api/accounts/:id
+ * @access  Private
+ */
+const remove = async (req, res, next) => {
+    try {
+        await financialAccountService.delete(req.params.id, req.workspace._id, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Account deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Transfer money between accounts
+ * @route   POST /api/accounts/transfers
+ * @access  Private
+ */
+const createTransfer = async (req, res, next) => {
+    try {
+        const transfer = await financialAccountService.createTransfer(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 201, 'Transfer created successfully', {
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update transfer
+ * @route   PUT /api/accounts/transfers/:id
+ * @access  Private
+ */
+const updateTransfer = async (req, res, next) => {
+    try {
+        const transfer = await financialAccountService.updateTransfer(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            req.user.preferences,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Transfer updated successfully', {
+            transfer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    getLedger,
+    create,
+    update,
+    remove,
+    createTransfer,
+    updateTransfer,
+};
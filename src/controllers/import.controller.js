@@ -0,0 +1,222 @@
+/**
+ * Import Controller
+ * Handles HTTP requests for bank statement import endpoints
+ */
+
+const importService = require('../services/import.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * @desc    Get import batches
+ * @route   GET /api/imports
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+
+        const result = await importService.getAll(req.workspace._id, {
+            page: page ? parseInt(page) : 1,
+            limit: limit ? parseInt(limit) : 20,
+        });
+
+        return ApiResponse.paginated(res, result.batches, result.page, result.limit, result.total);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single import batch
+ * @route   GET /api/imports/:id
+ * @access  Private
+ */
+const getById = async (req, res, next) => {
+    try {
+        const batch = await importService.getById(req.params.id, req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Import retrieved successfully', { batch });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Upload a CSV, OFX/QFX or QIF statement (multipart/form-data, "file" field)
+ * @route   POST /api/imports
+ * @access  Private
+ */
+const upload = async (req, res, next) => {
+    try {
+        const result = await importService.upload(
+            req.file,
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            req.body.profileId || null
+        );
+
+        return ApiResponse.success(res, 201, 'Statement uploaded successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update column mapping and formats (optionally saving a profile)
+ * @route   PUT /api/imports/:id/settings
+ * @access  Private
+ */
+const updateSettings = async (req, res, next) => {
+    try {
+        const result = await importService.updateSettings(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            req.user._id
+        );
+
+        return ApiResponse.success(res, 200, 'Import settings updated successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Dry-run preview with errors and likely duplicates
+ * @route   GET /api/imports/:id/preview
+ * @access  Private
+ */
+const preview = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+
+        const result = await importService.preview(req.params.id, req.workspace._id, req.user.preferences, {
+            page: page ? parseInt(page) : 1,
+            limit: limit ? parseInt(limit) : 100,
+        });
+
+        return ApiResponse.success(res, 200, 'Import preview generated successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create the batch's transactions
+ * @route   POST /api/imports/:id/commit
+ * @access  Private
+ */
+const commit = async (req, res, next) => {
+    try {
+        const batch = await importService.commit(
+            req.params.id,
+            {
+                includeDuplicates: req.body.includeDuplicates === true,
+                skipRows: req.body.skipRows || [],
+            },
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Import committed successfully', { batch });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete the transactions a committed batch created
+ * @route   POST /api/imports/:id/revert
+ * @access  Private
+ */
+const revert = async (req, res, next) => {
+    try {
+        const batch = await importService.revert(req.params.id, req.workspace._id, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Import reverted successfully', { batch });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Discard a pending batch
+ * @route   DELETE /api/imports/:id
+ * @access  Private
+ */
+const discard = async (req, res, next) => {
+    try {
+        await importService.discard(req.params.id, req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Import discarded successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get saved import profiles
+ * @route   GET /api/imports/profiles
+ * @access  Private
+ */
+const getProfiles = async (req, res, next) => {
+    try {
+        const profiles = await importService.getProfiles(req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Import profiles retrieved successfully', { profiles });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rename an import profile or change its settings
+ * @route   PUT /api/imports/profiles/:profileId
+ * @access  Private
+ */
+const updateProfile = async (req, res, next) => {
+    try {
+        const profile = await importService.updateProfile(
+            req.params.profileId,
+            req.body,
+            req.workspace._id
+        );
+
+        return ApiResponse.success(res, 200, 'Import profile updated successfully', { profile });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete an import profile
+ * @route   DELETE /api/imports/profiles/:profileId
+ * @access  Private
+ */
+const deleteProfile = async (req, res, next) => {
+    try {
+        await importService.deleteProfile(req.params.profileId, req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Import profile deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    upload,
+    updateSettings,
+    preview,
+    commit,
+    revert,
+    discard,
+    getProfiles,
+    updateProfile,
+    deleteProfile,
+};
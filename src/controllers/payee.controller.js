@@ -0,0 +1,126 @@
+/**
+ * Payee Controller
+ * Handles HTTP requests for payee endpoints
+ */
+
+const payeeService = require('../services/payee.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * @desc    Get all payees with transaction counts
+ * @route   GET /api/payees
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const payees = await payeeService.getAll(req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Payees retrieved successfully', {
+            payees,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single payee
+ * @route   GET /api/payees/:id
+ * @access  Private
+ */
+const getById = async (req, res, next) => {
+    try {
+        const payee = await payeeService.getById(req.params.id, req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Payee retrieved successfully', {
+            payee,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create payee and link matching transactions
+ * @route   POST /api/payees
+ * @access  Private
+ */
+const create = async (req, res, next) => {
+    try {
+        const result = await payeeService.create(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 201, 'Payee created successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rename payee, change its aliases or default category
+ * @route   PUT /api/payees/:id
+ * @access  Private
+ */
+const update = async (req, res, next) => {
+    try {
+        const result = await payeeService.update(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Payee updated successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Merge payees into another payee
+ * @route   POST /api/payees/merge
+ * @access  Private
+ */
+const merge = async (req, res, next) => {
+    try {
+        const result = await payeeService.merge(
+            req.body.sourceIds,
+            req.body.targetId,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Payees merged successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete payee and unlink its transactions
+ * @route   DELETE /api/payees/:id
+ * @access  Private
+ */
+const remove = async (req, res, next) => {
+    try {
+        await payeeService.delete(req.params.id, req.workspace._id, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Payee deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    merge,
+    remove,
+};
@@ -0,0 +1,210 @@
+/**
+ * Recurring Transaction Controller
+ * Handles HTTP requests for recurring transaction endpoints
+ */
+
+const recurringTransactionService = require('../services/recurringTransaction.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * @desc    Get all recurring transactions
+ * @route   GET /api/recurring-transactions
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const { active } = req.query;
+
+        const recurringTransactions = await recurringTransactionService.getAll(req.workspace._id, {
+            active: active === undefined ? undefined : active === 'true',
+        });
+
+        return ApiResponse.success(res, 200, 'Recurring transactions retrieved successfully', {
+            recurringTransactions,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single recurring transaction
+ * @route   GET /api/recurring-transactions/:id
+ * @access  Private
+ */
+const getById = async (req, res, next) => {
+    try {
+        const recurringTransaction = await recurringTransactionService.getById(
+            req.params.id,
+            req.workspace._id
+        );
+
+        return ApiResponse.success(res, 200, 'Recurring transaction retrieved successfully', {
+            recurringTransaction,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create recurring transaction
+ * @route   POST /api/recurring-transactions
+ * @access  Private
+ */
+const create = async (req, res, next) => {
+    try {
+        const recurringTransaction = await recurringTransactionService.create(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 201, 'Recurring transaction created successfully', {
+            recurringTransaction,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update recurring transaction
+ * @route   PUT /api/recurring-transactions/:id
+ * @access  Private
+ */
+const update = async (req, res, next) => {
+    try {
+        const recurringTransaction = await recurringTransactionService.update(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Recurring transaction updated successfully', {
+            recurringTransaction,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete recurring transaction
+ * @route   DELETE /api/recurring-transactions/:id
+ * @access  Private
+ */
+const remove = async (req, res, next) => {
+    try {
+        await recurringTransactionService.delete(req.params.id, req.workspace._id, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Recurring transaction deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Preview upcoming occurrences of a saved schedule
+ * @route   GET /api/recurring-transactions/:id/preview
+ * @access  Private
+ */
+const preview = async (req, res, next) => {
+    try {
+        const occurrences = await recurringTransactionService.preview(
+            req.params.id,
+            req.workspace._id,
+            req.query.limit ? parseInt(req.query.limit) : 10
+        );
+
+        return ApiResponse.success(res, 200, 'Upcoming occurrences retrieved successfully', {
+            occurrences,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Preview upcoming occurrences of an unsaved schedule
+ * @route   POST /api/recurring-transactions/preview
+ * @access  Private
+ */
+const previewSchedule = async (req, res, next) => {
+    try {
+        const occurrences = await recurringTransactionService.previewSchedule(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            req.query.limit ? parseInt(req.query.limit) : 10
+        );
+
+        return ApiResponse.success(res, 200, 'Upcoming occurrences retrieved successfully', {
+            occurrences,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Skip or change a single upcoming occurrence
+ * @route   PUT /api/recurring-transactions/:id/occurrences/:date
+ * @access  Private
+ */
+const updateOccurrence = async (req, res, next) => {
+    try {
+        const occurrence = await recurringTransactionService.setOccurrence(
+            req.params.id,
+            req.params.date,
+            req.body,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Occurrence updated successfully', {
+            occurrence,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Restore a skipped or changed occurrence
+ * @route   DELETE /api/recurring-transactions/:id/occurrences/:date
+ * @access  Private
+ */
+const resetOccurrence = async (req, res, next) => {
+    try {
+        const occurrence = await recurringTransactionService.resetOccurrence(
+            req.params.id,
+            req.params.date,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Occurrence restored successfully', {
+            occurrence,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    remove,
+    preview,
+    previewSchedule,
+    updateOccurrence,
+    resetOccurrence,
+};
@@ -5,6 +5,8 @@
 
 const savingsService = require('../services/savings.service');
 const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+const { getCurrentMonth } = require('../utils/dateRanges');
 
 /**
  * @desc    Get savings account
@@ -13,7 +15,7 @@ const ApiResponse = require('../utils/apiResponse');
  */
 const getSavings = async (req, res, next) => {
     try {
-        const savings = await savingsService.getSavings(req.user._id);
+        const savings = await savingsService.getSavings(req.workspace._id, req.user.preferences);
 
         return ApiResponse.success(res, 200, 'Savings retrieved successfully', {
             savings,
@@ -33,10 +35,14 @@ const deposit = async (req, res, next) => {
         const { amount, source, description } = req.body;
 
         const result = await savingsService.deposit(
+            req.workspace._id,
             req.user._id,
             amount,
             source || 'manual',
-            description
+            description,
+            null,
+            null,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 201, 'Deposit successful', result);
@@ -55,10 +61,14 @@ const withdraw = async (req, res, next) => {
         const { amount, source, description } = req.body;
 
         const result = await savingsService.withdraw(
+            req.workspace._id,
             req.user._id,
             amount,
             source || 'manual',
-            description
+            description,
+            null,
+            null,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 200, 'Withdrawal successful', result);
@@ -77,9 +87,12 @@ const transferBudgetSurplus = async (req, res, next) => {
         const { month, year } = req.body;
 
         const result = await savingsService.transferBudgetSurplus(
+            req.workspace._id,
             req.user._id,
             parseInt(month),
-            parseInt(year)
+            parseInt(year),
+            req.user.preferences,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 200, 'Budget surplus transferred to savings', result);
@@ -98,10 +111,12 @@ const coverBudgetOverrun = async (req, res, next) => {
         const { amount, month, year } = req.body;
 
         const result = await savingsService.coverBudgetOverrun(
+            req.workspace._id,
             req.user._id,
             amount,
             parseInt(month),
-            parseInt(year)
+            parseInt(year),
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 200, 'Budget overrun covered from savings', result);
@@ -117,11 +132,11 @@ const coverBudgetOverrun = async (req, res, next) => {
  */
 const getTransferStatus = async (req, res, next) => {
     try {
-        const now = new Date();
-        const month = req.query.month ? parseInt(req.query.month) : now.getMonth() + 1;
-        const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+        const current = getCurrentMonth(req.user.preferences);
+        const month = req.query.month ? parseInt(req.query.month) : current.month;
+        const year = req.query.year ? parseInt(req.query.year) : current.year;
 
-        const status = await savingsService.getTransferStatus(req.user._id, month, year);
+        const status = await savingsService.getTransferStatus(req.workspace._id, month, year, req.user.preferences);
 
         return ApiResponse.success(res, 200, 'Transfer status retrieved', status);
     } catch (error) {
@@ -138,7 +153,7 @@ const getTransactions = async (req, res, next) => {
     try {
         const { page, limit, type, source, startDate, endDate } = req.query;
 
-        const result = await savingsService.getTransactions(req.user._id, {
+        const result = await savingsService.getTransactions(req.workspace._id, {
             page: page ? parseInt(page) : 1,
             limit: limit ? parseInt(limit) : 20,
             type,
@@ -160,7 +175,7 @@ const getTransactions = async (req, res, next) => {
  */
 const getStatistics = async (req, res, next) => {
     try {
-        const statistics = await savingsService.getStatistics(req.user._id);
+        const statistics = await savingsService.getStatistics(req.workspace._id, req.user.preferences);
 
         return ApiResponse.success(res, 200, 'Statistics retrieved successfully', {
             statistics,
@@ -180,8 +195,10 @@ const transferBudgetRemainder = async (req, res, next) => {
         const { budgetId } = req.body;
 
         const result = await savingsService.transferBudgetRemainder(
+            req.workspace._id,
             req.user._id,
-            budgetId
+            budgetId,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 200, 'Budget remainder transferred to savings', result);
@@ -200,9 +217,11 @@ const manualContribution = async (req, res, next) => {
         const { amount, description } = req.body;
 
         const result = await savingsService.manualContribution(
+            req.workspace._id,
             req.user._id,
             amount,
-            description
+            description,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 201, 'Savings contribution successful', result);
@@ -221,9 +240,11 @@ const coverBudgetOverrunById = async (req, res, next) => {
         const { budgetId, amount } = req.body;
 
         const result = await savingsService.coverBudgetOverrunById(
+            req.workspace._id,
             req.user._id,
             budgetId,
-            amount
+            amount ?? null,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 200, 'Budget overrun covered from savings', result);
@@ -239,7 +260,7 @@ const coverBudgetOverrunById = async (req, res, next) => {
  */
 const getAvailableBalance = async (req, res, next) => {
     try {
-        const availableBalance = await savingsService.getAvailableBalance(req.user._id);
+        const availableBalance = await savingsService.getAvailableBalance(req.workspace._id);
 
         return ApiResponse.success(res, 200, 'Available balance retrieved', {
             availableBalance,
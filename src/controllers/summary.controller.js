@@ -5,6 +5,7 @@
 
 const summaryService = require('../services/summary.service');
 const ApiResponse = require('../utils/apiResponse');
+const { getCurrentMonth, resolvePreferences } = require('../utils/dateRanges');
 
 /**
  * @desc    Get dashboard summary
@@ -13,7 +14,7 @@ const ApiResponse = require('../utils/apiResponse');
  */
 const getDashboard = async (req, res, next) => {
     try {
-        const dashboard = await summaryService.getDashboard(req.user._id);
+        const dashboard = await summaryService.getDashboard(req.workspace._id, req.user.preferences);
 
         return ApiResponse.success(res, 200, 'Dashboard data retrieved successfully', dashboard);
     } catch (error) {
@@ -28,11 +29,16 @@ const getDashboard = async (req, res, next) => {
  */
 const getMonthlyBreakdown = async (req, res, next) => {
     try {
-        const now = new Date();
-        const month = req.query.month ? parseInt(req.query.month) : now.getMonth() + 1;
-        const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+        const current = getCurrentMonth(req.user.preferences);
+        const month = req.query.month ? parseInt(req.query.month) : current.month;
+        const year = req.query.year ? parseInt(req.query.year) : current.year;
 
-        const breakdown = await summaryService.getMonthlyBreakdown(req.user._id, month, year);
+        const breakdown = await summaryService.getMonthlyBreakdown(
+            req.workspace._id,
+            month,
+            year,
+            req.user.preferences
+        );
 
         return ApiResponse.success(res, 200, 'Monthly breakdown retrieved successfully', breakdown);
     } catch (error) {
@@ -47,16 +53,17 @@ const getMonthlyBreakdown = async (req, res, next) => {
  */
 const getCategoryBreakdown = async (req, res, next) => {
     try {
-        const now = new Date();
-        const month = req.query.month ? parseInt(req.query.month) : now.getMonth() + 1;
-        const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+        const current = getCurrentMonth(req.user.preferences);
+        const month = req.query.month ? parseInt(req.query.month) : current.month;
+        const year = req.query.year ? parseInt(req.query.year) : current.year;
         const type = req.query.type || 'expense';
 
         const breakdown = await summaryService.getCategoryBreakdown(
-            req.user._id,
+            req.workspace._id,
             month,
             year,
-            type
+            type,
+            req.user.preferences
         );
 
         return ApiResponse.success(res, 200, 'Category breakdown retrieved successfully', {
@@ -70,6 +77,68 @@ const getCategoryBreakdown = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get tag-wise breakdown
+ * @route   GET /api/summary/tags
+ * @access  Private
+ */
+const getTagBreakdown = async (req, res, next) => {
+    try {
+        const current = getCurrentMonth(req.user.preferences);
+        const month = req.query.month ? parseInt(req.query.month) : current.month;
+        const year = req.query.year ? parseInt(req.query.year) : current.year;
+        const type = req.query.type || 'expense';
+
+        const breakdown = await summaryService.getTagBreakdown(
+            req.workspace._id,
+            month,
+            year,
+            type,
+            req.user.preferences
+        );
+
+        return ApiResponse.success(res, 200, 'Tag breakdown retrieved successfully', {
+            month,
+            year,
+            type,
+            tags: breakdown,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get spending per payee for each month of a year
+ * @route   GET /api/summary/payees
+ * @access  Private
+ */
+const getPayeeBreakdown = async (req, res, next) => {
+    try {
+        const year = req.query.year
+            ? parseInt(req.query.year)
+            : getCurrentMonth(req.user.preferences).year;
+        const type = req.query.type || 'expense';
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const breakdown = await summaryService.getPayeeBreakdown(
+            req.workspace._id,
+            year,
+            type,
+            limit,
+            req.user.preferences
+        );
+
+        return ApiResponse.success(res, 200, 'Payee breakdown retrieved successfully', {
+            year,
+            type,
+            ...breakdown,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get yearly overview
  * @route   GET /api/summary/yearly
@@ -77,9 +146,15 @@ const getCategoryBreakdown = async (req, res, next) => {
  */
 const getYearlyOverview = async (req, res, next) => {
     try {
-        const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+        const year = req.query.year
+            ? parseInt(req.query.year)
+            : getCurrentMonth(req.user.preferences).year;
 
-        const overview = await summaryService.getYearlyOverview(req.user._id, year);
+        const overview = await summaryService.getYearlyOverview(
+            req.workspace._id,
+            year,
+            req.user.preferences
+        );
 
         return ApiResponse.success(res, 200, 'Yearly overview retrieved successfully', overview);
     } catch (error) {
@@ -95,9 +170,13 @@ const getYearlyOverview = async (req, res, next) => {
 const getWeeklySummary = async (req, res, next) => {
     try {
         const weekOffset = req.query.weekOffset ? parseInt(req.query.weekOffset) : 0;
-        const weekStartDay = req.query.weekStartDay ? parseInt(req.query.weekStartDay) : 1; // Default Monday
+        // weekStartDay query param overrides the user's preference
+        const preferences = resolvePreferences(req.user.preferences);
+        if (req.query.weekStartDay) {
+            preferences.weekStartDay = parseInt(req.query.weekStartDay);
+        }
 
-        const summary = await summaryService.getWeeklySummary(req.user._id, weekOffset, weekStartDay);
+        const summary = await summaryService.getWeeklySummary(req.workspace._id, weekOffset, preferences);
 
         return ApiResponse.success(res, 200, 'Weekly summary retrieved successfully', summary);
     } catch (error) {
@@ -112,16 +191,17 @@ const getWeeklySummary = async (req, res, next) => {
  */
 const getComprehensiveMonthlySummary = async (req, res, next) => {
     try {
-        const now = new Date();
-        const month = req.query.month ? parseInt(req.query.month) : now.getMonth() + 1;
-        const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+        const current = getCurrentMonth(req.user.preferences);
+        const month = req.query.month ? parseInt(req.query.month) : current.month;
+        const year = req.query.year ? parseInt(req.query.year) : current.year;
         const includeComparison = req.query.comparison !== 'false';
 
         const summary = await summaryService.getComprehensiveMonthlySummary(
-            req.user._id,
+            req.workspace._id,
             month,
             year,
-            includeComparison
+            includeComparison,
+            req.user.preferences
         );
 
         return ApiResponse.success(res, 200, 'Monthly summary retrieved successfully', summary);
@@ -134,6 +214,8 @@ module.exports = {
     getDashboard,
     getMonthlyBreakdown,
     getCategoryBreakdown,
+    getTagBreakdown,
+    getPayeeBreakdown,
     getYearlyOverview,
     getWeeklySummary,
     getComprehensiveMonthlySummary,
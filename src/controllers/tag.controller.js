@@ -0,0 +1,112 @@
+/**
+ * Tag Controller
+ * Handles HTTP requests for tag registry endpoints
+ */
+
+const tagService = require('../services/tag.service');
+const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * @desc    Get all tags with usage counts
+ * @route   GET /api/tags
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        const tags = await tagService.getAll(req.workspace._id);
+
+        return ApiResponse.success(res, 200, 'Tags retrieved successfully', {
+            tags,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create tag
+ * @route   POST /api/tags
+ * @access  Private
+ */
+const create = async (req, res, next) => {
+    try {
+        const tag = await tagService.create(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 201, 'Tag created successfully', {
+            tag,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rename tag or change its colour
+ * @route   PUT /api/tags/:id
+ * @access  Private
+ */
+const update = async (req, res, next) => {
+    try {
+        const tag = await tagService.update(
+            req.params.id,
+            req.body,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Tag updated successfully', {
+            tag,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Merge tags into another tag
+ * @route   POST /api/tags/merge
+ * @access  Private
+ */
+const merge = async (req, res, next) => {
+    try {
+        const result = await tagService.merge(
+            req.body.sourceIds,
+            req.body.targetId,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Tags merged successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete tag and remove it from transactions
+ * @route   DELETE /api/tags/:id
+ * @access  Private
+ */
+const remove = async (req, res, next) => {
+    try {
+        await tagService.delete(req.params.id, req.workspace._id, getRequestContext(req));
+
+        return ApiResponse.success(res, 200, 'Tag deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    create,
+    update,
+    merge,
+    remove,
+};
@@ -4,7 +4,31 @@
  */
 
 const transactionService = require('../services/transaction.service');
+const transactionExportService = require('../services/transactionExport.service');
+const categorySuggestionService = require('../services/categorySuggestion.service');
+const duplicateService = require('../services/duplicate.service');
 const ApiResponse = require('../utils/apiResponse');
+const { getRequestContext } = require('../utils/requestContext');
+const { isClientAbort } = require('../utils/streams');
+
+/**
+ * Read the listing filters shared by getAll and exportTransactions
+ */
+const getFilters = (query) => {
+    const { type, categoryId, accountId, payeeId, tags, tagMatch, month, year, search } = query;
+
+    return {
+        type,
+        categoryId,
+        accountId,
+        payeeId,
+        tags: tags ? tags.split(',') : null,
+        tagMatch,
+        month: month ? parseInt(month) : null,
+        year: year ? parseInt(year) : null,
+        search,
+    };
+};
 
 /**
  * @desc    Get all transactions
@@ -13,17 +37,13 @@ const ApiResponse = require('../utils/apiResponse');
  */
 const getAll = async (req, res, next) => {
     try {
-        const { type, categoryId, month, year, page, limit, search } = req.query;
+        const { page, limit } = req.query;
 
-        const result = await transactionService.getAll(req.user._id, {
-            type,
-            categoryId,
-            month: month ? parseInt(month) : null,
-            year: year ? parseInt(year) : null,
+        const result = await transactionService.getAll(req.workspace._id, {
+            ...getFilters(req.query),
             page: page ? parseInt(page) : 1,
             limit: limit ? parseInt(limit) : 20,
-            search,
-        });
+        }, req.user.preferences);
 
         return ApiResponse.paginated(
             res,
@@ -37,6 +57,124 @@ const getAll = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Download the filtered transactions as CSV, XLSX or OFX
+ * @route   GET /api/transactions/export
+ * @access  Private
+ */
+const exportTransactions = async (req, res, next) => {
+    try {
+        const format = req.query.format || 'csv';
+        const { contentType, fileName } = transactionExportService.getDownloadInfo(format);
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Cache-Control': 'no-store',
+        });
+
+        await transactionExportService.streamTransactions(
+            req.workspace._id,
+            getFilters(req.query),
+            format,
+            req.user,
+            res
+        );
+    } catch (error) {
+        // Once streaming has started the status can't change; abort the download
+        if (res.headersSent) {
+            if (!isClientAbort(error)) console.error('Transaction export error:', error);
+            return res.destroy(error);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rank categories for a description and amount, learned from past transactions
+ * @route   GET /api/transactions/suggest-category
+ * @access  Private
+ */
+const suggestCategory = async (req, res, next) => {
+    try {
+        const { description, amount, type, limit } = req.query;
+
+        const result = await categorySuggestionService.suggest(
+            req.workspace._id,
+            { description, amount: amount || null, type: type || null },
+            limit || 5
+        );
+
+        return ApiResponse.success(res, 200, 'Category suggestions generated successfully', result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Review queue of likely duplicate pairs
+ * @route   GET /api/transactions/duplicates
+ * @access  Private
+ */
+const getDuplicates = async (req, res, next) => {
+    try {
+        const { days, page, limit } = req.query;
+
+        const result = await duplicateService.getQueue(req.workspace._id, {
+            days: days ? parseInt(days) : 3,
+            page: page ? parseInt(page) : 1,
+            limit: limit ? parseInt(limit) : 20,
+        });
+
+        return ApiResponse.paginated(res, result.candidates, result.page, result.limit, result.total);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Merge a duplicate into the transaction to keep
+ * @route   POST /api/transactions/duplicates/merge
+ * @access  Private
+ */
+const mergeDuplicate = async (req, res, next) => {
+    try {
+        const transaction = await duplicateService.merge(
+            req.body.keepId,
+            req.body.removeId,
+            req.workspace._id,
+            getRequestContext(req)
+        );
+
+        return ApiResponse.success(res, 200, 'Transactions merged successfully', {
+            transaction,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark a pair as not duplicates
+ * @route   POST /api/transactions/duplicates/dismiss
+ * @access  Private
+ */
+const dismissDuplicate = async (req, res, next) => {
+    try {
+        const dismissal = await duplicateService.dismiss(
+            req.body.transactionIds,
+            req.workspace._id,
+            req.user._id
+        );
+
+        return ApiResponse.success(res, 200, 'Duplicate dismissed successfully', {
+            dismissal,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get single transaction
  * @route   GET /api/transactions/:id
@@ -46,7 +184,7 @@ const getById = async (req, res, next) => {
     try {
         const transaction = await transactionService.getById(
             req.params.id,
-            req.user._id
+            req.workspace._id
         );
 
         return ApiResponse.success(res, 200, 'Transaction retrieved successfully', {
@@ -64,10 +202,22 @@ const getById = async (req, res, next) => {
  */
 const create = async (req, res, next) => {
     try {
-        const transaction = await transactionService.create(req.body, req.user._id);
+        const transaction = await transactionService.create(
+            req.body,
+            req.workspace._id,
+            req.user._id,
+            req.user.preferences,
+            getRequestContext(req)
+        );
+        const possibleDuplicates = await duplicateService.findMatches(transaction, req.workspace._id);
 
-        return ApiResponse.success(res, 201, 'Transaction created successfully', {
+        const message = possibleDuplicates.length
+            ? 'Transaction created successfully, but it looks like a duplicate of an existing transaction'
+            : 'Transaction created successfully';
+
+        return ApiResponse.success(res, 201, message, {
             transaction,
+            possibleDuplicates,
         });
     } catch (error) {
         next(error);
@@ -84,7 +234,9 @@ const update = async (req, res, next) => {
         const transaction = await transactionService.update(
             req.params.id,
             req.body,
-            req.user._id
+            req.workspace._id,
+            req.user.preferences,
+            getRequestContext(req)
         );
 
         return ApiResponse.success(res, 200, 'Transaction updated successfully', {
@@ -102,7 +254,7 @@ const update = async (req, res, next) => {
  */
 const remove = async (req, res, next) => {
     try {
-        await transactionService.delete(req.params.id, req.user._id);
+        await transactionService.delete(req.params.id, req.workspace._id, getRequestContext(req));
 
         return ApiResponse.success(res, 200, 'Transaction deleted successfully');
     } catch (error) {
@@ -112,6 +264,11 @@ const remove = async (req, res, next) => {
 
 module.exports = {
     getAll,
+    exportTransactions,
+    suggestCategory,
+    getDuplicates,
+    mergeDuplicate,
+    dismissDuplicate,
     getById,
     create,
     update,
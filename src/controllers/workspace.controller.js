@@ -0,0 +1,214 @@
+/**
+ * Workspace Controller
+ * Handles HTTP requests for shared workspaces, members and invitations
+ */
+
+const workspaceService = require('../services/workspace.service');
+const ApiResponse = require('../utils/apiResponse');
+
+/**
+ * @desc    Get workspaces the user belongs to
+ * @route   GET /api/workspaces
+ * @access  Private
+ */
+const getAll = async (req, res, next) => {
+    try {
+        // Make sure the personal workspace exists for older accounts
+        await workspaceService.ensurePersonalWorkspace(req.user);
+        const workspaces = await workspaceService.getUserWorkspaces(req.user._id);
+
+        return ApiResponse.success(res, 200, 'Workspaces retrieved successfully', {
+            workspaces,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a workspace with its members
+ * @route   GET /api/workspaces/:id
+ * @access  Private (member)
+ */
+const getById = async (req, res, next) => {
+    try {
+        const workspace = await workspaceService.getById(req.params.id, req.user._id);
+
+        return ApiResponse.success(res, 200, 'Workspace retrieved successfully', {
+            workspace,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create a shared workspace
+ * @route   POST /api/workspaces
+ * @access  Private
+ */
+const create = async (req, res, next) => {
+    try {
+        const workspace = await workspaceService.create(req.user._id, req.body.name);
+
+        return ApiResponse.success(res, 201, 'Workspace created successfully', {
+            workspace,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rename a workspace
+ * @route   PUT /api/workspaces/:id
+ * @access  Private (owner)
+ */
+const update = async (req, res, next) => {
+    try {
+        const workspace = await workspaceService.update(
+            req.params.id,
+            { name: req.body.name },
+            req.user._id
+        );
+
+        return ApiResponse.success(res, 200, 'Workspace updated successfully', {
+            workspace,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a shared workspace and all of its data
+ * @route   DELETE /api/workspaces/:id
+ * @access  Private (owner)
+ */
+const remove = async (req, res, next) => {
+    try {
+        await workspaceService.delete(req.params.id);
+
+        return ApiResponse.success(res, 200, 'Workspace deleted successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get pending invitations
+ * @route   GET /api/workspaces/:id/invitations
+ * @access  Private (owner)
+ */
+const getInvitations = async (req, res, next) => {
+    try {
+        const invitations = await workspaceService.getInvitations(req.params.id);
+
+        return ApiResponse.success(res, 200, 'Invitations retrieved successfully', {
+            invitations,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Invite someone by email
+ * @route   POST /api/workspaces/:id/invitations
+ * @access  Private (owner)
+ */
+const invite = async (req, res, next) => {
+    try {
+        const { email, role } = req.body;
+
+        const invitation = await workspaceService.invite(req.params.id, req.user, { email, role });
+
+        return ApiResponse.success(res, 201, 'Invitation sent successfully', {
+            invitation,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/workspaces/:id/invitations/:invitationId
+ * @access  Private (owner)
+ */
+const revokeInvitation = async (req, res, next) => {
+    try {
+        await workspaceService.revokeInvitation(req.params.invitationId, req.params.id);
+
+        return ApiResponse.success(res, 200, 'Invitation revoked successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Accept an invitation sent to the user's email
+ * @route   POST /api/workspaces/invitations/accept
+ * @access  Private
+ */
+const acceptInvitation = async (req, res, next) => {
+    try {
+        const workspace = await workspaceService.acceptInvitation(req.body.token, req.user);
+
+        return ApiResponse.success(res, 200, 'Invitation accepted successfully', {
+            workspace,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Change a member's role
+ * @route   PUT /api/workspaces/:id/members/:userId
+ * @access  Private (owner)
+ */
+const updateMember = async (req, res, next) => {
+    try {
+        const member = await workspaceService.updateMemberRole(
+            req.params.id,
+            req.params.userId,
+            req.body.role
+        );
+
+        return ApiResponse.success(res, 200, 'Member updated successfully', {
+            member,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a member (owners), or leave the workspace (yourself)
+ * @route   DELETE /api/workspaces/:id/members/:userId
+ * @access  Private (member)
+ */
+const removeMember = async (req, res, next) => {
+    try {
+        await workspaceService.removeMember(req.params.id, req.params.userId, req.user._id);
+
+        return ApiResponse.success(res, 200, 'Member removed successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    remove,
+    getInvitations,
+    invite,
+    revokeInvitation,
+    acceptInvitation,
+    updateMember,
+    removeMember,
+};
@@ -0,0 +1,48 @@
+/**
+ * Account Purge Job
+ * Periodically removes accounts whose deletion grace period has ended
+ */
+
+const accountService = require('../services/account.service');
+const { ACCOUNT_PURGE_INTERVAL_MINUTES } = require('../config/env');
+
+let timer = null;
+
+/**
+ * Run one purge pass
+ */
+const runAccountPurge = async () => {
+    try {
+        const purged = await accountService.purgeDueAccounts();
+        if (purged > 0) {
+            console.log(`🗑️ Purged ${purged} deleted account(s)`);
+        }
+    } catch (error) {
+        console.error('Account purge job error:', error.message);
+    }
+};
+
+/**
+ * Start the purge job on an interval
+ */
+const startAccountPurgeJob = () => {
+    if (timer) return timer;
+
+    timer = setInterval(runAccountPurge, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for this job
+    timer.unref();
+
+    return timer;
+};
+
+/**
+ * Stop the purge job
+ */
+const stopAccountPurgeJob = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = { startAccountPurgeJob, stopAccountPurgeJob, runAccountPurge };
@@ -0,0 +1,51 @@
+/**
+ * Recurring Transactions Job
+ * Periodically posts due occurrences of recurring transactions
+ */
+
+const recurringTransactionService = require('../services/recurringTransaction.service');
+const { RECURRING_TRANSACTIONS_INTERVAL_MINUTES } = require('../config/env');
+
+let timer = null;
+
+/**
+ * Run one posting pass
+ */
+const runRecurringTransactions = async () => {
+    try {
+        const posted = await recurringTransactionService.postDueOccurrences();
+        if (posted > 0) {
+            console.log(`🔁 Posted ${posted} recurring transaction(s)`);
+        }
+    } catch (error) {
+        console.error('Recurring transactions job error:', error.message);
+    }
+};
+
+/**
+ * Start the job on an interval, with a first pass right away to catch up
+ * on anything that fell due while the server was down
+ */
+const startRecurringTransactionsJob = () => {
+    if (timer) return timer;
+
+    timer = setInterval(runRecurringTransactions, RECURRING_TRANSACTIONS_INTERVAL_MINUTES * 60 * 1000);
+    // Don't keep the process alive just for this job
+    timer.unref();
+
+    setImmediate(runRecurringTransactions);
+
+    return timer;
+};
+
+/**
+ * Stop the job
+ */
+const stopRecurringTransactionsJob = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = { startRecurringTransactionsJob, stopRecurringTransactionsJob, runRecurringTransactions };
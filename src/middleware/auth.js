@@ -1,15 +1,77 @@
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT or personal access token and attaches user to request
  */
 
 const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/env');
+const {
+    JWT_SECRET,
+    REQUIRE_EMAIL_VERIFICATION,
+    UNVERIFIED_ALLOWED_ROUTES,
+} = require('../config/env');
 const User = require('../models/User');
+const sessionService = require('../services/session.service');
+const accessTokenService = require('../services/accessToken.service');
 const ApiResponse = require('../utils/apiResponse');
 
+// Routes unverified users may call, parsed from "METHOD /prefix" or "/prefix" entries
+const unverifiedAllowlist = UNVERIFIED_ALLOWED_ROUTES.split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+        const [first, second] = entry.split(/\s+/);
+        return second
+            ? { method: first.toUpperCase(), prefix: second }
+            : { method: null, prefix: first };
+    });
+
+/**
+ * Check whether the email verification policy lets an unverified user through
+ * @param {Object} req - Express request
+ * @returns {boolean} - True if the route is allowed
+ */
+const isAllowedForUnverified = (req) => {
+    const path = req.originalUrl.split('?')[0];
+
+    return unverifiedAllowlist.some(({ method, prefix }) => {
+        if (method && method !== req.method) return false;
+        return path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+    });
+};
+
+const DISABLED_MESSAGE = 'This account has been disabled';
+
+// Methods that only need a resource's read scope
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Authenticate a personal access token and enforce its scope for this route
+ * @param {string} token - Plain personal access token
+ * @param {Object} req - Express request (req.tokenResource set by protectWithScope)
+ * @returns {Object} - { user } on success, or { status, message } on failure
+ */
+const authenticateAccessToken = async (token, req) => {
+    if (!req.tokenResource) {
+        return { status: 403, message: 'Personal access tokens cannot be used for this endpoint' };
+    }
+
+    const result = await accessTokenService.authenticate(token);
+    if (!result) {
+        return { status: 401, message: 'Not authorized, invalid or revoked access token' };
+    }
+
+    const scope = `${req.tokenResource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+    if (!result.accessToken.hasScope(scope)) {
+        return { status: 403, message: `Access token is missing the required scope: ${scope}` };
+    }
+
+    req.accessToken = result.accessToken;
+    return { user: result.user };
+};
+
 /**
- * Protect routes - Verify JWT token
+ * Protect routes - Verify JWT token (or a personal access token on routes
+ * mounted with protectWithScope)
  * Attaches user object to req.user
  */
 const protect = async (req, res, next) => {
@@ -26,6 +88,25 @@ const protect = async (req, res, next) => {
             return ApiResponse.error(res, 401, 'Not authorized, no token provided');
         }
 
+        // Personal access tokens for scripts and integrations
+        if (accessTokenService.isAccessToken(token)) {
+            const result = await authenticateAccessToken(token, req);
+            if (!result.user) {
+                return ApiResponse.error(res, result.status, result.message);
+            }
+
+            if (result.user.disabledAt) {
+                return ApiResponse.error(res, 403, DISABLED_MESSAGE);
+            }
+
+            if (REQUIRE_EMAIL_VERIFICATION && !result.user.emailVerified && !isAllowedForUnverified(req)) {
+                return ApiResponse.error(res, 403, 'Please verify your email address to access this resource');
+            }
+
+            req.user = result.user;
+            return next();
+        }
+
         try {
             // Verify token
             const decoded = jwt.verify(token, JWT_SECRET);
@@ -37,6 +118,24 @@ const protect = async (req, res, next) => {
                 return ApiResponse.error(res, 401, 'Not authorized, user not found');
             }
 
+            if (user.disabledAt) {
+                return ApiResponse.error(res, 403, DISABLED_MESSAGE);
+            }
+
+            // Reject access tokens whose session has been revoked
+            if (decoded.sid) {
+                const session = await sessionService.touch(decoded.sid, user._id, { ipAddress: req.ip });
+                if (!session) {
+                    return ApiResponse.error(res, 401, 'Not authorized, session has been revoked');
+                }
+                req.sessionId = session._id;
+            }
+
+            // Enforce the email verification policy
+            if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified && !isAllowedForUnverified(req)) {
+                return ApiResponse.error(res, 403, 'Please verify your email address to access this resource');
+            }
+
             // Attach user to request object
             req.user = user;
             next();
@@ -57,6 +156,32 @@ const protect = async (req, res, next) => {
     }
 };
 
+/**
+ * Protect routes that personal access tokens may call. Tokens need the
+ * "<resource>:read" scope for GET requests and "<resource>:write" otherwise;
+ * session JWTs are not scope-limited.
+ * @param {string} resource - Scope resource, e.g. 'transactions'
+ * @returns {Function} - Express middleware
+ */
+const protectWithScope = (resource) => (req, res, next) => {
+    req.tokenResource = resource;
+    return protect(req, res, next);
+};
+
+/**
+ * Restrict a route to users with one of the given application roles.
+ * Runs after protect, which attaches req.user.
+ * @param {...string} roles - Allowed roles, e.g. 'admin'
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return ApiResponse.error(res, 403, 'You do not have permission to access this resource');
+    }
+
+    next();
+};
+
 /**
  * Optional auth - Attach user if token exists, but don't require it
  */
@@ -72,7 +197,10 @@ const optionalAuth = async (req, res, next) => {
             try {
                 const decoded = jwt.verify(token, JWT_SECRET);
                 const user = await User.findById(decoded.id).select('-password');
-                if (user) {
+                const session = decoded.sid
+                    ? await sessionService.touch(decoded.sid, decoded.id, { ipAddress: req.ip })
+                    : true;
+                if (user && session && !user.disabledAt) {
                     req.user = user;
                 }
             } catch (error) {
@@ -87,4 +215,4 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-module.exports = { protect, optionalAuth };
+module.exports = { protect, protectWithScope, requireRole, optionalAuth };
@@ -57,6 +57,11 @@ const errorHandler = (err, req, res, next) => {
         message = 'Token expired';
     }
 
+    // Tell throttled clients when to retry
+    if (statusCode === 429 && err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
     // Send error response
     const response = {
         success: false,
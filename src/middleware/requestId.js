@@ -0,0 +1,20 @@
+/**
+ * Request ID Middleware
+ * Tags every request with an ID (the client's X-Request-Id when it looks sane)
+ * and echoes it back, so log lines and audit entries can be correlated
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,99 @@
+/**
+ * Upload Middleware
+ * Buffers a size-capped multipart/form-data body and exposes its file as req.file
+ */
+
+const { getBoundary, parseMultipart } = require('../utils/multipart');
+
+// Room for the multipart framing and small text fields around the file
+const FORM_OVERHEAD_BYTES = 64 * 1024;
+
+const createError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Accept a single file upload
+ * @param {string} fieldName - Form field holding the file
+ * @param {Object} options - { maxBytes }
+ * @returns {Function} - Middleware setting req.file ({ fieldName, originalName, mimeType, size, buffer })
+ *                       and the text fields on req.body
+ */
+const singleFile = (fieldName, { maxBytes }) => (req, res, next) => {
+    const boundary = getBoundary(req.headers['content-type']);
+    if (!boundary) {
+        return next(createError('Request must be multipart/form-data', 400));
+    }
+
+    const tooLarge = () => createError(`File cannot exceed ${Math.floor(maxBytes / (1024 * 1024))} MB`, 413);
+    const limit = maxBytes + FORM_OVERHEAD_BYTES;
+
+    if (parseInt(req.headers['content-length'], 10) > limit) {
+        res.set('Connection', 'close');
+        return next(tooLarge());
+    }
+
+    const chunks = [];
+    let received = 0;
+    let finished = false;
+
+    const finish = (error) => {
+        if (finished) return;
+        finished = true;
+        req.removeListener('data', onData);
+        req.removeListener('end', onEnd);
+        req.removeListener('error', finish);
+        if (error) {
+            // Drain and drop the rest of the body
+            res.set('Connection', 'close');
+            req.resume();
+        }
+        next(error);
+    };
+
+    const onData = (chunk) => {
+        received += chunk.length;
+        if (received > limit) return finish(tooLarge());
+        chunks.push(chunk);
+    };
+
+    const onEnd = () => {
+        let parts;
+        try {
+            parts = parseMultipart(Buffer.concat(chunks), boundary);
+        } catch (error) {
+            return finish(error);
+        }
+
+        const file = parts.find((part) => part.name === fieldName && part.filename !== null);
+        if (!file) {
+            return finish(createError(`No file uploaded in the "${fieldName}" field`, 400));
+        }
+        if (file.data.length > maxBytes) {
+            return finish(tooLarge());
+        }
+
+        req.body = {};
+        for (const part of parts) {
+            if (part.filename === null) req.body[part.name] = part.data.toString('utf8');
+        }
+
+        req.file = {
+            fieldName,
+            originalName: file.filename,
+            mimeType: file.contentType,
+            size: file.data.length,
+            buffer: file.data,
+        };
+
+        finish();
+    };
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', finish);
+};
+
+module.exports = { singleFile };
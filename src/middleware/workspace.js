@@ -0,0 +1,83 @@
+/**
+ * Workspace Authorization Middleware
+ * Resolves the workspace a request acts on and checks the user's role in it.
+ * Runs after protect/protectWithScope, which attach req.user.
+ */
+
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const workspaceService = require('../services/workspace.service');
+const ApiResponse = require('../utils/apiResponse');
+
+// Methods that only need viewer access
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check the user's role against the minimum and attach the workspace
+ * @returns {boolean} - True if the request may continue
+ */
+const attachWorkspace = (req, res, workspace, minimumRole) => {
+    const role = workspace ? workspace.getRole(req.user._id) : null;
+
+    if (!role) {
+        ApiResponse.error(res, 404, 'Workspace not found');
+        return false;
+    }
+
+    if (!Workspace.roleAtLeast(role, minimumRole)) {
+        ApiResponse.error(res, 403, `This action requires the ${minimumRole} role in this workspace`);
+        return false;
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    return true;
+};
+
+/**
+ * Authorize a data route against the workspace named in the X-Workspace-Id
+ * header (the user's personal workspace when omitted). Viewers may read;
+ * editors and owners may also write.
+ * @param {string} minimumRole - Override the role required (default: by HTTP method)
+ * @returns {Function} - Express middleware
+ */
+const authorizeWorkspace = (minimumRole = null) => async (req, res, next) => {
+    try {
+        const workspaceId = req.get('X-Workspace-Id');
+
+        if (workspaceId && !mongoose.isValidObjectId(workspaceId)) {
+            return ApiResponse.error(res, 400, 'Invalid X-Workspace-Id header');
+        }
+
+        const workspace = workspaceId
+            ? await Workspace.findById(workspaceId)
+            : await workspaceService.ensurePersonalWorkspace(req.user);
+
+        const requiredRole = minimumRole || (READ_METHODS.includes(req.method) ? 'viewer' : 'editor');
+
+        if (attachWorkspace(req, res, workspace, requiredRole)) {
+            next();
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Authorize a workspace management route against the workspace in req.params.id
+ * @param {string} minimumRole - 'viewer', 'editor' or 'owner'
+ * @returns {Function} - Express middleware
+ */
+const requireWorkspaceRole = (minimumRole) => async (req, res, next) => {
+    try {
+        const workspace = await Workspace.findById(req.params.id);
+
+        if (attachWorkspace(req, res, workspace, minimumRole)) {
+            next();
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { authorizeWorkspace, requireWorkspaceRole };
@@ -0,0 +1,106 @@
+/**
+ * Access Token Model
+ * Named, scoped personal access tokens for scripts and integrations
+ */
+
+const mongoose = require('mongoose');
+
+// Scopes a personal access token can be granted, as "<resource>:<read|write>"
+const ACCESS_TOKEN_SCOPES = [
+    'transactions:read',
+    'transactions:write',
+    'categories:read',
+    'categories:write',
+    'budgets:read',
+    'budgets:write',
+    'savings:read',
+    'savings:write',
+    'summary:read',
+    'audit:read',
+];
+
+const accessTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Token name is required'],
+            trim: true,
+            minlength: [1, 'Name is required'],
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        // SHA-256 hash of the token; the token itself is only shown once
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        // First characters of the token, to help users recognise it
+        tokenPrefix: {
+            type: String,
+            required: true,
+        },
+        scopes: {
+            type: [{
+                type: String,
+                enum: {
+                    values: ACCESS_TOKEN_SCOPES,
+                    message: 'Invalid scope',
+                },
+            }],
+            validate: {
+                validator: (scopes) => scopes.length > 0,
+                message: 'At least one scope is required',
+            },
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+accessTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Method to check if the token can still be used
+accessTokenSchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to check if the token grants a scope
+accessTokenSchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+/**
+ * Never expose the token hash
+ */
+accessTokenSchema.methods.toJSON = function () {
+    const accessToken = this.toObject();
+    delete accessToken.tokenHash;
+    delete accessToken.__v;
+    return accessToken;
+};
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+AccessToken.SCOPES = ACCESS_TOKEN_SCOPES;
+
+module.exports = AccessToken;
@@ -0,0 +1,80 @@
+/**
+ * Account Model
+ * Where money is held: a wallet, a bank account or a credit card. Every
+ * transaction belongs to one account; a transfer moves money between two.
+ */
+
+const mongoose = require('mongoose');
+
+const ACCOUNT_TYPES = ['cash', 'bank', 'credit_card'];
+
+const accountSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+        },
+        // User who created the record
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Account name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        type: {
+            type: String,
+            required: [true, 'Account type is required'],
+            enum: {
+                values: ACCOUNT_TYPES,
+                message: 'Type must be cash, bank or credit_card',
+            },
+        },
+        // Balance before the first transaction; negative for a card's outstanding debt
+        openingBalance: {
+            type: Number,
+            default: 0,
+        },
+        // ISO 4217 code; amounts of the account's transactions are in this currency
+        currency: {
+            type: String,
+            required: [true, 'Currency is required'],
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        },
+        // Archived accounts take no new transactions and are hidden from listings
+        archived: {
+            type: Boolean,
+            default: false,
+        },
+        // Transactions that do not name an account go here
+        isDefault: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Account names are unique per workspace (also serves workspace lookups)
+accountSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+// One default account per workspace
+accountSchema.index(
+    { workspaceId: 1 },
+    { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+accountSchema.statics.TYPES = ACCOUNT_TYPES;
+
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
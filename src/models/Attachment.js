@@ -0,0 +1,71 @@
+/**
+ * Attachment Model
+ * A file (receipt photo, PDF) attached to a transaction. The file itself
+ * lives in the storage driver under storageKey.
+ */
+
+const mongoose = require('mongoose');
+
+// Detected file types that may be attached
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+
+const attachmentSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        transactionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction',
+            required: [true, 'Transaction ID is required'],
+            index: true,
+        },
+        // User who uploaded the file
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        originalName: {
+            type: String,
+            required: [true, 'File name is required'],
+            maxlength: [255, 'File name cannot exceed 255 characters'],
+        },
+        mimeType: {
+            type: String,
+            required: true,
+            enum: ATTACHMENT_TYPES,
+        },
+        size: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        storageKey: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Storage keys are internal
+attachmentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.storageKey;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+attachmentSchema.statics.TYPES = ATTACHMENT_TYPES;
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
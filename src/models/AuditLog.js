@@ -0,0 +1,135 @@
+/**
+ * Audit Log Model
+ * Append-only record of who did what to which entity
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+    {
+        // User who performed the action (kept after the user is deleted);
+        // null for changes made by background jobs
+        actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Workspace the changed entity belongs to; null for account/admin actions
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            default: null,
+        },
+        // Dotted "<entity>.<verb>" name, e.g. "user.disable" or "transaction.update"
+        action: {
+            type: String,
+            required: [true, 'Action is required'],
+            trim: true,
+        },
+        entityType: {
+            type: String,
+            required: [true, 'Entity type is required'],
+        },
+        entityId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+        // Field values before and after the change: the full document for
+        // creates (after) and deletes (before), only changed fields for updates
+        before: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        after: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        // Action-specific context, e.g. the reason an account was disabled
+        details: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        requestId: {
+            type: String,
+            default: null,
+        },
+        ipAddress: {
+            type: String,
+            default: '',
+        },
+        userAgent: {
+            type: String,
+            default: '',
+        },
+        // Set when personal data was stripped from the entry (see redact)
+        redactedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ workspaceId: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Fields redact() may clear, with their cleared values
+const REDACTABLE_FIELDS = {
+    before: null,
+    after: null,
+    details: null,
+    ipAddress: '',
+    userAgent: '',
+};
+
+/**
+ * Entries are never changed once written, except through redact()
+ */
+const rejectMutation = function () {
+    throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) rejectMutation();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectMutation
+);
+
+/**
+ * Clear personal data from matching entries when the person it belongs to is
+ * deleted. Writes to the collection directly, as the hooks above block updates.
+ * @param {Object} filter - Entries to redact
+ * @param {string[]} fields - Fields to clear, from REDACTABLE_FIELDS
+ * @returns {number} - Number of entries changed
+ */
+auditLogSchema.statics.redact = async function (filter, fields) {
+    const $set = { redactedAt: new Date() };
+    for (const field of fields) {
+        if (!(field in REDACTABLE_FIELDS)) {
+            throw new Error(`Audit log field ${field} cannot be redacted`);
+        }
+        $set[field] = REDACTABLE_FIELDS[field];
+    }
+
+    const result = await this.collection.updateMany(this.find(filter).cast(), { $set });
+    return result.modifiedCount;
+};
+
+/**
+ * Remove internal fields when converting to JSON
+ */
+auditLogSchema.methods.toJSON = function () {
+    const entry = this.toObject();
+    delete entry.__v;
+    return entry;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
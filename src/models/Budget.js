@@ -7,6 +7,13 @@ const mongoose = require('mongoose');
 
 const budgetSchema = new mongoose.Schema(
     {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -87,11 +94,11 @@ const budgetSchema = new mongoose.Schema(
 );
 
 // Index for efficient queries
-budgetSchema.index({ userId: 1, status: 1 });
-budgetSchema.index({ userId: 1, startDate: 1, endDate: 1 });
-budgetSchema.index({ userId: 1, categoryId: 1, startDate: 1, endDate: 1 });
+budgetSchema.index({ workspaceId: 1, status: 1 });
+budgetSchema.index({ workspaceId: 1, startDate: 1, endDate: 1 });
+budgetSchema.index({ workspaceId: 1, categoryId: 1, startDate: 1, endDate: 1 });
 // Legacy index for backward compatibility
-budgetSchema.index({ userId: 1, month: 1, year: 1 });
+budgetSchema.index({ workspaceId: 1, month: 1, year: 1 });
 
 // Validate that endDate is after startDate
 budgetSchema.pre('validate', async function () {
@@ -148,9 +155,9 @@ budgetSchema.methods.isCurrentlyActive = function() {
 };
 
 // Method to check for overlapping budgets
-budgetSchema.statics.checkOverlap = async function(userId, categoryId, startDate, endDate, excludeId = null) {
+budgetSchema.statics.checkOverlap = async function(workspaceId, categoryId, startDate, endDate, excludeId = null) {
     const query = {
-        userId,
+        workspaceId,
         categoryId,
         status: { $nin: ['completed', 'cancelled'] },
         $or: [
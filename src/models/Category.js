@@ -7,6 +7,13 @@ const mongoose = require('mongoose');
 
 const categorySchema = new mongoose.Schema(
     {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -49,11 +56,11 @@ const categorySchema = new mongoose.Schema(
     }
 );
 
-// Compound index for user-specific category queries
-categorySchema.index({ userId: 1, type: 1 });
+// Compound index for workspace category queries
+categorySchema.index({ workspaceId: 1, type: 1 });
 
-// Ensure unique category name per user and type
-categorySchema.index({ userId: 1, name: 1, type: 1 }, { unique: true });
+// Ensure unique category name per workspace and type
+categorySchema.index({ workspaceId: 1, name: 1, type: 1 }, { unique: true });
 
 const Category = mongoose.model('Category', categorySchema);
 
@@ -0,0 +1,52 @@
+/**
+ * Category Classifier Model
+ * Naive Bayes counts learned from a workspace's transactions, used to suggest
+ * categories. Counts are keyed by category ID and kept up to date with $inc as
+ * transactions are created, recategorized and deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const countsByCategory = {
+    type: Map,
+    of: Number,
+    default: {},
+};
+
+const categoryClassifierSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            unique: true,
+        },
+        // Training samples per category (a split transaction counts once per line)
+        samples: countsByCategory,
+        // Description tokens counted per category
+        tokenTotals: countsByCategory,
+        // token -> category -> count
+        tokens: {
+            type: Map,
+            of: countsByCategory,
+            default: {},
+        },
+        // amount bucket -> category -> count
+        amounts: {
+            type: Map,
+            of: countsByCategory,
+            default: {},
+        },
+        trainedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const CategoryClassifier = mongoose.model('CategoryClassifier', categoryClassifierSchema);
+
+module.exports = CategoryClassifier;
@@ -0,0 +1,161 @@
+/**
+ * Category Rule Model
+ * Auto-categorization rule: transactions matching every condition get the
+ * rule's category. Rules are tried by ascending priority; the first match wins.
+ */
+
+const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/dateRanges');
+const safeRegex = require('../utils/safeRegex');
+
+// How a description pattern is compared: as plain text, or as a regular
+// expression run on RE2 so matching stays linear in the description's length
+const DESCRIPTION_MATCHES = ['contains', 'startsWith', 'endsWith', 'equals', 'regex'];
+
+const categoryRuleSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Rule name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        categoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            required: [true, 'Category is required'],
+        },
+        // The category's type; a rule only applies to transactions of this type
+        type: {
+            type: String,
+            required: [true, 'Transaction type is required'],
+            enum: {
+                values: ['income', 'expense'],
+                message: 'Type must be either income or expense',
+            },
+        },
+        // Lower numbers are tried first
+        priority: {
+            type: Number,
+            default: 100,
+            min: [0, 'Priority cannot be negative'],
+            max: [10000, 'Priority cannot exceed 10000'],
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        // Conditions (all that are set must match)
+        descriptionPattern: {
+            type: String,
+            default: null,
+            maxlength: [200, 'Description pattern cannot exceed 200 characters'],
+        },
+        descriptionMatch: {
+            type: String,
+            default: 'contains',
+            enum: {
+                values: DESCRIPTION_MATCHES,
+                message: 'Description match must be contains, startsWith, endsWith, equals or regex',
+            },
+        },
+        caseSensitive: {
+            type: Boolean,
+            default: false,
+        },
+        // Inclusive amount range
+        minAmount: {
+            type: Number,
+            default: null,
+            min: [0, 'Minimum amount cannot be negative'],
+        },
+        maxAmount: {
+            type: Number,
+            default: null,
+            min: [0, 'Maximum amount cannot be negative'],
+        },
+        // Days of the week (0 = Sunday), in the rule's timezone
+        weekdays: {
+            type: [{ type: Number, min: 0, max: 6 }],
+            default: [],
+        },
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimezone,
+                message: 'Timezone must be a valid IANA timezone',
+            },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+categoryRuleSchema.index({ workspaceId: 1, type: 1, priority: 1 });
+
+// A rule needs at least one condition, a usable pattern and a sane range
+categoryRuleSchema.pre('validate', function () {
+    const hasAmountRange = this.minAmount !== null || this.maxAmount !== null;
+    if (!this.descriptionPattern && !hasAmountRange && !this.weekdays.length) {
+        this.invalidate('descriptionPattern', 'A rule needs at least one condition');
+    }
+    if (this.descriptionPattern && this.descriptionMatch === 'regex') {
+        const error = safeRegex.checkPattern(this.descriptionPattern);
+        if (error) this.invalidate('descriptionPattern', error);
+    }
+    if (this.minAmount !== null && this.maxAmount !== null && this.minAmount > this.maxAmount) {
+        this.invalidate('maxAmount', 'Maximum amount must be greater than or equal to the minimum amount');
+    }
+});
+
+categoryRuleSchema.statics.DESCRIPTION_MATCHES = DESCRIPTION_MATCHES;
+
+/**
+ * Whether a description matches a rule's pattern
+ * @param {string} description - Transaction description
+ * @param {Object} rule - { descriptionPattern, descriptionMatch, caseSensitive }
+ * @returns {boolean} - True when it matches (or the rule has no pattern)
+ */
+categoryRuleSchema.statics.matchesDescription = function (description, rule) {
+    if (!rule.descriptionPattern) return true;
+    if (rule.descriptionMatch === 'regex') {
+        return safeRegex.testPattern(rule.descriptionPattern, String(description || ''), rule.caseSensitive);
+    }
+
+    let text = String(description || '');
+    let pattern = rule.descriptionPattern;
+    if (!rule.caseSensitive) {
+        text = text.toLowerCase();
+        pattern = pattern.toLowerCase();
+    }
+
+    switch (rule.descriptionMatch) {
+        case 'startsWith':
+            return text.startsWith(pattern);
+        case 'endsWith':
+            return text.endsWith(pattern);
+        case 'equals':
+            return text.trim() === pattern.trim();
+        default:
+            return text.includes(pattern);
+    }
+};
+
+const CategoryRule = mongoose.model('CategoryRule', categoryRuleSchema);
+
+module.exports = CategoryRule;
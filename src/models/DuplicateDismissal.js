@@ -0,0 +1,58 @@
+/**
+ * Duplicate Dismissal Model
+ * A pair of transactions the user reviewed and marked as not duplicates, so
+ * the duplicate review queue stops offering it
+ */
+
+const mongoose = require('mongoose');
+
+const duplicateDismissalSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+        },
+        // User who dismissed the pair
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        // The two transaction IDs, in ascending order
+        transactionIds: {
+            type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }],
+            validate: {
+                validator: (ids) => ids.length === 2,
+                message: 'A dismissal covers exactly two transactions',
+            },
+        },
+        // See DuplicateDismissal.pairKey
+        pairKey: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A pair is dismissed at most once per workspace
+duplicateDismissalSchema.index({ workspaceId: 1, pairKey: 1 }, { unique: true });
+duplicateDismissalSchema.index({ workspaceId: 1, transactionIds: 1 });
+
+/**
+ * Order-independent key of a pair of transaction IDs
+ * @param {string} firstId - Transaction ID
+ * @param {string} secondId - Transaction ID
+ * @returns {string} - "smaller:larger"
+ */
+duplicateDismissalSchema.statics.pairKey = function (firstId, secondId) {
+    return [String(firstId), String(secondId)].sort().join(':');
+};
+
+const DuplicateDismissal = mongoose.model('DuplicateDismissal', duplicateDismissalSchema);
+
+module.exports = DuplicateDismissal;
@@ -0,0 +1,103 @@
+/**
+ * Import Batch Model
+ * One uploaded bank statement (CSV, OFX/QFX or QIF). A batch is pending while its settings are
+ * adjusted and previewed, committed once its transactions are created, and
+ * reverted when they have been removed again.
+ */
+
+const mongoose = require('mongoose');
+const ImportProfile = require('./ImportProfile');
+
+const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+const IMPORT_STATUSES = ['pending', 'committed', 'reverted'];
+
+const importBatchSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who uploaded the statement
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        // Detected from the content; QFX files are OFX
+        format: {
+            type: String,
+            enum: IMPORT_FORMATS,
+            default: 'csv',
+        },
+        fileName: {
+            type: String,
+            default: '',
+            maxlength: 255,
+        },
+        status: {
+            type: String,
+            enum: IMPORT_STATUSES,
+            default: 'pending',
+        },
+        // Statement text; dropped once the batch is committed
+        content: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        headers: {
+            type: [String],
+            default: [],
+        },
+        rowCount: {
+            type: Number,
+            default: 0,
+        },
+        profileId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ImportProfile',
+            default: null,
+        },
+        settings: {
+            type: ImportProfile.settingsSchema,
+            default: () => ({}),
+        },
+        // Outcome of the commit
+        result: {
+            imported: { type: Number, default: 0 },
+            skippedErrors: { type: Number, default: 0 },
+            skippedDuplicates: { type: Number, default: 0 },
+            skippedRows: { type: Number, default: 0 },
+            reverted: { type: Number, default: 0 },
+        },
+        committedAt: {
+            type: Date,
+            default: null,
+        },
+        revertedAt: {
+            type: Date,
+            default: null,
+        },
+        // Pending batches are removed by a TTL index when abandoned
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+importBatchSchema.index({ workspaceId: 1, createdAt: -1 });
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+importBatchSchema.statics.FORMATS = IMPORT_FORMATS;
+importBatchSchema.statics.STATUSES = IMPORT_STATUSES;
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,123 @@
+/**
+ * Import Profile Model
+ * Saved CSV import settings for a bank's statement layout. A new upload
+ * whose header row matches a profile's headers starts with its settings.
+ */
+
+const mongoose = require('mongoose');
+const { DELIMITERS } = require('../utils/csv');
+const { DATE_FORMATS, DECIMAL_SEPARATORS } = require('../utils/importParsing');
+
+const columnIndex = { type: Number, default: null, min: 0 };
+
+// How to read a statement; shared with ImportBatch
+const importSettingsSchema = new mongoose.Schema(
+    {
+        delimiter: {
+            type: String,
+            enum: DELIMITERS,
+            default: ',',
+        },
+        hasHeader: {
+            type: Boolean,
+            default: true,
+        },
+        dateFormat: {
+            type: String,
+            enum: DATE_FORMATS,
+            default: DATE_FORMATS[0],
+        },
+        decimalSeparator: {
+            type: String,
+            enum: DECIMAL_SEPARATORS,
+            default: '.',
+        },
+        // Flip signs for statements that show spending as positive amounts
+        invertAmounts: {
+            type: Boolean,
+            default: false,
+        },
+        // Column indexes (0-based); either amount or both debit and credit
+        columns: {
+            date: columnIndex,
+            amount: columnIndex,
+            debit: columnIndex,
+            credit: columnIndex,
+            description: columnIndex,
+            category: columnIndex,
+        },
+        // Used for rows without a category column or with an unknown category name
+        defaultExpenseCategoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            default: null,
+        },
+        defaultIncomeCategoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            default: null,
+        },
+        // Account the statement belongs to; null for the workspace's default account
+        accountId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+const importProfileSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        // Usually the bank's name
+        name: {
+            type: String,
+            required: [true, 'Profile name is required'],
+            trim: true,
+            maxlength: [100, 'Profile name cannot exceed 100 characters'],
+        },
+        // Normalized header row the profile was saved from
+        headers: {
+            type: [String],
+            default: [],
+        },
+        settings: {
+            type: importSettingsSchema,
+            default: () => ({}),
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Ensure unique profile name per workspace
+importProfileSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+
+/**
+ * Normalize a header row for matching
+ * @param {Array} headers - Header cells
+ * @returns {Array} - Trimmed, lowercase cells
+ */
+importProfileSchema.statics.normalizeHeaders = function (headers) {
+    return headers.map((header) => String(header).trim().toLowerCase());
+};
+
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
+
+ImportProfile.settingsSchema = importSettingsSchema;
+
+module.exports = ImportProfile;
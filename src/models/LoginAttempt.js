@@ -0,0 +1,44 @@
+/**
+ * Login Attempt Model
+ * Tracks failed login attempts per account and per IP for brute-force protection
+ */
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema(
+    {
+        // "account:<email>" or "ip:<address>"
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        failures: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        lastFailureAt: {
+            type: Date,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Let MongoDB purge records once they no longer affect throttling
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,102 @@
+/**
+ * Payee Model
+ * A merchant or counterparty. Transactions are linked to a payee when their
+ * normalized description contains the payee's normalized name or one of its
+ * aliases (e.g. "UBER *TRIP 1234" and "Uber BV" both contain "uber").
+ */
+
+const mongoose = require('mongoose');
+
+// Card processors that put their own name in front of the merchant's
+const PROCESSOR_PREFIXES = ['paypal', 'pp', 'sq', 'sumup', 'zettle', 'izettle', 'tst', 'pos'];
+
+const payeeSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Payee name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        // Other spellings, stored normalized (see Payee.normalizeName)
+        aliases: {
+            type: [String],
+            default: [],
+        },
+        // Category for new transactions with this payee when none is given
+        defaultCategoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            default: null,
+        },
+        // Normalized name plus aliases; what descriptions are matched against
+        matchKeys: {
+            type: [String],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A name or alias belongs to at most one payee per workspace
+payeeSchema.index({ workspaceId: 1, matchKeys: 1 }, { unique: true });
+
+payeeSchema.pre('validate', function () {
+    this.aliases = Payee.normalizeNames(this.aliases);
+
+    const key = Payee.normalizeName(this.name);
+    if (this.name && !key) {
+        this.invalidate('name', 'Payee name needs at least one word without digits');
+    }
+    this.matchKeys = [...new Set([key, ...this.aliases].filter(Boolean))];
+});
+
+/**
+ * Normalize a description or payee name: lowercase words without accents,
+ * punctuation, words containing digits (references, store numbers) or a
+ * leading card processor name
+ * @param {string} text - Description or name
+ * @returns {string} - Normalized name, e.g. "UBER *TRIP 1234" -> "uber trip"
+ */
+payeeSchema.statics.normalizeName = function (text) {
+    const words = String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((word) => word && !/\d/.test(word));
+
+    while (words.length > 1 && PROCESSOR_PREFIXES.includes(words[0])) {
+        words.shift();
+    }
+
+    return words.join(' ');
+};
+
+/**
+ * Normalize a list of names, dropping blanks and duplicates
+ * @param {Array} names - Names as entered
+ * @returns {Array} - Normalized names
+ */
+payeeSchema.statics.normalizeNames = function (names = []) {
+    return [...new Set(names.map((name) => this.normalizeName(name)).filter(Boolean))];
+};
+
+const Payee = mongoose.model('Payee', payeeSchema);
+
+module.exports = Payee;
@@ -0,0 +1,206 @@
+/**
+ * Recurring Transaction Model
+ * A transaction template with an RRULE-style schedule. The scheduler posts
+ * each due occurrence as a regular transaction.
+ */
+
+const mongoose = require('mongoose');
+const { FREQUENCIES, isValidDateKey } = require('../utils/recurrence');
+const { isValidTimezone } = require('../utils/dateRanges');
+
+const dateKeyValidator = {
+    validator: (value) => value === null || isValidDateKey(value),
+    message: 'Date must be a valid YYYY-MM-DD date',
+};
+
+// Override or skip of a single occurrence, keyed by its scheduled date
+const exceptionSchema = new mongoose.Schema(
+    {
+        date: {
+            type: String,
+            required: true,
+            validate: dateKeyValidator,
+        },
+        skip: {
+            type: Boolean,
+            default: false,
+        },
+        amount: {
+            type: Number,
+            default: null,
+            min: [0.01, 'Amount must be greater than 0'],
+        },
+        description: {
+            type: String,
+            default: null,
+            trim: true,
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+        },
+        categoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+const recurringTransactionSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        categoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            required: [true, 'Category is required'],
+        },
+        // Account occurrences are posted to; null for the workspace's default account
+        accountId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        type: {
+            type: String,
+            required: [true, 'Transaction type is required'],
+            enum: {
+                values: ['income', 'expense'],
+                message: 'Type must be either income or expense',
+            },
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [0.01, 'Amount must be greater than 0'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+            default: '',
+        },
+        // Schedule
+        frequency: {
+            type: String,
+            required: [true, 'Frequency is required'],
+            enum: {
+                values: FREQUENCIES,
+                message: `Frequency must be one of: ${FREQUENCIES.join(', ')}`,
+            },
+        },
+        // Every N days/weeks/months/years
+        interval: {
+            type: Number,
+            default: 1,
+            min: [1, 'Interval must be at least 1'],
+            max: [365, 'Interval cannot exceed 365'],
+        },
+        // Weekly: days of the week (0 = Sunday); defaults to the start date's weekday
+        byWeekday: {
+            type: [{ type: Number, min: 0, max: 6 }],
+            default: [],
+        },
+        // Monthly: day of the month (clamped to short months); defaults to the start date's day
+        byMonthDay: {
+            type: Number,
+            default: null,
+            min: [1, 'Day of month must be between 1 and 31'],
+            max: [31, 'Day of month must be between 1 and 31'],
+        },
+        // Monthly: last Monday-Friday of the month instead of a fixed day
+        lastBusinessDay: {
+            type: Boolean,
+            default: false,
+        },
+        // Calendar dates (YYYY-MM-DD) in the schedule's timezone
+        startDate: {
+            type: String,
+            required: [true, 'Start date is required'],
+            validate: dateKeyValidator,
+        },
+        // End conditions: last possible date and/or number of occurrences
+        endDate: {
+            type: String,
+            default: null,
+            validate: dateKeyValidator,
+        },
+        count: {
+            type: Number,
+            default: null,
+            min: [1, 'Count must be at least 1'],
+        },
+        // Occurrences are posted at local midnight in this timezone
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimezone,
+                message: 'Timezone must be a valid IANA timezone',
+            },
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        exceptions: {
+            type: [exceptionSchema],
+            default: [],
+        },
+        // Last occurrence the scheduler has handled (posted or skipped)
+        lastOccurrenceDate: {
+            type: String,
+            default: null,
+        },
+        // When the next occurrence is due; null once the schedule has ended
+        nextOccurrenceAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+recurringTransactionSchema.index({ active: 1, nextOccurrenceAt: 1 });
+recurringTransactionSchema.index({ workspaceId: 1, categoryId: 1 });
+
+// Schedule options must match the frequency
+recurringTransactionSchema.pre('validate', function () {
+    if (this.byWeekday.length && this.frequency !== 'weekly') {
+        this.invalidate('byWeekday', 'byWeekday only applies to weekly schedules');
+    }
+    if ((this.byMonthDay || this.lastBusinessDay) && this.frequency !== 'monthly') {
+        this.invalidate('byMonthDay', 'byMonthDay and lastBusinessDay only apply to monthly schedules');
+    }
+    if (this.byMonthDay && this.lastBusinessDay) {
+        this.invalidate('byMonthDay', 'Use either byMonthDay or lastBusinessDay, not both');
+    }
+    if (this.endDate && this.startDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date must be on or after the start date');
+    }
+});
+
+/**
+ * Find the exception for an occurrence date
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @returns {Object|undefined} - Exception
+ */
+recurringTransactionSchema.methods.getException = function (date) {
+    return this.exceptions.find((exception) => exception.date === date);
+};
+
+const RecurringTransaction = mongoose.model('RecurringTransaction', recurringTransactionSchema);
+
+module.exports = RecurringTransaction;
@@ -7,11 +7,18 @@ const mongoose = require('mongoose');
 
 const savingsSchema = new mongoose.Schema(
     {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            unique: true,
+            index: true,
+        },
+        // Workspace owner at the time the account was opened
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
             required: [true, 'User ID is required'],
-            unique: true,
             index: true,
         },
         balance: {
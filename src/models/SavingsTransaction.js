@@ -7,6 +7,13 @@ const mongoose = require('mongoose');
 
 const savingsTransactionSchema = new mongoose.Schema(
     {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -77,10 +84,10 @@ const savingsTransactionSchema = new mongoose.Schema(
 );
 
 // Compound indexes for efficient queries
-savingsTransactionSchema.index({ userId: 1, createdAt: -1 });
-savingsTransactionSchema.index({ userId: 1, type: 1, createdAt: -1 });
-savingsTransactionSchema.index({ userId: 1, source: 1, createdAt: -1 });
-savingsTransactionSchema.index({ userId: 1, 'budgetCycle.month': 1, 'budgetCycle.year': 1 });
+savingsTransactionSchema.index({ workspaceId: 1, createdAt: -1 });
+savingsTransactionSchema.index({ workspaceId: 1, type: 1, createdAt: -1 });
+savingsTransactionSchema.index({ workspaceId: 1, source: 1, createdAt: -1 });
+savingsTransactionSchema.index({ workspaceId: 1, 'budgetCycle.month': 1, 'budgetCycle.year': 1 });
 
 // Virtual for formatted amount with sign
 savingsTransactionSchema.virtual('signedAmount').get(function () {
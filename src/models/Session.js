@@ -0,0 +1,90 @@
+/**
+ * Session Model
+ * Persists refresh token families so sessions can be rotated and revoked
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        // SHA-256 hash of the current (latest) refresh token
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Hashes of refresh tokens already rotated out of this family
+        previousTokenHashes: {
+            type: [String],
+            default: [],
+            index: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // Device metadata shown in the session list
+        userAgent: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: '',
+        },
+        ipAddress: {
+            type: String,
+            trim: true,
+            maxlength: 100,
+            default: '',
+        },
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'reuse_detected', 'revoked_by_user', 'password_changed', 'password_reset', 'account_disabled', null],
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still issue tokens
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Public representation for the device/session list
+ */
+sessionSchema.methods.toJSON = function () {
+    return {
+        _id: this._id,
+        userAgent: this.userAgent,
+        ipAddress: this.ipAddress,
+        lastSeenAt: this.lastSeenAt,
+        createdAt: this.createdAt,
+        expiresAt: this.expiresAt,
+    };
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
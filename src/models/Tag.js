@@ -0,0 +1,65 @@
+/**
+ * Tag Model
+ * Registry of the free-form tags used on a workspace's transactions.
+ * Transactions store tag names; the registry holds their colour and is
+ * where tags are renamed and merged.
+ */
+
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        // Normalized name (see Tag.normalizeName)
+        name: {
+            type: String,
+            required: [true, 'Tag name is required'],
+            maxlength: [50, 'Tag name cannot exceed 50 characters'],
+        },
+        color: {
+            type: String,
+            default: '#808080',
+            match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Invalid color format'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Ensure unique tag name per workspace
+tagSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+
+/**
+ * Normalize a tag name: trimmed, lowercase, single spaces
+ * @param {string} name - Tag name as entered
+ * @returns {string} - Normalized name
+ */
+tagSchema.statics.normalizeName = function (name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Normalize a list of tag names, dropping blanks and duplicates
+ * @param {Array} names - Tag names as entered
+ * @returns {Array} - Normalized names
+ */
+tagSchema.statics.normalizeNames = function (names = []) {
+    return [...new Set(names.map((name) => this.normalizeName(name)).filter(Boolean))];
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
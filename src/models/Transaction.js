@@ -1,31 +1,87 @@
 /**
  * Transaction Model
- * Defines the transaction schema for income/expense tracking
+ * Defines the transaction schema for income/expense tracking and transfers
+ * between accounts
  */
 
 const mongoose = require('mongoose');
 
+// One line of a split transaction, counted against its own category
+const splitLineSchema = new mongoose.Schema(
+    {
+        categoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            required: [true, 'Split line category is required'],
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Split line amount is required'],
+            min: [0.01, 'Split line amount must be greater than 0'],
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Split line note cannot exceed 200 characters'],
+            default: '',
+        },
+    },
+    { _id: false }
+);
+
 const transactionSchema = new mongoose.Schema(
     {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        // User who created the record
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
             required: [true, 'User ID is required'],
             index: true,
         },
+        // For split transactions, the category of the first line; transfers have none
         categoryId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Category',
-            required: [true, 'Category is required'],
+            required: [
+                function () { return this.type !== 'transfer'; },
+                'Category is required',
+            ],
+            default: null,
         },
+        // A transfer moves money between two accounts and is neither income nor expense
         type: {
             type: String,
             required: [true, 'Transaction type is required'],
             enum: {
-                values: ['income', 'expense'],
-                message: 'Type must be either income or expense',
+                values: ['income', 'expense', 'transfer'],
+                message: 'Type must be income, expense or transfer',
             },
         },
+        // Account the money is in; for a transfer, the account it leaves
+        // (null only on data from before accounts, which belongs to the default account)
+        accountId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        // For a transfer, the account the money goes to
+        transferAccountId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        // For a transfer between currencies, the amount arriving (else `amount` arrives)
+        transferAmount: {
+            type: Number,
+            default: null,
+            min: [0.01, 'Transfer amount must be greater than 0'],
+        },
         amount: {
             type: Number,
             required: [true, 'Amount is required'],
@@ -43,6 +99,50 @@ const transactionSchema = new mongoose.Schema(
             default: Date.now,
             index: true,
         },
+        // Normalized tag names (registered in the workspace's Tag registry)
+        tags: {
+            type: [String],
+            default: [],
+        },
+        // Split lines; empty for a transaction with a single category
+        splits: {
+            type: [splitLineSchema],
+            default: [],
+        },
+        // Merchant or counterparty, linked from the description or chosen by hand
+        payeeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payee',
+            default: null,
+        },
+        // Rule that picked the category (cleared when the category is changed by hand)
+        categoryRuleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CategoryRule',
+            default: null,
+        },
+        // Set when the transaction came from a statement import
+        importBatchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ImportBatch',
+            default: null,
+        },
+        // Bank's own ID for an imported transaction (OFX FITID, prefixed with the account ID)
+        externalId: {
+            type: String,
+            default: null,
+        },
+        // Set when the scheduler posted this transaction from a recurring transaction
+        recurringTransactionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RecurringTransaction',
+            default: null,
+        },
+        // Scheduled date (YYYY-MM-DD) of that occurrence
+        occurrenceDate: {
+            type: String,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -50,13 +150,129 @@ const transactionSchema = new mongoose.Schema(
 );
 
 // Compound indexes for efficient queries
-transactionSchema.index({ userId: 1, date: -1 });
-transactionSchema.index({ userId: 1, type: 1, date: -1 });
-transactionSchema.index({ userId: 1, categoryId: 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, type: 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, categoryId: 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, 'splits.categoryId': 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, tags: 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, payeeId: 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, accountId: 1, date: -1 });
+transactionSchema.index(
+    { workspaceId: 1, transferAccountId: 1, date: -1 },
+    { partialFilterExpression: { transferAccountId: { $type: 'objectId' } } }
+);
+// Duplicate detection compares transactions of the same type and amount
+transactionSchema.index({ workspaceId: 1, type: 1, amount: 1, date: 1 });
+transactionSchema.index(
+    { importBatchId: 1 },
+    { partialFilterExpression: { importBatchId: { $type: 'objectId' } } }
+);
+// A bank transaction is imported at most once per workspace
+transactionSchema.index(
+    { workspaceId: 1, externalId: 1 },
+    { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+// Each occurrence of a recurring transaction is posted at most once
+transactionSchema.index(
+    { recurringTransactionId: 1, occurrenceDate: 1 },
+    { unique: true, partialFilterExpression: { recurringTransactionId: { $type: 'objectId' } } }
+);
+
+// A transfer goes to another account and cannot be split
+transactionSchema.pre('validate', function () {
+    if (this.type !== 'transfer') {
+        if (this.transferAccountId) {
+            this.invalidate('transferAccountId', 'Only transfers have a destination account');
+        }
+        return;
+    }
+
+    if (!this.transferAccountId) {
+        this.invalidate('transferAccountId', 'A transfer needs a destination account');
+    } else if (this.accountId && String(this.accountId) === String(this.transferAccountId)) {
+        this.invalidate('transferAccountId', 'A transfer needs two different accounts');
+    }
+    if (this.splits.length) {
+        this.invalidate('splits', 'A transfer cannot be split');
+    }
+});
+
+// Split lines must add up to the transaction amount
+transactionSchema.pre('validate', function () {
+    if (!this.splits.length) return;
+
+    if (this.splits.length < 2) {
+        this.invalidate('splits', 'A split transaction needs at least 2 lines');
+    }
+
+    const linesTotal = this.splits.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+    if (linesTotal !== Math.round(this.amount * 100)) {
+        this.invalidate(
+            'splits',
+            `Split lines add up to ${linesTotal / 100} but the transaction amount is ${this.amount}`
+        );
+    }
+});
+
+/**
+ * Aggregation stages that turn each transaction into one document per
+ * category line, with categoryId and amount taken from the line. Split
+ * transactions yield their split lines, others a single line.
+ * @returns {Array} - Pipeline stages
+ */
+transactionSchema.statics.categoryLineStages = function () {
+    return [
+        {
+            $addFields: {
+                line: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+                        '$splits',
+                        [{ categoryId: '$categoryId', amount: '$amount' }],
+                    ],
+                },
+            },
+        },
+        { $unwind: '$line' },
+        {
+            $addFields: {
+                categoryId: '$line.categoryId',
+                amount: '$line.amount',
+            },
+        },
+        { $project: { line: 0 } },
+    ];
+};
+
+/**
+ * Query condition matching transactions with a category on any line
+ * @param {string} categoryId - Category ID
+ * @returns {Object} - Query condition
+ */
+transactionSchema.statics.categoryCondition = function (categoryId) {
+    return { $or: [{ categoryId }, { 'splits.categoryId': categoryId }] };
+};
+
+/**
+ * Aggregation expression for a transaction's effect on an account's balance:
+ * income adds, expenses and transfers out subtract, transfers in add the
+ * amount that arrived. Only valid for transactions of that account.
+ * @param {Object} accountId - Account ObjectId
+ * @returns {Object} - Expression
+ */
+transactionSchema.statics.balanceEffect = function (accountId) {
+    return {
+        $cond: [
+            { $eq: ['$transferAccountId', accountId] },
+            { $ifNull: ['$transferAmount', '$amount'] },
+            { $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        ],
+    };
+};
 
 // Virtual for formatted amount (with currency)
 transactionSchema.virtual('formattedAmount').get(function () {
-    return this.type === 'expense' ? -this.amount : this.amount;
+    return this.type === 'income' ? this.amount : -this.amount;
 });
 
 // Ensure virtuals are included in JSON
@@ -5,6 +5,25 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimezone } = require('../utils/dateRanges');
+
+// Display formats a client can render amounts and dates with
+const NUMBER_FORMATS = ['1,234.56', '1.234,56', '1 234,56', '1234.56'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+
+// Application-wide roles; admins can manage other accounts through /api/admin
+const USER_ROLES = ['user', 'admin'];
+
+/**
+ * Check whether a string is a valid BCP 47 locale tag
+ */
+const isValidLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale).length === 1;
+    } catch (error) {
+        return false;
+    }
+};
 
 const userSchema = new mongoose.Schema(
     {
@@ -71,6 +90,147 @@ const userSchema = new mongoose.Schema(
             trim: true,
             maxlength: 100,
         },
+        role: {
+            type: String,
+            enum: USER_ROLES,
+            default: 'user',
+        },
+        // Set by an admin; disabled accounts cannot sign in or use existing tokens
+        disabledAt: {
+            type: Date,
+            default: null,
+        },
+        disabledReason: {
+            type: String,
+            default: null,
+            trim: true,
+            maxlength: 500,
+        },
+        // Set by an admin; login is refused until the password is reset by email
+        passwordResetRequired: {
+            type: Boolean,
+            default: false,
+        },
+        // Personal workspace (created on registration, or on first request for older accounts)
+        personalWorkspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            default: null,
+        },
+        // Regional preferences - summaries, budget presets and month filters
+        // are computed in the user's timezone rather than the server's
+        preferences: {
+            timezone: {
+                type: String,
+                default: 'UTC',
+                trim: true,
+                validate: {
+                    validator: isValidTimezone,
+                    message: 'Timezone must be a valid IANA timezone',
+                },
+            },
+            // 0 = Sunday, 1 = Monday, ...
+            weekStartDay: {
+                type: Number,
+                default: 1,
+                min: [0, 'Week start day must be between 0 and 6'],
+                max: [6, 'Week start day must be between 0 and 6'],
+            },
+            locale: {
+                type: String,
+                default: 'en-US',
+                trim: true,
+                validate: {
+                    validator: isValidLocale,
+                    message: 'Locale must be a valid locale tag',
+                },
+            },
+            numberFormat: {
+                type: String,
+                enum: NUMBER_FORMATS,
+                default: NUMBER_FORMATS[0],
+            },
+            dateFormat: {
+                type: String,
+                enum: DATE_FORMATS,
+                default: DATE_FORMATS[0],
+            },
+            // Day a (fiscal) month starts on, e.g. 25 for salary-to-salary budgeting
+            fiscalMonthStartDay: {
+                type: Number,
+                default: 1,
+                min: [1, 'Fiscal month start day must be between 1 and 28'],
+                max: [28, 'Fiscal month start day must be between 1 and 28'],
+            },
+        },
+        // Email verification (only the token hash is stored)
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerificationTokenHash: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        emailVerificationExpires: {
+            type: Date,
+            default: null,
+            select: false,
+        },
+        emailVerificationSentAt: {
+            type: Date,
+            default: null,
+            select: false,
+        },
+        // Account deletion grace period
+        deletionRequestedAt: {
+            type: Date,
+            default: null,
+        },
+        deletionScheduledFor: {
+            type: Date,
+            default: null,
+        },
+        // TOTP two-factor authentication
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        // Secret awaiting confirmation during enrollment
+        twoFactorPendingSecret: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        // Last accepted time step, so a code cannot be replayed
+        twoFactorLastUsedStep: {
+            type: Number,
+            default: null,
+            select: false,
+        },
+        // Hashes of unused one-time recovery codes
+        twoFactorRecoveryCodes: {
+            type: [String],
+            default: [],
+            select: false,
+        },
+        // Password reset (only the token hash is stored)
+        passwordResetTokenHash: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        passwordResetExpires: {
+            type: Date,
+            default: null,
+            select: false,
+        },
     },
     {
         timestamps: true, // Adds createdAt and updatedAt
@@ -78,6 +238,10 @@ const userSchema = new mongoose.Schema(
 );
 
 // Note: email index is created automatically by unique: true
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ role: 1 });
 
 /**
  * Pre-save middleware to hash password
@@ -108,10 +272,24 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.twoFactorSecret;
+    delete user.twoFactorPendingSecret;
+    delete user.twoFactorLastUsedStep;
+    delete user.twoFactorRecoveryCodes;
+    delete user.emailVerificationTokenHash;
+    delete user.emailVerificationExpires;
+    delete user.emailVerificationSentAt;
+    delete user.passwordResetTokenHash;
+    delete user.passwordResetExpires;
     delete user.__v;
     return user;
 };
 
 const User = mongoose.model('User', userSchema);
 
+User.ROLES = USER_ROLES;
+User.NUMBER_FORMATS = NUMBER_FORMATS;
+User.DATE_FORMATS = DATE_FORMATS;
+User.isValidLocale = isValidLocale;
+
 module.exports = User;
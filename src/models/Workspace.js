@@ -0,0 +1,96 @@
+/**
+ * Workspace Model
+ * A household or personal space that owns categories, transactions, budgets and savings
+ */
+
+const mongoose = require('mongoose');
+
+// Roles in ascending order of privilege
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+const memberSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+        },
+        role: {
+            type: String,
+            enum: {
+                values: WORKSPACE_ROLES,
+                message: 'Role must be owner, editor or viewer',
+            },
+            required: [true, 'Role is required'],
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const workspaceSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Workspace name is required'],
+            trim: true,
+            maxlength: [50, 'Workspace name cannot exceed 50 characters'],
+        },
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Owner is required'],
+            index: true,
+        },
+        // Every user has exactly one personal workspace, created on registration
+        // (or on first request for accounts that predate workspaces)
+        personal: {
+            type: Boolean,
+            default: false,
+        },
+        // Includes the owner with role 'owner'
+        members: {
+            type: [memberSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+workspaceSchema.index({ 'members.userId': 1 });
+// One personal workspace per user
+workspaceSchema.index(
+    { ownerId: 1, personal: 1 },
+    { unique: true, partialFilterExpression: { personal: true } }
+);
+
+/**
+ * Get a user's role in this workspace
+ * @param {string} userId - User ID
+ * @returns {string|null} - Role, or null if not a member
+ */
+workspaceSchema.methods.getRole = function (userId) {
+    const member = this.members.find((m) => m.userId.equals(userId));
+    return member ? member.role : null;
+};
+
+/**
+ * Check whether a role is at least as privileged as another
+ * @param {string} role - Role held
+ * @param {string} minimumRole - Role required
+ * @returns {boolean}
+ */
+workspaceSchema.statics.roleAtLeast = function (role, minimumRole) {
+    return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minimumRole);
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,78 @@
+/**
+ * Workspace Invitation Model
+ * Pending email invitations to join a workspace (only the token hash is stored)
+ */
+
+const mongoose = require('mongoose');
+
+const workspaceInvitationSchema = new mongoose.Schema(
+    {
+        workspaceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Workspace',
+            required: [true, 'Workspace ID is required'],
+            index: true,
+        },
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+        },
+        // Owners are never invited - there is exactly one per workspace
+        role: {
+            type: String,
+            enum: {
+                values: ['editor', 'viewer'],
+                message: 'Role must be editor or viewer',
+            },
+            required: [true, 'Role is required'],
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        acceptedAt: {
+            type: Date,
+            default: null,
+        },
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+workspaceInvitationSchema.index({ workspaceId: 1, email: 1 });
+
+// Remove invitations once they expire
+workspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Remove sensitive data when converting to JSON
+ */
+workspaceInvitationSchema.methods.toJSON = function () {
+    const invitation = this.toObject();
+    delete invitation.tokenHash;
+    delete invitation.__v;
+    return invitation;
+};
+
+const WorkspaceInvitation = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema);
+
+module.exports = WorkspaceInvitation;
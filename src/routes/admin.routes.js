@@ -0,0 +1,68 @@
+/**
+ * Admin Routes
+ * Defines user management, statistics and audit endpoints for administrators
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const adminController = require('../controllers/admin.controller');
+const { protect, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { adminValidators } = require('../utils/validators');
+
+// All routes require an admin
+router.use(protect, requireRole('admin'));
+
+router.get('/stats', adminController.getStats);
+
+router.get(
+    '/audit',
+    adminValidators.getAuditLog,
+    validate,
+    adminController.getAuditLog
+);
+
+router.get(
+    '/users',
+    adminValidators.listUsers,
+    validate,
+    adminController.listUsers
+);
+
+router.get(
+    '/users/:id',
+    adminValidators.userId,
+    validate,
+    adminController.getUser
+);
+
+router.post(
+    '/users/:id/disable',
+    adminValidators.disableUser,
+    validate,
+    adminController.disableUser
+);
+
+router.post(
+    '/users/:id/enable',
+    adminValidators.userId,
+    validate,
+    adminController.enableUser
+);
+
+router.post(
+    '/users/:id/force-password-reset',
+    adminValidators.userId,
+    validate,
+    adminController.forcePasswordReset
+);
+
+router.put(
+    '/users/:id/role',
+    adminValidators.updateRole,
+    validate,
+    adminController.updateRole
+);
+
+module.exports = router;
@@ -7,12 +7,13 @@ const express = require('express');
 const router = express.Router();
 const { chat, getStatus } = require('../controllers/assistant.controller');
 const { protect } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
 
 // All routes require authentication
 router.use(protect);
 
 // POST /api/assistant/chat - Send message to AI
-router.post('/chat', chat);
+router.post('/chat', authorizeWorkspace('viewer'), chat);
 
 // GET /api/assistant/status - Check AI service status
 router.get('/status', getStatus);
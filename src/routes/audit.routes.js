@@ -0,0 +1,26 @@
+/**
+ * Audit Routes
+ * Defines the audit trail endpoint for workspace data
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const auditController = require('../controllers/audit.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { auditValidators } = require('../utils/validators');
+
+// All routes are protected (personal access tokens need the audit:read scope)
+// and act on the X-Workspace-Id workspace (any member may read its history)
+router.use(protectWithScope('audit'), authorizeWorkspace());
+
+router.get(
+    '/',
+    auditValidators.getAll,
+    validate,
+    auditController.getAll
+);
+
+module.exports = router;
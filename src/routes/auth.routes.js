@@ -26,7 +26,55 @@ router.post(
     authController.login
 );
 
+router.post(
+    '/login/2fa',
+    authValidators.loginTwoFactor,
+    validate,
+    authController.loginTwoFactor
+);
+
+router.post(
+    '/refresh',
+    authValidators.refreshToken,
+    validate,
+    authController.refresh
+);
+
+router.post(
+    '/logout',
+    authValidators.refreshToken,
+    validate,
+    authController.logout
+);
+
+router.post(
+    '/forgot-password',
+    authValidators.forgotPassword,
+    validate,
+    authController.forgotPassword
+);
+
+router.post(
+    '/reset-password',
+    authValidators.resetPassword,
+    validate,
+    authController.resetPassword
+);
+
+router.post(
+    '/verify-email',
+    authValidators.verifyEmail,
+    validate,
+    authController.verifyEmail
+);
+
 // Protected routes
+router.post(
+    '/verify-email/resend',
+    protect,
+    authController.resendVerification
+);
+
 router.get(
     '/profile',
     protect,
@@ -41,6 +89,20 @@ router.put(
     authController.updateProfile
 );
 
+router.get(
+    '/preferences',
+    protect,
+    authController.getPreferences
+);
+
+router.put(
+    '/preferences',
+    protect,
+    authValidators.updatePreferences,
+    validate,
+    authController.updatePreferences
+);
+
 router.put(
     '/password',
     protect,
@@ -49,4 +111,82 @@ router.put(
     authController.changePassword
 );
 
+router.get(
+    '/export',
+    protect,
+    authController.exportData
+);
+
+router.delete(
+    '/account',
+    protect,
+    authValidators.deleteAccount,
+    validate,
+    authController.deleteAccount
+);
+
+router.post(
+    '/account/cancel-deletion',
+    protect,
+    authController.cancelAccountDeletion
+);
+
+router.post(
+    '/2fa/setup',
+    protect,
+    authController.setupTwoFactor
+);
+
+router.post(
+    '/2fa/enable',
+    protect,
+    authValidators.twoFactorCode,
+    validate,
+    authController.enableTwoFactor
+);
+
+router.post(
+    '/2fa/disable',
+    protect,
+    authValidators.disableTwoFactor,
+    validate,
+    authController.disableTwoFactor
+);
+
+router.get(
+    '/tokens',
+    protect,
+    authController.getAccessTokens
+);
+
+router.post(
+    '/tokens',
+    protect,
+    authValidators.createAccessToken,
+    validate,
+    authController.createAccessToken
+);
+
+router.delete(
+    '/tokens/:id',
+    protect,
+    authValidators.accessTokenId,
+    validate,
+    authController.revokeAccessToken
+);
+
+router.get(
+    '/sessions',
+    protect,
+    authController.getSessions
+);
+
+router.delete(
+    '/sessions/:id',
+    protect,
+    authValidators.sessionId,
+    validate,
+    authController.revokeSession
+);
+
 module.exports = router;
@@ -7,12 +7,14 @@ const express = require('express');
 const router = express.Router();
 
 const budgetController = require('../controllers/budget.controller');
-const { protect } = require('../middleware/auth');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
 const { validate } = require('../middleware/validate');
 const { budgetValidators } = require('../utils/validators');
 
-// All routes are protected
-router.use(protect);
+// All routes are protected (personal access tokens need a budgets:* scope)
+// and act on the X-Workspace-Id workspace (viewers read, editors write)
+router.use(protectWithScope('budgets'), authorizeWorkspace());
 
 // Static routes must come before /:id to avoid conflict
 router.get('/summary', budgetController.getSummary);
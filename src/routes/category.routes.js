@@ -7,12 +7,14 @@ const express = require('express');
 const router = express.Router();
 
 const categoryController = require('../controllers/category.controller');
-const { protect } = require('../middleware/auth');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
 const { validate } = require('../middleware/validate');
 const { categoryValidators } = require('../utils/validators');
 
-// All routes are protected
-router.use(protect);
+// All routes are protected (personal access tokens need a categories:* scope)
+// and act on the X-Workspace-Id workspace (viewers read, editors write)
+router.use(protectWithScope('categories'), authorizeWorkspace());
 
 router.get('/', categoryController.getAll);
 
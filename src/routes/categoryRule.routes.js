@@ -0,0 +1,64 @@
+/**
+ * Category Rule Routes
+ * Defines auto-categorization rule endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const categoryRuleController = require('../controllers/categoryRule.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { categoryRuleValidators } = require('../utils/validators');
+
+// All routes are protected (rules categorize transactions, so personal access
+// tokens need a transactions:* scope) and act on the X-Workspace-Id workspace
+router.use(protectWithScope('transactions'), authorizeWorkspace());
+
+router.get('/', categoryRuleController.getAll);
+
+router.post(
+    '/',
+    categoryRuleValidators.create,
+    validate,
+    categoryRuleController.create
+);
+
+// Static routes must come before /:id to avoid conflict
+router.post(
+    '/rerun/preview',
+    categoryRuleValidators.rerun,
+    validate,
+    categoryRuleController.previewRerun
+);
+
+router.post(
+    '/rerun',
+    categoryRuleValidators.rerun,
+    validate,
+    categoryRuleController.applyRerun
+);
+
+router.get(
+    '/:id',
+    categoryRuleValidators.id,
+    validate,
+    categoryRuleController.getById
+);
+
+router.put(
+    '/:id',
+    categoryRuleValidators.update,
+    validate,
+    categoryRuleController.update
+);
+
+router.delete(
+    '/:id',
+    categoryRuleValidators.id,
+    validate,
+    categoryRuleController.remove
+);
+
+module.exports = router;
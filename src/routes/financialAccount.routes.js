@@ -0,0 +1,76 @@
+/**
+ * Financial Account Routes
+ * Defines cash, bank and credit card account endpoints and transfers between them
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const financialAccountController = require('../controllers/financialAccount.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { financialAccountValidators } = require('../utils/validators');
+
+// All routes are protected (accounts hold transactions, so personal access
+// tokens need a transactions:* scope) and act on the X-Workspace-Id workspace
+router.use(protectWithScope('transactions'), authorizeWorkspace());
+
+router.get(
+    '/',
+    financialAccountValidators.getAll,
+    validate,
+    financialAccountController.getAll
+);
+
+router.post(
+    '/',
+    financialAccountValidators.create,
+    validate,
+    financialAccountController.create
+);
+
+// Static routes must come before /:id to avoid conflict
+router.post(
+    '/transfers',
+    financialAccountValidators.createTransfer,
+    validate,
+    financialAccountController.createTransfer
+);
+
+router.put(
+    '/transfers/:id',
+    financialAccountValidators.updateTransfer,
+    validate,
+    financialAccountController.updateTransfer
+);
+
+router.get(
+    '/:id',
+    financialAccountValidators.id,
+    validate,
+    financialAccountController.getById
+);
+
+router.get(
+    '/:id/ledger',
+    financialAccountValidators.ledger,
+    validate,
+    financialAccountController.getLedger
+);
+
+router.put(
+    '/:id',
+    financialAccountValidators.update,
+    validate,
+    financialAccountController.update
+);
+
+router.delete(
+    '/:id',
+    financialAccountValidators.id,
+    validate,
+    financialAccountController.remove
+);
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Import Routes
+ * Defines bank statement import endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const importController = require('../controllers/import.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { singleFile } = require('../middleware/upload');
+const { importValidators } = require('../utils/validators');
+const { IMPORT_MAX_SIZE_MB } = require('../config/env');
+
+// All routes are protected (imports create transactions, so personal access
+// tokens need a transactions:* scope) and act on the X-Workspace-Id workspace
+router.use(protectWithScope('transactions'), authorizeWorkspace());
+
+router.get(
+    '/',
+    importValidators.getAll,
+    validate,
+    importController.getAll
+);
+
+router.post(
+    '/',
+    singleFile('file', { maxBytes: IMPORT_MAX_SIZE_MB * 1024 * 1024 }),
+    importValidators.upload,
+    validate,
+    importController.upload
+);
+
+// Static routes must come before /:id to avoid conflict
+router.get('/profiles', importController.getProfiles);
+
+router.put(
+    '/profiles/:profileId',
+    importValidators.updateProfile,
+    validate,
+    importController.updateProfile
+);
+
+router.delete(
+    '/profiles/:profileId',
+    importValidators.profileId,
+    validate,
+    importController.deleteProfile
+);
+
+router.get(
+    '/:id',
+    importValidators.id,
+    validate,
+    importController.getById
+);
+
+router.delete(
+    '/:id',
+    importValidators.id,
+    validate,
+    importController.discard
+);
+
+router.put(
+    '/:id/settings',
+    importValidators.updateSettings,
+    validate,
+    importController.updateSettings
+);
+
+router.get(
+    '/:id/preview',
+    importValidators.preview,
+    validate,
+    importController.preview
+);
+
+router.post(
+    '/:id/commit',
+    importValidators.commit,
+    validate,
+    importController.commit
+);
+
+router.post(
+    '/:id/revert',
+    importValidators.id,
+    validate,
+    importController.revert
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Payee Routes
+ * Defines payee (merchant) endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const payeeController = require('../controllers/payee.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { payeeValidators } = require('../utils/validators');
+
+// All routes are protected (payees belong to transactions, so personal access
+// tokens need a transactions:* scope) and act on the X-Workspace-Id workspace
+router.use(protectWithScope('transactions'), authorizeWorkspace());
+
+router.get('/', payeeController.getAll);
+
+router.post(
+    '/',
+    payeeValidators.create,
+    validate,
+    payeeController.create
+);
+
+// Static routes must come before /:id to avoid conflict
+router.post(
+    '/merge',
+    payeeValidators.merge,
+    validate,
+    payeeController.merge
+);
+
+router.get(
+    '/:id',
+    payeeValidators.id,
+    validate,
+    payeeController.getById
+);
+
+router.put(
+    '/:id',
+    payeeValidators.update,
+    validate,
+    payeeController.update
+);
+
+router.delete(
+    '/:id',
+    payeeValidators.id,
+    validate,
+    payeeController.remove
+);
+
+module.exports = router;
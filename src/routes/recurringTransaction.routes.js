@@ -0,0 +1,83 @@
+/**
+ * Recurring Transaction Routes
+ * Defines recurring transaction schedule and occurrence endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const recurringTransactionController = require('../controllers/recurringTransaction.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { recurringTransactionValidators } = require('../utils/validators');
+
+// All routes are protected (personal access tokens need a transactions:* scope)
+// and act on the X-Workspace-Id workspace (viewers read, editors write)
+router.use(protectWithScope('transactions'), authorizeWorkspace());
+
+router.get(
+    '/',
+    recurringTransactionValidators.getAll,
+    validate,
+    recurringTransactionController.getAll
+);
+
+router.post(
+    '/',
+    recurringTransactionValidators.create,
+    validate,
+    recurringTransactionController.create
+);
+
+// Static routes must come before /:id to avoid conflict
+router.post(
+    '/preview',
+    recurringTransactionValidators.previewSchedule,
+    validate,
+    recurringTransactionController.previewSchedule
+);
+
+router.get(
+    '/:id',
+    recurringTransactionValidators.id,
+    validate,
+    recurringTransactionController.getById
+);
+
+router.put(
+    '/:id',
+    recurringTransactionValidators.update,
+    validate,
+    recurringTransactionController.update
+);
+
+router.delete(
+    '/:id',
+    recurringTransactionValidators.id,
+    validate,
+    recurringTransactionController.remove
+);
+
+router.get(
+    '/:id/preview',
+    recurringTransactionValidators.preview,
+    validate,
+    recurringTransactionController.preview
+);
+
+router.put(
+    '/:id/occurrences/:date',
+    recurringTransactionValidators.updateOccurrence,
+    validate,
+    recurringTransactionController.updateOccurrence
+);
+
+router.delete(
+    '/:id/occurrences/:date',
+    recurringTransactionValidators.occurrence,
+    validate,
+    recurringTransactionController.resetOccurrence
+);
+
+module.exports = router;
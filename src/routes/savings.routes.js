@@ -7,12 +7,14 @@ const express = require('express');
 const router = express.Router();
 
 const savingsController = require('../controllers/savings.controller');
-const { protect } = require('../middleware/auth');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
 const { validate } = require('../middleware/validate');
 const { savingsValidators } = require('../utils/savingsValidators');
 
-// All routes are protected
-router.use(protect);
+// All routes are protected (personal access tokens need a savings:* scope)
+// and act on the X-Workspace-Id workspace (viewers read, editors write)
+router.use(protectWithScope('savings'), authorizeWorkspace());
 
 // Get savings account
 router.get('/', savingsController.getSavings);
@@ -7,10 +7,12 @@ const express = require('express');
 const router = express.Router();
 
 const summaryController = require('../controllers/summary.controller');
-const { protect } = require('../middleware/auth');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
 
-// All routes are protected
-router.use(protect);
+// All routes are protected (personal access tokens need a summary:* scope)
+// and act on the X-Workspace-Id workspace (viewers read, editors write)
+router.use(protectWithScope('summary'), authorizeWorkspace());
 
 router.get('/dashboard', summaryController.getDashboard);
 
@@ -18,6 +20,10 @@ router.get('/monthly', summaryController.getMonthlyBreakdown);
 
 router.get('/category', summaryController.getCategoryBreakdown);
 
+router.get('/tags', summaryController.getTagBreakdown);
+
+router.get('/payees', summaryController.getPayeeBreakdown);
+
 router.get('/yearly', summaryController.getYearlyOverview);
 
 // New comprehensive summary endpoints
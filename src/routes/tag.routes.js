@@ -0,0 +1,50 @@
+/**
+ * Tag Routes
+ * Defines tag registry endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const tagController = require('../controllers/tag.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { tagValidators } = require('../utils/validators');
+
+// All routes are protected (tags belong to transactions, so personal access
+// tokens need a transactions:* scope) and act on the X-Workspace-Id workspace
+router.use(protectWithScope('transactions'), authorizeWorkspace());
+
+router.get('/', tagController.getAll);
+
+router.post(
+    '/',
+    tagValidators.create,
+    validate,
+    tagController.create
+);
+
+// Static routes must come before /:id to avoid conflict
+router.post(
+    '/merge',
+    tagValidators.merge,
+    validate,
+    tagController.merge
+);
+
+router.put(
+    '/:id',
+    tagValidators.update,
+    validate,
+    tagController.update
+);
+
+router.delete(
+    '/:id',
+    tagValidators.id,
+    validate,
+    tagController.remove
+);
+
+module.exports = router;
@@ -7,12 +7,17 @@ const express = require('express');
 const router = express.Router();
 
 const transactionController = require('../controllers/transaction.controller');
-const { protect } = require('../middleware/auth');
+const attachmentController = require('../controllers/attachment.controller');
+const { protectWithScope } = require('../middleware/auth');
+const { authorizeWorkspace } = require('../middleware/workspace');
 const { validate } = require('../middleware/validate');
+const { singleFile } = require('../middleware/upload');
 const { transactionValidators } = require('../utils/validators');
+const { ATTACHMENT_MAX_SIZE_MB } = require('../config/env');
 
-// All routes are protected
-router.use(protect);
+// All routes are protected (personal access tokens need a transactions:* scope)
+// and act on the X-Workspace-Id workspace (viewers read, editors write)
+router.use(protectWithScope('transactions'), authorizeWorkspace());
 
 router.get(
     '/',
@@ -21,6 +26,43 @@ router.get(
     transactionController.getAll
 );
 
+// Static routes must come before /:id to avoid conflict
+router.get(
+    '/export',
+    transactionValidators.export,
+    validate,
+    transactionController.exportTransactions
+);
+
+// A read: viewers and transactions:read tokens may ask for suggestions
+router.get(
+    '/suggest-category',
+    transactionValidators.suggestCategory,
+    validate,
+    transactionController.suggestCategory
+);
+
+router.get(
+    '/duplicates',
+    transactionValidators.duplicates,
+    validate,
+    transactionController.getDuplicates
+);
+
+router.post(
+    '/duplicates/merge',
+    transactionValidators.mergeDuplicate,
+    validate,
+    transactionController.mergeDuplicate
+);
+
+router.post(
+    '/duplicates/dismiss',
+    transactionValidators.dismissDuplicate,
+    validate,
+    transactionController.dismissDuplicate
+);
+
 router.get('/:id', transactionController.getById);
 
 router.post(
@@ -39,4 +81,34 @@ router.put(
 
 router.delete('/:id', transactionController.remove);
 
+// Attachments (receipts, PDFs)
+router.get(
+    '/:id/attachments',
+    transactionValidators.attachments,
+    validate,
+    attachmentController.getAll
+);
+
+router.post(
+    '/:id/attachments',
+    transactionValidators.attachments,
+    validate,
+    singleFile('file', { maxBytes: ATTACHMENT_MAX_SIZE_MB * 1024 * 1024 }),
+    attachmentController.upload
+);
+
+router.get(
+    '/:id/attachments/:attachmentId',
+    transactionValidators.attachment,
+    validate,
+    attachmentController.download
+);
+
+router.delete(
+    '/:id/attachments/:attachmentId',
+    transactionValidators.attachment,
+    validate,
+    attachmentController.remove
+);
+
 module.exports = router;
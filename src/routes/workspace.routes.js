@@ -0,0 +1,101 @@
+/**
+ * Workspace Routes
+ * Defines shared workspace, member and invitation endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const workspaceController = require('../controllers/workspace.controller');
+const { protect } = require('../middleware/auth');
+const { requireWorkspaceRole } = require('../middleware/workspace');
+const { validate } = require('../middleware/validate');
+const { workspaceValidators } = require('../utils/validators');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', workspaceController.getAll);
+
+router.post(
+    '/',
+    workspaceValidators.create,
+    validate,
+    workspaceController.create
+);
+
+// Static routes must come before /:id to avoid conflict
+router.post(
+    '/invitations/accept',
+    workspaceValidators.acceptInvitation,
+    validate,
+    workspaceController.acceptInvitation
+);
+
+router.get(
+    '/:id',
+    workspaceValidators.workspaceId,
+    validate,
+    requireWorkspaceRole('viewer'),
+    workspaceController.getById
+);
+
+router.put(
+    '/:id',
+    workspaceValidators.update,
+    validate,
+    requireWorkspaceRole('owner'),
+    workspaceController.update
+);
+
+router.delete(
+    '/:id',
+    workspaceValidators.workspaceId,
+    validate,
+    requireWorkspaceRole('owner'),
+    workspaceController.remove
+);
+
+// Invitations (owner only)
+router.get(
+    '/:id/invitations',
+    workspaceValidators.workspaceId,
+    validate,
+    requireWorkspaceRole('owner'),
+    workspaceController.getInvitations
+);
+
+router.post(
+    '/:id/invitations',
+    workspaceValidators.invite,
+    validate,
+    requireWorkspaceRole('owner'),
+    workspaceController.invite
+);
+
+router.delete(
+    '/:id/invitations/:invitationId',
+    workspaceValidators.invitationId,
+    validate,
+    requireWorkspaceRole('owner'),
+    workspaceController.revokeInvitation
+);
+
+// Members - owners manage roles; any member may remove themselves
+router.put(
+    '/:id/members/:userId',
+    workspaceValidators.updateMember,
+    validate,
+    requireWorkspaceRole('owner'),
+    workspaceController.updateMember
+);
+
+router.delete(
+    '/:id/members/:userId',
+    workspaceValidators.memberId,
+    validate,
+    requireWorkspaceRole('viewer'),
+    workspaceController.removeMember
+);
+
+module.exports = router;
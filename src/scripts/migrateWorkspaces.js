@@ -0,0 +1,47 @@
+/**
+ * Workspace Migration
+ * Moves every user's pre-workspace data into their personal workspace and
+ * replaces the old per-user unique indexes with per-workspace ones.
+ * Safe to run more than once. Usage: npm run migrate:workspaces
+ */
+
+const mongoose = require('mongoose');
+const { MONGODB_URI } = require('../config/env');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const Savings = require('../models/Savings');
+const SavingsTransaction = require('../models/SavingsTransaction');
+const workspaceService = require('../services/workspace.service');
+
+const migrate = async () => {
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const cursor = User.find().select('_id personalWorkspaceId').cursor();
+    let users = 0;
+
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+        await workspaceService.ensurePersonalWorkspace(user);
+        users++;
+    }
+    console.log(`Personal workspaces ready for ${users} user(s)`);
+
+    // Drops indexes no longer in the schemas (e.g. the unique Savings.userId and
+    // Category userId/name/type indexes) and builds the workspace ones
+    for (const Model of [Workspace, WorkspaceInvitation, Category, Transaction, Budget, Savings, SavingsTransaction]) {
+        const dropped = await Model.syncIndexes();
+        console.log(`${Model.modelName}: indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    }
+};
+
+migrate()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+        console.error('Workspace migration failed:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
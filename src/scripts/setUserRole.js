@@ -0,0 +1,39 @@
+/**
+ * Set User Role
+ * Grants or removes the admin role from the command line, e.g. to create the
+ * first administrator. Usage: npm run set-role -- <email> <user|admin>
+ */
+
+const mongoose = require('mongoose');
+const { MONGODB_URI } = require('../config/env');
+const User = require('../models/User');
+
+const [email, role] = process.argv.slice(2);
+
+const setRole = async () => {
+    if (!email || !User.ROLES.includes(role)) {
+        throw new Error(`Usage: npm run set-role -- <email> <${User.ROLES.join('|')}>`);
+    }
+
+    await mongoose.connect(MONGODB_URI);
+
+    const user = await User.findOneAndUpdate(
+        { email: email.toLowerCase() },
+        { $set: { role } },
+        { new: true }
+    );
+
+    if (!user) {
+        throw new Error(`No user found with email ${email}`);
+    }
+
+    console.log(`${user.email} now has the ${user.role} role`);
+};
+
+setRole()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+        console.error(error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,110 @@
+/**
+ * Access Token Service
+ * Handles personal access token creation, listing, revocation and lookup
+ */
+
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Recognisable prefix so tokens can be told apart from JWTs (and spotted by secret scanners)
+const TOKEN_PREFIX = 'bt_pat_';
+
+// Minimum interval between lastUsedAt writes
+const LAST_USED_THROTTLE_MS = 5 * 60 * 1000;
+
+class AccessTokenService {
+    /**
+     * Check whether a bearer token looks like a personal access token
+     * @param {string} token - Bearer token
+     * @returns {boolean}
+     */
+    isAccessToken(token) {
+        return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+    }
+
+    /**
+     * Create a personal access token
+     * @param {string} userId - User ID
+     * @param {Object} data - { name, scopes, expiresInDays }
+     * @returns {Object} - { accessToken, token } (token is only returned here)
+     */
+    async create(userId, data) {
+        const { name, scopes, expiresInDays } = data;
+
+        const token = `${TOKEN_PREFIX}${generateToken(32)}`;
+
+        const accessToken = await AccessToken.create({
+            userId,
+            name,
+            scopes: [...new Set(scopes)],
+            tokenHash: hashToken(token),
+            tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+            expiresAt: expiresInDays
+                ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+                : null,
+        });
+
+        return {
+            accessToken: accessToken.toJSON(),
+            token,
+        };
+    }
+
+    /**
+     * List a user's tokens that have not been revoked
+     * @param {string} userId - User ID
+     * @returns {Array} - Tokens (without hashes)
+     */
+    async getAll(userId) {
+        return AccessToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Revoke a token
+     * @param {string} tokenId - Token ID
+     * @param {string} userId - User ID for authorization
+     * @returns {boolean} - Success status
+     */
+    async revoke(tokenId, userId) {
+        const accessToken = await AccessToken.findOne({ _id: tokenId, userId, revokedAt: null });
+
+        if (!accessToken) {
+            const error = new Error('Access token not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        accessToken.revokedAt = new Date();
+        await accessToken.save();
+
+        return true;
+    }
+
+    /**
+     * Resolve a bearer token to its user and token document
+     * @param {string} token - Plain personal access token
+     * @returns {Object|null} - { user, accessToken } or null if invalid
+     */
+    async authenticate(token) {
+        const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+
+        if (!accessToken || !accessToken.isActive()) {
+            return null;
+        }
+
+        const user = await User.findById(accessToken.userId).select('-password');
+        if (!user) {
+            return null;
+        }
+
+        if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS) {
+            accessToken.lastUsedAt = new Date();
+            await accessToken.save();
+        }
+
+        return { user, accessToken };
+    }
+}
+
+module.exports = new AccessTokenService();
@@ -0,0 +1,162 @@
+/**
+ * Account Service
+ * Handles account deletion, the deletion grace period and cascading data removal
+ */
+
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const workspaceService = require('./workspace.service');
+const auditService = require('./audit.service');
+const { ACCOUNT_DELETION_GRACE_DAYS } = require('../config/env');
+
+// Models holding documents that belong to the user rather than a workspace;
+// extend this when adding user-owned models (workspace data is listed in workspace.service)
+const USER_OWNED_MODELS = [
+    Session,
+    AccessToken,
+];
+
+class AccountService {
+    /**
+     * Request account deletion (password confirmed). Deletes immediately when
+     * no grace period is configured, otherwise schedules the purge.
+     * @param {string} userId - User ID
+     * @param {string} password - Current password
+     * @returns {Object} - { deleted, scheduledFor }
+     */
+    async requestDeletion(userId, password) {
+        const user = await User.findById(userId).select('+password');
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch) {
+            const error = new Error('Password is incorrect');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (ACCOUNT_DELETION_GRACE_DAYS <= 0) {
+            await this.purgeUser(user._id);
+            return { deleted: true, scheduledFor: null };
+        }
+
+        if (!user.deletionScheduledFor) {
+            user.deletionRequestedAt = new Date();
+            user.deletionScheduledFor = new Date(
+                Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+            );
+            await user.save();
+        }
+
+        return { deleted: false, scheduledFor: user.deletionScheduledFor };
+    }
+
+    /**
+     * Cancel a scheduled deletion during the grace period
+     * @param {string} userId - User ID
+     * @returns {Object} - Updated user
+     */
+    async cancelDeletion(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (!user.deletionScheduledFor) {
+            const error = new Error('Account is not scheduled for deletion');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        user.deletionRequestedAt = null;
+        user.deletionScheduledFor = null;
+        await user.save();
+
+        return user.toJSON();
+    }
+
+    /**
+     * Remove a user, every workspace they own (with its data) and their
+     * memberships elsewhere. Records they added to other people's workspaces
+     * stay with those workspaces. Data is removed before the user so an
+     * interrupted purge is picked up again by the purge job.
+     * @param {string} userId - User ID
+     * @returns {Object} - Deleted document counts per model, plus AuditLogRedacted
+     */
+    async purgeUser(userId) {
+        const deleted = {};
+        const user = await User.findById(userId);
+
+        // Pull any pre-workspace data into the personal workspace so it is purged with it
+        if (user) {
+            await workspaceService.ensurePersonalWorkspace(user);
+        }
+
+        const ownedWorkspaces = await Workspace.find({ ownerId: userId }).select('_id');
+
+        // Audit entries cannot be deleted; strip what they hold about the user instead.
+        // Done while the owned workspaces still exist, so a re-run after an
+        // interrupted purge still finds them.
+        deleted.AuditLogRedacted = await auditService.anonymizeUser(
+            userId,
+            ownedWorkspaces.map((workspace) => workspace._id)
+        );
+
+        for (const workspace of ownedWorkspaces) {
+            const counts = await workspaceService.purgeWorkspace(workspace._id);
+            for (const [modelName, count] of Object.entries(counts)) {
+                deleted[modelName] = (deleted[modelName] || 0) + count;
+            }
+        }
+
+        await workspaceService.leaveAllWorkspaces(userId);
+
+        for (const Model of USER_OWNED_MODELS) {
+            const result = await Model.deleteMany({ userId });
+            deleted[Model.modelName] = result.deletedCount;
+        }
+
+        if (user) {
+            await LoginAttempt.deleteOne({ key: `account:${user.email}` });
+            await user.deleteOne();
+            deleted.User = 1;
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Purge every account whose grace period has ended
+     * @returns {number} - Number of accounts purged
+     */
+    async purgeDueAccounts() {
+        const dueUsers = await User.find({
+            deletionScheduledFor: { $ne: null, $lte: new Date() },
+        }).select('_id');
+
+        let purged = 0;
+        for (const user of dueUsers) {
+            try {
+                await this.purgeUser(user._id);
+                purged++;
+            } catch (error) {
+                console.error(`Failed to purge account ${user._id}:`, error.message);
+            }
+        }
+
+        return purged;
+    }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,307 @@
+/**
+ * Admin Service
+ * Handles user management and usage statistics for administrators.
+ * Every change is written to the audit trail.
+ */
+
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const authService = require('./auth.service');
+const sessionService = require('./session.service');
+const auditService = require('./audit.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AdminService {
+    /**
+     * List and search users
+     * @param {Object} filters - { search, role, status, page, limit }
+     * @returns {Object} - { users, total, page, limit }
+     */
+    async listUsers(filters = {}) {
+        const { search, role, status, page = 1, limit = 20 } = filters;
+
+        const query = {};
+
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            query.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        if (role) {
+            query.role = role;
+        }
+
+        if (status === 'active') {
+            query.disabledAt = null;
+        } else if (status === 'disabled') {
+            query.disabledAt = { $ne: null };
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(query),
+        ]);
+
+        return { users, total, page, limit };
+    }
+
+    /**
+     * Get a user with a summary of their activity
+     * @param {string} userId - User ID
+     * @returns {Object} - User with usage counts
+     */
+    async getUser(userId) {
+        const user = await this.findUser(userId);
+
+        const [workspaces, transactions, budgets, activeSessions, accessTokens] = await Promise.all([
+            Workspace.countDocuments({ 'members.userId': user._id }),
+            Transaction.countDocuments({ userId: user._id }),
+            Budget.countDocuments({ userId: user._id }),
+            Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+            AccessToken.countDocuments({ userId: user._id, revokedAt: null }),
+        ]);
+
+        return {
+            ...user.toJSON(),
+            usage: { workspaces, transactions, budgets, activeSessions, accessTokens },
+        };
+    }
+
+    /**
+     * Disable an account and sign out all of its sessions
+     * @param {string} userId - User to disable
+     * @param {Object} admin - Acting admin user
+     * @param {string} reason - Reason shown in the audit trail
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated user
+     */
+    async disableUser(userId, admin, reason, context = {}) {
+        const user = await this.findUser(userId);
+
+        if (user._id.equals(admin._id)) {
+            const error = new Error('You cannot disable your own account');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (user.disabledAt) {
+            const error = new Error('Account is already disabled');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        user.disabledAt = new Date();
+        user.disabledReason = reason || null;
+        await user.save();
+
+        const sessionsRevoked = await sessionService.revokeAll(user._id, 'account_disabled');
+
+        await auditService.record({
+            actorId: admin._id,
+            action: 'user.disable',
+            entityType: 'User',
+            entityId: user._id,
+            details: { reason: user.disabledReason, sessionsRevoked },
+        }, context);
+
+        return user.toJSON();
+    }
+
+    /**
+     * Re-enable a disabled account
+     * @param {string} userId - User to enable
+     * @param {Object} admin - Acting admin user
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated user
+     */
+    async enableUser(userId, admin, context = {}) {
+        const user = await this.findUser(userId);
+
+        if (!user.disabledAt) {
+            const error = new Error('Account is not disabled');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const previousReason = user.disabledReason;
+        user.disabledAt = null;
+        user.disabledReason = null;
+        await user.save();
+
+        await auditService.record({
+            actorId: admin._id,
+            action: 'user.enable',
+            entityType: 'User',
+            entityId: user._id,
+            details: { previousReason },
+        }, context);
+
+        return user.toJSON();
+    }
+
+    /**
+     * Require a password reset: sign out every session, refuse password
+     * logins until the user resets, and email them a reset link
+     * @param {string} userId - User ID
+     * @param {Object} admin - Acting admin user
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated user
+     */
+    async forcePasswordReset(userId, admin, context = {}) {
+        const user = await this.findUser(userId);
+
+        user.passwordResetRequired = true;
+        await user.save();
+
+        const sessionsRevoked = await sessionService.revokeAll(user._id, 'password_reset');
+        await authService.forgotPassword(user.email);
+
+        await auditService.record({
+            actorId: admin._id,
+            action: 'user.force_password_reset',
+            entityType: 'User',
+            entityId: user._id,
+            details: { sessionsRevoked },
+        }, context);
+
+        return user.toJSON();
+    }
+
+    /**
+     * Change a user's application role
+     * @param {string} userId - User ID
+     * @param {string} role - 'user' or 'admin'
+     * @param {Object} admin - Acting admin user
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated user
+     */
+    async updateRole(userId, role, admin, context = {}) {
+        const user = await this.findUser(userId);
+
+        if (user._id.equals(admin._id)) {
+            const error = new Error('You cannot change your own role');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const previousRole = user.role;
+        if (previousRole === role) {
+            return user.toJSON();
+        }
+
+        user.role = role;
+        await user.save();
+
+        await auditService.record({
+            actorId: admin._id,
+            action: 'user.role_change',
+            entityType: 'User',
+            entityId: user._id,
+            details: { from: previousRole, to: role },
+        }, context);
+
+        return user.toJSON();
+    }
+
+    /**
+     * Aggregate usage statistics across all users
+     * @returns {Object} - { users, workspaces, transactions, budgets, sessions }
+     */
+    async getStats() {
+        const now = new Date();
+        const thirtyDaysAgo = new Date(now.getTime() - 30 * DAY_MS);
+
+        const [
+            totalUsers,
+            disabledUsers,
+            adminUsers,
+            verifiedUsers,
+            newUsers,
+            pendingDeletion,
+            totalWorkspaces,
+            sharedWorkspaces,
+            transactionsByType,
+            recentTransactions,
+            totalBudgets,
+            activeBudgets,
+            activeSessions,
+        ] = await Promise.all([
+            User.countDocuments(),
+            User.countDocuments({ disabledAt: { $ne: null } }),
+            User.countDocuments({ role: 'admin' }),
+            User.countDocuments({ emailVerified: true }),
+            User.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+            User.countDocuments({ deletionScheduledFor: { $ne: null } }),
+            Workspace.countDocuments(),
+            Workspace.countDocuments({ personal: false }),
+            Transaction.aggregate([
+                { $group: { _id: '$type', count: { $sum: 1 } } },
+            ]),
+            Transaction.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+            Budget.countDocuments(),
+            Budget.countDocuments({ startDate: { $lte: now }, endDate: { $gte: now } }),
+            Session.countDocuments({ revokedAt: null, expiresAt: { $gt: now } }),
+        ]);
+
+        const countByType = Object.fromEntries(transactionsByType.map((t) => [t._id, t.count]));
+
+        return {
+            users: {
+                total: totalUsers,
+                active: totalUsers - disabledUsers,
+                disabled: disabledUsers,
+                admins: adminUsers,
+                verified: verifiedUsers,
+                newLast30Days: newUsers,
+                pendingDeletion,
+            },
+            workspaces: {
+                total: totalWorkspaces,
+                shared: sharedWorkspaces,
+            },
+            transactions: {
+                total: (countByType.income || 0) + (countByType.expense || 0),
+                income: countByType.income || 0,
+                expense: countByType.expense || 0,
+                createdLast30Days: recentTransactions,
+            },
+            budgets: {
+                total: totalBudgets,
+                active: activeBudgets,
+            },
+            sessions: {
+                active: activeSessions,
+            },
+        };
+    }
+
+    /**
+     * Find a user by ID or throw 404
+     */
+    async findUser(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return user;
+    }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,225 @@
+/**
+ * Attachment Service
+ * Handles receipt and document uploads on transactions
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const Transaction = require('../models/Transaction');
+const storageService = require('./storage.service');
+const auditService = require('./audit.service');
+const { ATTACHMENT_MAX_PER_TRANSACTION } = require('../config/env');
+
+/**
+ * Detect a file's type from its leading bytes; the client's Content-Type is not trusted
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - MIME type, or null when not an accepted type
+ */
+const detectMimeType = (buffer) => {
+    const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(4, 8) === 'ftyp' && ['heic', 'heix', 'heif', 'mif1', 'msf1'].includes(ascii(8, 12))) {
+        return 'image/heic';
+    }
+    if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+
+    return null;
+};
+
+/**
+ * Make an uploaded file name safe to store and echo back in headers
+ * @param {string} name - File name from the upload
+ * @returns {string} - Sanitized name
+ */
+const sanitizeFileName = (name) => {
+    const base = path.basename(String(name).replace(/\\/g, '/'))
+        .replace(/[\u0000-\u001f\u007f"]/g, '')
+        .trim()
+        .slice(0, 255);
+    return base || 'attachment';
+};
+
+class AttachmentService {
+    /**
+     * Get the attachments of a transaction
+     * @param {string} transactionId - Transaction ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Array} - Attachments, oldest first
+     */
+    async getAll(transactionId, workspaceId) {
+        await this.findTransaction(transactionId, workspaceId);
+        return Attachment.find({ transactionId, workspaceId }).sort({ createdAt: 1 });
+    }
+
+    /**
+     * Attach an uploaded file to a transaction
+     * @param {string} transactionId - Transaction ID
+     * @param {Object} file - { originalName, size, buffer } from the upload middleware
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user uploading the file
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Created attachment
+     */
+    async upload(transactionId, file, workspaceId, userId, context = {}) {
+        const transaction = await this.findTransaction(transactionId, workspaceId);
+
+        const count = await Attachment.countDocuments({ transactionId: transaction._id });
+        if (count >= ATTACHMENT_MAX_PER_TRANSACTION) {
+            const error = new Error(
+                `A transaction can have at most ${ATTACHMENT_MAX_PER_TRANSACTION} attachments`
+            );
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const mimeType = detectMimeType(file.buffer);
+        if (!mimeType) {
+            const error = new Error('Only JPEG, PNG, WebP and HEIC images and PDF files can be attached');
+            error.statusCode = 415;
+            throw error;
+        }
+
+        const storageKey = `${workspaceId}/${transaction._id}/${crypto.randomBytes(16).toString('hex')}`;
+        await storageService.put(storageKey, file.buffer, { mimeType, size: file.size });
+
+        let attachment;
+        try {
+            attachment = await Attachment.create({
+                workspaceId,
+                transactionId: transaction._id,
+                userId,
+                originalName: sanitizeFileName(file.originalName),
+                mimeType,
+                size: file.size,
+                storageKey,
+            });
+        } catch (error) {
+            await storageService.remove(storageKey);
+            throw error;
+        }
+
+        await auditService.recordCreate('Attachment', attachment, context, {
+            transactionId: transaction._id,
+        });
+
+        return attachment;
+    }
+
+    /**
+     * Open an attachment for download
+     * @param {string} transactionId - Transaction ID
+     * @param {string} attachmentId - Attachment ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Object} - { attachment, stream }
+     */
+    async getFile(transactionId, attachmentId, workspaceId) {
+        const attachment = await this.findAttachment(transactionId, attachmentId, workspaceId);
+        const stream = await storageService.get(attachment.storageKey);
+
+        return { attachment, stream };
+    }
+
+    /**
+     * Delete an attachment and its file
+     * @param {string} transactionId - Transaction ID
+     * @param {string} attachmentId - Attachment ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {boolean} - Success status
+     */
+    async delete(transactionId, attachmentId, workspaceId, context = {}) {
+        const attachment = await this.findAttachment(transactionId, attachmentId, workspaceId);
+
+        await attachment.deleteOne();
+        await storageService.remove(attachment.storageKey);
+        await auditService.recordDelete('Attachment', attachment, context, {
+            transactionId: attachment.transactionId,
+        });
+
+        return true;
+    }
+
+    /**
+     * Delete every attachment of the given transactions (used when they are deleted)
+     * @param {Array} transactionIds - Transaction IDs
+     * @returns {number} - Number of attachments removed
+     */
+    async deleteForTransactions(transactionIds) {
+        return this.removeAll({ transactionId: { $in: transactionIds } });
+    }
+
+    /**
+     * Delete every attachment in a workspace (used when the workspace is purged)
+     * @param {string} workspaceId - Workspace ID
+     * @returns {number} - Number of attachments removed
+     */
+    async deleteForWorkspace(workspaceId) {
+        return this.removeAll({ workspaceId });
+    }
+
+    /**
+     * Remove matching attachments and their files. A file that cannot be
+     * removed is logged and left behind rather than failing the caller.
+     * @param {Object} query - Attachment query
+     * @returns {number} - Number of attachments removed
+     */
+    async removeAll(query) {
+        const attachments = await Attachment.find(query).select('storageKey').lean();
+
+        for (const attachment of attachments) {
+            try {
+                await storageService.remove(attachment.storageKey);
+            } catch (error) {
+                console.error(`Failed to remove attachment file ${attachment.storageKey}:`, error.message);
+            }
+        }
+
+        const result = await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+        return result.deletedCount;
+    }
+
+    /**
+     * Find a transaction in a workspace
+     * @param {string} transactionId - Transaction ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Transaction
+     */
+    async findTransaction(transactionId, workspaceId) {
+        const transaction = await Transaction.findOne({ _id: transactionId, workspaceId }).select('_id');
+
+        if (!transaction) {
+            const error = new Error('Transaction not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return transaction;
+    }
+
+    /**
+     * Find an attachment of a transaction in a workspace
+     * @param {string} transactionId - Transaction ID
+     * @param {string} attachmentId - Attachment ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Attachment
+     */
+    async findAttachment(transactionId, attachmentId, workspaceId) {
+        const attachment = await Attachment.findOne({ _id: attachmentId, transactionId, workspaceId });
+
+        if (!attachment) {
+            const error = new Error('Attachment not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return attachment;
+    }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,287 @@
+/**
+ * Audit Service
+ * Records and queries the append-only audit trail
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields left out of snapshots and diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+class AuditService {
+    /**
+     * Append an entry to the audit trail
+     * @param {Object} entry - { actorId, workspaceId, action, entityType, entityId, before, after, details }
+     * @param {Object} context - { userAgent, ipAddress, requestId }
+     * @returns {Object} - Created audit entry
+     */
+    async record(entry, context = {}) {
+        return AuditLog.create({
+            actorId: entry.actorId || null,
+            workspaceId: entry.workspaceId || null,
+            action: entry.action,
+            entityType: entry.entityType,
+            entityId: entry.entityId || null,
+            before: entry.before || null,
+            after: entry.after || null,
+            details: entry.details || null,
+            ipAddress: context.ipAddress || '',
+            userAgent: context.userAgent || '',
+            requestId: context.requestId || null,
+        });
+    }
+
+    /**
+     * Record the creation of a workspace document
+     * @param {string} entityType - Model name, e.g. 'Transaction'
+     * @param {Object} doc - Created document
+     * @param {Object} context - Request context from getRequestContext
+     * @param {Object} details - Optional action-specific context
+     */
+    async recordCreate(entityType, doc, context = {}, details = null) {
+        return this.record({
+            actorId: context.actorId,
+            workspaceId: doc.workspaceId,
+            action: `${this.actionPrefix(entityType)}.create`,
+            entityType,
+            entityId: doc._id,
+            after: this.snapshot(doc),
+            details,
+        }, context);
+    }
+
+    /**
+     * Record an update to a workspace document. Nothing is written when no field changed.
+     * @param {string} entityType - Model name, e.g. 'Transaction'
+     * @param {Object} before - Snapshot taken with snapshot() before the change
+     * @param {Object} doc - Updated document
+     * @param {Object} context - Request context from getRequestContext
+     * @param {Object} details - Optional action-specific context
+     */
+    async recordUpdate(entityType, before, doc, context = {}, details = null) {
+        const changes = this.diff(before, this.snapshot(doc));
+
+        if (!changes) {
+            return null;
+        }
+
+        return this.record({
+            actorId: context.actorId,
+            workspaceId: doc.workspaceId,
+            action: `${this.actionPrefix(entityType)}.update`,
+            entityType,
+            entityId: doc._id,
+            before: changes.before,
+            after: changes.after,
+            details,
+        }, context);
+    }
+
+    /**
+     * Record the deletion of a workspace document
+     * @param {string} entityType - Model name, e.g. 'Transaction'
+     * @param {Object} doc - Deleted document
+     * @param {Object} context - Request context from getRequestContext
+     * @param {Object} details - Optional action-specific context
+     */
+    async recordDelete(entityType, doc, context = {}, details = null) {
+        return this.record({
+            actorId: context.actorId,
+            workspaceId: doc.workspaceId,
+            action: `${this.actionPrefix(entityType)}.delete`,
+            entityType,
+            entityId: doc._id,
+            before: this.snapshot(doc),
+            details,
+        }, context);
+    }
+
+    /**
+     * Record the creation of many documents at once (e.g. a statement import)
+     * @param {string} entityType - Model name, e.g. 'Transaction'
+     * @param {Array} docs - Created documents
+     * @param {Object} context - Request context from getRequestContext
+     * @param {Object} details - Optional action-specific context, stored on every entry
+     */
+    async recordCreateMany(entityType, docs, context = {}, details = null) {
+        return this.recordMany(entityType, 'create', docs, context, details);
+    }
+
+    /**
+     * Record the deletion of many documents at once (e.g. reverting an import)
+     * @param {string} entityType - Model name, e.g. 'Transaction'
+     * @param {Array} docs - Deleted documents
+     * @param {Object} context - Request context from getRequestContext
+     * @param {Object} details - Optional action-specific context, stored on every entry
+     */
+    async recordDeleteMany(entityType, docs, context = {}, details = null) {
+        return this.recordMany(entityType, 'delete', docs, context, details);
+    }
+
+    /**
+     * Record the same kind of update to many documents at once (e.g. re-running categorization rules)
+     * @param {string} entityType - Model name, e.g. 'Transaction'
+     * @param {Array} changes - [{ doc: { _id, workspaceId }, before, after }] with only the changed fields
+     * @param {Object} context - Request context from getRequestContext
+     * @param {Object} details - Optional action-specific context, stored on every entry
+     */
+    async recordUpdateMany(entityType, changes, context = {}, details = null) {
+        if (!changes.length) return [];
+
+        return AuditLog.insertMany(
+            changes.map(({ doc, before, after }) => ({
+                actorId: context.actorId || null,
+                workspaceId: doc.workspaceId,
+                action: `${this.actionPrefix(entityType)}.update`,
+                entityType,
+                entityId: doc._id,
+                before,
+                after,
+                details,
+                ipAddress: context.ipAddress || '',
+                userAgent: context.userAgent || '',
+                requestId: context.requestId || null,
+            }))
+        );
+    }
+
+    /**
+     * Append one create or delete entry per document in a single insert
+     */
+    async recordMany(entityType, operation, docs, context, details) {
+        if (!docs.length) return [];
+
+        return AuditLog.insertMany(
+            docs.map((doc) => ({
+                actorId: context.actorId || null,
+                workspaceId: doc.workspaceId,
+                action: `${this.actionPrefix(entityType)}.${operation}`,
+                entityType,
+                entityId: doc._id,
+                before: operation === 'delete' ? this.snapshot(doc) : null,
+                after: operation === 'create' ? this.snapshot(doc) : null,
+                details,
+                ipAddress: context.ipAddress || '',
+                userAgent: context.userAgent || '',
+                requestId: context.requestId || null,
+            }))
+        );
+    }
+
+    /**
+     * Strip a deleted user's personal data from the audit trail. Entries stay,
+     * so the history of other people's workspaces keeps its shape.
+     * - entries in the workspaces purged with the user, or about the user
+     *   themselves, lose their snapshots, details, IP address and user agent
+     * - entries the user made elsewhere lose their IP address and user agent
+     * @param {string} userId - User ID
+     * @param {Array} workspaceIds - IDs of the workspaces purged with the user
+     * @returns {number} - Number of entries redacted
+     */
+    async anonymizeUser(userId, workspaceIds = []) {
+        const owned = await AuditLog.redact(
+            {
+                $or: [
+                    { workspaceId: { $in: workspaceIds } },
+                    { entityType: 'User', entityId: userId },
+                ],
+            },
+            ['before', 'after', 'details', 'ipAddress', 'userAgent']
+        );
+        const acted = await AuditLog.redact(
+            { actorId: userId },
+            ['ipAddress', 'userAgent']
+        );
+
+        return owned + acted;
+    }
+
+    /**
+     * Get audit entries, newest first
+     * @param {Object} filters - { workspaceId, actorId, action, entityType, entityId, requestId, from, to, page, limit }
+     *   (workspaceId: null matches entries outside any workspace)
+     * @returns {Object} - { entries, total, page, limit }
+     */
+    async getAll(filters = {}) {
+        const {
+            workspaceId,
+            actorId,
+            action,
+            entityType,
+            entityId,
+            requestId,
+            from,
+            to,
+            page = 1,
+            limit = 50,
+        } = filters;
+
+        const query = {};
+
+        if (workspaceId !== undefined) query.workspaceId = workspaceId;
+        if (actorId) query.actorId = actorId;
+        if (action) query.action = action;
+        if (entityType) query.entityType = entityType;
+        if (entityId) query.entityId = entityId;
+        if (requestId) query.requestId = requestId;
+
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actorId', 'name email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(query),
+        ]);
+
+        return { entries, total, page, limit };
+    }
+
+    /**
+     * Plain copy of a document's fields (populated references become IDs)
+     * @param {Object} doc - Mongoose document
+     * @returns {Object} - Snapshot
+     */
+    snapshot(doc) {
+        const data = doc.toObject({ depopulate: true, virtuals: false });
+
+        for (const field of IGNORED_FIELDS) {
+            delete data[field];
+        }
+
+        return data;
+    }
+
+    /**
+     * Top-level fields that differ between two snapshots
+     * @returns {Object|null} - { before, after } with only the changed fields, or null
+     */
+    diff(before, after) {
+        const changes = { before: {}, after: {} };
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        for (const field of fields) {
+            if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                changes.before[field] = before[field] === undefined ? null : before[field];
+                changes.after[field] = after[field] === undefined ? null : after[field];
+            }
+        }
+
+        return Object.keys(changes.after).length > 0 ? changes : null;
+    }
+
+    /**
+     * Action prefix of a model name, e.g. 'SavingsTransaction' -> 'savingsTransaction'
+     */
+    actionPrefix(entityType) {
+        return entityType.charAt(0).toLowerCase() + entityType.slice(1);
+    }
+}
+
+module.exports = new AuditService();
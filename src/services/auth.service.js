@@ -5,26 +5,101 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { JWT_SECRET, JWT_EXPIRES_IN } = require('../config/env');
+const sessionService = require('./session.service');
+const mailService = require('./mail.service');
+const loginThrottle = require('./loginThrottle.service');
+const workspaceService = require('./workspace.service');
+const categoryService = require('./category.service');
+const { generateToken, hashToken } = require('../utils/tokens');
+const totp = require('../utils/totp');
+const {
+    JWT_SECRET,
+    JWT_EXPIRES_IN,
+    TWO_FACTOR_ISSUER,
+    TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    PASSWORD_RESET_EXPIRES_MINUTES,
+    EMAIL_VERIFICATION_EXPIRES_HOURS,
+    EMAIL_VERIFICATION_RESEND_SECONDS,
+    APP_URL,
+} = require('../config/env');
+
+// Challenge tokens use a separate key so they can never pass as access tokens
+const TWO_FACTOR_CHALLENGE_SECRET = `${JWT_SECRET}:two-factor-challenge`;
+const RECOVERY_CODE_COUNT = 10;
 
 class AuthService {
     /**
-     * Generate JWT token for user
+     * Generate short-lived JWT access token for user
      * @param {string} userId - User's MongoDB ObjectId
+     * @param {string} sessionId - Session the token belongs to
      * @returns {string} - JWT token
      */
-    generateToken(userId) {
-        return jwt.sign({ id: userId }, JWT_SECRET, {
+    generateToken(userId, sessionId) {
+        return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, {
             expiresIn: JWT_EXPIRES_IN,
         });
     }
 
+    /**
+     * Start a session and issue an access/refresh token pair
+     * @param {string} userId - User ID
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object} - { token, refreshToken }
+     */
+    async issueTokens(userId, client = {}) {
+        const { session, refreshToken } = await sessionService.createSession(userId, client);
+
+        return {
+            token: this.generateToken(userId, session._id),
+            refreshToken,
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair (rotation)
+     * @param {string} refreshToken - Current refresh token
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object} - { token, refreshToken }
+     */
+    async refresh(refreshToken, client = {}) {
+        const { session, refreshToken: newRefreshToken } = await sessionService.rotate(refreshToken, client);
+
+        const user = await User.findById(session.userId);
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        if (user.disabledAt) {
+            const error = new Error('This account has been disabled');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        return {
+            token: this.generateToken(user._id, session._id),
+            refreshToken: newRefreshToken,
+        };
+    }
+
+    /**
+     * Logout by revoking the session that owns the refresh token
+     * @param {string} refreshToken - Current refresh token
+     * @returns {boolean} - Success status
+     */
+    async logout(refreshToken) {
+        await sessionService.revokeByToken(refreshToken);
+        return true;
+    }
+
     /**
      * Register a new user
      * @param {Object} userData - { name, email, password }
-     * @returns {Object} - { user, token }
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object} - { user, token, refreshToken }
      */
-    async register(userData) {
+    async register(userData, client = {}) {
         const { name, email, password } = userData;
 
         // Check if user already exists
@@ -42,15 +117,23 @@ class AuthService {
             password,
         });
 
-        // Generate token
-        const token = this.generateToken(user._id);
+        // Generate tokens
+        const tokens = await this.issueTokens(user._id, client);
 
-        // Create default categories for the user
-        await this.createDefaultCategories(user._id);
+        // Create the personal workspace with default categories
+        const workspace = await workspaceService.ensurePersonalWorkspace(user);
+        await categoryService.createDefaults(workspace._id, user._id);
+
+        // Send verification email (registration still succeeds if mail fails)
+        try {
+            await this.sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Failed to send verification email:', error.message);
+        }
 
         return {
             user: user.toJSON(),
-            token,
+            ...tokens,
         };
     }
 
@@ -58,36 +141,316 @@ class AuthService {
      * Login user with email and password
      * @param {string} email - User email
      * @param {string} password - User password
-     * @returns {Object} - { user, token }
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object} - { user, token, refreshToken } or { twoFactorRequired, challengeToken }
      */
-    async login(email, password) {
+    async login(email, password, client = {}) {
+        // Reject early while the account or IP is backing off / locked out
+        await loginThrottle.assertAllowed(email, client.ipAddress);
+
         // Find user by email (include password for comparison)
         const user = await User.findOne({ email }).select('+password');
 
-        if (!user) {
-            const error = new Error('Invalid email or password');
+        // Check password
+        const isMatch = user ? await user.comparePassword(password) : false;
+
+        if (!isMatch) {
+            throw await this.recordFailedLogin(email, client);
+        }
+
+        this.assertCanSignIn(user);
+
+        // Second step required before any session is created. The account's
+        // failures are only cleared once it passes, or re-sending the password
+        // would reset the counter between code guesses.
+        if (user.twoFactorEnabled) {
+            return {
+                twoFactorRequired: true,
+                challengeToken: jwt.sign({ id: user._id }, TWO_FACTOR_CHALLENGE_SECRET, {
+                    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+                }),
+            };
+        }
+
+        await loginThrottle.recordSuccess(email);
+
+        // Generate tokens
+        const tokens = await this.issueTokens(user._id, client);
+
+        return {
+            user: user.toJSON(),
+            ...tokens,
+        };
+    }
+
+    /**
+     * Refuse sign-in for accounts an admin has disabled or flagged for a password reset
+     * @param {Object} user - User document
+     */
+    assertCanSignIn(user) {
+        if (user.disabledAt) {
+            const error = new Error('This account has been disabled');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        if (user.passwordResetRequired) {
+            const error = new Error('A password reset is required. Check your email for a reset link.');
+            error.statusCode = 403;
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed login and build the error to return, including a
+     * lockout notice when this failure triggered a lockout
+     * @param {string} email - Account email
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Error} - Error to throw
+     */
+    async recordFailedLogin(email, client = {}) {
+        const { locked, lockedUntil } = await loginThrottle.recordFailure(email, client.ipAddress);
+
+        if (locked) {
+            const seconds = (lockedUntil.getTime() - Date.now()) / 1000;
+            return loginThrottle.createThrottleError(
+                `Invalid email or password. Too many failed attempts - login is locked for ${Math.ceil(seconds / 60)} minute(s).`,
+                seconds
+            );
+        }
+
+        const error = new Error('Invalid email or password');
+        error.statusCode = 401;
+        return error;
+    }
+
+    /**
+     * Complete a two-step login with a TOTP or recovery code
+     * @param {string} challengeToken - Challenge token returned by login
+     * @param {Object} credentials - { code, recoveryCode }
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object} - { user, token, refreshToken }
+     */
+    async loginWithTwoFactor(challengeToken, credentials, client = {}) {
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, TWO_FACTOR_CHALLENGE_SECRET);
+        } catch (err) {
+            const error = new Error('Two-factor challenge is invalid or has expired. Please log in again.');
             error.statusCode = 401;
             throw error;
         }
 
-        // Check password
-        const isMatch = await user.comparePassword(password);
+        const user = await User.findById(decoded.id)
+            .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
 
-        if (!isMatch) {
-            const error = new Error('Invalid email or password');
+        if (!user || !user.twoFactorEnabled) {
+            const error = new Error('Two-factor authentication is not enabled');
             error.statusCode = 401;
             throw error;
         }
 
-        // Generate token
-        const token = this.generateToken(user._id);
+        this.assertCanSignIn(user);
+
+        // Code guesses count against the same account/IP limits as passwords
+        await loginThrottle.assertAllowed(user.email, client.ipAddress);
+
+        const { code, recoveryCode } = credentials;
+        const verified = recoveryCode
+            ? this.consumeRecoveryCode(user, recoveryCode)
+            : this.consumeTotpCode(user, user.twoFactorSecret, code);
+
+        if (!verified) {
+            const { locked } = await loginThrottle.recordFailure(user.email, client.ipAddress);
+            const error = new Error(
+                locked
+                    ? 'Invalid authentication code. Too many failed attempts - login is temporarily locked.'
+                    : 'Invalid authentication code'
+            );
+            error.statusCode = locked ? 429 : 401;
+            throw error;
+        }
+
+        await user.save();
+        await loginThrottle.recordSuccess(user.email);
+
+        const tokens = await this.issueTokens(user._id, client);
 
         return {
             user: user.toJSON(),
-            token,
+            ...tokens,
+        };
+    }
+
+    /**
+     * Check a TOTP code and record its time step to block replays
+     * @param {Object} user - User document (with twoFactorLastUsedStep selected)
+     * @param {string} secret - Base32 secret to check against
+     * @param {string} code - Code entered by the user
+     * @returns {boolean} - True if the code is valid and unused
+     */
+    consumeTotpCode(user, secret, code) {
+        if (!secret || !code) {
+            return false;
+        }
+
+        const step = totp.verifyCode(secret, code);
+        if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+            return false;
+        }
+
+        user.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    /**
+     * Check a recovery code and remove it so it cannot be used again
+     * @param {Object} user - User document (with twoFactorRecoveryCodes selected)
+     * @param {string} recoveryCode - Recovery code entered by the user
+     * @returns {boolean} - True if the code was valid
+     */
+    consumeRecoveryCode(user, recoveryCode) {
+        const codeHash = hashToken(this.normalizeRecoveryCode(recoveryCode));
+        const index = user.twoFactorRecoveryCodes.indexOf(codeHash);
+
+        if (index === -1) {
+            return false;
+        }
+
+        user.twoFactorRecoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Normalize a recovery code for hashing (case and dashes are ignored)
+     */
+    normalizeRecoveryCode(recoveryCode) {
+        return String(recoveryCode).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Generate a fresh set of recovery codes
+     * @returns {Object} - { codes, hashes }
+     */
+    generateRecoveryCodes() {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = generateToken(5);
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        return {
+            codes,
+            hashes: codes.map((code) => hashToken(this.normalizeRecoveryCode(code))),
         };
     }
 
+    /**
+     * Start TOTP enrollment by generating a pending secret
+     * @param {string} userId - User ID
+     * @returns {Object} - { secret, otpauthUri }
+     */
+    async setupTwoFactor(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (user.twoFactorEnabled) {
+            const error = new Error('Two-factor authentication is already enabled');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const secret = totp.generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        return {
+            secret,
+            otpauthUri: totp.buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER),
+        };
+    }
+
+    /**
+     * Confirm TOTP enrollment with a code from the authenticator app
+     * @param {string} userId - User ID
+     * @param {string} code - Current TOTP code
+     * @returns {Object} - { recoveryCodes } (shown to the user once)
+     */
+    async enableTwoFactor(userId, code) {
+        const user = await User.findById(userId)
+            .select('+twoFactorPendingSecret +twoFactorLastUsedStep');
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (user.twoFactorEnabled) {
+            const error = new Error('Two-factor authentication is already enabled');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (!user.twoFactorPendingSecret) {
+            const error = new Error('Start two-factor setup before confirming it');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (!this.consumeTotpCode(user, user.twoFactorPendingSecret, code)) {
+            const error = new Error('Invalid authentication code');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const { codes, hashes } = this.generateRecoveryCodes();
+
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = null;
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        return { recoveryCodes: codes };
+    }
+
+    /**
+     * Disable two-factor authentication (requires the current password)
+     * @param {string} userId - User ID
+     * @param {string} password - Current password
+     * @returns {boolean} - Success status
+     */
+    async disableTwoFactor(userId, password) {
+        const user = await User.findById(userId).select('+password');
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch) {
+            const error = new Error('Current password is incorrect');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorPendingSecret = null;
+        user.twoFactorLastUsedStep = null;
+        user.twoFactorRecoveryCodes = [];
+        await user.save();
+
+        return true;
+    }
+
     /**
      * Get user profile
      * @param {string} userId - User ID
@@ -137,14 +500,44 @@ class AuthService {
         return user.toJSON();
     }
 
+    /**
+     * Update regional preferences
+     * @param {string} userId - User ID
+     * @param {Object} preferences - { timezone, weekStartDay, locale, numberFormat, dateFormat, fiscalMonthStartDay }
+     * @returns {Object} - Updated preferences
+     */
+    async updatePreferences(userId, preferences) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const fields = ['timezone', 'weekStartDay', 'locale', 'numberFormat', 'dateFormat', 'fiscalMonthStartDay'];
+        for (const field of fields) {
+            if (preferences[field] !== undefined) {
+                user.preferences[field] = preferences[field];
+            }
+        }
+
+        await user.save();
+
+        return user.toJSON().preferences;
+    }
+
     /**
      * Change user password
      * @param {string} userId - User ID
      * @param {string} currentPassword - Current password
      * @param {string} newPassword - New password
-     * @returns {boolean} - Success status
+     * @param {Object} options - { revokeOtherSessions, currentSessionId }
+     * @returns {Object} - { revokedSessions }
      */
-    async changePassword(userId, currentPassword, newPassword) {
+    async changePassword(userId, currentPassword, newPassword, options = {}) {
+        const { revokeOtherSessions = false, currentSessionId = null } = options;
+
         const user = await User.findById(userId).select('+password');
 
         if (!user) {
@@ -166,46 +559,196 @@ class AuthService {
         user.password = newPassword;
         await user.save();
 
+        // Optionally sign out every other device
+        let revokedSessions = 0;
+        if (revokeOtherSessions) {
+            revokedSessions = await sessionService.revokeAll(userId, 'password_changed', currentSessionId);
+        }
+
+        return { revokedSessions };
+    }
+
+    /**
+     * Start the password reset flow by emailing a single-use reset token.
+     * Resolves silently for unknown emails so accounts cannot be enumerated.
+     * @param {string} email - Account email
+     * @returns {boolean} - Success status
+     */
+    async forgotPassword(email) {
+        const user = await User.findOne({ email });
+
+        if (!user) {
+            return true;
+        }
+
+        const resetToken = generateToken();
+
+        user.passwordResetTokenHash = hashToken(resetToken);
+        user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+        await user.save();
+
+        const resetUrl = `${APP_URL}/reset-password?token=${resetToken}`;
+
+        await mailService.send({
+            to: user.email,
+            subject: 'Reset your Budget Tracker password',
+            text: [
+                `Hi ${user.name},`,
+                '',
+                'We received a request to reset your password. Use the link below to choose a new one:',
+                resetUrl,
+                '',
+                `Reset code: ${resetToken}`,
+                `This link expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes and can only be used once.`,
+                'If you did not request this, you can ignore this email.',
+            ].join('\n'),
+        });
+
         return true;
     }
 
     /**
-     * Create default categories for a new user
+     * Reset password using a reset token, then sign out every session
+     * @param {string} token - Plain reset token from the email
+     * @param {string} newPassword - New password
+     * @returns {boolean} - Success status
+     */
+    async resetPassword(token, newPassword) {
+        const user = await User.findOne({
+            passwordResetTokenHash: hashToken(token),
+            passwordResetExpires: { $gt: new Date() },
+        }).select('+password +passwordResetTokenHash +passwordResetExpires');
+
+        if (!user) {
+            const error = new Error('Password reset token is invalid or has expired');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        // Tokens are single-use
+        user.password = newPassword;
+        user.passwordResetTokenHash = null;
+        user.passwordResetExpires = null;
+        user.passwordResetRequired = false;
+        await user.save();
+
+        await sessionService.revokeAll(user._id, 'password_reset');
+
+        return true;
+    }
+
+    /**
+     * Generate a verification token for a user and email it
+     * @param {Object} user - User document
+     * @returns {boolean} - Success status
+     */
+    async sendVerificationEmail(user) {
+        const verificationToken = generateToken();
+
+        user.emailVerificationTokenHash = hashToken(verificationToken);
+        user.emailVerificationExpires = new Date(
+            Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000
+        );
+        user.emailVerificationSentAt = new Date();
+        await user.save();
+
+        const verifyUrl = `${APP_URL}/verify-email?token=${verificationToken}`;
+
+        await mailService.send({
+            to: user.email,
+            subject: 'Verify your Budget Tracker email',
+            text: [
+                `Hi ${user.name},`,
+                '',
+                'Please confirm your email address using the link below:',
+                verifyUrl,
+                '',
+                `Verification code: ${verificationToken}`,
+                `This link expires in ${EMAIL_VERIFICATION_EXPIRES_HOURS} hours.`,
+            ].join('\n'),
+        });
+
+        return true;
+    }
+
+    /**
+     * Verify a user's email with a verification token
+     * @param {string} token - Plain verification token from the email
+     * @returns {Object} - Verified user
+     */
+    async verifyEmail(token) {
+        const user = await User.findOne({
+            emailVerificationTokenHash: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() },
+        }).select('+emailVerificationTokenHash +emailVerificationExpires');
+
+        if (!user) {
+            const error = new Error('Verification token is invalid or has expired');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        user.emailVerified = true;
+        user.emailVerificationTokenHash = null;
+        user.emailVerificationExpires = null;
+        await user.save();
+
+        return user.toJSON();
+    }
+
+    /**
+     * Resend the verification email, throttled per user
      * @param {string} userId - User ID
+     * @returns {boolean} - Success status
      */
-    async createDefaultCategories(userId) {
-        // This will be implemented in Category module
-        // For now, we'll use a try-catch to prevent errors
-        try {
-            const Category = require('../models/Category');
-
-            const defaultCategories = [
-                // Expense categories
-                { name: 'Food & Dining', type: 'expense', icon: 'restaurant', color: '#FF6B6B', isDefault: true },
-                { name: 'Transport', type: 'expense', icon: 'directions_car', color: '#4ECDC4', isDefault: true },
-                { name: 'Shopping', type: 'expense', icon: 'shopping_bag', color: '#45B7D1', isDefault: true },
-                { name: 'Bills & Utilities', type: 'expense', icon: 'receipt', color: '#96CEB4', isDefault: true },
-                { name: 'Entertainment', type: 'expense', icon: 'movie', color: '#DDA0DD', isDefault: true },
-                { name: 'Health', type: 'expense', icon: 'medical_services', color: '#98D8C8', isDefault: true },
-                { name: 'Education', type: 'expense', icon: 'school', color: '#F7DC6F', isDefault: true },
-                { name: 'Other Expense', type: 'expense', icon: 'more_horiz', color: '#BDC3C7', isDefault: true },
-                // Income categories
-                { name: 'Salary', type: 'income', icon: 'work', color: '#2ECC71', isDefault: true },
-                { name: 'Freelance', type: 'income', icon: 'laptop', color: '#3498DB', isDefault: true },
-                { name: 'Investment', type: 'income', icon: 'trending_up', color: '#9B59B6', isDefault: true },
-                { name: 'Other Income', type: 'income', icon: 'attach_money', color: '#1ABC9C', isDefault: true },
-            ];
-
-            const categoriesWithUser = defaultCategories.map((cat) => ({
-                ...cat,
-                userId,
-            }));
-
-            await Category.insertMany(categoriesWithUser);
-        } catch (error) {
-            // Category model might not exist yet - that's okay
-            console.log('Default categories will be created when Category module is ready');
+    async resendVerificationEmail(userId) {
+        const user = await User.findById(userId).select('+emailVerificationSentAt');
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
         }
+
+        if (user.emailVerified) {
+            const error = new Error('Email is already verified');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (user.emailVerificationSentAt) {
+            const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+            if (elapsed < EMAIL_VERIFICATION_RESEND_SECONDS) {
+                const error = new Error(
+                    `Please wait ${Math.ceil(EMAIL_VERIFICATION_RESEND_SECONDS - elapsed)} seconds before requesting another verification email`
+                );
+                error.statusCode = 429;
+                throw error;
+            }
+        }
+
+        await this.sendVerificationEmail(user);
+        return true;
+    }
+
+    /**
+     * Get active sessions (devices) for a user
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session making the request
+     * @returns {Array} - Active sessions
+     */
+    async getSessions(userId, currentSessionId) {
+        return sessionService.getActiveSessions(userId, currentSessionId);
+    }
+
+    /**
+     * Sign out one of a user's sessions
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID to revoke
+     * @returns {boolean} - Success status
+     */
+    async revokeSession(userId, sessionId) {
+        return sessionService.revokeById(sessionId, userId);
     }
 }
 
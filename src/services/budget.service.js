@@ -6,19 +6,22 @@
 const Budget = require('../models/Budget');
 const Category = require('../models/Category');
 const Transaction = require('../models/Transaction');
+const auditService = require('./audit.service');
 const mongoose = require('mongoose');
+const { getCurrentMonth, getMonthRange, getWeekRange } = require('../utils/dateRanges');
 
 class BudgetService {
     /**
-     * Get all budgets for a user (optionally filtered by month/year or date range)
-     * @param {string} userId - User ID
+     * Get all budgets in a workspace (optionally filtered by month/year or date range)
+     * @param {string} workspaceId - Workspace ID
      * @param {Object} filters - { month, year, status, startDate, endDate }
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Array} - List of budgets with spending info
      */
-    async getAll(userId, filters = {}) {
+    async getAll(workspaceId, filters = {}, preferences) {
         const { month, year, status, startDate, endDate, includeAll } = filters;
 
-        const query = { userId };
+        const query = { workspaceId };
 
         // Filter by status
         if (status) {
@@ -32,23 +35,22 @@ class BudgetService {
             ];
         } else if (month && year) {
             // Legacy: filter by month/year (finds budgets active during that month)
-            const monthStart = new Date(year, month - 1, 1);
-            const monthEnd = new Date(year, month, 0, 23, 59, 59, 999);
+            const { startDate: monthStart, endDate: monthEnd } = getMonthRange(year, month, preferences);
             query.$or = [
                 { startDate: { $lte: monthEnd }, endDate: { $gte: monthStart } },
             ];
         } else if (!includeAll) {
             // Default: show budgets that are currently active or upcoming
-            const now = new Date();
+            const current = getCurrentMonth(preferences);
             query.$or = [
                 { status: 'active' },
                 { status: 'upcoming' },
-                { endDate: { $gte: new Date(now.getFullYear(), now.getMonth(), 1) } },
+                { endDate: { $gte: getMonthRange(current.year, current.month, preferences).startDate } },
             ];
         }
 
         // Update statuses before fetching
-        await this.updateBudgetStatuses(userId);
+        await this.updateBudgetStatuses(workspaceId);
 
         const budgets = await Budget.find(query)
             .populate('categoryId', 'name icon color type')
@@ -58,7 +60,7 @@ class BudgetService {
         const budgetsWithSpending = await Promise.all(
             budgets.map(async (budget) => {
                 const spent = await this.calculateSpendingForPeriod(
-                    userId,
+                    workspaceId,
                     budget.categoryId._id,
                     budget.startDate,
                     budget.endDate
@@ -79,22 +81,25 @@ class BudgetService {
 
     /**
      * Calculate spending for a category within a date range
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {string} categoryId - Category ID
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
      * @returns {number} - Total spent
      */
-    async calculateSpendingForPeriod(userId, categoryId, startDate, endDate) {
+    async calculateSpendingForPeriod(workspaceId, categoryId, startDate, endDate) {
         const result = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
-                    categoryId: new mongoose.Types.ObjectId(categoryId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    ...Transaction.categoryCondition(new mongoose.Types.ObjectId(categoryId)),
                     type: 'expense',
                     date: { $gte: new Date(startDate), $lte: new Date(endDate) },
                 },
             },
+            // Only the lines of split transactions that belong to this category
+            ...Transaction.categoryLineStages(),
+            { $match: { categoryId: new mongoose.Types.ObjectId(categoryId) } },
             {
                 $group: {
                     _id: null,
@@ -109,23 +114,25 @@ class BudgetService {
     /**
      * Legacy: Calculate spending for a category in a month
      */
-    async calculateSpending(userId, categoryId, month, year) {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59, 999);
-        return this.calculateSpendingForPeriod(userId, categoryId, startDate, endDate);
+    async calculateSpending(workspaceId, categoryId, month, year, preferences) {
+        const { startDate, endDate } = getMonthRange(year, month, preferences);
+        return this.calculateSpendingForPeriod(workspaceId, categoryId, startDate, endDate);
     }
 
     /**
      * Create or update a budget with time period support
      * @param {Object} data - { categoryId, amount, startDate, endDate, periodType, month, year }
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the budget
+     * @param {Object} preferences - User preferences (used for legacy month/year budgets)
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Created/updated budget
      */
-    async createOrUpdate(data, userId) {
+    async createOrUpdate(data, workspaceId, userId, preferences, context = {}) {
         const { categoryId, amount, startDate, endDate, periodType, month, year, notes } = data;
 
-        // Verify category exists and belongs to user
-        const category = await Category.findOne({ _id: categoryId, userId });
+        // Verify category exists and belongs to the workspace
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
         if (!category) {
             const error = new Error('Category not found');
             error.statusCode = 404;
@@ -149,8 +156,7 @@ class BudgetService {
             budgetPeriodType = periodType || 'custom';
         } else if (month && year) {
             // Legacy: create monthly budget from month/year
-            budgetStartDate = new Date(year, month - 1, 1);
-            budgetEndDate = new Date(year, month, 0, 23, 59, 59, 999);
+            ({ startDate: budgetStartDate, endDate: budgetEndDate } = getMonthRange(year, month, preferences));
             budgetPeriodType = 'monthly';
         } else {
             const error = new Error('Either startDate/endDate or month/year must be provided');
@@ -159,7 +165,7 @@ class BudgetService {
         }
 
         // Check for overlapping budgets
-        const overlapping = await Budget.checkOverlap(userId, categoryId, budgetStartDate, budgetEndDate);
+        const overlapping = await Budget.checkOverlap(workspaceId, categoryId, budgetStartDate, budgetEndDate);
         if (overlapping) {
             const error = new Error(`Budget for this category already exists for overlapping period: ${this.formatDateRange(overlapping.startDate, overlapping.endDate)}`);
             error.statusCode = 400;
@@ -177,6 +183,7 @@ class BudgetService {
 
         // Create new budget
         const budget = await Budget.create({
+            workspaceId,
             userId,
             categoryId,
             amount,
@@ -187,10 +194,11 @@ class BudgetService {
             notes: notes || '',
         });
 
+        await auditService.recordCreate('Budget', budget, context);
         await budget.populate('categoryId', 'name icon color type');
 
         // Add spending info
-        const spent = await this.calculateSpendingForPeriod(userId, categoryId, budgetStartDate, budgetEndDate);
+        const spent = await this.calculateSpendingForPeriod(workspaceId, categoryId, budgetStartDate, budgetEndDate);
 
         return {
             ...budget.toObject(),
@@ -205,11 +213,12 @@ class BudgetService {
      * Update a budget
      * @param {string} budgetId - Budget ID
      * @param {Object} data - Update data
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Updated budget
      */
-    async update(budgetId, data, userId) {
-        const budget = await Budget.findOne({ _id: budgetId, userId });
+    async update(budgetId, data, workspaceId, context = {}) {
+        const budget = await Budget.findOne({ _id: budgetId, workspaceId });
         
         if (!budget) {
             const error = new Error('Budget not found');
@@ -224,6 +233,7 @@ class BudgetService {
             throw error;
         }
 
+        const before = auditService.snapshot(budget);
         const { amount, startDate, endDate, periodType, notes } = data;
 
         // Check for overlapping budgets if dates change
@@ -231,7 +241,7 @@ class BudgetService {
             const newStart = startDate ? new Date(startDate) : budget.startDate;
             const newEnd = endDate ? new Date(endDate) : budget.endDate;
             
-            const overlapping = await Budget.checkOverlap(userId, budget.categoryId, newStart, newEnd, budgetId);
+            const overlapping = await Budget.checkOverlap(workspaceId, budget.categoryId, newStart, newEnd, budgetId);
             if (overlapping) {
                 const error = new Error(`Budget for this category already exists for overlapping period`);
                 error.statusCode = 400;
@@ -257,9 +267,10 @@ class BudgetService {
         }
 
         await budget.save();
+        await auditService.recordUpdate('Budget', before, budget, context);
         await budget.populate('categoryId', 'name icon color type');
 
-        const spent = await this.calculateSpendingForPeriod(userId, budget.categoryId._id, budget.startDate, budget.endDate);
+        const spent = await this.calculateSpendingForPeriod(workspaceId, budget.categoryId._id, budget.startDate, budget.endDate);
 
         return {
             ...budget.toObject(),
@@ -273,13 +284,13 @@ class BudgetService {
     /**
      * Get a single budget by ID
      * @param {string} budgetId - Budget ID
-     * @param {string} userId - User ID for authorization
+     * @param {string} workspaceId - Workspace ID for authorization
      * @returns {Object} - Budget object with spending info
      */
-    async getById(budgetId, userId) {
+    async getById(budgetId, workspaceId) {
         const budget = await Budget.findOne({
             _id: budgetId,
-            userId,
+            workspaceId,
         }).populate('categoryId', 'name icon color type');
 
         if (!budget) {
@@ -289,7 +300,7 @@ class BudgetService {
         }
 
         const spent = await this.calculateSpendingForPeriod(
-            userId,
+            workspaceId,
             budget.categoryId._id,
             budget.startDate,
             budget.endDate
@@ -307,13 +318,14 @@ class BudgetService {
     /**
      * Delete a budget
      * @param {string} budgetId - Budget ID
-     * @param {string} userId - User ID for authorization
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
      * @returns {boolean} - Success status
      */
-    async delete(budgetId, userId) {
+    async delete(budgetId, workspaceId, context = {}) {
         const budget = await Budget.findOne({
             _id: budgetId,
-            userId,
+            workspaceId,
         });
 
         if (!budget) {
@@ -330,18 +342,21 @@ class BudgetService {
         }
 
         await budget.deleteOne();
+        await auditService.recordDelete('Budget', budget, context);
+
         return true;
     }
 
     /**
      * Get budget summary for a month or date range
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} month - Month (1-12)
      * @param {number} year - Year
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Budget summary
      */
-    async getMonthlySummary(userId, month, year) {
-        const budgets = await this.getAll(userId, { month, year });
+    async getMonthlySummary(workspaceId, month, year, preferences) {
+        const budgets = await this.getAll(workspaceId, { month, year }, preferences);
 
         const totalBudget = budgets.reduce((sum, b) => sum + b.amount, 0);
         const totalSpent = budgets.reduce((sum, b) => sum + b.spent, 0);
@@ -365,15 +380,15 @@ class BudgetService {
 
     /**
      * Update budget statuses based on current date
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      */
-    async updateBudgetStatuses(userId) {
+    async updateBudgetStatuses(workspaceId) {
         const now = new Date();
 
         // Update upcoming budgets to active
         await Budget.updateMany(
             {
-                userId,
+                workspaceId,
                 status: 'upcoming',
                 startDate: { $lte: now },
                 endDate: { $gte: now },
@@ -384,7 +399,7 @@ class BudgetService {
         // Update active budgets to completed
         await Budget.updateMany(
             {
-                userId,
+                workspaceId,
                 status: { $in: ['upcoming', 'active'] },
                 endDate: { $lt: now },
             },
@@ -394,14 +409,14 @@ class BudgetService {
 
     /**
      * Get budgets that have ended and are eligible for savings transfer
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @returns {Array} - Budgets eligible for transfer
      */
-    async getEndedBudgetsForTransfer(userId) {
-        await this.updateBudgetStatuses(userId);
+    async getEndedBudgetsForTransfer(workspaceId) {
+        await this.updateBudgetStatuses(workspaceId);
 
         const budgets = await Budget.find({
-            userId,
+            workspaceId,
             status: 'completed',
             savingsTransferred: false,
         }).populate('categoryId', 'name icon color type');
@@ -409,7 +424,7 @@ class BudgetService {
         const budgetsWithRemaining = await Promise.all(
             budgets.map(async (budget) => {
                 const spent = await this.calculateSpendingForPeriod(
-                    userId,
+                    workspaceId,
                     budget.categoryId._id,
                     budget.startDate,
                     budget.endDate
@@ -431,38 +446,35 @@ class BudgetService {
     }
 
     /**
-     * Get budget period presets
+     * Get budget period presets in the user's timezone
+     * @param {Object} preferences - User preferences (timezone, weekStartDay, fiscal month start)
      * @param {Date} referenceDate - Reference date for calculations
      * @returns {Array} - Available period presets
      */
-    getPresetPeriods(referenceDate = new Date()) {
-        const now = new Date(referenceDate);
-        
-        // Weekly - current week (Monday to Sunday)
-        const weekStart = new Date(now);
-        const dayOfWeek = weekStart.getDay();
-        const diff = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-        weekStart.setDate(weekStart.getDate() + diff);
-        weekStart.setHours(0, 0, 0, 0);
-        
-        const weekEnd = new Date(weekStart);
-        weekEnd.setDate(weekEnd.getDate() + 6);
-        weekEnd.setHours(23, 59, 59, 999);
-
-        // Monthly - current month
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+    getPresetPeriods(preferences, referenceDate = new Date()) {
+        // Weekly - current week, starting on the user's week start day
+        const { startDate: weekStart, endDate: weekEnd } = getWeekRange(referenceDate, preferences);
+
+        // Monthly - current (fiscal) month
+        const current = getCurrentMonth(preferences, referenceDate);
+        const { startDate: monthStart, endDate: monthEnd } = getMonthRange(
+            current.year,
+            current.month,
+            preferences
+        );
 
-        // Next week
-        const nextWeekStart = new Date(weekStart);
-        nextWeekStart.setDate(nextWeekStart.getDate() + 7);
-        const nextWeekEnd = new Date(nextWeekStart);
-        nextWeekEnd.setDate(nextWeekEnd.getDate() + 6);
-        nextWeekEnd.setHours(23, 59, 59, 999);
+        // Next week (any instant after this week ends)
+        const { startDate: nextWeekStart, endDate: nextWeekEnd } = getWeekRange(
+            new Date(weekEnd.getTime() + 1),
+            preferences
+        );
 
         // Next month
-        const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-        const nextMonthEnd = new Date(now.getFullYear(), now.getMonth() + 2, 0, 23, 59, 59, 999);
+        const { startDate: nextMonthStart, endDate: nextMonthEnd } = getMonthRange(
+            current.year,
+            current.month + 1,
+            preferences
+        );
 
         return [
             {
@@ -507,11 +519,12 @@ class BudgetService {
     /**
      * Mark budget as savings transferred
      * @param {string} budgetId - Budget ID
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} amount - Amount transferred
+     * @param {Object} context - Request context for the audit trail
      */
-    async markSavingsTransferred(budgetId, userId, amount) {
-        const budget = await Budget.findOne({ _id: budgetId, userId });
+    async markSavingsTransferred(budgetId, workspaceId, amount, context = {}) {
+        const budget = await Budget.findOne({ _id: budgetId, workspaceId });
         
         if (!budget) {
             const error = new Error('Budget not found');
@@ -519,31 +532,34 @@ class BudgetService {
             throw error;
         }
 
+        const before = auditService.snapshot(budget);
         budget.savingsTransferred = true;
         budget.savingsTransferAmount = amount;
         budget.savingsTransferDate = new Date();
         
         await budget.save();
+        await auditService.recordUpdate('Budget', before, budget, context);
+
         return budget;
     }
 
     /**
-     * Get active budgets for a user
-     * @param {string} userId - User ID
+     * Get active budgets in a workspace
+     * @param {string} workspaceId - Workspace ID
      * @returns {Array} - Active budgets
      */
-    async getActiveBudgets(userId) {
-        await this.updateBudgetStatuses(userId);
-        return this.getAll(userId, { status: 'active' });
+    async getActiveBudgets(workspaceId) {
+        await this.updateBudgetStatuses(workspaceId);
+        return this.getAll(workspaceId, { status: 'active' });
     }
 
     /**
-     * Check if user has overrun budgets that can be covered from savings
-     * @param {string} userId - User ID
+     * Check if the workspace has overrun budgets that can be covered from savings
+     * @param {string} workspaceId - Workspace ID
      * @returns {Array} - Overrun budgets
      */
-    async getOverrunBudgets(userId) {
-        const activeBudgets = await this.getActiveBudgets(userId);
+    async getOverrunBudgets(workspaceId) {
+        const activeBudgets = await this.getActiveBudgets(workspaceId);
         return activeBudgets.filter(b => b.isOverBudget);
     }
 }
@@ -4,16 +4,35 @@
  */
 
 const Category = require('../models/Category');
+const auditService = require('./audit.service');
+
+// Categories every new workspace starts with
+const DEFAULT_CATEGORIES = [
+    // Expense categories
+    { name: 'Food & Dining', type: 'expense', icon: 'restaurant', color: '#FF6B6B' },
+    { name: 'Transport', type: 'expense', icon: 'directions_car', color: '#4ECDC4' },
+    { name: 'Shopping', type: 'expense', icon: 'shopping_bag', color: '#45B7D1' },
+    { name: 'Bills & Utilities', type: 'expense', icon: 'receipt', color: '#96CEB4' },
+    { name: 'Entertainment', type: 'expense', icon: 'movie', color: '#DDA0DD' },
+    { name: 'Health', type: 'expense', icon: 'medical_services', color: '#98D8C8' },
+    { name: 'Education', type: 'expense', icon: 'school', color: '#F7DC6F' },
+    { name: 'Other Expense', type: 'expense', icon: 'more_horiz', color: '#BDC3C7' },
+    // Income categories
+    { name: 'Salary', type: 'income', icon: 'work', color: '#2ECC71' },
+    { name: 'Freelance', type: 'income', icon: 'laptop', color: '#3498DB' },
+    { name: 'Investment', type: 'income', icon: 'trending_up', color: '#9B59B6' },
+    { name: 'Other Income', type: 'income', icon: 'attach_money', color: '#1ABC9C' },
+];
 
 class CategoryService {
     /**
-     * Get all categories for a user
-     * @param {string} userId - User ID
+     * Get all categories in a workspace
+     * @param {string} workspaceId - Workspace ID
      * @param {string} type - Optional filter by type (income/expense)
      * @returns {Array} - List of categories
      */
-    async getAll(userId, type = null) {
-        const query = { userId };
+    async getAll(workspaceId, type = null) {
+        const query = { workspaceId };
 
         if (type) {
             query.type = type;
@@ -23,14 +42,31 @@ class CategoryService {
         return categories;
     }
 
+    /**
+     * Create the default categories for a new workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the workspace
+     * @returns {Array} - Created categories
+     */
+    async createDefaults(workspaceId, userId) {
+        return Category.insertMany(
+            DEFAULT_CATEGORIES.map((category) => ({
+                ...category,
+                workspaceId,
+                userId,
+                isDefault: true,
+            }))
+        );
+    }
+
     /**
      * Get a single category by ID
      * @param {string} categoryId - Category ID
-     * @param {string} userId - User ID for authorization
+     * @param {string} workspaceId - Workspace ID for authorization
      * @returns {Object} - Category object
      */
-    async getById(categoryId, userId) {
-        const category = await Category.findOne({ _id: categoryId, userId });
+    async getById(categoryId, workspaceId) {
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
 
         if (!category) {
             const error = new Error('Category not found');
@@ -44,14 +80,16 @@ class CategoryService {
     /**
      * Create a new category
      * @param {Object} data - { name, type, icon, color }
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the category
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Created category
      */
-    async create(data, userId) {
+    async create(data, workspaceId, userId, context = {}) {
         const { name, type, icon, color } = data;
 
         // Check for duplicate category
-        const existing = await Category.findOne({ userId, name, type });
+        const existing = await Category.findOne({ workspaceId, name, type });
         if (existing) {
             const error = new Error(`A ${type} category with this name already exists`);
             error.statusCode = 400;
@@ -59,6 +97,7 @@ class CategoryService {
         }
 
         const category = await Category.create({
+            workspaceId,
             userId,
             name,
             type,
@@ -67,6 +106,8 @@ class CategoryService {
             isDefault: false,
         });
 
+        await auditService.recordCreate('Category', category, context);
+
         return category;
     }
 
@@ -74,11 +115,12 @@ class CategoryService {
      * Update a category
      * @param {string} categoryId - Category ID
      * @param {Object} data - Update data
-     * @param {string} userId - User ID for authorization
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Updated category
      */
-    async update(categoryId, data, userId) {
-        const category = await Category.findOne({ _id: categoryId, userId });
+    async update(categoryId, data, workspaceId, context = {}) {
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
 
         if (!category) {
             const error = new Error('Category not found');
@@ -96,7 +138,7 @@ class CategoryService {
         // Check for duplicate name if name is being changed
         if (data.name && data.name !== category.name) {
             const existing = await Category.findOne({
-                userId,
+                workspaceId,
                 name: data.name,
                 type: data.type || category.type,
                 _id: { $ne: categoryId },
@@ -109,6 +151,8 @@ class CategoryService {
             }
         }
 
+        const before = auditService.snapshot(category);
+
         // Update allowed fields
         if (data.name) category.name = data.name;
         if (data.type) category.type = data.type;
@@ -116,17 +160,20 @@ class CategoryService {
         if (data.color) category.color = data.color;
 
         await category.save();
+        await auditService.recordUpdate('Category', before, category, context);
+
         return category;
     }
 
     /**
      * Delete a category
      * @param {string} categoryId - Category ID
-     * @param {string} userId - User ID for authorization
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
      * @returns {boolean} - Success status
      */
-    async delete(categoryId, userId) {
-        const category = await Category.findOne({ _id: categoryId, userId });
+    async delete(categoryId, workspaceId, context = {}) {
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
 
         if (!category) {
             const error = new Error('Category not found');
@@ -143,7 +190,10 @@ class CategoryService {
 
         // Check if category has transactions
         const Transaction = require('../models/Transaction');
-        const transactionCount = await Transaction.countDocuments({ categoryId });
+        const transactionCount = await Transaction.countDocuments({
+            workspaceId,
+            ...Transaction.categoryCondition(categoryId),
+        });
 
         if (transactionCount > 0) {
             const error = new Error(
@@ -153,7 +203,36 @@ class CategoryService {
             throw error;
         }
 
+        // Recurring transactions would keep posting to it
+        const RecurringTransaction = require('../models/RecurringTransaction');
+        const recurringCount = await RecurringTransaction.countDocuments({
+            workspaceId,
+            $or: [{ categoryId }, { 'exceptions.categoryId': categoryId }],
+        });
+
+        if (recurringCount > 0) {
+            const error = new Error(
+                `Cannot delete category used by ${recurringCount} recurring transaction(s). Change or delete them first.`
+            );
+            error.statusCode = 400;
+            throw error;
+        }
+
+        // Categorization rules would keep assigning it
+        const CategoryRule = require('../models/CategoryRule');
+        const ruleCount = await CategoryRule.countDocuments({ workspaceId, categoryId });
+
+        if (ruleCount > 0) {
+            const error = new Error(
+                `Cannot delete category used by ${ruleCount} categorization rule(s). Change or delete them first.`
+            );
+            error.statusCode = 400;
+            throw error;
+        }
+
         await category.deleteOne();
+        await auditService.recordDelete('Category', category, context);
+
         return true;
     }
 }
@@ -0,0 +1,371 @@
+/**
+ * Category Rule Service
+ * Auto-categorization rules: CRUD, matching and re-running the rules on
+ * existing transactions
+ */
+
+const CategoryRule = require('../models/CategoryRule');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const auditService = require('./audit.service');
+const categorySuggestionService = require('./categorySuggestion.service');
+const { resolvePreferences, getZonedParts } = require('../utils/dateRanges');
+
+const EDITABLE_FIELDS = [
+    'name',
+    'priority',
+    'active',
+    'descriptionPattern',
+    'descriptionMatch',
+    'caseSensitive',
+    'minAmount',
+    'maxAmount',
+    'weekdays',
+    'timezone',
+];
+
+// Transactions updated per bulk write when applying a re-run
+const RERUN_BATCH_SIZE = 500;
+
+class CategoryRuleService {
+    /**
+     * Get a workspace's rules in the order they are tried
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Array} - Rules
+     */
+    async getAll(workspaceId) {
+        return CategoryRule.find({ workspaceId })
+            .populate('categoryId', 'name icon color type')
+            .sort({ priority: 1, createdAt: 1 });
+    }
+
+    /**
+     * Get a single rule
+     * @param {string} ruleId - Rule ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Object} - Rule
+     */
+    async getById(ruleId, workspaceId) {
+        const rule = await this.findRule(ruleId, workspaceId);
+        await rule.populate('categoryId', 'name icon color type');
+
+        return rule;
+    }
+
+    /**
+     * Create a rule
+     * @param {Object} data - { name, categoryId, priority, active, descriptionPattern, descriptionMatch,
+     *                          caseSensitive, minAmount, maxAmount, weekdays, timezone }
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the rule
+     * @param {Object} preferences - User preferences (default timezone for weekday conditions)
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Created rule
+     */
+    async create(data, workspaceId, userId, preferences, context = {}) {
+        const category = await this.findCategory(data.categoryId, workspaceId);
+
+        const rule = new CategoryRule({
+            workspaceId,
+            userId,
+            categoryId: category._id,
+            type: category.type,
+            timezone: resolvePreferences(preferences).timezone,
+        });
+        for (const field of EDITABLE_FIELDS) {
+            if (data[field] !== undefined) rule[field] = data[field];
+        }
+
+        await rule.save();
+        await auditService.recordCreate('CategoryRule', rule, context);
+        await rule.populate('categoryId', 'name icon color type');
+
+        return rule;
+    }
+
+    /**
+     * Update a rule. Transactions it already categorized are not changed;
+     * re-run the rules for that.
+     * @param {string} ruleId - Rule ID
+     * @param {Object} data - Fields to update
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated rule
+     */
+    async update(ruleId, data, workspaceId, context = {}) {
+        const rule = await this.findRule(ruleId, workspaceId);
+        const before = auditService.snapshot(rule);
+
+        if (data.categoryId) {
+            const category = await this.findCategory(data.categoryId, workspaceId);
+            rule.categoryId = category._id;
+            rule.type = category.type;
+        }
+        for (const field of EDITABLE_FIELDS) {
+            if (data[field] !== undefined) rule[field] = data[field];
+        }
+
+        await rule.save();
+        await auditService.recordUpdate('CategoryRule', before, rule, context);
+        await rule.populate('categoryId', 'name icon color type');
+
+        return rule;
+    }
+
+    /**
+     * Delete a rule. Transactions keep the category it picked.
+     * @param {string} ruleId - Rule ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {boolean} - Success status
+     */
+    async delete(ruleId, workspaceId, context = {}) {
+        const rule = await this.findRule(ruleId, workspaceId);
+
+        await Transaction.updateMany(
+            { workspaceId, categoryRuleId: rule._id },
+            { $set: { categoryRuleId: null } }
+        );
+        await rule.deleteOne();
+        await auditService.recordDelete('CategoryRule', rule, context);
+
+        return true;
+    }
+
+    /**
+     * Pick a category for a new transaction
+     * @param {Object} transaction - { type, amount, description, date }
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object|null} - First matching rule, or null
+     */
+    async categorize(transaction, workspaceId) {
+        const rules = await this.loadRules(workspaceId, { type: transaction.type });
+        return this.findMatch(transaction, rules);
+    }
+
+    /**
+     * Load active rules in priority order
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { type, ruleIds } to narrow the rules
+     * @returns {Array} - Lean rules
+     */
+    async loadRules(workspaceId, { type = null, ruleIds = null } = {}) {
+        const query = { workspaceId, active: true };
+        if (type) query.type = type;
+        if (ruleIds && ruleIds.length) query._id = { $in: ruleIds };
+
+        return CategoryRule.find(query).sort({ priority: 1, createdAt: 1 }).lean();
+    }
+
+    /**
+     * First rule whose conditions all hold for a transaction
+     * @param {Object} transaction - { type, amount, description, date }
+     * @param {Array} rules - Rules from loadRules
+     * @returns {Object|null} - Matching rule
+     */
+    findMatch(transaction, rules) {
+        return rules.find((rule) => {
+            if (rule.type !== transaction.type) return false;
+            if (!CategoryRule.matchesDescription(transaction.description, rule)) return false;
+            if (rule.minAmount !== null && transaction.amount < rule.minAmount) return false;
+            if (rule.maxAmount !== null && transaction.amount > rule.maxAmount) return false;
+            if (rule.weekdays.length) {
+                const { weekday } = getZonedParts(new Date(transaction.date), rule.timezone);
+                if (!rule.weekdays.includes(weekday)) return false;
+            }
+            return true;
+        }) || null;
+    }
+
+    /**
+     * Dry run of re-running the rules on existing transactions
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { ruleIds, categoryId, from, to, excludeTransactionIds }
+     * @param {Object} paging - { page, limit } for the listed changes
+     * @returns {Object} - { scanned, total, changes, page, limit }
+     */
+    async previewRerun(workspaceId, options = {}, { page = 1, limit = 50 } = {}) {
+        const categories = await Category.find({ workspaceId }).select('name').lean();
+        const categoryNames = new Map(categories.map((category) => [String(category._id), category.name]));
+        const first = (page - 1) * limit;
+
+        const changes = [];
+        let total = 0;
+        let scanned = 0;
+
+        for await (const { transaction, rule } of this.findRerunChanges(workspaceId, options)) {
+            scanned++;
+            if (rule) {
+                if (total >= first && changes.length < limit) {
+                    changes.push({
+                        transactionId: transaction._id,
+                        date: transaction.date,
+                        type: transaction.type,
+                        amount: transaction.amount,
+                        description: transaction.description,
+                        fromCategory: {
+                            _id: transaction.categoryId,
+                            name: categoryNames.get(String(transaction.categoryId)) || null,
+                        },
+                        toCategory: {
+                            _id: rule.categoryId,
+                            name: categoryNames.get(String(rule.categoryId)) || null,
+                        },
+                        rule: { _id: rule._id, name: rule.name },
+                    });
+                }
+                total++;
+            }
+        }
+
+        return { scanned, total, changes, page, limit };
+    }
+
+    /**
+     * Re-run the rules on existing transactions and recategorize the ones a
+     * rule now assigns to a different category. Transactions edited since they
+     * were read are left alone.
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { ruleIds, categoryId, from, to, excludeTransactionIds }
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - { scanned, updated }
+     */
+    async applyRerun(workspaceId, options = {}, context = {}) {
+        let batch = [];
+        let scanned = 0;
+        let updated = 0;
+
+        const flush = async () => {
+            if (!batch.length) return;
+
+            await Transaction.bulkWrite(batch.map(({ transaction, rule }) => ({
+                updateOne: {
+                    filter: {
+                        _id: transaction._id,
+                        workspaceId,
+                        categoryId: transaction.categoryId,
+                        splits: { $size: 0 },
+                    },
+                    update: { $set: { categoryId: rule.categoryId, categoryRuleId: rule._id } },
+                },
+            })), { ordered: false });
+
+            // Only audit the transactions that now carry the rule's category
+            const current = await Transaction.find({ _id: { $in: batch.map(({ transaction }) => transaction._id) } })
+                .select('categoryId categoryRuleId')
+                .lean();
+            const applied = new Set(current.map((transaction) => (
+                `${transaction._id}:${transaction.categoryId}:${transaction.categoryRuleId}`
+            )));
+            const changed = batch.filter(({ transaction, rule }) => (
+                applied.has(`${transaction._id}:${rule.categoryId}:${rule._id}`)
+            ));
+            updated += changed.length;
+
+            await categorySuggestionService.relearn(changed.map(({ transaction, rule }) => ({
+                before: transaction,
+                after: { ...transaction, categoryId: rule.categoryId },
+            })));
+
+            await auditService.recordUpdateMany('Transaction', changed.map(({ transaction, rule }) => ({
+                doc: transaction,
+                before: { categoryId: transaction.categoryId, categoryRuleId: transaction.categoryRuleId },
+                after: { categoryId: rule.categoryId, categoryRuleId: rule._id },
+            })), context, { rerunRules: true });
+
+            batch = [];
+        };
+
+        for await (const { transaction, rule } of this.findRerunChanges(workspaceId, options)) {
+            scanned++;
+            if (!rule) continue;
+
+            batch.push({ transaction, rule });
+            if (batch.length >= RERUN_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        return { scanned, updated };
+    }
+
+    /**
+     * Walk the transactions a re-run covers (split transactions are skipped)
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { ruleIds, categoryId, from, to, excludeTransactionIds }
+     * @returns {AsyncGenerator} - { transaction, rule } for each transaction; rule is the
+     *                             matching rule when it changes the category, else null
+     */
+    async* findRerunChanges(workspaceId, options = {}) {
+        const { ruleIds = null, categoryId = null, from = null, to = null, excludeTransactionIds = [] } = options;
+        const rules = await this.loadRules(workspaceId, { ruleIds });
+        if (!rules.length) return;
+
+        // A rule left pointing at a deleted category must not write that category into transactions
+        const categories = await Category.find({
+            workspaceId,
+            _id: { $in: rules.map((rule) => rule.categoryId) },
+        }).select('_id').lean();
+        const existingCategoryIds = new Set(categories.map((category) => String(category._id)));
+
+        const query = { workspaceId, splits: { $size: 0 } };
+        if (categoryId) query.categoryId = categoryId;
+        if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = new Date(from);
+            if (to) query.date.$lte = new Date(to);
+        }
+        if (excludeTransactionIds.length) query._id = { $nin: excludeTransactionIds };
+
+        const cursor = Transaction.find(query)
+            .select('workspaceId type amount description date categoryId categoryRuleId')
+            .sort({ date: 1, _id: 1 })
+            .lean()
+            .cursor();
+
+        for await (const transaction of cursor) {
+            const rule = this.findMatch(transaction, rules);
+            const changes = rule
+                && existingCategoryIds.has(String(rule.categoryId))
+                && String(rule.categoryId) !== String(transaction.categoryId);
+            yield { transaction, rule: changes ? rule : null };
+        }
+    }
+
+    /**
+     * Find a category in the workspace
+     * @param {string} categoryId - Category ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Category
+     */
+    async findCategory(categoryId, workspaceId) {
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
+
+        if (!category) {
+            const error = new Error('Category not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return category;
+    }
+
+    /**
+     * Find a rule in the workspace
+     * @param {string} ruleId - Rule ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Rule
+     */
+    async findRule(ruleId, workspaceId) {
+        const rule = await CategoryRule.findOne({ _id: ruleId, workspaceId });
+
+        if (!rule) {
+            const error = new Error('Rule not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return rule;
+    }
+}
+
+module.exports = new CategoryRuleService();
@@ -0,0 +1,244 @@
+/**
+ * Category Suggestion Service
+ * Ranks a workspace's categories for a description and amount with a naive
+ * Bayes classifier trained on the workspace's own transactions. The
+ * classifier is built on first use and then updated incrementally.
+ */
+
+const CategoryClassifier = require('../models/CategoryClassifier');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+
+// Tokens learned per description; the rest of a long description is ignored
+const MAX_TOKENS = 20;
+
+/**
+ * Words of a description: lowercase letters and digits without accents.
+ * Numbers alone (references, card digits, dates) say nothing about the category.
+ * @param {string} text - Description
+ * @returns {Array} - Distinct tokens
+ */
+const tokenize = (text) => {
+    const words = String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+
+    const tokens = words.filter((word) => word.length >= 2 && word.length <= 30 && !/^\d+$/.test(word));
+    return [...new Set(tokens)].slice(0, MAX_TOKENS);
+};
+
+/**
+ * Half-octave bucket of an amount, so 10 and 11 fall together but 10 and 40 do not
+ * @param {number} amount - Positive amount
+ * @returns {string} - Bucket key
+ */
+const amountBucket = (amount) => String(Math.floor(Math.log2(amount) * 2));
+
+class CategorySuggestionService {
+    /**
+     * Rank categories for a transaction being entered
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} input - { description, amount, type } (amount and type optional)
+     * @param {number} limit - Number of suggestions
+     * @returns {Object} - { suggestions: [{ category, confidence }], trainedOn }
+     */
+    async suggest(workspaceId, { description, amount = null, type = null }, limit = 5) {
+        const classifier = await this.getClassifier(workspaceId);
+
+        const categoryQuery = { workspaceId };
+        if (type) categoryQuery.type = type;
+        const categories = await Category.find(categoryQuery).select('name icon color type').lean();
+
+        // Own keys only: a word like "constructor" must not find Object's property
+        const lookup = (counts, key) => (counts && Object.hasOwn(counts, key) ? counts[key] : null);
+        const count = (counts, categoryId) => Math.max(0, lookup(counts, categoryId) || 0);
+        const trainedOn = categories.reduce(
+            (sum, category) => sum + count(classifier.samples, String(category._id)),
+            0
+        );
+
+        if (!trainedOn) {
+            return { suggestions: [], trainedOn: 0 };
+        }
+
+        // Words never seen in training carry no information and are skipped
+        const tokens = tokenize(description).filter((token) => lookup(classifier.tokens, token));
+        const vocabularySize = Object.keys(classifier.tokens).length;
+        const amountCounts = amount ? lookup(classifier.amounts, amountBucket(amount)) : null;
+        const bucketCount = Object.keys(classifier.amounts).length;
+
+        // Log-probabilities with add-one smoothing
+        const scored = categories.map((category) => {
+            const categoryId = String(category._id);
+            const samples = count(classifier.samples, categoryId);
+            const tokenTotal = count(classifier.tokenTotals, categoryId);
+
+            let score = Math.log((samples + 1) / (trainedOn + categories.length));
+            for (const token of tokens) {
+                const tokenCount = count(lookup(classifier.tokens, token), categoryId);
+                score += Math.log((tokenCount + 1) / (tokenTotal + vocabularySize));
+            }
+            if (amountCounts) {
+                score += Math.log((count(amountCounts, categoryId) + 1) / (samples + bucketCount));
+            }
+
+            return { category, score };
+        });
+
+        // Normalize into probabilities
+        const best = Math.max(...scored.map((entry) => entry.score));
+        const total = scored.reduce((sum, entry) => sum + Math.exp(entry.score - best), 0);
+
+        const suggestions = scored
+            .map(({ category, score }) => ({
+                category,
+                confidence: Math.round((Math.exp(score - best) / total) * 10000) / 10000,
+            }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, limit);
+
+        return { suggestions, trainedOn };
+    }
+
+    /**
+     * Learn from new transactions
+     * @param {Array} transactions - Transactions (documents or plain objects)
+     */
+    async learn(transactions) {
+        await this.apply(transactions.map((transaction) => ({ transaction, weight: 1 })));
+    }
+
+    /**
+     * Unlearn deleted transactions
+     * @param {Array} transactions - Transactions as they were before deletion
+     */
+    async forget(transactions) {
+        await this.apply(transactions.map((transaction) => ({ transaction, weight: -1 })));
+    }
+
+    /**
+     * Move what was learned from transactions to their edited version
+     * @param {Array} changes - [{ before, after }], before as a snapshot from before the edit
+     */
+    async relearn(changes) {
+        await this.apply(changes.flatMap(({ before, after }) => [
+            { transaction: before, weight: -1 },
+            { transaction: after, weight: 1 },
+        ]));
+    }
+
+    /**
+     * Increment the counts of already trained classifiers. Workspaces without
+     * one are skipped; their classifier is built from scratch on first use.
+     * @param {Array} entries - [{ transaction, weight }]
+     */
+    async apply(entries) {
+        const incrementsByWorkspace = new Map();
+
+        for (const { transaction, weight } of entries) {
+            const workspaceId = String(transaction.workspaceId);
+            if (!incrementsByWorkspace.has(workspaceId)) incrementsByWorkspace.set(workspaceId, {});
+            this.addCounts(incrementsByWorkspace.get(workspaceId), transaction, weight, 'dotted');
+        }
+
+        for (const [workspaceId, increments] of incrementsByWorkspace) {
+            // Opposite changes (e.g. an edit that only touched the date) cancel out
+            for (const [path, value] of Object.entries(increments)) {
+                if (value === 0) delete increments[path];
+            }
+            if (!Object.keys(increments).length) continue;
+
+            await CategoryClassifier.updateOne({ workspaceId }, { $inc: increments });
+        }
+    }
+
+    /**
+     * The workspace's classifier counts, training it first if needed
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Plain { samples, tokenTotals, tokens, amounts }
+     */
+    async getClassifier(workspaceId) {
+        const classifier = await CategoryClassifier.findOne({ workspaceId }).lean();
+
+        return classifier || this.train(workspaceId);
+    }
+
+    /**
+     * Build a workspace's classifier from all of its transactions
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Plain classifier counts
+     */
+    async train(workspaceId) {
+        const counts = { samples: {}, tokenTotals: {}, tokens: {}, amounts: {} };
+
+        const cursor = Transaction.find({ workspaceId })
+            .select('workspaceId description amount categoryId splits')
+            .lean()
+            .cursor();
+        for await (const transaction of cursor) {
+            this.addCounts(counts, transaction, 1, 'nested');
+        }
+
+        try {
+            await CategoryClassifier.replaceOne(
+                { workspaceId },
+                { workspaceId, ...counts, trainedAt: new Date() },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Trained by a concurrent request; its counts are as good as ours
+            if (error.code !== 11000) throw error;
+        }
+
+        return counts;
+    }
+
+    /**
+     * Add one transaction's samples to a set of counts. A split transaction
+     * is learned once per line, with the line's amount.
+     * @param {Object} target - Counts to add to
+     * @param {Object} transaction - { description, amount, categoryId, splits }
+     * @param {number} weight - 1 to learn, -1 to unlearn
+     * @param {string} shape - 'nested' for classifier fields, 'dotted' for $inc paths
+     */
+    addCounts(target, transaction, weight, shape) {
+        const lines = transaction.splits && transaction.splits.length
+            ? transaction.splits
+            : [{ categoryId: transaction.categoryId, amount: transaction.amount }];
+        const tokens = tokenize(transaction.description);
+
+        const add = (field, key, categoryId, value) => {
+            if (shape === 'dotted') {
+                const path = [field, key, categoryId].filter((part) => part !== null).join('.');
+                target[path] = (target[path] || 0) + value;
+                return;
+            }
+
+            let counts = target[field];
+            if (key !== null) {
+                if (!Object.hasOwn(counts, key)) counts[key] = {};
+                counts = counts[key];
+            }
+            counts[categoryId] = (counts[categoryId] || 0) + value;
+        };
+
+        for (const line of lines) {
+            if (!line.categoryId) continue;
+            // Populated references carry the ID in _id
+            const categoryId = String(line.categoryId._id || line.categoryId);
+
+            add('samples', null, categoryId, weight);
+            add('tokenTotals', null, categoryId, tokens.length * weight);
+            for (const token of tokens) {
+                add('tokens', token, categoryId, weight);
+            }
+            if (line.amount > 0) {
+                add('amounts', amountBucket(line.amount), categoryId, weight);
+            }
+        }
+    }
+}
+
+module.exports = new CategorySuggestionService();
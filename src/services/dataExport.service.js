@@ -0,0 +1,117 @@
+/**
+ * Data Export Service
+ * Streams a complete, versioned JSON archive of a user's data
+ */
+
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Tag = require('../models/Tag');
+const Payee = require('../models/Payee');
+const Account = require('../models/Account');
+const Attachment = require('../models/Attachment');
+const ImportProfile = require('../models/ImportProfile');
+const CategoryRule = require('../models/CategoryRule');
+const Budget = require('../models/Budget');
+const Savings = require('../models/Savings');
+const SavingsTransaction = require('../models/SavingsTransaction');
+const { writeChunk } = require('../utils/streams');
+
+// Bump when the archive layout changes in a way importers must know about
+const EXPORT_FORMAT_VERSION = 1;
+
+// Archive sections streamed as arrays, in output order
+const COLLECTION_SECTIONS = [
+    { key: 'categories', model: Category, sort: { type: 1, name: 1 } },
+    { key: 'tags', model: Tag, sort: { name: 1 } },
+    { key: 'payees', model: Payee, sort: { name: 1 } },
+    { key: 'accounts', model: Account, sort: { name: 1 } },
+    { key: 'transactions', model: Transaction, sort: { date: 1, _id: 1 } },
+    { key: 'attachments', model: Attachment, sort: { createdAt: 1, _id: 1 } },
+    { key: 'recurringTransactions', model: RecurringTransaction, sort: { createdAt: 1, _id: 1 } },
+    { key: 'budgets', model: Budget, sort: { startDate: 1, _id: 1 } },
+    { key: 'savingsTransactions', model: SavingsTransaction, sort: { createdAt: 1, _id: 1 } },
+    { key: 'importProfiles', model: ImportProfile, sort: { name: 1 } },
+    { key: 'categoryRules', model: CategoryRule, sort: { priority: 1, createdAt: 1 } },
+];
+
+class DataExportService {
+    /**
+     * Write a chunk, waiting for the stream to drain when its buffer is full;
+     * rejects when the client disconnects
+     * @param {Object} stream - Writable stream
+     * @param {string} chunk - Data to write
+     */
+    async write(stream, chunk) {
+        await writeChunk(stream, chunk);
+    }
+
+    /**
+     * Strip Mongo internals that have no meaning outside this database
+     */
+    clean(doc) {
+        const { __v, userId, ...rest } = doc;
+        return rest;
+    }
+
+    /**
+     * Build the archive file name for a download
+     * @returns {string} - File name
+     */
+    getFileName() {
+        return `budget-tracker-export-${new Date().toISOString().slice(0, 10)}.json`;
+    }
+
+    /**
+     * Stream the user's archive as JSON. Collections are read with cursors so
+     * large histories are never fully buffered in memory.
+     * @param {string} userId - User ID
+     * @param {Object} stream - Writable stream (e.g. Express response)
+     */
+    async streamUserArchive(userId, stream) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const savings = await Savings.findOne({ userId }).lean();
+
+        const header = {
+            format: 'budget-tracker-export',
+            version: EXPORT_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: user.toJSON(),
+            savings: savings ? this.clean(savings) : null,
+        };
+
+        // Open the top-level object, leaving it unterminated for the streamed sections
+        await this.write(stream, JSON.stringify(header, null, 2).replace(/\n}$/, ''));
+
+        for (const { key, model, sort } of COLLECTION_SECTIONS) {
+            await this.write(stream, `,\n  "${key}": [`);
+
+            const cursor = model.find({ userId }).sort(sort).lean().cursor();
+            let first = true;
+            // A failed write (e.g. the client disconnected) ends the loop early; the cursor closes here
+            try {
+                for await (const doc of cursor) {
+                    await this.write(stream, `${first ? '\n' : ',\n'}    ${JSON.stringify(this.clean(doc))}`);
+                    first = false;
+                }
+            } finally {
+                await cursor.close();
+            }
+
+            await this.write(stream, first ? ']' : '\n  ]');
+        }
+
+        await this.write(stream, '\n}\n');
+        stream.end();
+    }
+}
+
+module.exports = new DataExportService();
@@ -0,0 +1,335 @@
+/**
+ * Duplicate Service
+ * Finds likely duplicate transactions (same type and amount, close dates,
+ * similar descriptions) and resolves them by merging or dismissing
+ */
+
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Attachment = require('../models/Attachment');
+const Tag = require('../models/Tag');
+const DuplicateDismissal = require('../models/DuplicateDismissal');
+const auditService = require('./audit.service');
+const categorySuggestionService = require('./categorySuggestion.service');
+const { ATTACHMENT_MAX_PER_TRANSACTION } = require('../config/env');
+
+// Default number of days two duplicates may be apart
+const DEFAULT_WINDOW_DAYS = 3;
+
+// Description similarity (0-1) from which a pair counts as a duplicate
+const MIN_SIMILARITY = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CANDIDATE_FIELDS = 'date type amount description categoryId accountId transferAccountId payeeId splits tags '
+    + 'externalId importBatchId recurringTransactionId occurrenceDate';
+
+const cents = (amount) => Math.round(amount * 100);
+
+/**
+ * Letter bigrams of a description, ignoring case, accents, digits and punctuation
+ * @param {string} text - Description
+ * @returns {Array} - Bigrams (with repeats)
+ */
+const bigrams = (text) => {
+    const letters = String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}]+/gu, ' ')
+        .trim();
+
+    const result = [];
+    for (const word of letters.split(' ')) {
+        for (let i = 0; i < word.length - 1; i++) result.push(word.slice(i, i + 2));
+    }
+    return result;
+};
+
+class DuplicateService {
+    /**
+     * Review queue: pairs of likely duplicates that were not dismissed, newest first
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { days, page, limit }
+     * @returns {Object} - { candidates, total, page, limit }
+     */
+    async getQueue(workspaceId, { days = DEFAULT_WINDOW_DAYS, page = 1, limit = 20 } = {}) {
+        const dismissed = await this.loadDismissed(workspaceId);
+
+        // Same type and amount come together; within a run, dates ascend
+        const cursor = Transaction.find({ workspaceId })
+            .select(CANDIDATE_FIELDS)
+            .sort({ type: 1, amount: 1, date: 1 })
+            .lean()
+            .cursor();
+
+        const pairs = [];
+        let window = [];
+        for await (const transaction of cursor) {
+            window = window.filter((earlier) => earlier.type === transaction.type
+                && cents(earlier.amount) === cents(transaction.amount)
+                && transaction.date - earlier.date <= days * DAY_MS);
+
+            for (const earlier of window) {
+                const similarity = this.compare(earlier, transaction, days);
+                if (similarity !== null && !dismissed.has(DuplicateDismissal.pairKey(earlier._id, transaction._id))) {
+                    pairs.push({ transactions: [earlier, transaction], similarity });
+                }
+            }
+
+            window.push(transaction);
+        }
+
+        pairs.sort((a, b) => b.transactions[1].date - a.transactions[1].date);
+        const pagePairs = pairs.slice((page - 1) * limit, page * limit);
+
+        const described = await this.describe(pagePairs.flatMap((pair) => pair.transactions), workspaceId);
+        const candidates = pagePairs.map((pair, index) => ({
+            transactions: described.slice(index * 2, index * 2 + 2),
+            similarity: pair.similarity,
+        }));
+
+        return { candidates, total: pairs.length, page, limit };
+    }
+
+    /**
+     * Existing transactions a transaction looks like a duplicate of
+     * @param {Object} transaction - Transaction (e.g. one just created)
+     * @param {string} workspaceId - Workspace ID
+     * @param {number} days - Maximum days apart
+     * @returns {Array} - [{ transaction, similarity }], most similar first
+     */
+    async findMatches(transaction, workspaceId, days = DEFAULT_WINDOW_DAYS) {
+        const date = new Date(transaction.date);
+        const candidates = await Transaction.find({
+            workspaceId,
+            _id: { $ne: transaction._id },
+            type: transaction.type,
+            amount: { $gte: transaction.amount - 0.005, $lte: transaction.amount + 0.005 },
+            date: {
+                $gte: new Date(date.getTime() - days * DAY_MS),
+                $lte: new Date(date.getTime() + days * DAY_MS),
+            },
+        })
+            .select(CANDIDATE_FIELDS)
+            .lean();
+        if (!candidates.length) return [];
+
+        const dismissed = await this.loadDismissed(workspaceId, transaction._id);
+
+        const matches = candidates
+            .map((candidate) => ({ transaction: candidate, similarity: this.compare(transaction, candidate, days) }))
+            .filter(({ transaction: candidate, similarity }) => similarity !== null
+                && !dismissed.has(DuplicateDismissal.pairKey(transaction._id, candidate._id)))
+            .sort((a, b) => b.similarity - a.similarity);
+
+        const described = await this.describe(matches.map((match) => match.transaction), workspaceId);
+        return matches.map((match, index) => ({ transaction: described[index], similarity: match.similarity }));
+    }
+
+    /**
+     * Merge a duplicate into the transaction to keep. The kept transaction
+     * gains the other's tags, attachments, bank ID and (if it has none) its
+     * description and payee; the duplicate is deleted.
+     * @param {string} keepId - Transaction to keep
+     * @param {string} removeId - Duplicate to remove
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Kept transaction
+     */
+    async merge(keepId, removeId, workspaceId, context = {}) {
+        if (String(keepId) === String(removeId)) {
+            const error = new Error('A transaction cannot be merged into itself');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const [kept, removed] = await Promise.all([
+            this.findTransaction(keepId, workspaceId),
+            this.findTransaction(removeId, workspaceId),
+        ]);
+
+        if (kept.type !== removed.type) {
+            const error = new Error('Only transactions of the same type can be merged');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (kept.externalId && removed.externalId) {
+            const error = new Error('Both transactions were imported from a bank statement; they are not duplicates');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const attachmentCount = await Attachment.countDocuments({ transactionId: { $in: [kept._id, removed._id] } });
+        if (attachmentCount > ATTACHMENT_MAX_PER_TRANSACTION) {
+            const error = new Error(
+                `The merged transaction would have more than ${ATTACHMENT_MAX_PER_TRANSACTION} attachments`
+            );
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const before = auditService.snapshot(kept);
+
+        kept.tags = Tag.normalizeNames([...kept.tags, ...removed.tags]);
+        if (!kept.description) kept.description = removed.description;
+        if (!kept.payeeId) kept.payeeId = removed.payeeId;
+        const externalId = kept.externalId || removed.externalId;
+
+        await Attachment.updateMany({ transactionId: removed._id }, { $set: { transactionId: kept._id } });
+        // The bank ID is unique per workspace, so it moves once the duplicate is gone
+        await removed.deleteOne();
+        kept.externalId = externalId;
+        await kept.save();
+
+        await DuplicateDismissal.deleteMany({ workspaceId, transactionIds: removed._id });
+
+        await categorySuggestionService.forget([removed]);
+        await categorySuggestionService.relearn([{ before, after: kept }]);
+        await auditService.recordDelete('Transaction', removed, context, { mergedInto: kept._id });
+        await auditService.recordUpdate('Transaction', before, kept, context, { mergedFrom: removed._id });
+
+        await kept.populate([
+            { path: 'categoryId', select: 'name icon color type' },
+            { path: 'splits.categoryId', select: 'name icon color type' },
+        ]);
+
+        return kept;
+    }
+
+    /**
+     * Mark a pair as not duplicates; dismissing it again is a no-op
+     * @param {Array} transactionIds - The two transaction IDs
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user dismissing the pair
+     * @returns {Object} - Dismissal
+     */
+    async dismiss(transactionIds, workspaceId, userId) {
+        const [first, second] = transactionIds;
+        if (String(first) === String(second)) {
+            const error = new Error('A dismissal needs two different transactions');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const transactions = await Promise.all(transactionIds.map((id) => this.findTransaction(id, workspaceId)));
+        const pairKey = DuplicateDismissal.pairKey(first, second);
+
+        return DuplicateDismissal.findOneAndUpdate(
+            { workspaceId, pairKey },
+            {
+                $setOnInsert: {
+                    workspaceId,
+                    userId,
+                    pairKey,
+                    transactionIds: transactions.map((transaction) => transaction._id).sort(),
+                },
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Similarity of two transactions of the same type and amount, or null if
+     * they are not duplicates: too far apart, different bank transactions,
+     * different occurrences of a schedule, transfers between different
+     * accounts, or unrelated descriptions
+     * @returns {number|null} - Description similarity (0-1)
+     */
+    compare(first, second, days) {
+        if (Math.abs(new Date(first.date) - new Date(second.date)) > days * DAY_MS) return null;
+        if (first.externalId && second.externalId && first.externalId !== second.externalId) return null;
+        if (first.recurringTransactionId && second.recurringTransactionId
+            && String(first.recurringTransactionId) === String(second.recurringTransactionId)) {
+            return null;
+        }
+        if (first.type === 'transfer' && (String(first.accountId) !== String(second.accountId)
+            || String(first.transferAccountId) !== String(second.transferAccountId))) {
+            return null;
+        }
+
+        const similarity = this.similarity(first.description, second.description);
+        return similarity >= MIN_SIMILARITY ? similarity : null;
+    }
+
+    /**
+     * Similarity of two descriptions' letter bigrams: the mean of their Dice
+     * coefficient and how much of the shorter one the longer contains, so a
+     * bank's "LIDL SAGT DANKE" still matches a manual "Lidl". A missing
+     * description (common for manual entries) neither confirms nor rules out
+     * a match and scores 0.5.
+     * @returns {number} - 0 (unrelated) to 1 (same letters)
+     */
+    similarity(firstText, secondText) {
+        const first = bigrams(firstText);
+        const second = bigrams(secondText);
+
+        if (!first.length && !second.length) return 1;
+        if (!first.length || !second.length) return 0.5;
+
+        const remaining = new Map();
+        for (const pair of first) remaining.set(pair, (remaining.get(pair) || 0) + 1);
+
+        let shared = 0;
+        for (const pair of second) {
+            if (remaining.get(pair) > 0) {
+                shared++;
+                remaining.set(pair, remaining.get(pair) - 1);
+            }
+        }
+
+        const dice = (2 * shared) / (first.length + second.length);
+        const containment = shared / Math.min(first.length, second.length);
+        return Math.round(((dice + containment) / 2) * 100) / 100;
+    }
+
+    /**
+     * Keys of the workspace's dismissed pairs (optionally only those with one transaction)
+     * @returns {Set} - Pair keys
+     */
+    async loadDismissed(workspaceId, transactionId = null) {
+        const query = { workspaceId };
+        if (transactionId) query.transactionIds = transactionId;
+
+        const dismissals = await DuplicateDismissal.find(query).select('pairKey').lean();
+        return new Set(dismissals.map((dismissal) => dismissal.pairKey));
+    }
+
+    /**
+     * Lean transactions with their categories filled in, as populate would
+     */
+    async describe(transactions, workspaceId) {
+        if (!transactions.length) return [];
+
+        const categories = await Category.find({ workspaceId }).select('name icon color type').lean();
+        const categoriesById = new Map(categories.map((category) => [String(category._id), category]));
+        const category = (categoryId) => categoriesById.get(String(categoryId)) || categoryId;
+
+        return transactions.map((transaction) => ({
+            ...transaction,
+            categoryId: category(transaction.categoryId),
+            splits: transaction.splits.map((line) => ({ ...line, categoryId: category(line.categoryId) })),
+        }));
+    }
+
+    /**
+     * Find a transaction in the workspace
+     * @param {string} transactionId - Transaction ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Transaction
+     */
+    async findTransaction(transactionId, workspaceId) {
+        const transaction = await Transaction.findOne({ _id: transactionId, workspaceId });
+
+        if (!transaction) {
+            const error = new Error('Transaction not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return transaction;
+    }
+}
+
+module.exports = new DuplicateService();
@@ -0,0 +1,564 @@
+/**
+ * Financial Account Service
+ * Handles cash, bank and credit card accounts: CRUD, balances, running
+ * balances and transfers between accounts. (User account deletion lives in
+ * account.service.)
+ */
+
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const ImportBatch = require('../models/ImportBatch');
+const ImportProfile = require('../models/ImportProfile');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const auditService = require('./audit.service');
+const { parseUserDate } = require('../utils/dateRanges');
+
+const EDITABLE_FIELDS = ['name', 'type', 'openingBalance'];
+
+// Name of the account created for transactions that do not name one
+const DEFAULT_ACCOUNT_NAME = 'Main account';
+
+class FinancialAccountService {
+    /**
+     * Get a workspace's accounts with their balances
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { includeArchived }
+     * @returns {Array} - Accounts with balance
+     */
+    async getAll(workspaceId, { includeArchived = false } = {}) {
+        const accounts = await this.getBalances(workspaceId);
+
+        return includeArchived ? accounts : accounts.filter((account) => !account.archived);
+    }
+
+    /**
+     * Get a single account with its balance
+     * @param {string} accountId - Account ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Object} - Account with balance
+     */
+    async getById(accountId, workspaceId) {
+        const account = await this.findAccount(accountId, workspaceId);
+        const accounts = await this.getBalances(workspaceId);
+
+        return accounts.find((entry) => String(entry._id) === String(account._id));
+    }
+
+    /**
+     * Create an account
+     * @param {Object} data - { name, type, openingBalance, currency, isDefault }
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the account
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Created account
+     */
+    async create(data, workspaceId, userId, context = {}) {
+        // The default account exists first, so older transactions never land in the new one
+        await this.getDefaultAccount(workspaceId);
+        await this.assertNameFree(data.name, workspaceId);
+
+        const account = new Account({
+            workspaceId,
+            userId,
+            name: data.name,
+            type: data.type,
+            openingBalance: data.openingBalance || 0,
+            currency: data.currency || await this.getUserCurrency(userId),
+        });
+
+        await account.save();
+        await auditService.recordCreate('Account', account, context);
+
+        if (data.isDefault) {
+            await this.makeDefault(account, workspaceId, context);
+        }
+
+        return account;
+    }
+
+    /**
+     * Update an account. Archiving hides it and stops new transactions; its
+     * balance still counts.
+     * @param {string} accountId - Account ID
+     * @param {Object} data - { name, type, openingBalance, currency, archived, isDefault }
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated account
+     */
+    async update(accountId, data, workspaceId, context = {}) {
+        const account = await this.findAccount(accountId, workspaceId);
+        const before = auditService.snapshot(account);
+
+        if (data.name !== undefined && data.name !== account.name) {
+            await this.assertNameFree(data.name, workspaceId);
+        }
+        for (const field of EDITABLE_FIELDS) {
+            if (data[field] !== undefined) account[field] = data[field];
+        }
+
+        // Amounts are stored as entered, so the currency only changes on an empty account
+        if (data.currency !== undefined && data.currency.toUpperCase() !== account.currency) {
+            if (await this.hasTransactions(account)) {
+                const error = new Error('The currency of an account with transactions cannot be changed');
+                error.statusCode = 400;
+                throw error;
+            }
+            account.currency = data.currency;
+        }
+
+        if (data.archived !== undefined) {
+            if (data.archived && (account.isDefault || data.isDefault)) {
+                const error = new Error('The default account cannot be archived; make another account the default first');
+                error.statusCode = 400;
+                throw error;
+            }
+            account.archived = data.archived;
+        }
+
+        if (data.isDefault === false && account.isDefault) {
+            const error = new Error('Make another account the default instead');
+            error.statusCode = 400;
+            throw error;
+        }
+        if (data.isDefault && account.archived) {
+            const error = new Error('An archived account cannot be the default');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        await account.save();
+        await auditService.recordUpdate('Account', before, account, context);
+
+        if (data.isDefault && !account.isDefault) {
+            await this.makeDefault(account, workspaceId, context);
+        }
+
+        return account;
+    }
+
+    /**
+     * Delete an account without transactions. Schedules and import settings
+     * that used it fall back to the default account.
+     * @param {string} accountId - Account ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {boolean} - Success status
+     */
+    async delete(accountId, workspaceId, context = {}) {
+        const account = await this.findAccount(accountId, workspaceId);
+
+        if (account.isDefault) {
+            const error = new Error('The default account cannot be deleted');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (await this.hasTransactions(account)) {
+            const error = new Error('This account has transactions; archive it instead');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        await Promise.all([
+            RecurringTransaction.updateMany({ workspaceId, accountId: account._id }, { $set: { accountId: null } }),
+            ImportProfile.updateMany(
+                { workspaceId, 'settings.accountId': account._id },
+                { $set: { 'settings.accountId': null } }
+            ),
+            ImportBatch.updateMany(
+                { workspaceId, 'settings.accountId': account._id },
+                { $set: { 'settings.accountId': null } }
+            ),
+        ]);
+
+        await account.deleteOne();
+        await auditService.recordDelete('Account', account, context);
+
+        return true;
+    }
+
+    /**
+     * The workspace's default account, created on first use. Transactions
+     * from before accounts existed are moved into it.
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Default account
+     */
+    async getDefaultAccount(workspaceId) {
+        let account = await Account.findOne({ workspaceId, isDefault: true });
+        if (account) return account;
+
+        const workspace = await Workspace.findById(workspaceId).select('ownerId');
+        try {
+            account = await Account.create({
+                workspaceId,
+                userId: workspace.ownerId,
+                name: DEFAULT_ACCOUNT_NAME,
+                type: 'bank',
+                currency: await this.getUserCurrency(workspace.ownerId),
+                isDefault: true,
+            });
+        } catch (error) {
+            // Another request created it concurrently
+            if (error.code !== 11000) throw error;
+            account = await Account.findOne({ workspaceId, isDefault: true });
+            if (!account) throw error;
+        }
+
+        await Transaction.updateMany({ workspaceId, accountId: null }, { $set: { accountId: account._id } });
+
+        return account;
+    }
+
+    /**
+     * Account a new transaction goes to: the given one, else the default
+     * @param {string|null} accountId - Account ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Account
+     */
+    async resolveAccount(accountId, workspaceId) {
+        const account = accountId
+            ? await this.findAccount(accountId, workspaceId)
+            : await this.getDefaultAccount(workspaceId);
+
+        if (account.archived) {
+            const error = new Error(`The account "${account.name}" is archived`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        return account;
+    }
+
+    /**
+     * Accounts with their balances and, for a date range, the period's flows
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} range - { startDate, endDate } (optional)
+     * @returns {Array} - Accounts as plain objects with balance (and period)
+     */
+    async getBalances(workspaceId, range = null) {
+        const defaultAccount = await this.getDefaultAccount(workspaceId);
+        const accounts = await Account.find({ workspaceId })
+            .sort({ isDefault: -1, archived: 1, name: 1 })
+            .lean();
+
+        const inRange = range
+            ? { $and: [{ $gte: ['$date', range.startDate] }, { $lte: ['$date', range.endDate] }] }
+            : { $literal: false };
+
+        // Each transaction counts for its account and, for a transfer, the destination
+        const flows = await Transaction.aggregate([
+            { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) } },
+            {
+                $project: {
+                    inRange,
+                    entries: [
+                        {
+                            accountId: { $ifNull: ['$accountId', defaultAccount._id] },
+                            kind: { $cond: [{ $eq: ['$type', 'transfer'] }, 'transfersOut', '$type'] },
+                            amount: '$amount',
+                        },
+                        {
+                            accountId: '$transferAccountId',
+                            kind: 'transfersIn',
+                            amount: { $ifNull: ['$transferAmount', '$amount'] },
+                        },
+                    ],
+                },
+            },
+            { $unwind: '$entries' },
+            { $match: { 'entries.accountId': { $ne: null } } },
+            {
+                $group: {
+                    _id: { accountId: '$entries.accountId', kind: '$entries.kind' },
+                    total: { $sum: '$entries.amount' },
+                    periodTotal: { $sum: { $cond: ['$inRange', '$entries.amount', 0] } },
+                },
+            },
+        ]);
+
+        const empty = () => ({ income: 0, expense: 0, transfersIn: 0, transfersOut: 0 });
+        const totals = new Map();
+        for (const { _id, total, periodTotal } of flows) {
+            const key = String(_id.accountId);
+            if (!totals.has(key)) totals.set(key, { allTime: empty(), period: empty() });
+            totals.get(key).allTime[_id.kind] = total;
+            totals.get(key).period[_id.kind] = periodTotal;
+        }
+
+        return accounts.map((account) => {
+            const { allTime, period } = totals.get(String(account._id)) || { allTime: empty(), period: empty() };
+            const balance = account.openingBalance + allTime.income - allTime.expense
+                + allTime.transfersIn - allTime.transfersOut;
+            const result = { ...account, balance: Math.round(balance * 100) / 100 };
+            if (range) result.period = period;
+
+            return result;
+        });
+    }
+
+    /**
+     * Sum of the accounts' opening balances
+     * @param {string} workspaceId - Workspace ID
+     * @returns {number} - Total
+     */
+    async getOpeningBalanceTotal(workspaceId) {
+        const result = await Account.aggregate([
+            { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) } },
+            { $group: { _id: null, total: { $sum: '$openingBalance' } } },
+        ]);
+
+        return result.length > 0 ? result[0].total : 0;
+    }
+
+    /**
+     * An account's transactions, newest first, each with the account's
+     * balance right after it
+     * @param {string} accountId - Account ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} options - { page, limit }
+     * @returns {Object} - { transactions, total, page, limit }
+     */
+    async getLedger(accountId, workspaceId, { page = 1, limit = 50 } = {}) {
+        const account = await this.getById(accountId, workspaceId);
+        const query = this.ledgerQuery(account);
+        const sort = { date: -1, createdAt: -1, _id: -1 };
+        const skip = (page - 1) * limit;
+
+        const [transactions, total, newer] = await Promise.all([
+            Transaction.find(query)
+                .populate('categoryId', 'name icon color type')
+                .populate('splits.categoryId', 'name icon color type')
+                .populate('accountId', 'name type currency')
+                .populate('transferAccountId', 'name type currency')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            Transaction.countDocuments(query),
+            // Effect of the transactions on earlier pages
+            skip > 0
+                ? Transaction.aggregate([
+                    { $match: query },
+                    { $sort: sort },
+                    { $limit: skip },
+                    { $group: { _id: null, total: { $sum: Transaction.balanceEffect(account._id) } } },
+                ])
+                : [],
+        ]);
+
+        let balance = account.balance - (newer.length > 0 ? newer[0].total : 0);
+        const rows = transactions.map((transaction) => {
+            const row = { ...transaction.toJSON(), balance: Math.round(balance * 100) / 100 };
+            balance -= this.effectOf(transaction, account._id);
+            return row;
+        });
+
+        return { transactions: rows, total, page, limit };
+    }
+
+    /**
+     * Move money between two accounts. Neither income nor expense.
+     * @param {Object} data - { fromAccountId, toAccountId, amount, transferAmount, date, description }
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the transfer
+     * @param {Object} preferences - User preferences (timezone for date-only dates)
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Created transfer (a transaction of type transfer)
+     */
+    async createTransfer(data, workspaceId, userId, preferences, context = {}) {
+        const [from, to] = await Promise.all([
+            this.resolveAccount(data.fromAccountId, workspaceId),
+            this.resolveAccount(data.toAccountId, workspaceId),
+        ]);
+
+        const transfer = new Transaction({
+            workspaceId,
+            userId,
+            type: 'transfer',
+            amount: data.amount,
+            description: data.description || '',
+            date: data.date ? parseUserDate(data.date, preferences) : new Date(),
+        });
+        this.setTransferAccounts(transfer, from, to, data.transferAmount);
+
+        await transfer.save();
+        await auditService.recordCreate('Transaction', transfer, context);
+        await this.populateTransfer(transfer);
+
+        return transfer;
+    }
+
+    /**
+     * Update a transfer
+     * @param {string} transferId - Transfer (transaction) ID
+     * @param {Object} data - { fromAccountId, toAccountId, amount, transferAmount, date, description }
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} preferences - User preferences (timezone for date-only dates)
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated transfer
+     */
+    async updateTransfer(transferId, data, workspaceId, preferences, context = {}) {
+        const transfer = await Transaction.findOne({ _id: transferId, workspaceId, type: 'transfer' });
+
+        if (!transfer) {
+            const error = new Error('Transfer not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const before = auditService.snapshot(transfer);
+
+        // Accounts that stay the same may have been archived since
+        const [from, to] = await Promise.all([
+            data.fromAccountId
+                ? this.resolveAccount(data.fromAccountId, workspaceId)
+                : this.findAccount(transfer.accountId, workspaceId),
+            data.toAccountId
+                ? this.resolveAccount(data.toAccountId, workspaceId)
+                : this.findAccount(transfer.transferAccountId, workspaceId),
+        ]);
+
+        if (data.amount) transfer.amount = data.amount;
+        if (data.description !== undefined) transfer.description = data.description;
+        if (data.date) transfer.date = parseUserDate(data.date, preferences);
+
+        const transferAmount = data.transferAmount !== undefined ? data.transferAmount : transfer.transferAmount;
+        this.setTransferAccounts(transfer, from, to, transferAmount);
+
+        await transfer.save();
+        await auditService.recordUpdate('Transaction', before, transfer, context);
+        await this.populateTransfer(transfer);
+
+        return transfer;
+    }
+
+    /**
+     * Point a transfer at its accounts. Between currencies the arriving
+     * amount must be given; within one currency it equals the amount.
+     */
+    setTransferAccounts(transfer, from, to, transferAmount) {
+        if (String(from._id) === String(to._id)) {
+            const error = new Error('A transfer needs two different accounts');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (from.currency !== to.currency && !transferAmount) {
+            const error = new Error(
+                `transferAmount (in ${to.currency}) is required for a transfer from ${from.currency}`
+            );
+            error.statusCode = 400;
+            throw error;
+        }
+
+        transfer.accountId = from._id;
+        transfer.transferAccountId = to._id;
+        transfer.transferAmount = from.currency === to.currency ? null : transferAmount;
+    }
+
+    /**
+     * Populate a transfer's accounts for responses
+     */
+    async populateTransfer(transfer) {
+        await transfer.populate([
+            { path: 'accountId', select: 'name type currency' },
+            { path: 'transferAccountId', select: 'name type currency' },
+        ]);
+    }
+
+    /**
+     * Query for the transactions of an account (and, for the default
+     * account, those from before accounts existed)
+     */
+    ledgerQuery(account) {
+        const accountIds = account.isDefault ? [account._id, null] : [account._id];
+
+        return {
+            workspaceId: account.workspaceId,
+            $or: [{ accountId: { $in: accountIds } }, { transferAccountId: account._id }],
+        };
+    }
+
+    /**
+     * A transaction's effect on an account's balance (see Transaction.balanceEffect)
+     */
+    effectOf(transaction, accountId) {
+        const destination = transaction.transferAccountId
+            && String(transaction.transferAccountId._id || transaction.transferAccountId) === String(accountId);
+
+        if (destination) return transaction.transferAmount || transaction.amount;
+        return transaction.type === 'income' ? transaction.amount : -transaction.amount;
+    }
+
+    /**
+     * Whether any transaction uses an account
+     */
+    async hasTransactions(account) {
+        const query = this.ledgerQuery(account);
+        return Boolean(await Transaction.exists(query));
+    }
+
+    /**
+     * Make an account the workspace's default
+     */
+    async makeDefault(account, workspaceId, context = {}) {
+        const previous = await Account.findOne({ workspaceId, isDefault: true });
+
+        if (previous) {
+            const previousBefore = auditService.snapshot(previous);
+            previous.isDefault = false;
+            await previous.save();
+            await auditService.recordUpdate('Account', previousBefore, previous, context);
+        }
+
+        const before = auditService.snapshot(account);
+        account.isDefault = true;
+        await account.save();
+        await auditService.recordUpdate('Account', before, account, context);
+    }
+
+    /**
+     * Reject a name another account of the workspace already has
+     */
+    async assertNameFree(name, workspaceId) {
+        const existing = await Account.findOne({ workspaceId, name: String(name).trim() });
+
+        if (existing) {
+            const error = new Error('An account with this name already exists');
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * A user's currency as an ISO code, for new accounts
+     */
+    async getUserCurrency(userId) {
+        const user = await User.findById(userId).select('currency');
+        const currency = user && user.currency;
+
+        return /^[A-Za-z]{3}$/.test(currency || '') ? currency.toUpperCase() : 'USD';
+    }
+
+    /**
+     * Find an account in the workspace
+     * @param {string} accountId - Account ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Account
+     */
+    async findAccount(accountId, workspaceId) {
+        const account = await Account.findOne({ _id: accountId, workspaceId });
+
+        if (!account) {
+            const error = new Error('Account not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return account;
+    }
+}
+
+module.exports = new FinancialAccountService();
@@ -0,0 +1,1035 @@
+/**
+ * Import Service
+ * Bank statement import pipeline (CSV, OFX/QFX, QIF): upload, detect the
+ * layout, map columns, dry-run preview with errors and duplicates, commit
+ * and revert
+ */
+
+const ImportBatch = require('../models/ImportBatch');
+const ImportProfile = require('../models/ImportProfile');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const DuplicateDismissal = require('../models/DuplicateDismissal');
+const auditService = require('./audit.service');
+const attachmentService = require('./attachment.service');
+const transactionService = require('./transaction.service');
+const categoryRuleService = require('./categoryRule.service');
+const payeeService = require('./payee.service');
+const financialAccountService = require('./financialAccount.service');
+const categorySuggestionService = require('./categorySuggestion.service');
+const { parseCsv, detectDelimiter } = require('../utils/csv');
+const { isOfx, parseOfx } = require('../utils/ofx');
+const { isQif, parseQif } = require('../utils/qif');
+const {
+    parseDate,
+    detectDateFormats,
+    parseAmount,
+    detectDecimalSeparator,
+    suggestMapping,
+} = require('../utils/importParsing');
+const { toDateKey, parseDateKey, addDays } = require('../utils/recurrence');
+const { resolvePreferences, zonedMidnight, getZonedParts } = require('../utils/dateRanges');
+const { IMPORT_MAX_ROWS } = require('../config/env');
+
+// Abandoned pending batches are removed after this long
+const PENDING_BATCH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Rows shown in the upload response
+const SAMPLE_ROWS = 5;
+
+const SETTINGS_FIELDS = [
+    'delimiter',
+    'hasHeader',
+    'dateFormat',
+    'decimalSeparator',
+    'invertAmounts',
+    'defaultExpenseCategoryId',
+    'defaultIncomeCategoryId',
+    'accountId',
+];
+
+const COLUMN_FIELDS = ['date', 'amount', 'debit', 'credit', 'description', 'category'];
+
+class ImportService {
+    /**
+     * Get a workspace's import batches, newest first
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { page, limit }
+     * @returns {Object} - { batches, total, page, limit }
+     */
+    async getAll(workspaceId, { page = 1, limit = 20 } = {}) {
+        const [batches, total] = await Promise.all([
+            ImportBatch.find({ workspaceId })
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            ImportBatch.countDocuments({ workspaceId }),
+        ]);
+
+        return { batches, total, page, limit };
+    }
+
+    /**
+     * Get a single import batch
+     * @param {string} batchId - Batch ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Object} - Import batch
+     */
+    async getById(batchId, workspaceId) {
+        return this.findBatch(batchId, workspaceId);
+    }
+
+    /**
+     * Store an uploaded statement as a pending batch and detect its format and
+     * layout. For CSV, a saved profile whose headers match (or the one given)
+     * supplies the settings.
+     * @param {Object} file - { originalName, buffer } from the upload middleware
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user importing
+     * @param {Object} preferences - User preferences (date and number format hints)
+     * @param {string} profileId - Optional profile to apply
+     * @returns {Object} - { batch, sampleRows, dateFormatCandidates }
+     */
+    async upload(file, workspaceId, userId, preferences = {}, profileId = null) {
+        let content = file.buffer.toString('utf8');
+        // Older bank exports are often Windows-1252 rather than UTF-8
+        if (content.includes('\uFFFD')) content = file.buffer.toString('latin1');
+        content = content.replace(/^\uFEFF/, '');
+
+        if (!content.trim() || content.includes('\u0000')) {
+            const error = new Error('The file must be a non-empty CSV, OFX or QIF text file');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        let format = 'csv';
+        if (isOfx(content)) format = 'ofx';
+        else if (isQif(content)) format = 'qif';
+
+        const delimiter = format === 'csv' ? detectDelimiter(content) : ',';
+        const { records } = this.readStatement(format, content, { delimiter, hasHeader: false });
+        const firstRow = format === 'csv' ? records[0] || [] : [];
+
+        let profile = null;
+        if (profileId) {
+            profile = await this.findProfile(profileId, workspaceId);
+        } else if (format === 'csv') {
+            profile = await ImportProfile.findOne({
+                workspaceId,
+                headers: ImportProfile.normalizeHeaders(firstRow),
+            });
+        }
+
+        let settings;
+        if (profile) settings = profile.settings.toObject();
+        else if (format === 'csv') settings = this.detectSettings(records, delimiter, preferences);
+        else settings = this.detectStatementSettings(format, records, preferences);
+
+        const { dataRows } = this.readStatement(format, content, settings);
+        if (dataRows.length === 0) {
+            const error = new Error('The file has no rows to import');
+            error.statusCode = 400;
+            throw error;
+        }
+        if (dataRows.length > IMPORT_MAX_ROWS) {
+            const error = new Error(`A statement can have at most ${IMPORT_MAX_ROWS} rows`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const batch = await ImportBatch.create({
+            workspaceId,
+            userId,
+            format,
+            fileName: String(file.originalName || '').slice(0, 255),
+            content,
+            headers: format === 'csv' && settings.hasHeader ? firstRow : [],
+            rowCount: dataRows.length,
+            profileId: profile ? profile._id : null,
+            settings,
+            expiresAt: new Date(Date.now() + PENDING_BATCH_TTL_MS),
+        });
+
+        return this.describe(batch);
+    }
+
+    /**
+     * Change a pending batch's settings (delimiter, column mapping, formats,
+     * default categories), optionally saving them as a named profile
+     * @param {string} batchId - Batch ID
+     * @param {Object} data - Settings fields, columns and optional saveProfile name
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {string} userId - ID of the user saving a profile
+     * @returns {Object} - { batch, sampleRows, dateFormatCandidates }
+     */
+    async updateSettings(batchId, data, workspaceId, userId) {
+        const batch = await this.findBatch(batchId, workspaceId, { withContent: true });
+        this.assertStatus(batch, 'pending');
+
+        for (const field of SETTINGS_FIELDS) {
+            if (data[field] !== undefined) batch.settings[field] = data[field];
+        }
+        if (data.columns) {
+            for (const field of COLUMN_FIELDS) {
+                if (data.columns[field] !== undefined) batch.settings.columns[field] = data.columns[field];
+            }
+        }
+
+        await this.verifyDefaultCategories(batch.settings, workspaceId);
+        if (batch.settings.accountId) {
+            await financialAccountService.resolveAccount(batch.settings.accountId, workspaceId);
+        }
+
+        const { records, dataRows } = this.readStatement(batch.format, batch.content, batch.settings);
+        const csv = batch.format === 'csv';
+        batch.headers = csv && batch.settings.hasHeader ? records[0] || [] : [];
+        batch.rowCount = dataRows.length;
+
+        if (data.saveProfile) {
+            const profile = await ImportProfile.findOneAndUpdate(
+                { workspaceId, name: data.saveProfile },
+                {
+                    $set: {
+                        headers: csv ? ImportProfile.normalizeHeaders(records[0] || []) : [],
+                        settings: batch.settings.toObject(),
+                    },
+                    $setOnInsert: { userId },
+                },
+                { new: true, upsert: true, runValidators: true }
+            );
+            batch.profileId = profile._id;
+        }
+
+        await batch.save();
+
+        return this.describe(batch);
+    }
+
+    /**
+     * Dry run: parse every row with the batch's settings and flag errors and
+     * likely duplicates of existing transactions, without saving anything
+     * @param {string} batchId - Batch ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} preferences - User preferences (dates are midnight in the user's timezone)
+     * @param {Object} options - { page, limit }
+     * @returns {Object} - { summary, rows, page, limit, total }
+     */
+    async preview(batchId, workspaceId, preferences, { page = 1, limit = 100 } = {}) {
+        const batch = await this.findBatch(batchId, workspaceId, { withContent: true });
+        this.assertStatus(batch, 'pending');
+
+        const rows = await this.buildRows(batch, workspaceId, preferences);
+
+        return {
+            summary: this.summarize(rows),
+            rows: rows.slice((page - 1) * limit, page * limit).map(({ instant, splitLines, ...row }) => row),
+            page,
+            limit,
+            total: rows.length,
+        };
+    }
+
+    /**
+     * Create the transactions of a pending batch. Rows with errors and rows
+     * whose bank transaction ID was already imported are always skipped;
+     * likely duplicates are skipped unless includeDuplicates is set.
+     * @param {string} batchId - Batch ID
+     * @param {Object} options - { includeDuplicates, skipRows (line numbers) }
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user importing
+     * @param {Object} preferences - User preferences
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Committed batch
+     */
+    async commit(batchId, options, workspaceId, userId, preferences, context = {}) {
+        const batch = await this.findBatch(batchId, workspaceId, { withContent: true });
+        this.assertStatus(batch, 'pending');
+
+        const rows = await this.buildRows(batch, workspaceId, preferences);
+        const skipRows = new Set(options.skipRows || []);
+
+        const selected = rows.filter((row) => !row.errors.length
+            && !skipRows.has(row.line)
+            && (!row.duplicateOf || (options.includeDuplicates && row.duplicateMatch === 'likely')));
+
+        if (selected.length === 0) {
+            const error = new Error('No rows left to import');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        await this.verifyCategories(selected, workspaceId);
+        const account = await financialAccountService.resolveAccount(batch.settings.accountId, workspaceId);
+
+        // Claim the batch so a concurrent commit cannot import it twice
+        const claimed = await ImportBatch.findOneAndUpdate(
+            { _id: batch._id, status: 'pending' },
+            { $set: { status: 'committed', committedAt: new Date(), expiresAt: null } },
+            { new: true }
+        );
+        if (!claimed) {
+            const error = new Error('This import has already been committed');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        let transactions;
+        try {
+            transactions = await Transaction.insertMany(
+                selected.map((row) => ({
+                    workspaceId,
+                    userId,
+                    accountId: account._id,
+                    categoryId: row.categoryId,
+                    categoryRuleId: row.categoryRuleId,
+                    payeeId: row.payeeId,
+                    type: row.type,
+                    amount: row.amount,
+                    description: row.description,
+                    date: row.instant,
+                    splits: row.splits,
+                    importBatchId: batch._id,
+                    externalId: row.externalId,
+                }))
+            );
+        } catch (error) {
+            await Transaction.deleteMany({ importBatchId: batch._id });
+            await ImportBatch.updateOne(
+                { _id: batch._id },
+                { $set: { status: 'pending', committedAt: null, expiresAt: batch.expiresAt } }
+            );
+
+            // Another import created one of these bank transactions in the meantime
+            if (error.code === 11000) {
+                const conflict = new Error('Some of these transactions were imported in the meantime; preview again');
+                conflict.statusCode = 409;
+                throw conflict;
+            }
+            throw error;
+        }
+
+        const summary = this.summarize(rows);
+        const imported = new Set(selected);
+        claimed.result = {
+            imported: transactions.length,
+            skippedErrors: summary.errors,
+            skippedDuplicates: rows.filter(
+                (row) => row.duplicateOf && !imported.has(row) && !row.errors.length && !skipRows.has(row.line)
+            ).length,
+            skippedRows: rows.filter((row) => !row.errors.length && skipRows.has(row.line)).length,
+            reverted: 0,
+        };
+        claimed.content = null;
+        await claimed.save();
+
+        await categorySuggestionService.learn(transactions);
+        await auditService.recordCreateMany('Transaction', transactions, context, {
+            importBatchId: batch._id,
+        });
+
+        return claimed;
+    }
+
+    /**
+     * Revert a committed batch: delete the transactions it created (including
+     * ones edited since) and their attachments
+     * @param {string} batchId - Batch ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Reverted batch
+     */
+    async revert(batchId, workspaceId, context = {}) {
+        const batch = await this.findBatch(batchId, workspaceId);
+        this.assertStatus(batch, 'committed');
+
+        const claimed = await ImportBatch.findOneAndUpdate(
+            { _id: batch._id, status: 'committed' },
+            { $set: { status: 'reverted', revertedAt: new Date() } },
+            { new: true }
+        );
+        if (!claimed) {
+            const error = new Error('This import has already been reverted');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const transactions = await Transaction.find({ workspaceId, importBatchId: batch._id });
+        const transactionIds = transactions.map((transaction) => transaction._id);
+
+        await attachmentService.deleteForTransactions(transactionIds);
+        const result = await Transaction.deleteMany({ _id: { $in: transactionIds } });
+        await DuplicateDismissal.deleteMany({ workspaceId, transactionIds: { $in: transactionIds } });
+
+        claimed.result.reverted = result.deletedCount;
+        await claimed.save();
+
+        await categorySuggestionService.forget(transactions);
+        await auditService.recordDeleteMany('Transaction', transactions, context, {
+            importBatchId: batch._id,
+        });
+
+        return claimed;
+    }
+
+    /**
+     * Discard a pending batch
+     * @param {string} batchId - Batch ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {boolean} - Success status
+     */
+    async discard(batchId, workspaceId) {
+        const batch = await this.findBatch(batchId, workspaceId);
+        this.assertStatus(batch, 'pending');
+
+        await batch.deleteOne();
+        return true;
+    }
+
+    /**
+     * Get a workspace's saved import profiles
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Array} - Profiles
+     */
+    async getProfiles(workspaceId) {
+        return ImportProfile.find({ workspaceId }).sort({ name: 1 });
+    }
+
+    /**
+     * Rename a profile or change its settings
+     * @param {string} profileId - Profile ID
+     * @param {Object} data - { name, settings fields, columns }
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Object} - Updated profile
+     */
+    async updateProfile(profileId, data, workspaceId) {
+        const profile = await this.findProfile(profileId, workspaceId);
+
+        if (data.name && data.name !== profile.name) {
+            const existing = await ImportProfile.findOne({ workspaceId, name: data.name });
+            if (existing) {
+                const error = new Error('A profile with this name already exists');
+                error.statusCode = 400;
+                throw error;
+            }
+            profile.name = data.name;
+        }
+
+        for (const field of SETTINGS_FIELDS) {
+            if (data[field] !== undefined) profile.settings[field] = data[field];
+        }
+        if (data.columns) {
+            for (const field of COLUMN_FIELDS) {
+                if (data.columns[field] !== undefined) profile.settings.columns[field] = data.columns[field];
+            }
+        }
+
+        await this.verifyDefaultCategories(profile.settings, workspaceId);
+        if (profile.settings.accountId) {
+            await financialAccountService.resolveAccount(profile.settings.accountId, workspaceId);
+        }
+        await profile.save();
+
+        return profile;
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} profileId - Profile ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {boolean} - Success status
+     */
+    async deleteProfile(profileId, workspaceId) {
+        const profile = await this.findProfile(profileId, workspaceId);
+
+        await profile.deleteOne();
+        return true;
+    }
+
+    /**
+     * Guess settings for a CSV statement without a matching profile
+     * @param {Array} records - Parsed CSV rows
+     * @param {string} delimiter - Detected delimiter
+     * @param {Object} preferences - User preferences (date and number format hints)
+     * @returns {Object} - Settings
+     */
+    detectSettings(records, delimiter, preferences = {}) {
+        const firstRow = records[0] || [];
+
+        // A header row has no cell that reads as a date or a number
+        const hasHeader = !firstRow.some((cell) => cell.trim() && (
+            detectDateFormats([cell]).length || Number.isFinite(parseAmount(cell))
+        ));
+
+        const dataRows = (hasHeader ? records.slice(1) : records).slice(0, 50);
+        const columns = hasHeader
+            ? suggestMapping(firstRow)
+            : { date: null, amount: null, debit: null, credit: null, description: null, category: null };
+
+        // Without usable headers, take the first date-like and number-like columns
+        const width = firstRow.length;
+        const columnValues = (index) => dataRows.map((row) => row[index] ?? '');
+        if (columns.date === null) {
+            const index = [...Array(width).keys()].find((i) => detectDateFormats(columnValues(i)).length);
+            columns.date = index ?? null;
+        }
+        if (columns.amount === null && columns.debit === null) {
+            const index = [...Array(width).keys()].find((i) => i !== columns.date
+                && columnValues(i).every((value) => !value.trim() || Number.isFinite(parseAmount(value))));
+            columns.amount = index ?? null;
+        }
+        if (columns.description === null) {
+            const index = [...Array(width).keys()].find((i) => i !== columns.date
+                && columnValues(i).some((value) => value.trim() && Number.isNaN(parseAmount(value))));
+            columns.description = index ?? null;
+        }
+
+        const dateCandidates = columns.date === null ? [] : detectDateFormats(columnValues(columns.date));
+        const amountColumns = [columns.amount, columns.debit, columns.credit].filter((index) => index !== null);
+
+        return {
+            delimiter,
+            hasHeader,
+            dateFormat: this.pickDateFormat(dateCandidates, preferences),
+            decimalSeparator: detectDecimalSeparator(
+                amountColumns.flatMap((index) => columnValues(index)),
+                this.preferredDecimalSeparator(preferences)
+            ),
+            invertAmounts: false,
+            columns,
+            defaultExpenseCategoryId: null,
+            defaultIncomeCategoryId: null,
+            accountId: null,
+        };
+    }
+
+    /**
+     * Guess settings for an OFX or QIF statement. OFX dates and amounts have
+     * a fixed format; QIF ones vary by the program that wrote the file.
+     * @param {string} format - 'ofx' or 'qif'
+     * @param {Array} entries - Parsed statement transactions
+     * @param {Object} preferences - User preferences (date and number format hints)
+     * @returns {Object} - Settings
+     */
+    detectStatementSettings(format, entries, preferences = {}) {
+        const samples = entries.slice(0, 50);
+        const qif = format === 'qif';
+
+        return {
+            delimiter: ',',
+            hasHeader: false,
+            dateFormat: qif
+                ? this.pickDateFormat(detectDateFormats(samples.map((entry) => entry.date)), preferences)
+                : 'YYYYMMDD',
+            decimalSeparator: qif
+                ? detectDecimalSeparator(
+                    samples.map((entry) => entry.amount),
+                    this.preferredDecimalSeparator(preferences)
+                )
+                : '.',
+            invertAmounts: false,
+            columns: { date: null, amount: null, debit: null, credit: null, description: null, category: null },
+            defaultExpenseCategoryId: null,
+            defaultIncomeCategoryId: null,
+            accountId: null,
+        };
+    }
+
+    /**
+     * The user's preferred date format when it fits, else the first candidate
+     */
+    pickDateFormat(candidates, preferences = {}) {
+        if (candidates.includes(preferences.dateFormat)) return preferences.dateFormat;
+        return candidates[0] || 'YYYY-MM-DD';
+    }
+
+    /**
+     * Decimal separator implied by the user's number format preference
+     */
+    preferredDecimalSeparator(preferences = {}) {
+        return ['1.234,56', '1 234,56'].includes(preferences.numberFormat) ? ',' : '.';
+    }
+
+    /**
+     * Split a statement into rows
+     * @param {string} format - Batch format
+     * @param {string} content - Statement text
+     * @param {Object} settings - Batch settings (CSV delimiter and header flag)
+     * @returns {Object} - { records, dataRows }: CSV cell arrays (records include
+     *                     the header row) or OFX/QIF transaction objects
+     */
+    readStatement(format, content, settings) {
+        let records;
+        try {
+            if (format !== 'csv') {
+                records = format === 'ofx' ? parseOfx(content) : parseQif(content);
+            } else {
+                records = parseCsv(content, settings.delimiter);
+            }
+        } catch (err) {
+            // A malformed file is the uploader's problem, not a server error
+            const error = new Error('Could not read the statement; check that the file is a valid CSV, OFX or QIF export');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (format !== 'csv') {
+            return { records, dataRows: records };
+        }
+        return { records, dataRows: settings.hasHeader ? records.slice(1) : records };
+    }
+
+    /**
+     * Upload/settings response: the batch plus a few raw rows and the date
+     * formats that fit the statement's dates
+     */
+    describe(batch) {
+        const { dataRows } = this.readStatement(batch.format, batch.content, batch.settings);
+        const samples = dataRows.slice(0, 50);
+
+        let dates = [];
+        if (batch.format === 'qif') {
+            dates = samples.map((entry) => entry.date);
+        } else if (batch.format === 'ofx') {
+            dates = samples.map((entry) => entry.datePosted.slice(0, 8));
+        } else if (batch.settings.columns.date !== null) {
+            dates = samples.map((row) => row[batch.settings.columns.date] ?? '');
+        }
+
+        return {
+            batch,
+            sampleRows: dataRows.slice(0, SAMPLE_ROWS),
+            dateFormatCandidates: detectDateFormats(dates),
+        };
+    }
+
+    /**
+     * Parse every row of a batch with its settings
+     * @returns {Array} - [{ line, date, type, amount, description, categoryName, categoryId, categoryRuleId,
+     *                     payeeId, splits, externalId, errors, duplicateOf, duplicateMatch, instant }]
+     */
+    async buildRows(batch, workspaceId, preferences) {
+        const { timezone } = resolvePreferences(preferences);
+        const { settings } = batch;
+        const { dataRows } = this.readStatement(batch.format, batch.content, settings);
+        // CSV rows are numbered by file line, OFX and QIF ones by position
+        const firstLine = batch.format === 'csv' && settings.hasHeader ? 2 : 1;
+
+        const categories = await Category.find({ workspaceId }).select('name type').lean();
+        const categoriesByName = new Map(
+            categories.map((category) => [`${category.type}:${category.name.toLowerCase()}`, category._id])
+        );
+        const categoryTypes = new Map(categories.map((category) => [String(category._id), category.type]));
+        const rules = await categoryRuleService.loadRules(workspaceId);
+        const payeeMatchers = await payeeService.loadMatchers(workspaceId);
+
+        const linesByExternalId = new Map();
+
+        const rows = dataRows.map((entry, index) => {
+            const row = batch.format === 'csv'
+                ? this.parseRow(entry, settings)
+                : this.parseEntry(batch.format, entry, settings);
+            row.line = firstLine + index;
+
+            if (row.date) {
+                const { year, month, day } = parseDateKey(row.date);
+                row.instant = zonedMidnight(year, month, day, timezone);
+            }
+
+            const payee = payeeService.findMatch(row.description, payeeMatchers);
+            row.payeeId = payee ? payee._id : null;
+
+            if (row.type) {
+                // The payee's default category only applies to rows of its type
+                const payeeCategoryId = payee && payee.defaultCategoryId
+                    && categoryTypes.get(String(payee.defaultCategoryId)) === row.type
+                    ? payee.defaultCategoryId
+                    : null;
+                this.assignCategory(row, settings, categoriesByName, rules, payeeCategoryId);
+            }
+
+            if (row.externalId) {
+                const firstSeen = linesByExternalId.get(row.externalId);
+                if (firstSeen) row.errors.push(`Repeats the transaction ID of row ${firstSeen}`);
+                else linesByExternalId.set(row.externalId, row.line);
+            }
+
+            return row;
+        });
+
+        await this.flagDuplicates(rows, workspaceId, timezone);
+
+        return rows;
+    }
+
+    /**
+     * Empty parsed row
+     */
+    newRow(description) {
+        return {
+            date: null,
+            type: null,
+            amount: null,
+            description,
+            categoryName: '',
+            categoryId: null,
+            categoryRuleId: null,
+            payeeId: null,
+            splitLines: [],
+            splits: [],
+            externalId: null,
+            errors: [],
+            duplicateOf: null,
+            duplicateMatch: null,
+        };
+    }
+
+    /**
+     * Read date, amount, description and category from one CSV row
+     * @param {Array} fields - Row cells
+     * @param {Object} settings - Batch settings
+     * @returns {Object} - Parsed row
+     */
+    parseRow(fields, settings) {
+        const { columns } = settings;
+        const cell = (index) => (index === null || index === undefined ? '' : (fields[index] || '').trim());
+        const row = this.newRow(cell(columns.description));
+        row.categoryName = cell(columns.category);
+
+        if (columns.date === null) {
+            row.errors.push('No date column mapped');
+        } else {
+            row.date = parseDate(cell(columns.date), settings.dateFormat);
+            if (!row.date) row.errors.push(`Invalid date "${cell(columns.date)}" for format ${settings.dateFormat}`);
+        }
+
+        let amount = null;
+        if (columns.amount !== null) {
+            amount = parseAmount(cell(columns.amount), settings.decimalSeparator);
+        } else if (columns.debit !== null && columns.credit !== null) {
+            const debit = parseAmount(cell(columns.debit), settings.decimalSeparator);
+            const credit = parseAmount(cell(columns.credit), settings.decimalSeparator);
+            if (Number.isNaN(debit) || Number.isNaN(credit)) {
+                amount = NaN;
+            } else if (debit || credit) {
+                amount = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+            }
+        } else {
+            row.errors.push('No amount column (or debit and credit columns) mapped');
+        }
+
+        if (columns.amount !== null || columns.debit !== null) this.applyAmount(row, amount, settings);
+        this.checkDescription(row);
+
+        return row;
+    }
+
+    /**
+     * Read one OFX or QIF transaction. OFX ones carry the bank's FITID, which
+     * (prefixed with the account ID) becomes the transaction's externalId.
+     * @param {string} format - 'ofx' or 'qif'
+     * @param {Object} entry - Parsed statement transaction
+     * @param {Object} settings - Batch settings
+     * @returns {Object} - Parsed row
+     */
+    parseEntry(format, entry, settings) {
+        const ofx = format === 'ofx';
+        const [title, memo] = ofx ? [entry.name, entry.memo] : [entry.payee, entry.memo];
+        const row = this.newRow(memo && memo !== title ? [title, memo].filter(Boolean).join(' - ') : title);
+
+        const rawDate = ofx ? entry.datePosted.slice(0, 8) : entry.date;
+        const dateFormat = ofx ? 'YYYYMMDD' : settings.dateFormat;
+        row.date = parseDate(rawDate, dateFormat);
+        if (!row.date) row.errors.push(`Invalid date "${rawDate}" for format ${dateFormat}`);
+
+        // OFX amounts use a point, though some banks write a comma
+        let separator = settings.decimalSeparator;
+        if (ofx) separator = entry.amount.includes(',') && !entry.amount.includes('.') ? ',' : '.';
+        this.applyAmount(row, parseAmount(entry.amount, separator), settings);
+
+        if (ofx) {
+            if (entry.fitId) row.externalId = [entry.accountId, entry.fitId].filter(Boolean).join(':');
+        } else {
+            row.categoryName = this.qifCategoryName(entry.category);
+            row.splitLines = entry.splits.map((line) => {
+                const amount = parseAmount(line.amount, separator);
+                return {
+                    categoryName: this.qifCategoryName(line.category),
+                    amount: settings.invertAmounts ? -amount : amount,
+                };
+            });
+        }
+
+        this.checkDescription(row);
+
+        return row;
+    }
+
+    /**
+     * QIF category without its "/class" suffix; transfers ("[Account]") have none
+     */
+    qifCategoryName(value) {
+        const name = String(value || '').replace(/\/.*$/, '').trim();
+        return /^\[.*\]$/.test(name) ? '' : name;
+    }
+
+    /**
+     * Set a row's type and amount from a signed amount (negative is an expense)
+     */
+    applyAmount(row, amount, settings) {
+        if (Number.isNaN(amount)) {
+            row.errors.push('Invalid amount');
+        } else if (amount === null || Math.abs(amount) < 0.01) {
+            row.errors.push('Amount must be greater than 0');
+        } else {
+            const signed = settings.invertAmounts ? -amount : amount;
+            row.type = signed < 0 ? 'expense' : 'income';
+            row.amount = Math.round(Math.abs(signed) * 100) / 100;
+        }
+    }
+
+    /**
+     * Apply the transaction description limit
+     */
+    checkDescription(row) {
+        if (row.description.length > 500) {
+            row.errors.push('Description cannot exceed 500 characters');
+        }
+    }
+
+    /**
+     * Resolve a row's category (and QIF split lines) by name. A row whose
+     * category name does not match goes through the categorization rules,
+     * then takes its payee's default category, then falls back to the
+     * batch's default category for the row's type.
+     */
+    assignCategory(row, settings, categoriesByName, rules, payeeCategoryId = null) {
+        const fallback = row.type === 'expense'
+            ? settings.defaultExpenseCategoryId
+            : settings.defaultIncomeCategoryId;
+        const resolve = (name) => this.matchCategory(name, row.type, categoriesByName) || fallback || null;
+
+        row.categoryId = this.matchCategory(row.categoryName, row.type, categoriesByName);
+        if (!row.categoryId && row.instant) {
+            const rule = categoryRuleService.findMatch({ ...row, date: row.instant }, rules);
+            if (rule) {
+                row.categoryId = rule.categoryId;
+                row.categoryRuleId = rule._id;
+            }
+        }
+        if (!row.categoryId) row.categoryId = payeeCategoryId || fallback || null;
+
+        // Split lines become a split transaction when each has the row's sign
+        // and they add up to its amount; otherwise the row keeps one category
+        if (row.splitLines.length >= 2) {
+            const sign = row.type === 'expense' ? -1 : 1;
+            const lines = row.splitLines.map((line) => ({
+                categoryId: resolve(line.categoryName),
+                amount: Math.abs(line.amount),
+                valid: Number.isFinite(line.amount)
+                    && Math.sign(line.amount) === sign
+                    && Math.abs(line.amount) >= 0.01,
+            }));
+            const cents = lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+
+            if (lines.every((line) => line.valid && line.categoryId) && cents === Math.round(row.amount * 100)) {
+                row.splits = lines.map(({ categoryId, amount }) => ({ categoryId, amount }));
+                row.categoryId = row.splits[0].categoryId;
+                row.categoryRuleId = null;
+            }
+        }
+
+        if (!row.categoryId) {
+            row.errors.push(row.categoryName
+                ? `Unknown ${row.type} category "${row.categoryName}"`
+                : `No ${row.type} category; map a category column or set a default ${row.type} category`);
+        }
+    }
+
+    /**
+     * Find a category by name for a type; "Parent:Child" names also match
+     * a category called "Child" or "Parent"
+     */
+    matchCategory(name, type, categoriesByName) {
+        if (!name) return null;
+
+        const parts = name.split(':');
+        for (const candidate of [name, parts[parts.length - 1], parts[0]]) {
+            const categoryId = categoriesByName.get(`${type}:${candidate.trim().toLowerCase()}`);
+            if (categoryId) return categoryId;
+        }
+
+        return null;
+    }
+
+    /**
+     * Mark rows that are already in the workspace. A row whose bank
+     * transaction ID was imported before is an exact duplicate. Otherwise a
+     * transaction on the same day with the same type and amount makes it a
+     * likely duplicate; each existing transaction matches at most one row, so
+     * two identical purchases on the same day are only flagged if both
+     * already exist, and transactions imported with a bank ID only match
+     * rows without one.
+     */
+    async flagDuplicates(rows, workspaceId, timezone) {
+        const keyed = rows.filter((row) => !row.errors.length);
+        if (!keyed.length) return;
+
+        const externalIds = keyed.map((row) => row.externalId).filter(Boolean);
+        const imported = externalIds.length
+            ? await Transaction.find({ workspaceId, externalId: { $in: externalIds } }).select('externalId').lean()
+            : [];
+        const byExternalId = new Map(imported.map((transaction) => [transaction.externalId, transaction._id]));
+
+        const dates = keyed.map((row) => row.date).sort();
+        const from = parseDateKey(dates[0]);
+        const to = parseDateKey(addDays(dates[dates.length - 1], 1));
+
+        const existing = await Transaction.find({
+            workspaceId,
+            date: {
+                $gte: zonedMidnight(from.year, from.month, from.day, timezone),
+                $lt: zonedMidnight(to.year, to.month, to.day, timezone),
+            },
+        })
+            .select('date type amount externalId')
+            .sort({ date: 1, _id: 1 })
+            .lean();
+
+        const buckets = new Map();
+        for (const transaction of existing) {
+            if (transaction.externalId && byExternalId.has(transaction.externalId)) continue;
+
+            const { year, month, day } = getZonedParts(transaction.date, timezone);
+            const key = `${toDateKey(year, month, day)}|${transaction.type}|${Math.round(transaction.amount * 100)}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(transaction);
+        }
+
+        for (const row of keyed) {
+            if (row.externalId && byExternalId.has(row.externalId)) {
+                row.duplicateOf = byExternalId.get(row.externalId);
+                row.duplicateMatch = 'exact';
+                continue;
+            }
+
+            const bucket = buckets.get(`${row.date}|${row.type}|${Math.round(row.amount * 100)}`) || [];
+            const index = bucket.findIndex((transaction) => !row.externalId || !transaction.externalId);
+            if (index !== -1) {
+                row.duplicateOf = bucket.splice(index, 1)[0]._id;
+                row.duplicateMatch = 'likely';
+            }
+        }
+    }
+
+    /**
+     * Row counts for a preview
+     */
+    summarize(rows) {
+        const valid = rows.filter((row) => !row.errors.length);
+        const total = (type) => Math.round(valid
+            .filter((row) => row.type === type)
+            .reduce((sum, row) => sum + row.amount * 100, 0)) / 100;
+
+        return {
+            rows: rows.length,
+            valid: valid.length,
+            errors: rows.length - valid.length,
+            duplicates: valid.filter((row) => row.duplicateOf).length,
+            income: total('income'),
+            expense: total('expense'),
+        };
+    }
+
+    /**
+     * Check the categories of the rows about to be created with the rules
+     * TransactionService.create applies
+     * @param {Array} rows - Rows to import
+     * @param {string} workspaceId - Workspace ID
+     */
+    async verifyCategories(rows, workspaceId) {
+        const pairs = new Map();
+        for (const row of rows) {
+            for (const categoryId of [row.categoryId, ...row.splits.map((line) => line.categoryId)]) {
+                pairs.set(`${row.type}:${categoryId}`, { categoryId, type: row.type });
+            }
+        }
+
+        for (const { categoryId, type } of pairs.values()) {
+            await transactionService.verifyCategory(categoryId, type, workspaceId);
+        }
+    }
+
+    /**
+     * Verify that default categories exist in the workspace and have the right type
+     */
+    async verifyDefaultCategories(settings, workspaceId) {
+        for (const type of ['expense', 'income']) {
+            const field = type === 'expense' ? 'defaultExpenseCategoryId' : 'defaultIncomeCategoryId';
+            if (!settings[field]) continue;
+
+            const category = await Category.findOne({ _id: settings[field], workspaceId });
+            if (!category) {
+                const error = new Error('Category not found');
+                error.statusCode = 404;
+                throw error;
+            }
+            if (category.type !== type) {
+                const error = new Error(`The default ${type} category must be an ${type} category`);
+                error.statusCode = 400;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Reject actions that do not fit the batch's status
+     */
+    assertStatus(batch, status) {
+        if (batch.status !== status) {
+            const error = new Error(`This import is ${batch.status}`);
+            error.statusCode = 409;
+            throw error;
+        }
+    }
+
+    /**
+     * Find an import batch in a workspace
+     * @param {string} batchId - Batch ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} options - { withContent } to load the statement text
+     * @returns {Object} - Import batch
+     */
+    async findBatch(batchId, workspaceId, { withContent = false } = {}) {
+        const query = ImportBatch.findOne({ _id: batchId, workspaceId });
+        if (withContent) query.select('+content');
+
+        const batch = await query;
+        if (!batch) {
+            const error = new Error('Import not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return batch;
+    }
+
+    /**
+     * Find an import profile in a workspace
+     * @param {string} profileId - Profile ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Import profile
+     */
+    async findProfile(profileId, workspaceId) {
+        const profile = await ImportProfile.findOne({ _id: profileId, workspaceId });
+
+        if (!profile) {
+            const error = new Error('Import profile not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return profile;
+    }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,228 @@
+/**
+ * Login Throttle Service
+ * Per-account and per-IP failed login tracking with exponential backoff and lockout
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+const {
+    LOGIN_THROTTLE_STORE,
+    LOGIN_MAX_ACCOUNT_FAILURES,
+    LOGIN_MAX_IP_FAILURES,
+    LOGIN_LOCKOUT_MINUTES,
+    LOGIN_ATTEMPT_WINDOW_MINUTES,
+} = require('../config/env');
+
+// Failures allowed before backoff delays kick in, and the delay bounds
+const BACKOFF_AFTER_FAILURES = 3;
+const BACKOFF_BASE_SECONDS = 1;
+const BACKOFF_MAX_SECONDS = 60;
+
+/**
+ * In-memory store - for tests and single-process development
+ * @returns {Object} - Store with async get/set/delete
+ */
+const createMemoryStore = () => {
+    const records = new Map();
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const record = records.get(key);
+            if (record && record.expiresAt <= new Date()) {
+                records.delete(key);
+                return null;
+            }
+            return record ? { ...record } : null;
+        },
+        async set(key, record) {
+            records.set(key, { ...record });
+        },
+        async delete(key) {
+            records.delete(key);
+        },
+        clear() {
+            records.clear();
+        },
+    };
+};
+
+/**
+ * MongoDB store - shared across server instances
+ * @returns {Object} - Store with async get/set/delete
+ */
+const createMongoStore = () => ({
+    name: 'mongo',
+    async get(key) {
+        const record = await LoginAttempt.findOne({ key }).lean();
+        if (!record || record.expiresAt <= new Date()) {
+            return null;
+        }
+        return {
+            failures: record.failures,
+            lastFailureAt: record.lastFailureAt,
+            lockedUntil: record.lockedUntil,
+            expiresAt: record.expiresAt,
+        };
+    },
+    async set(key, record) {
+        await LoginAttempt.updateOne({ key }, { $set: { key, ...record } }, { upsert: true });
+    },
+    async delete(key) {
+        await LoginAttempt.deleteOne({ key });
+    },
+});
+
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore,
+};
+
+class LoginThrottleService {
+    constructor() {
+        const factory = stores[LOGIN_THROTTLE_STORE] || stores.mongo;
+        this.store = factory();
+    }
+
+    /**
+     * Replace the attempt store (e.g. the memory store in tests)
+     * @param {Object} store - Object exposing async get/set/delete
+     */
+    setStore(store) {
+        if (!store || ['get', 'set', 'delete'].some((fn) => typeof store[fn] !== 'function')) {
+            throw new Error('Login attempt store must implement get, set and delete');
+        }
+        this.store = store;
+    }
+
+    /**
+     * Build the tracked keys for a login attempt
+     * @param {string} email - Account email
+     * @param {string} ipAddress - Client IP
+     * @returns {Array} - [{ key, maxFailures }]
+     */
+    getKeys(email, ipAddress) {
+        const keys = [];
+        if (email) {
+            keys.push({ key: `account:${String(email).toLowerCase()}`, maxFailures: LOGIN_MAX_ACCOUNT_FAILURES });
+        }
+        if (ipAddress) {
+            keys.push({ key: `ip:${ipAddress}`, maxFailures: LOGIN_MAX_IP_FAILURES });
+        }
+        return keys;
+    }
+
+    /**
+     * Seconds a client must wait after the given number of consecutive failures
+     * @param {number} failures - Consecutive failures
+     * @returns {number} - Delay in seconds
+     */
+    getBackoffSeconds(failures) {
+        if (failures < BACKOFF_AFTER_FAILURES) {
+            return 0;
+        }
+        return Math.min(
+            BACKOFF_BASE_SECONDS * 2 ** (failures - BACKOFF_AFTER_FAILURES),
+            BACKOFF_MAX_SECONDS
+        );
+    }
+
+    /**
+     * Build the 429 error returned while throttled or locked out
+     */
+    createThrottleError(message, retryAfterSeconds) {
+        const error = new Error(message);
+        error.statusCode = 429;
+        error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+        return error;
+    }
+
+    /**
+     * Throw if the account or IP is currently locked out or backing off
+     * @param {string} email - Account email
+     * @param {string} ipAddress - Client IP
+     */
+    async assertAllowed(email, ipAddress) {
+        const now = Date.now();
+
+        for (const { key } of this.getKeys(email, ipAddress)) {
+            const record = await this.store.get(key);
+            if (!record) continue;
+
+            if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+                const seconds = (new Date(record.lockedUntil).getTime() - now) / 1000;
+                throw this.createThrottleError(
+                    `Too many failed login attempts. Login is locked for ${Math.ceil(seconds / 60)} more minute(s).`,
+                    seconds
+                );
+            }
+
+            const backoff = this.getBackoffSeconds(record.failures);
+            const lastFailure = record.lastFailureAt ? new Date(record.lastFailureAt).getTime() : 0;
+            const waitSeconds = (lastFailure + backoff * 1000 - now) / 1000;
+            if (waitSeconds > 0) {
+                throw this.createThrottleError(
+                    `Too many failed login attempts. Please wait ${Math.ceil(waitSeconds)} second(s) before trying again.`,
+                    waitSeconds
+                );
+            }
+        }
+    }
+
+    /**
+     * Record a failed attempt against the account and IP
+     * @param {string} email - Account email
+     * @param {string} ipAddress - Client IP
+     * @returns {Object} - { locked, lockedUntil }
+     */
+    async recordFailure(email, ipAddress) {
+        const now = new Date();
+        const windowMs = LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+        let lockedUntil = null;
+
+        for (const { key, maxFailures } of this.getKeys(email, ipAddress)) {
+            const record = await this.store.get(key);
+
+            // Failures older than the window no longer count
+            const isStale = !record || !record.lastFailureAt
+                || now - new Date(record.lastFailureAt) > windowMs;
+            let failures = (isStale ? 0 : record.failures) + 1;
+            let keyLockedUntil = record && record.lockedUntil > now ? record.lockedUntil : null;
+
+            if (failures >= maxFailures) {
+                keyLockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+                failures = 0;
+                lockedUntil = lockedUntil && lockedUntil > keyLockedUntil ? lockedUntil : keyLockedUntil;
+            }
+
+            const expiresAt = new Date(Math.max(
+                now.getTime() + windowMs,
+                keyLockedUntil ? keyLockedUntil.getTime() : 0
+            ));
+
+            await this.store.set(key, {
+                failures,
+                lastFailureAt: now,
+                lockedUntil: keyLockedUntil,
+                expiresAt,
+            });
+        }
+
+        return { locked: !!lockedUntil, lockedUntil };
+    }
+
+    /**
+     * Clear the account's failure history after a successful login.
+     * The IP counter is kept so one valid account cannot reset it.
+     * @param {string} email - Account email
+     */
+    async recordSuccess(email) {
+        const [account] = this.getKeys(email, null);
+        if (account) {
+            await this.store.delete(account.key);
+        }
+    }
+}
+
+module.exports = new LoginThrottleService();
+module.exports.createMemoryStore = createMemoryStore;
+module.exports.createMongoStore = createMongoStore;
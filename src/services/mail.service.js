@@ -0,0 +1,84 @@
+/**
+ * Mail Service
+ * Sends transactional emails through a pluggable transport
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { MAIL_TRANSPORT, MAIL_FROM, MAIL_OUTBOX_DIR } = require('../config/env');
+
+/**
+ * Outbox transport - writes each message as a JSON file instead of sending it.
+ * Lets password reset and similar flows work without an SMTP server.
+ * @param {string} directory - Outbox directory
+ * @returns {Object} - Transport with async send(message)
+ */
+const createOutboxTransport = (directory) => ({
+    name: 'outbox',
+    async send(message) {
+        await fs.mkdir(directory, { recursive: true });
+
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(directory, `${id}.json`);
+
+        await fs.writeFile(filePath, JSON.stringify({ id, ...message }, null, 2));
+
+        return { id, filePath };
+    },
+});
+
+/**
+ * Console transport - logs messages, useful when running locally
+ * @returns {Object} - Transport with async send(message)
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { id: null };
+    },
+});
+
+const transports = {
+    outbox: () => createOutboxTransport(path.resolve(MAIL_OUTBOX_DIR)),
+    console: createConsoleTransport,
+};
+
+class MailService {
+    constructor() {
+        const factory = transports[MAIL_TRANSPORT] || transports.outbox;
+        this.transport = factory();
+    }
+
+    /**
+     * Replace the active transport (e.g. an SMTP or API-backed one)
+     * @param {Object} transport - Object exposing async send(message)
+     */
+    setTransport(transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error('Mail transport must implement send(message)');
+        }
+        this.transport = transport;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Object} - Transport result
+     */
+    async send({ to, subject, text, html = null }) {
+        return this.transport.send({
+            from: MAIL_FROM,
+            to,
+            subject,
+            text,
+            html,
+            createdAt: new Date().toISOString(),
+        });
+    }
+}
+
+module.exports = new MailService();
+module.exports.createOutboxTransport = createOutboxTransport;
+module.exports.createConsoleTransport = createConsoleTransport;
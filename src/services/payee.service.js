@@ -0,0 +1,329 @@
+/**
+ * Payee Service
+ * Handles business logic for payees (merchants) and linking transactions to them
+ */
+
+const mongoose = require('mongoose');
+const Payee = require('../models/Payee');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const auditService = require('./audit.service');
+
+// Transactions linked per bulk write
+const LINK_BATCH_SIZE = 500;
+
+class PayeeService {
+    /**
+     * Get all payees in a workspace with the number of transactions linked to each
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Array} - Payees with transactionCount
+     */
+    async getAll(workspaceId) {
+        const [payees, usage] = await Promise.all([
+            Payee.find({ workspaceId })
+                .populate('defaultCategoryId', 'name icon color type')
+                .sort({ name: 1 }),
+            Transaction.aggregate([
+                { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId), payeeId: { $ne: null } } },
+                { $group: { _id: '$payeeId', count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const counts = new Map(usage.map((entry) => [String(entry._id), entry.count]));
+
+        return payees.map((payee) => ({
+            ...payee.toJSON(),
+            transactionCount: counts.get(String(payee._id)) || 0,
+        }));
+    }
+
+    /**
+     * Get a single payee
+     * @param {string} payeeId - Payee ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Object} - Payee
+     */
+    async getById(payeeId, workspaceId) {
+        const payee = await this.findPayee(payeeId, workspaceId);
+        await payee.populate('defaultCategoryId', 'name icon color type');
+
+        return payee;
+    }
+
+    /**
+     * Create a payee and link the unlinked transactions that match it
+     * @param {Object} data - { name, aliases, defaultCategoryId }
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the payee
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - { payee, transactionsLinked }
+     */
+    async create(data, workspaceId, userId, context = {}) {
+        const payee = new Payee({
+            workspaceId,
+            userId,
+            name: data.name,
+            aliases: data.aliases || [],
+            defaultCategoryId: data.defaultCategoryId
+                ? (await this.findCategory(data.defaultCategoryId, workspaceId))._id
+                : null,
+        });
+
+        await this.savePayee(payee);
+        const transactionsLinked = await this.linkTransactions(workspaceId);
+        await auditService.recordCreate('Payee', payee, context, { transactionsLinked });
+        await payee.populate('defaultCategoryId', 'name icon color type');
+
+        return { payee, transactionsLinked };
+    }
+
+    /**
+     * Update a payee. New names and aliases link unlinked transactions;
+     * transactions already linked keep their payee.
+     * @param {string} payeeId - Payee ID
+     * @param {Object} data - { name, aliases, defaultCategoryId (null to clear) }
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - { payee, transactionsLinked }
+     */
+    async update(payeeId, data, workspaceId, context = {}) {
+        const payee = await this.findPayee(payeeId, workspaceId);
+        const before = auditService.snapshot(payee);
+
+        if (data.name !== undefined) payee.name = data.name;
+        if (data.aliases !== undefined) payee.aliases = data.aliases;
+        if (data.defaultCategoryId !== undefined) {
+            payee.defaultCategoryId = data.defaultCategoryId
+                ? (await this.findCategory(data.defaultCategoryId, workspaceId))._id
+                : null;
+        }
+
+        await this.savePayee(payee);
+        const transactionsLinked = await this.linkTransactions(workspaceId);
+        await auditService.recordUpdate('Payee', before, payee, context, { transactionsLinked });
+        await payee.populate('defaultCategoryId', 'name icon color type');
+
+        return { payee, transactionsLinked };
+    }
+
+    /**
+     * Merge payees into another one: their transactions move to the target,
+     * and their names and aliases become the target's aliases
+     * @param {Array} sourceIds - IDs of the payees to merge away
+     * @param {string} targetId - ID of the payee to keep
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - { payee, merged, transactionsUpdated }
+     */
+    async merge(sourceIds, targetId, workspaceId, context = {}) {
+        const ids = [...new Set(sourceIds.map(String))];
+
+        if (ids.includes(String(targetId))) {
+            const error = new Error('Cannot merge a payee into itself');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const target = await this.findPayee(targetId, workspaceId);
+        const sources = await Payee.find({ _id: { $in: ids }, workspaceId });
+
+        if (sources.length !== ids.length) {
+            const error = new Error('Payee not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const before = auditService.snapshot(target);
+        const sourceIdList = sources.map((source) => source._id);
+
+        const result = await Transaction.updateMany(
+            { workspaceId, payeeId: { $in: sourceIdList } },
+            { $set: { payeeId: target._id } }
+        );
+
+        // The sources' names are unique keys, so they go before the target takes them over
+        await Payee.deleteMany({ _id: { $in: sourceIdList } });
+        target.aliases = [...target.aliases, ...sources.flatMap((source) => [source.name, ...source.aliases])];
+        if (!target.defaultCategoryId) {
+            const withCategory = sources.find((source) => source.defaultCategoryId);
+            if (withCategory) target.defaultCategoryId = withCategory.defaultCategoryId;
+        }
+        await target.save();
+
+        for (const source of sources) {
+            await auditService.recordDelete('Payee', source, context, { mergedInto: target._id });
+        }
+        await auditService.recordUpdate('Payee', before, target, context, {
+            mergedFrom: sourceIdList,
+            transactionsUpdated: result.modifiedCount,
+        });
+        await target.populate('defaultCategoryId', 'name icon color type');
+
+        return {
+            payee: target,
+            merged: sources.map((source) => source.name),
+            transactionsUpdated: result.modifiedCount,
+        };
+    }
+
+    /**
+     * Delete a payee and unlink its transactions
+     * @param {string} payeeId - Payee ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {boolean} - Success status
+     */
+    async delete(payeeId, workspaceId, context = {}) {
+        const payee = await this.findPayee(payeeId, workspaceId);
+
+        const result = await Transaction.updateMany(
+            { workspaceId, payeeId: payee._id },
+            { $set: { payeeId: null } }
+        );
+
+        await payee.deleteOne();
+        await auditService.recordDelete('Payee', payee, context, {
+            transactionsUpdated: result.modifiedCount,
+        });
+
+        return true;
+    }
+
+    /**
+     * Find the payee a description belongs to
+     * @param {string} description - Transaction description
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object|null} - Payee (lean) or null
+     */
+    async resolve(description, workspaceId) {
+        const matchers = await this.loadMatchers(workspaceId);
+        return this.findMatch(description, matchers);
+    }
+
+    /**
+     * Load a workspace's payees as match keys, longest first so the most
+     * specific name wins ("uber eats" over "uber")
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Array} - [{ key, payee }]
+     */
+    async loadMatchers(workspaceId) {
+        const payees = await Payee.find({ workspaceId })
+            .select('name matchKeys defaultCategoryId createdAt')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        return payees
+            .flatMap((payee) => payee.matchKeys.map((key) => ({ key, payee })))
+            .sort((a, b) => b.key.length - a.key.length);
+    }
+
+    /**
+     * Payee whose name or alias appears as whole words in a description
+     * @param {string} description - Transaction description
+     * @param {Array} matchers - From loadMatchers
+     * @returns {Object|null} - Payee (lean) or null
+     */
+    findMatch(description, matchers) {
+        if (!matchers.length) return null;
+
+        const normalized = ` ${Payee.normalizeName(description)} `;
+        const match = matchers.find(({ key }) => normalized.includes(` ${key} `));
+
+        return match ? match.payee : null;
+    }
+
+    /**
+     * Link every unlinked transaction whose description matches a payee
+     * @param {string} workspaceId - Workspace ID
+     * @returns {number} - Transactions linked
+     */
+    async linkTransactions(workspaceId) {
+        const matchers = await this.loadMatchers(workspaceId);
+        if (!matchers.length) return 0;
+
+        const cursor = Transaction.find({ workspaceId, payeeId: null, description: { $ne: '' } })
+            .select('description')
+            .lean()
+            .cursor();
+
+        let linked = 0;
+        let batch = [];
+        const flush = async () => {
+            if (!batch.length) return;
+
+            const result = await Transaction.bulkWrite(batch, { ordered: false });
+            linked += result.modifiedCount;
+            batch = [];
+        };
+
+        for await (const transaction of cursor) {
+            const payee = this.findMatch(transaction.description, matchers);
+            if (!payee) continue;
+
+            batch.push({
+                updateOne: {
+                    filter: { _id: transaction._id, payeeId: null },
+                    update: { $set: { payeeId: payee._id } },
+                },
+            });
+            if (batch.length >= LINK_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        return linked;
+    }
+
+    /**
+     * Save a payee, reporting a name or alias another payee already has
+     */
+    async savePayee(payee) {
+        try {
+            await payee.save();
+        } catch (err) {
+            if (err.code === 11000) {
+                const error = new Error('This name or alias already belongs to another payee; merge the payees instead');
+                error.statusCode = 400;
+                throw error;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Find a category in the workspace
+     * @param {string} categoryId - Category ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Category
+     */
+    async findCategory(categoryId, workspaceId) {
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
+
+        if (!category) {
+            const error = new Error('Category not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return category;
+    }
+
+    /**
+     * Find a payee in the workspace
+     * @param {string} payeeId - Payee ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Payee
+     */
+    async findPayee(payeeId, workspaceId) {
+        const payee = await Payee.findOne({ _id: payeeId, workspaceId });
+
+        if (!payee) {
+            const error = new Error('Payee not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return payee;
+    }
+}
+
+module.exports = new PayeeService();
@@ -0,0 +1,509 @@
+/**
+ * Recurring Transaction Service
+ * Handles recurring transaction schedules, single-occurrence overrides and
+ * posting due occurrences as transactions
+ */
+
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const auditService = require('./audit.service');
+const categorySuggestionService = require('./categorySuggestion.service');
+const payeeService = require('./payee.service');
+const financialAccountService = require('./financialAccount.service');
+const { iterateOccurrences, parseDateKey } = require('../utils/recurrence');
+const { zonedMidnight, resolvePreferences } = require('../utils/dateRanges');
+
+// Fields a client may set on a recurring transaction
+const EDITABLE_FIELDS = [
+    'categoryId',
+    'accountId',
+    'type',
+    'amount',
+    'description',
+    'frequency',
+    'interval',
+    'byWeekday',
+    'byMonthDay',
+    'lastBusinessDay',
+    'startDate',
+    'endDate',
+    'count',
+    'timezone',
+    'active',
+];
+
+// Occurrences posted per rule in one scheduler pass; the rest follow on the next pass
+const MAX_OCCURRENCES_PER_RUN = 500;
+
+class RecurringTransactionService {
+    /**
+     * Get all recurring transactions in a workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} filters - { active }
+     * @returns {Array} - Recurring transactions
+     */
+    async getAll(workspaceId, filters = {}) {
+        const query = { workspaceId };
+
+        if (filters.active !== undefined) {
+            query.active = filters.active;
+        }
+
+        return RecurringTransaction.find(query)
+            .populate('categoryId', 'name icon color type')
+            .sort({ createdAt: -1 });
+    }
+
+    /**
+     * Get a single recurring transaction
+     * @param {string} recurringId - Recurring transaction ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {Object} - Recurring transaction
+     */
+    async getById(recurringId, workspaceId) {
+        const recurring = await this.findRecurring(recurringId, workspaceId);
+        await recurring.populate('categoryId', 'name icon color type');
+        return recurring;
+    }
+
+    /**
+     * Create a recurring transaction and post any occurrences already due
+     * @param {Object} data - Template and schedule fields
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating it
+     * @param {Object} preferences - User preferences (timezone default)
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Created recurring transaction
+     */
+    async create(data, workspaceId, userId, preferences, context = {}) {
+        const recurring = this.build(data, workspaceId, userId, preferences);
+
+        await this.verifyCategory(recurring.categoryId, recurring.type, workspaceId);
+        if (recurring.accountId) {
+            await financialAccountService.resolveAccount(recurring.accountId, workspaceId);
+        }
+
+        this.scheduleNext(recurring);
+        await recurring.save();
+        await auditService.recordCreate('RecurringTransaction', recurring, context);
+
+        await this.processRecurring(recurring);
+        await recurring.populate('categoryId', 'name icon color type');
+
+        return recurring;
+    }
+
+    /**
+     * Update a recurring transaction. Occurrences already posted are not changed.
+     * @param {string} recurringId - Recurring transaction ID
+     * @param {Object} data - Fields to update
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated recurring transaction
+     */
+    async update(recurringId, data, workspaceId, context = {}) {
+        const recurring = await this.findRecurring(recurringId, workspaceId);
+        const before = auditService.snapshot(recurring);
+        const resuming = !recurring.active && data.active === true;
+
+        for (const field of EDITABLE_FIELDS) {
+            if (data[field] !== undefined) {
+                recurring[field] = data[field];
+            }
+        }
+
+        // Occurrences missed while paused are not posted when resuming
+        if (resuming) {
+            this.skipMissedOccurrences(recurring);
+        }
+
+        if (data.categoryId || data.type) {
+            await this.verifyCategory(recurring.categoryId, recurring.type, workspaceId);
+        }
+        if (data.accountId) {
+            await financialAccountService.resolveAccount(data.accountId, workspaceId);
+        }
+
+        this.scheduleNext(recurring);
+        await recurring.save();
+        await auditService.recordUpdate('RecurringTransaction', before, recurring, context);
+
+        await this.processRecurring(recurring);
+        await recurring.populate('categoryId', 'name icon color type');
+
+        return recurring;
+    }
+
+    /**
+     * Delete a recurring transaction. Transactions it already posted are kept.
+     * @param {string} recurringId - Recurring transaction ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {boolean} - Success status
+     */
+    async delete(recurringId, workspaceId, context = {}) {
+        const recurring = await this.findRecurring(recurringId, workspaceId);
+
+        await recurring.deleteOne();
+        await auditService.recordDelete('RecurringTransaction', recurring, context);
+
+        return true;
+    }
+
+    /**
+     * Upcoming occurrences of a saved recurring transaction
+     * @param {string} recurringId - Recurring transaction ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {number} limit - Maximum number of occurrences
+     * @returns {Array} - Occurrences
+     */
+    async preview(recurringId, workspaceId, limit = 10) {
+        const recurring = await this.findRecurring(recurringId, workspaceId);
+        return this.getUpcoming(recurring, limit);
+    }
+
+    /**
+     * Upcoming occurrences of a schedule that has not been saved yet
+     * @param {Object} data - Template and schedule fields, as for create
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - Requesting user's ID
+     * @param {Object} preferences - User preferences (timezone default)
+     * @param {number} limit - Maximum number of occurrences
+     * @returns {Array} - Occurrences
+     */
+    async previewSchedule(data, workspaceId, userId, preferences, limit = 10) {
+        const recurring = this.build(data, workspaceId, userId, preferences);
+        await recurring.validate();
+
+        return this.getUpcoming(recurring, limit);
+    }
+
+    /**
+     * Skip or override a single future occurrence
+     * @param {string} recurringId - Recurring transaction ID
+     * @param {string} date - Occurrence date (YYYY-MM-DD)
+     * @param {Object} data - { skip, amount, description, categoryId }
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - The occurrence as it will be posted
+     */
+    async setOccurrence(recurringId, date, data, workspaceId, context = {}) {
+        const recurring = await this.findRecurring(recurringId, workspaceId);
+
+        this.assertFutureOccurrence(recurring, date);
+
+        const exception = {
+            date,
+            skip: Boolean(data.skip),
+            amount: data.amount ?? null,
+            description: data.description ?? null,
+            categoryId: data.categoryId ?? null,
+        };
+
+        if (!exception.skip && exception.amount === null && exception.description === null && !exception.categoryId) {
+            const error = new Error('Provide skip or at least one of amount, description or categoryId');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (exception.categoryId) {
+            await this.verifyCategory(exception.categoryId, recurring.type, workspaceId);
+        }
+
+        const before = auditService.snapshot(recurring);
+
+        recurring.exceptions = recurring.exceptions.filter((e) => e.date !== date);
+        recurring.exceptions.push(exception);
+        recurring.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+
+        await recurring.save();
+        await auditService.recordUpdate('RecurringTransaction', before, recurring, context);
+
+        return this.describeOccurrence(recurring, date);
+    }
+
+    /**
+     * Restore a skipped or overridden occurrence to the schedule's defaults
+     * @param {string} recurringId - Recurring transaction ID
+     * @param {string} date - Occurrence date (YYYY-MM-DD)
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - The occurrence as it will be posted
+     */
+    async resetOccurrence(recurringId, date, workspaceId, context = {}) {
+        const recurring = await this.findRecurring(recurringId, workspaceId);
+
+        this.assertFutureOccurrence(recurring, date);
+
+        if (!recurring.getException(date)) {
+            const error = new Error('This occurrence has no changes to reset');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const before = auditService.snapshot(recurring);
+
+        recurring.exceptions = recurring.exceptions.filter((e) => e.date !== date);
+        await recurring.save();
+        await auditService.recordUpdate('RecurringTransaction', before, recurring, context);
+
+        return this.describeOccurrence(recurring, date);
+    }
+
+    /**
+     * Post every due occurrence of every active recurring transaction.
+     * Safe to run concurrently: each occurrence is posted at most once.
+     * @param {Date} now - Reference instant (default now)
+     * @returns {number} - Number of transactions posted
+     */
+    async postDueOccurrences(now = new Date()) {
+        const cursor = RecurringTransaction.find({
+            active: true,
+            nextOccurrenceAt: { $lte: now },
+        }).cursor();
+
+        let posted = 0;
+
+        for await (const recurring of cursor) {
+            try {
+                posted += await this.processRecurring(recurring, now);
+            } catch (error) {
+                console.error(`Recurring transaction ${recurring._id} failed:`, error.message);
+            }
+        }
+
+        return posted;
+    }
+
+    /**
+     * Post the due occurrences of one recurring transaction and move its
+     * schedule pointer forward
+     * @param {Object} recurring - Recurring transaction document
+     * @param {Date} now - Reference instant (default now)
+     * @returns {number} - Number of transactions posted
+     */
+    async processRecurring(recurring, now = new Date()) {
+        if (!recurring.active) {
+            return 0;
+        }
+
+        let posted = 0;
+        let handled = 0;
+
+        for (const { date } of this.pendingOccurrences(recurring)) {
+            if (handled >= MAX_OCCURRENCES_PER_RUN || this.occurrenceInstant(recurring, date) > now) {
+                break;
+            }
+
+            const exception = recurring.getException(date);
+            if (!exception || !exception.skip) {
+                if (await this.postOccurrence(recurring, date, exception)) {
+                    posted++;
+                }
+            }
+
+            recurring.lastOccurrenceDate = date;
+            handled++;
+        }
+
+        if (handled > 0) {
+            this.scheduleNext(recurring);
+            await recurring.save();
+        }
+
+        return posted;
+    }
+
+    /**
+     * Mark every occurrence already due as handled without posting it
+     * @param {Object} recurring - Recurring transaction document
+     * @param {Date} now - Reference instant (default now)
+     */
+    skipMissedOccurrences(recurring, now = new Date()) {
+        for (const { date } of this.pendingOccurrences(recurring)) {
+            if (this.occurrenceInstant(recurring, date) > now) break;
+            recurring.lastOccurrenceDate = date;
+        }
+    }
+
+    /**
+     * Create the transaction for one occurrence
+     * @returns {boolean} - False if it had already been posted
+     */
+    async postOccurrence(recurring, date, exception = null) {
+        const description = exception && exception.description !== null
+            ? exception.description
+            : recurring.description;
+        const payee = await payeeService.resolve(description, recurring.workspaceId);
+        // An account archived after the schedule was set up still receives its occurrences
+        const accountId = recurring.accountId
+            || (await financialAccountService.getDefaultAccount(recurring.workspaceId))._id;
+
+        try {
+            const transaction = await Transaction.create({
+                workspaceId: recurring.workspaceId,
+                userId: recurring.userId,
+                categoryId: (exception && exception.categoryId) || recurring.categoryId,
+                accountId,
+                payeeId: payee ? payee._id : null,
+                type: recurring.type,
+                amount: (exception && exception.amount) || recurring.amount,
+                description,
+                date: this.occurrenceInstant(recurring, date),
+                recurringTransactionId: recurring._id,
+                occurrenceDate: date,
+            });
+
+            await categorySuggestionService.learn([transaction]);
+            await auditService.recordCreate('Transaction', transaction, {}, {
+                recurringTransactionId: recurring._id,
+                occurrenceDate: date,
+            });
+
+            return true;
+        } catch (error) {
+            // Already posted by an earlier or concurrent run
+            if (error.code === 11000) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Occurrences the scheduler has not handled yet
+     */
+    * pendingOccurrences(recurring) {
+        for (const occurrence of iterateOccurrences(recurring)) {
+            if (!recurring.lastOccurrenceDate || occurrence.date > recurring.lastOccurrenceDate) {
+                yield occurrence;
+            }
+        }
+    }
+
+    /**
+     * Set nextOccurrenceAt to when the next pending occurrence is due
+     */
+    scheduleNext(recurring) {
+        recurring.nextOccurrenceAt = null;
+
+        if (!recurring.active) return;
+
+        for (const { date } of this.pendingOccurrences(recurring)) {
+            recurring.nextOccurrenceAt = this.occurrenceInstant(recurring, date);
+            return;
+        }
+    }
+
+    /**
+     * Instant an occurrence is due: local midnight in the schedule's timezone
+     */
+    occurrenceInstant(recurring, date) {
+        const { year, month, day } = parseDateKey(date);
+        return zonedMidnight(year, month, day, recurring.timezone);
+    }
+
+    /**
+     * Upcoming occurrences with their overrides applied
+     */
+    getUpcoming(recurring, limit) {
+        const upcoming = [];
+
+        for (const { date } of this.pendingOccurrences(recurring)) {
+            if (upcoming.length >= limit) break;
+            upcoming.push(this.describeOccurrence(recurring, date));
+        }
+
+        return upcoming;
+    }
+
+    /**
+     * Shape an occurrence for responses
+     */
+    describeOccurrence(recurring, date) {
+        const exception = recurring.getException(date);
+
+        return {
+            date,
+            scheduledAt: this.occurrenceInstant(recurring, date),
+            type: recurring.type,
+            amount: (exception && exception.amount) || recurring.amount,
+            description: exception && exception.description !== null ? exception.description : recurring.description,
+            categoryId: (exception && exception.categoryId) || recurring.categoryId,
+            skipped: Boolean(exception && exception.skip),
+            modified: Boolean(exception && !exception.skip),
+        };
+    }
+
+    /**
+     * Throw unless a date is a scheduled occurrence that has not been posted yet
+     */
+    assertFutureOccurrence(recurring, date) {
+        if (recurring.lastOccurrenceDate && date <= recurring.lastOccurrenceDate) {
+            const error = new Error('This occurrence has already been posted; edit or delete its transaction instead');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        for (const occurrence of this.pendingOccurrences(recurring)) {
+            if (occurrence.date === date) return;
+            if (occurrence.date > date) break;
+        }
+
+        const error = new Error(`${date} is not a scheduled occurrence`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    /**
+     * Build an unsaved recurring transaction from client data
+     */
+    build(data, workspaceId, userId, preferences) {
+        const fields = {};
+        for (const field of EDITABLE_FIELDS) {
+            if (data[field] !== undefined) fields[field] = data[field];
+        }
+
+        return new RecurringTransaction({
+            ...fields,
+            workspaceId,
+            userId,
+            timezone: data.timezone || resolvePreferences(preferences).timezone,
+        });
+    }
+
+    /**
+     * Verify a category belongs to the workspace and matches the transaction type
+     */
+    async verifyCategory(categoryId, type, workspaceId) {
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
+
+        if (!category) {
+            const error = new Error('Category not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (category.type !== type) {
+            const error = new Error(`Cannot use ${category.type} category for ${type} transaction`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * Find a recurring transaction in a workspace or throw 404
+     */
+    async findRecurring(recurringId, workspaceId) {
+        const recurring = await RecurringTransaction.findOne({ _id: recurringId, workspaceId });
+
+        if (!recurring) {
+            const error = new Error('Recurring transaction not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return recurring;
+    }
+}
+
+module.exports = new RecurringTransactionService();
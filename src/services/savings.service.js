@@ -7,20 +7,26 @@ const Savings = require('../models/Savings');
 const SavingsTransaction = require('../models/SavingsTransaction');
 const Budget = require('../models/Budget');
 const Transaction = require('../models/Transaction');
+const Workspace = require('../models/Workspace');
+const auditService = require('./audit.service');
+const financialAccountService = require('./financialAccount.service');
+const { getCurrentMonth, getMonthRange } = require('../utils/dateRanges');
 const mongoose = require('mongoose');
 
 class SavingsService {
     /**
-     * Get or create savings account for a user
-     * @param {string} userId - User ID
+     * Get or create the savings account of a workspace
+     * @param {string} workspaceId - Workspace ID
      * @returns {Object} - Savings account
      */
-    async getOrCreateSavings(userId) {
-        let savings = await Savings.findOne({ userId });
+    async getOrCreateSavings(workspaceId) {
+        let savings = await Savings.findOne({ workspaceId });
 
         if (!savings) {
+            const workspace = await Workspace.findById(workspaceId).select('ownerId');
             savings = await Savings.create({
-                userId,
+                workspaceId,
+                userId: workspace.ownerId,
                 balance: 0,
                 totalDeposits: 0,
                 totalWithdrawals: 0,
@@ -32,26 +38,27 @@ class SavingsService {
 
     /**
      * Get savings account with summary
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Savings with summary data
      */
-    async getSavings(userId) {
-        const savings = await this.getOrCreateSavings(userId);
+    async getSavings(workspaceId, preferences) {
+        const savings = await this.getOrCreateSavings(workspaceId);
 
         // Get recent transactions
-        const recentTransactions = await SavingsTransaction.find({ userId })
+        const recentTransactions = await SavingsTransaction.find({ workspaceId })
             .sort({ createdAt: -1 })
             .limit(5);
 
-        // Calculate monthly stats
-        const now = new Date();
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+        // Calculate stats for the current (fiscal) month in the user's timezone
+        const current = getCurrentMonth(preferences);
+        const { startDate, endDate } = getMonthRange(current.year, current.month, preferences);
 
         const monthlyStats = await SavingsTransaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
-                    createdAt: { $gte: startOfMonth },
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    createdAt: { $gte: startDate, $lte: endDate },
                 },
             },
             {
@@ -67,7 +74,7 @@ class SavingsService {
         const monthlyWithdrawals = monthlyStats.find(s => s._id === 'debit')?.total || 0;
 
         // Get available balance for manual contributions
-        const availableBalance = await this.getAvailableBalance(userId);
+        const availableBalance = await this.getAvailableBalance(workspaceId);
 
         return {
             ...savings.toObject(),
@@ -80,16 +87,16 @@ class SavingsService {
     }
 
     /**
-     * Get available balance (Total Balance = income - expenses - savings) for manual savings contributions
+     * Get available balance (Total Balance = opening balances + income - expenses - savings) for manual savings contributions
      * This is the money available in the user's main account that can be moved to savings
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @returns {number} - Available balance (Total Balance after savings)
      */
-    async getAvailableBalance(userId) {
+    async getAvailableBalance(workspaceId) {
         const result = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                 },
             },
             {
@@ -102,29 +109,33 @@ class SavingsService {
 
         const income = result.find(r => r._id === 'income')?.total || 0;
         const expenses = result.find(r => r._id === 'expense')?.total || 0;
-        const savings = await this.getOrCreateSavings(userId);
+        const savings = await this.getOrCreateSavings(workspaceId);
+        const openingBalance = await financialAccountService.getOpeningBalanceTotal(workspaceId);
 
-        // Total Balance = Income - Expenses - Savings Balance
+        // Total Balance = Opening Balances + Income - Expenses - Savings Balance
         // This is what's shown on dashboard and available to contribute
-        return Math.max(0, income - expenses - savings.balance);
+        return Math.max(0, openingBalance + income - expenses - savings.balance);
     }
 
     /**
      * Add money to savings (deposit)
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user making the change
      * @param {number} amount - Amount to deposit
      * @param {string} source - Source of deposit (manual, budget_surplus, etc.)
      * @param {string} description - Transaction description
      * @param {Object} budgetCycle - { month, year } if from budget
      * @param {string} relatedBudgetId - Related budget ID
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Updated savings and transaction
      */
-    async deposit(userId, amount, source, description = '', budgetCycle = null, relatedBudgetId = null) {
+    async deposit(workspaceId, userId, amount, source, description = '', budgetCycle = null, relatedBudgetId = null, context = {}) {
         const session = await mongoose.startSession();
         session.startTransaction();
 
         try {
-            const savings = await this.getOrCreateSavings(userId);
+            const savings = await this.getOrCreateSavings(workspaceId);
+            const before = auditService.snapshot(savings);
 
             // Check for duplicate budget cycle transfer
             if (source === 'budget_surplus' && budgetCycle) {
@@ -149,6 +160,7 @@ class SavingsService {
             // Create transaction record
             const transaction = await SavingsTransaction.create(
                 [{
+                    workspaceId,
                     userId,
                     type: 'credit',
                     amount,
@@ -163,6 +175,13 @@ class SavingsService {
 
             await session.commitTransaction();
 
+            await auditService.recordUpdate('Savings', before, savings, context, {
+                savingsTransactionId: transaction[0]._id,
+                type: transaction[0].type,
+                source,
+                amount,
+            });
+
             return {
                 savings: savings.toObject(),
                 transaction: transaction[0].toObject(),
@@ -177,20 +196,23 @@ class SavingsService {
 
     /**
      * Withdraw money from savings
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user making the change
      * @param {number} amount - Amount to withdraw
      * @param {string} source - Source of withdrawal (manual, budget_overrun, etc.)
      * @param {string} description - Transaction description
      * @param {Object} budgetCycle - { month, year } if for budget
      * @param {string} relatedBudgetId - Related budget ID
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Updated savings and transaction
      */
-    async withdraw(userId, amount, source, description = '', budgetCycle = null, relatedBudgetId = null) {
+    async withdraw(workspaceId, userId, amount, source, description = '', budgetCycle = null, relatedBudgetId = null, context = {}) {
         const session = await mongoose.startSession();
         session.startTransaction();
 
         try {
-            const savings = await this.getOrCreateSavings(userId);
+            const savings = await this.getOrCreateSavings(workspaceId);
+            const before = auditService.snapshot(savings);
 
             // Check sufficient balance
             if (savings.balance < amount) {
@@ -210,6 +232,7 @@ class SavingsService {
             // Create transaction record
             const transaction = await SavingsTransaction.create(
                 [{
+                    workspaceId,
                     userId,
                     type: 'debit',
                     amount,
@@ -224,6 +247,13 @@ class SavingsService {
 
             await session.commitTransaction();
 
+            await auditService.recordUpdate('Savings', before, savings, context, {
+                savingsTransactionId: transaction[0]._id,
+                type: transaction[0].type,
+                source,
+                amount,
+            });
+
             return {
                 savings: savings.toObject(),
                 transaction: transaction[0].toObject(),
@@ -257,14 +287,16 @@ class SavingsService {
 
     /**
      * Transfer budget remainder to savings (new period-based)
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user making the change
      * @param {string} budgetId - Budget ID
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Transfer result
      */
-    async transferBudgetRemainder(userId, budgetId) {
+    async transferBudgetRemainder(workspaceId, userId, budgetId, context = {}) {
         const budgetService = require('./budget.service');
         
-        const budget = await Budget.findOne({ _id: budgetId, userId })
+        const budget = await Budget.findOne({ _id: budgetId, workspaceId })
             .populate('categoryId', 'name');
         
         if (!budget) {
@@ -281,7 +313,7 @@ class SavingsService {
 
         // Calculate remaining amount
         const spent = await budgetService.calculateSpendingForPeriod(
-            userId,
+            workspaceId,
             budget.categoryId._id,
             budget.startDate,
             budget.endDate
@@ -301,16 +333,18 @@ class SavingsService {
 
         // Transfer to savings
         const result = await this.deposit(
+            workspaceId,
             userId,
             remaining,
             'budget_remainder',
             `Budget remainder: ${budget.categoryId.name} (${budgetInfo.period})`,
             { month: budget.month, year: budget.year },
-            budgetId
+            budgetId,
+            context
         );
 
         // Mark budget as transferred
-        await budgetService.markSavingsTransferred(budgetId, userId, remaining);
+        await budgetService.markSavingsTransferred(budgetId, workspaceId, remaining, context);
 
         return {
             ...result,
@@ -327,14 +361,16 @@ class SavingsService {
 
     /**
      * Manual savings contribution from main account balance
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user making the change
      * @param {number} amount - Amount to contribute
      * @param {string} description - Optional description
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Transfer result
      */
-    async manualContribution(userId, amount, description = '') {
+    async manualContribution(workspaceId, userId, amount, description = '', context = {}) {
         // Validate available balance
-        const availableBalance = await this.getAvailableBalance(userId);
+        const availableBalance = await this.getAvailableBalance(workspaceId);
         
         if (amount > availableBalance) {
             const error = new Error(`Insufficient available balance. Available: ${availableBalance.toFixed(2)}, Requested: ${amount.toFixed(2)}`);
@@ -349,24 +385,30 @@ class SavingsService {
         }
 
         return this.deposit(
+            workspaceId,
             userId,
             amount,
             'manual',
-            description || 'Manual savings contribution'
+            description || 'Manual savings contribution',
+            null,
+            null,
+            context
         );
     }
 
     /**
      * Cover budget overrun from savings (period-based)
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user making the change
      * @param {string} budgetId - Budget ID
      * @param {number} amount - Amount to cover (optional, defaults to full overrun)
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Transfer result
      */
-    async coverBudgetOverrunById(userId, budgetId, amount = null) {
+    async coverBudgetOverrunById(workspaceId, userId, budgetId, amount = null, context = {}) {
         const budgetService = require('./budget.service');
         
-        const budget = await Budget.findOne({ _id: budgetId, userId })
+        const budget = await Budget.findOne({ _id: budgetId, workspaceId })
             .populate('categoryId', 'name');
         
         if (!budget) {
@@ -377,7 +419,7 @@ class SavingsService {
 
         // Calculate overrun amount
         const spent = await budgetService.calculateSpendingForPeriod(
-            userId,
+            workspaceId,
             budget.categoryId._id,
             budget.startDate,
             budget.endDate
@@ -392,7 +434,7 @@ class SavingsService {
 
         const coverAmount = amount !== null ? Math.min(amount, overrun) : overrun;
         
-        const savings = await this.getOrCreateSavings(userId);
+        const savings = await this.getOrCreateSavings(workspaceId);
         if (savings.balance < coverAmount) {
             const error = new Error(`Insufficient savings. Available: ${savings.balance.toFixed(2)}, Required: ${coverAmount.toFixed(2)}`);
             error.statusCode = 400;
@@ -406,12 +448,14 @@ class SavingsService {
 
         // Withdraw from savings
         const result = await this.withdraw(
+            workspaceId,
             userId,
             coverAmount,
             'budget_overrun',
             `Overrun coverage: ${budget.categoryId.name} (${budgetInfo.period})`,
             { month: budget.month, year: budget.year },
-            budgetId
+            budgetId,
+            context
         );
 
         return {
@@ -446,14 +490,19 @@ class SavingsService {
 
     /**
      * Transfer budget surplus to savings (legacy month-based)
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user making the change
      * @param {number} month - Budget month
      * @param {number} year - Budget year
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Transfer result
      */
-    async transferBudgetSurplus(userId, month, year) {
+    async transferBudgetSurplus(workspaceId, userId, month, year, preferences, context = {}) {
         // Calculate remaining budget for the cycle
-        const { totalBudget, totalSpent, remaining } = await this.calculateBudgetRemaining(userId, month, year);
+        const { totalBudget, totalSpent, remaining } = await this.calculateBudgetRemaining(
+            workspaceId, month, year, preferences
+        );
 
         if (remaining <= 0) {
             const error = new Error('No remaining budget to transfer. Budget is either fully spent or overspent.');
@@ -463,11 +512,14 @@ class SavingsService {
 
         // Transfer to savings
         const result = await this.deposit(
+            workspaceId,
             userId,
             remaining,
             'budget_surplus',
             `Budget surplus from ${this.getMonthName(month)} ${year}`,
-            { month, year }
+            { month, year },
+            null,
+            context
         );
 
         return {
@@ -484,14 +536,16 @@ class SavingsService {
 
     /**
      * Cover budget overrun from savings
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user making the change
      * @param {number} amount - Amount to cover
      * @param {number} month - Budget month
      * @param {number} year - Budget year
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Transfer result
      */
-    async coverBudgetOverrun(userId, amount, month, year) {
-        const savings = await this.getOrCreateSavings(userId);
+    async coverBudgetOverrun(workspaceId, userId, amount, month, year, context = {}) {
+        const savings = await this.getOrCreateSavings(workspaceId);
 
         if (savings.balance < amount) {
             const error = new Error(`Insufficient savings. Available: ${savings.balance.toFixed(2)}, Required: ${amount.toFixed(2)}`);
@@ -501,11 +555,14 @@ class SavingsService {
 
         // Withdraw from savings
         const result = await this.withdraw(
+            workspaceId,
             userId,
             amount,
             'budget_overrun',
             `Budget overrun coverage for ${this.getMonthName(month)} ${year}`,
-            { month, year }
+            { month, year },
+            null,
+            context
         );
 
         return result;
@@ -513,18 +570,18 @@ class SavingsService {
 
     /**
      * Calculate remaining budget for a cycle
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} month - Month
      * @param {number} year - Year
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Budget remaining info
      */
-    async calculateBudgetRemaining(userId, month, year) {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+    async calculateBudgetRemaining(workspaceId, month, year, preferences) {
+        const { startDate, endDate } = getMonthRange(year, month, preferences);
 
         // Get total budgets for the month
         const budgets = await Budget.find({
-            userId,
+            workspaceId,
             month: parseInt(month),
             year: parseInt(year),
         });
@@ -535,7 +592,7 @@ class SavingsService {
         const expenseResult = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                     type: 'expense',
                     date: { $gte: startDate, $lte: endDate },
                 },
@@ -562,14 +619,15 @@ class SavingsService {
 
     /**
      * Get budget status for potential transfer
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} month - Month
      * @param {number} year - Year
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Transfer eligibility status
      */
-    async getTransferStatus(userId, month, year) {
-        const savings = await this.getOrCreateSavings(userId);
-        const budgetRemaining = await this.calculateBudgetRemaining(userId, month, year);
+    async getTransferStatus(workspaceId, month, year, preferences) {
+        const savings = await this.getOrCreateSavings(workspaceId);
+        const budgetRemaining = await this.calculateBudgetRemaining(workspaceId, month, year, preferences);
         const isAlreadyTransferred = savings.isCycleTransferred(month, year);
 
         return {
@@ -588,11 +646,11 @@ class SavingsService {
 
     /**
      * Get all savings transactions with pagination
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {Object} options - { page, limit, type, source, startDate, endDate }
      * @returns {Object} - Paginated transactions
      */
-    async getTransactions(userId, options = {}) {
+    async getTransactions(workspaceId, options = {}) {
         const {
             page = 1,
             limit = 20,
@@ -602,7 +660,7 @@ class SavingsService {
             endDate,
         } = options;
 
-        const query = { userId };
+        const query = { workspaceId };
 
         if (type) query.type = type;
         if (source) query.source = source;
@@ -632,43 +690,62 @@ class SavingsService {
 
     /**
      * Get savings statistics
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Statistics
      */
-    async getStatistics(userId) {
-        const savings = await this.getOrCreateSavings(userId);
-
-        // Monthly breakdown for the last 6 months
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+    async getStatistics(workspaceId, preferences) {
+        const savings = await this.getOrCreateSavings(workspaceId);
+
+        // Monthly breakdown for the last 6 (fiscal) months, including the current one
+        const current = getCurrentMonth(preferences);
+        const months = [];
+        for (let offset = -5; offset <= 0; offset++) {
+            const index = current.year * 12 + current.month - 1 + offset;
+            months.push({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+        }
+        const boundaries = months.map(({ year, month }) => getMonthRange(year, month, preferences).startDate);
+        const { endDate } = getMonthRange(current.year, current.month, preferences);
 
-        const monthlyBreakdown = await SavingsTransaction.aggregate([
+        const monthlyTotals = await SavingsTransaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
-                    createdAt: { $gte: sixMonthsAgo },
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    createdAt: { $gte: boundaries[0], $lte: endDate },
                 },
             },
             {
                 $group: {
                     _id: {
-                        year: { $year: '$createdAt' },
-                        month: { $month: '$createdAt' },
+                        // Month index (0-5): the number of later month starts already passed
+                        month: {
+                            $size: {
+                                $filter: {
+                                    input: boundaries.slice(1),
+                                    cond: { $gte: ['$createdAt', '$$this'] },
+                                },
+                            },
+                        },
                         type: '$type',
                     },
                     total: { $sum: '$amount' },
                 },
             },
             {
-                $sort: { '_id.year': 1, '_id.month': 1 },
+                $sort: { '_id.month': 1 },
             },
         ]);
 
+        const monthlyBreakdown = monthlyTotals.map(({ _id, total }) => ({
+            _id: { ...months[_id.month], type: _id.type },
+            total,
+        }));
+
         // Source breakdown
         const sourceBreakdown = await SavingsTransaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                 },
             },
             {
@@ -685,7 +762,7 @@ class SavingsService {
             totalDeposits: savings.totalDeposits,
             totalWithdrawals: savings.totalWithdrawals,
             netSavings: savings.totalDeposits - savings.totalWithdrawals,
-            transactionCount: await SavingsTransaction.countDocuments({ userId }),
+            transactionCount: await SavingsTransaction.countDocuments({ workspaceId }),
             monthlyBreakdown,
             sourceBreakdown,
             transferredCycles: savings.transferredCycles,
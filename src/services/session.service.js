@@ -0,0 +1,223 @@
+/**
+ * Session Service
+ * Handles refresh token issuance, rotation and revocation
+ */
+
+const Session = require('../models/Session');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require('../config/env');
+
+// Minimum interval between lastSeenAt writes from authenticated requests
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+class SessionService {
+    /**
+     * Hash a refresh token for storage and lookup
+     * @param {string} token - Plain refresh token
+     * @returns {string} - SHA-256 hex digest
+     */
+    hashToken(token) {
+        return hashToken(token);
+    }
+
+    /**
+     * Generate a new random refresh token
+     * @returns {string} - Plain refresh token
+     */
+    generateRefreshToken() {
+        return generateToken(48);
+    }
+
+    /**
+     * Calculate the expiry date for a newly issued refresh token
+     * @returns {Date} - Expiry date
+     */
+    getExpiryDate() {
+        return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Start a new session (token family) for a user
+     * @param {string} userId - User ID
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object} - { session, refreshToken }
+     */
+    async createSession(userId, client = {}) {
+        const refreshToken = this.generateRefreshToken();
+
+        const session = await Session.create({
+            userId,
+            tokenHash: this.hashToken(refreshToken),
+            expiresAt: this.getExpiryDate(),
+            userAgent: client.userAgent || '',
+            ipAddress: client.ipAddress || '',
+            lastSeenAt: new Date(),
+        });
+
+        return { session, refreshToken };
+    }
+
+    /**
+     * Rotate a refresh token, detecting reuse of already-rotated tokens
+     * @param {string} refreshToken - Plain refresh token presented by the client
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object} - { session, refreshToken }
+     */
+    async rotate(refreshToken, client = {}) {
+        const tokenHash = this.hashToken(refreshToken);
+        const newRefreshToken = this.generateRefreshToken();
+        const now = new Date();
+
+        const update = {
+            tokenHash: this.hashToken(newRefreshToken),
+            expiresAt: this.getExpiryDate(),
+            lastSeenAt: now,
+        };
+        if (client.userAgent) update.userAgent = client.userAgent;
+        if (client.ipAddress) update.ipAddress = client.ipAddress;
+
+        // Swap the token in one write, so two requests presenting the same token
+        // cannot both rotate it: the loser sees it as already rotated out
+        const session = await Session.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+            { $set: update, $push: { previousTokenHashes: tokenHash } },
+            { new: true }
+        );
+
+        if (session) {
+            return { session, refreshToken: newRefreshToken };
+        }
+
+        if (await Session.exists({ tokenHash })) {
+            const error = new Error('Session has expired or been revoked');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        // A rotated-out token being replayed means the family is compromised
+        const compromised = await Session.findOne({ previousTokenHashes: tokenHash });
+        if (compromised) {
+            await this.revoke(compromised, 'reuse_detected');
+        }
+
+        const error = new Error('Invalid refresh token');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    /**
+     * Revoke a session (the whole refresh token family)
+     * @param {Object} session - Session document
+     * @param {string} reason - Revocation reason
+     * @returns {Object} - Revoked session
+     */
+    async revoke(session, reason = 'logout') {
+        if (!session.revokedAt) {
+            session.revokedAt = new Date();
+            session.revokedReason = reason;
+            await session.save();
+        }
+
+        return session;
+    }
+
+    /**
+     * Revoke the session that owns a refresh token
+     * @param {string} refreshToken - Plain refresh token
+     * @returns {boolean} - True if a session was found
+     */
+    async revokeByToken(refreshToken) {
+        const session = await Session.findOne({ tokenHash: this.hashToken(refreshToken) });
+
+        if (!session) {
+            return false;
+        }
+
+        await this.revoke(session, 'logout');
+        return true;
+    }
+
+    /**
+     * Get an active session for an access token, refreshing its last-seen time
+     * @param {string} sessionId - Session ID from the access token
+     * @param {string} userId - User ID from the access token
+     * @param {Object} client - { userAgent, ipAddress }
+     * @returns {Object|null} - Session, or null if revoked/expired/missing
+     */
+    async touch(sessionId, userId, client = {}) {
+        const session = await Session.findOne({ _id: sessionId, userId });
+
+        if (!session || !session.isActive()) {
+            return null;
+        }
+
+        if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+            session.lastSeenAt = new Date();
+            if (client.ipAddress) session.ipAddress = client.ipAddress;
+            await session.save();
+        }
+
+        return session;
+    }
+
+    /**
+     * List active sessions for a user
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session making the request
+     * @returns {Array} - Sessions with a `current` flag
+     */
+    async getActiveSessions(userId, currentSessionId = null) {
+        const sessions = await Session.find({
+            userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastSeenAt: -1 });
+
+        return sessions.map((session) => ({
+            ...session.toJSON(),
+            current: !!currentSessionId && session._id.equals(currentSessionId),
+        }));
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @param {string} sessionId - Session ID
+     * @param {string} userId - User ID for authorization
+     * @returns {boolean} - Success status
+     */
+    async revokeById(sessionId, userId) {
+        const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+
+        if (!session) {
+            const error = new Error('Session not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        await this.revoke(session, 'revoked_by_user');
+        return true;
+    }
+
+    /**
+     * Revoke all of a user's sessions, optionally keeping one
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @param {string} exceptSessionId - Session to keep signed in
+     * @returns {number} - Number of sessions revoked
+     */
+    async revokeAll(userId, reason, exceptSessionId = null) {
+        const query = { userId, revokedAt: null };
+
+        if (exceptSessionId) {
+            query._id = { $ne: exceptSessionId };
+        }
+
+        const result = await Session.updateMany(query, {
+            $set: { revokedAt: new Date(), revokedReason: reason },
+        });
+
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,100 @@
+/**
+ * Storage Service
+ * Stores uploaded files through a pluggable driver
+ */
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { ATTACHMENT_STORAGE, ATTACHMENT_STORAGE_DIR } = require('../config/env');
+
+/**
+ * Local disk driver - stores each file under the storage directory by key.
+ * Keys are slash-separated ("<workspace>/<transaction>/<id>").
+ * @param {string} directory - Root directory
+ * @returns {Object} - Driver with async put(key, buffer, meta), get(key), remove(key)
+ */
+const createLocalDriver = (directory) => {
+    const resolveKey = (key) => {
+        const filePath = path.resolve(directory, ...key.split('/'));
+        if (!filePath.startsWith(directory + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+            await fsPromises.writeFile(filePath, buffer, { flag: 'wx' });
+        },
+        async get(key) {
+            const filePath = resolveKey(key);
+            try {
+                await fsPromises.access(filePath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                const notFound = new Error('Attachment file not found');
+                notFound.statusCode = 404;
+                throw notFound;
+            }
+            return fs.createReadStream(filePath);
+        },
+        async remove(key) {
+            await fsPromises.rm(resolveKey(key), { force: true });
+        },
+    };
+};
+
+const drivers = {
+    local: () => createLocalDriver(path.resolve(ATTACHMENT_STORAGE_DIR)),
+};
+
+class StorageService {
+    constructor() {
+        const factory = drivers[ATTACHMENT_STORAGE] || drivers.local;
+        this.driver = factory();
+    }
+
+    /**
+     * Replace the active driver (e.g. an S3-compatible one)
+     * @param {Object} driver - Object exposing async put(key, buffer, meta), get(key) and remove(key)
+     */
+    setDriver(driver) {
+        if (!driver || ['put', 'get', 'remove'].some((method) => typeof driver[method] !== 'function')) {
+            throw new Error('Storage driver must implement put(key, buffer, meta), get(key) and remove(key)');
+        }
+        this.driver = driver;
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @param {Object} meta - { mimeType, size }
+     */
+    async put(key, buffer, meta = {}) {
+        return this.driver.put(key, buffer, meta);
+    }
+
+    /**
+     * Open a stored file
+     * @param {string} key - Storage key
+     * @returns {Object} - Readable stream
+     */
+    async get(key) {
+        return this.driver.get(key);
+    }
+
+    /**
+     * Delete a stored file (missing files are ignored)
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        return this.driver.remove(key);
+    }
+}
+
+module.exports = new StorageService();
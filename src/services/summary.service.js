@@ -5,31 +5,43 @@
 
 const Transaction = require('../models/Transaction');
 const Category = require('../models/Category');
+const Payee = require('../models/Payee');
 const Budget = require('../models/Budget');
 const Savings = require('../models/Savings');
 const SavingsTransaction = require('../models/SavingsTransaction');
+const financialAccountService = require('./financialAccount.service');
 const mongoose = require('mongoose');
+const {
+    resolvePreferences,
+    getCurrentMonth,
+    getMonthRange,
+    getMonthBoundaries,
+    getWeekRange,
+    getDaysInRange,
+} = require('../utils/dateRanges');
 
 class SummaryService {
     /**
-     * Get dashboard summary (balance, income, expense, recent transactions)
-     * @param {string} userId - User ID
+     * Get dashboard summary (balance, income, expense, accounts, recent transactions)
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Dashboard data
      */
-    async getDashboard(userId) {
-        const now = new Date();
-        const currentMonth = now.getMonth() + 1;
-        const currentYear = now.getFullYear();
-
-        // Date range for current month
-        const startOfMonth = new Date(currentYear, currentMonth - 1, 1);
-        const endOfMonth = new Date(currentYear, currentMonth, 0, 23, 59, 59, 999);
+    async getDashboard(workspaceId, preferences) {
+        const { month: currentMonth, year: currentYear } = getCurrentMonth(preferences);
+
+        // Date range for current month in the user's timezone
+        const { startDate: startOfMonth, endDate: endOfMonth } = getMonthRange(
+            currentYear,
+            currentMonth,
+            preferences
+        );
 
         // Get all-time totals
         const allTimeTotals = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                 },
             },
             {
@@ -44,7 +56,7 @@ class SummaryService {
         const monthlyTotals = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                     date: { $gte: startOfMonth, $lte: endOfMonth },
                 },
             },
@@ -68,29 +80,30 @@ class SummaryService {
         const monthlyExpense = parseTotal(monthlyTotals, 'expense');
 
         // Get recent transactions
-        const recentTransactions = await Transaction.find({ userId })
+        const recentTransactions = await Transaction.find({ workspaceId })
             .populate('categoryId', 'name icon color type')
+            .populate('splits.categoryId', 'name icon color type')
+            .populate('accountId', 'name type currency')
+            .populate('transferAccountId', 'name type currency')
             .sort({ date: -1, createdAt: -1 })
             .limit(5);
 
-        // Get budget status for current month
+        // Get budget status for budgets overlapping the current month
         const budgets = await Budget.find({
-            userId,
-            month: currentMonth,
-            year: currentYear,
+            workspaceId,
+            startDate: { $lte: endOfMonth },
+            endDate: { $gte: startOfMonth },
         }).populate('categoryId', 'name icon color');
 
         // Calculate budget spending
         const budgetStatus = await Promise.all(
             budgets.map(async (budget) => {
-                const spent = await this.calculateCategorySpending(
-                    userId,
-                    budget.categoryId._id,
-                    startOfMonth,
-                    endOfMonth
-                );
+                const spent = await this.calculateBudgetSpending(workspaceId, budget, startOfMonth, endOfMonth);
                 return {
                     category: budget.categoryId.name,
+                    periodType: budget.periodType,
+                    startDate: budget.startDate,
+                    endDate: budget.endDate,
                     budgeted: budget.amount,
                     spent,
                     percentage: Math.round((spent / budget.amount) * 100),
@@ -100,15 +113,36 @@ class SummaryService {
         );
 
         // Get savings balance
-        const savings = await Savings.findOne({ userId });
+        const savings = await Savings.findOne({ workspaceId });
         const savingsBalance = savings?.balance || 0;
 
+        // Balance and this month's flows per account (archived ones only while they hold money)
+        const accountBalances = await financialAccountService.getBalances(workspaceId, {
+            startDate: startOfMonth,
+            endDate: endOfMonth,
+        });
+        const openingBalance = accountBalances.reduce((sum, account) => sum + account.openingBalance, 0);
+        const accounts = accountBalances
+            .filter((account) => !account.archived || account.balance !== 0)
+            .map((account) => ({
+                _id: account._id,
+                name: account.name,
+                type: account.type,
+                currency: account.currency,
+                archived: account.archived,
+                isDefault: account.isDefault,
+                balance: account.balance,
+                monthly: account.period,
+            }));
+
         return {
             balance: {
-                total: allTimeIncome - allTimeExpense - savingsBalance,
+                total: openingBalance + allTimeIncome - allTimeExpense - savingsBalance,
                 income: allTimeIncome,
                 expense: allTimeExpense,
+                openingBalance,
             },
+            accounts,
             savings: {
                 balance: savingsBalance,
             },
@@ -126,27 +160,29 @@ class SummaryService {
 
     /**
      * Get monthly breakdown
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} month - Month (1-12)
      * @param {number} year - Year
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Monthly breakdown
      */
-    async getMonthlyBreakdown(userId, month, year) {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+    async getMonthlyBreakdown(workspaceId, month, year, preferences) {
+        const { timezone } = resolvePreferences(preferences);
+        const { startDate, endDate } = getMonthRange(year, month, preferences);
 
-        // Get daily totals
+        // Get daily totals (transfers between accounts are neither income nor expense)
         const dailyData = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    type: { $ne: 'transfer' },
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
             {
                 $group: {
                     _id: {
-                        day: { $dayOfMonth: '$date' },
+                        day: { $dayOfMonth: { date: '$date', timezone } },
                         type: '$type',
                     },
                     total: { $sum: '$amount' },
@@ -161,7 +197,7 @@ class SummaryService {
         const totals = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
@@ -193,24 +229,26 @@ class SummaryService {
 
     /**
      * Get category-wise breakdown
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} month - Month (1-12)
      * @param {number} year - Year
      * @param {string} type - 'income' or 'expense'
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Array} - Category breakdown
      */
-    async getCategoryBreakdown(userId, month, year, type = 'expense') {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+    async getCategoryBreakdown(workspaceId, month, year, type = 'expense', preferences) {
+        const { startDate, endDate } = getMonthRange(year, month, preferences);
 
         const breakdown = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                     type,
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
+            // Split transactions count each line against its own category
+            ...Transaction.categoryLineStages(),
             {
                 $group: {
                     _id: '$categoryId',
@@ -253,24 +291,206 @@ class SummaryService {
         }));
     }
 
+    /**
+     * Get tag-wise breakdown. A transaction with several tags counts toward
+     * each of them, so percentages are shares of the period's total rather
+     * than of the tagged amounts.
+     * @param {string} workspaceId - Workspace ID
+     * @param {number} month - Month (1-12)
+     * @param {number} year - Year
+     * @param {string} type - 'income' or 'expense'
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
+     * @returns {Array} - Tag breakdown
+     */
+    async getTagBreakdown(workspaceId, month, year, type = 'expense', preferences) {
+        const { startDate, endDate } = getMonthRange(year, month, preferences);
+        const match = {
+            workspaceId: new mongoose.Types.ObjectId(workspaceId),
+            type,
+            date: { $gte: startDate, $lte: endDate },
+        };
+
+        const [breakdown, totals] = await Promise.all([
+            Transaction.aggregate([
+                {
+                    $match: { ...match, tags: { $ne: [] } },
+                },
+                {
+                    $unwind: '$tags',
+                },
+                {
+                    $group: {
+                        _id: '$tags',
+                        total: { $sum: '$amount' },
+                        count: { $sum: 1 },
+                    },
+                },
+                {
+                    $lookup: {
+                        from: 'tags',
+                        let: { name: '$_id' },
+                        pipeline: [
+                            {
+                                $match: {
+                                    workspaceId: match.workspaceId,
+                                    $expr: { $eq: ['$name', '$$name'] },
+                                },
+                            },
+                        ],
+                        as: 'tag',
+                    },
+                },
+                {
+                    $unwind: { path: '$tag', preserveNullAndEmptyArrays: true },
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        tagId: '$tag._id',
+                        name: '$_id',
+                        total: 1,
+                        count: 1,
+                        color: { $ifNull: ['$tag.color', '#808080'] },
+                    },
+                },
+                {
+                    $sort: { total: -1, name: 1 },
+                },
+            ]),
+            Transaction.aggregate([
+                { $match: match },
+                { $group: { _id: null, total: { $sum: '$amount' } } },
+            ]),
+        ]);
+
+        const grandTotal = totals.length > 0 ? totals[0].total : 0;
+
+        return breakdown.map((tag) => ({
+            ...tag,
+            percentage: grandTotal > 0 ? Math.round((tag.total / grandTotal) * 100) : 0,
+        }));
+    }
+
+    /**
+     * Get spending (or income) per payee for each month of a year
+     * @param {string} workspaceId - Workspace ID
+     * @param {number} year - Year
+     * @param {string} type - income or expense
+     * @param {number} limit - Payees listed; the rest are summed into `other`
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
+     * @returns {Object} - { total, payees, unassigned, other }; each row has a 12-month `months` array
+     */
+    async getPayeeBreakdown(workspaceId, year, type = 'expense', limit = 20, preferences) {
+        const boundaries = getMonthBoundaries(year, preferences);
+
+        const [monthly, payees] = await Promise.all([
+            Transaction.aggregate([
+                {
+                    $match: {
+                        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                        type,
+                        date: { $gte: boundaries[0], $lt: boundaries[12] },
+                    },
+                },
+                {
+                    $group: {
+                        _id: {
+                            payeeId: '$payeeId',
+                            // Month index (0-11): the number of later month starts already passed
+                            month: {
+                                $size: {
+                                    $filter: {
+                                        input: boundaries.slice(1, 12),
+                                        cond: { $gte: ['$date', '$$this'] },
+                                    },
+                                },
+                            },
+                        },
+                        total: { $sum: '$amount' },
+                        count: { $sum: 1 },
+                    },
+                },
+            ]),
+            Payee.find({ workspaceId }).select('name').lean(),
+        ]);
+
+        const names = new Map(payees.map((payee) => [String(payee._id), payee.name]));
+        const newRow = (payeeId, name) => ({ payeeId, name, total: 0, count: 0, months: new Array(12).fill(0) });
+
+        const rows = new Map();
+        const unassigned = newRow(null, null);
+        for (const { _id, total, count } of monthly) {
+            const key = _id.payeeId ? String(_id.payeeId) : null;
+            // Transactions of a payee deleted meanwhile count as unassigned
+            const row = key && names.has(key)
+                ? rows.get(key) || rows.set(key, newRow(_id.payeeId, names.get(key))).get(key)
+                : unassigned;
+            row.total += total;
+            row.count += count;
+            row.months[_id.month] += total;
+        }
+
+        const ranked = [...rows.values()].sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+        const other = newRow(null, null);
+        for (const row of ranked.slice(limit)) {
+            other.total += row.total;
+            other.count += row.count;
+            row.months.forEach((amount, index) => { other.months[index] += amount; });
+        }
+
+        const grandTotal = ranked.reduce((sum, row) => sum + row.total, unassigned.total);
+        const withPercentage = (row) => ({
+            ...row,
+            percentage: grandTotal > 0 ? Math.round((row.total / grandTotal) * 100) : 0,
+        });
+
+        return {
+            total: grandTotal,
+            payees: ranked.slice(0, limit).map(withPercentage),
+            unassigned: withPercentage(unassigned),
+            other: withPercentage(other),
+        };
+    }
+
+    /**
+     * Spending against a budget within a month: over the budget's own period
+     * clipped to the month, so a weekly budget is compared with a week's spending
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} budget - Budget (categoryId populated)
+     * @param {Date} startDate - Month start
+     * @param {Date} endDate - Month end
+     * @returns {number} - Total spent
+     */
+    async calculateBudgetSpending(workspaceId, budget, startDate, endDate) {
+        return this.calculateCategorySpending(
+            workspaceId,
+            budget.categoryId._id,
+            budget.startDate > startDate ? budget.startDate : startDate,
+            budget.endDate < endDate ? budget.endDate : endDate
+        );
+    }
+
     /**
      * Calculate spending for a category in a date range
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {string} categoryId - Category ID
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
      * @returns {number} - Total spent
      */
-    async calculateCategorySpending(userId, categoryId, startDate, endDate) {
+    async calculateCategorySpending(workspaceId, categoryId, startDate, endDate) {
         const result = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
-                    categoryId: new mongoose.Types.ObjectId(categoryId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    ...Transaction.categoryCondition(new mongoose.Types.ObjectId(categoryId)),
                     type: 'expense',
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
+            // Only the lines of split transactions that belong to this category
+            ...Transaction.categoryLineStages(),
+            { $match: { categoryId: new mongoose.Types.ObjectId(categoryId) } },
             {
                 $group: {
                     _id: null,
@@ -284,50 +504,52 @@ class SummaryService {
 
     /**
      * Get yearly overview
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} year - Year
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Yearly data
      */
-    async getYearlyOverview(userId, year) {
-        const startDate = new Date(year, 0, 1);
-        const endDate = new Date(year, 11, 31, 23, 59, 59, 999);
+    async getYearlyOverview(workspaceId, year, preferences) {
+        // Month boundaries in the user's timezone (fiscal months may not start on the 1st)
+        const boundaries = getMonthBoundaries(year, preferences);
 
         const monthlyData = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
-                    date: { $gte: startDate, $lte: endDate },
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    date: { $gte: boundaries[0], $lt: boundaries[12] },
                 },
             },
             {
-                $group: {
-                    _id: {
-                        month: { $month: '$date' },
-                        type: '$type',
+                $bucket: {
+                    groupBy: '$date',
+                    boundaries,
+                    output: {
+                        income: {
+                            $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] },
+                        },
+                        expense: {
+                            $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] },
+                        },
                     },
-                    total: { $sum: '$amount' },
                 },
             },
-            {
-                $sort: { '_id.month': 1 },
-            },
         ]);
 
-        // Format into monthly arrays
+        // Format into monthly arrays (buckets are keyed by their start boundary)
         const months = [];
         for (let i = 1; i <= 12; i++) {
-            const income = monthlyData.find(
-                (d) => d._id.month === i && d._id.type === 'income'
-            );
-            const expense = monthlyData.find(
-                (d) => d._id.month === i && d._id.type === 'expense'
+            const bucket = monthlyData.find(
+                (d) => d._id.getTime() === boundaries[i - 1].getTime()
             );
+            const income = bucket ? bucket.income : 0;
+            const expense = bucket ? bucket.expense : 0;
 
             months.push({
                 month: i,
-                income: income ? income.total : 0,
-                expense: expense ? expense.total : 0,
-                savings: (income ? income.total : 0) - (expense ? expense.total : 0),
+                income,
+                expense,
+                savings: income - expense,
             });
         }
 
@@ -349,51 +571,37 @@ class SummaryService {
     }
 
     /**
-     * Get week date range based on locale (week start day)
+     * Get week date range in the user's timezone
      * @param {Date} date - Reference date
-     * @param {number} weekStartDay - 0 = Sunday, 1 = Monday, etc.
+     * @param {Object} preferences - User preferences (weekStartDay: 0 = Sunday, 1 = Monday, etc.)
      * @returns {Object} - { startDate, endDate }
      */
-    getWeekRange(date, weekStartDay = 1) {
-        const d = new Date(date);
-        const day = d.getDay();
-        const diff = (day < weekStartDay ? 7 : 0) + day - weekStartDay;
-        
-        const startDate = new Date(d);
-        startDate.setDate(d.getDate() - diff);
-        startDate.setHours(0, 0, 0, 0);
-        
-        const endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6);
-        endDate.setHours(23, 59, 59, 999);
-        
-        return { startDate, endDate };
+    getWeekRange(date, preferences) {
+        return getWeekRange(date, preferences);
     }
 
     /**
      * Get weekly summary with category breakdown and insights
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {string} weekOffset - 0 for current week, -1 for previous week
-     * @param {number} weekStartDay - 0 = Sunday, 1 = Monday
+     * @param {Object} preferences - User preferences (timezone, weekStartDay)
      * @returns {Object} - Weekly summary data
      */
-    async getWeeklySummary(userId, weekOffset = 0, weekStartDay = 1) {
-        const now = new Date();
-        const targetDate = new Date(now);
-        targetDate.setDate(now.getDate() + (weekOffset * 7));
-        
-        const { startDate, endDate } = this.getWeekRange(targetDate, weekStartDay);
+    async getWeeklySummary(workspaceId, weekOffset = 0, preferences) {
+        const { timezone } = resolvePreferences(preferences);
+        const targetDate = new Date(Date.now() + weekOffset * 7 * 24 * 60 * 60 * 1000);
 
-        // Get previous week for comparison
-        const prevWeekDate = new Date(startDate);
-        prevWeekDate.setDate(prevWeekDate.getDate() - 7);
-        const prevWeek = this.getWeekRange(prevWeekDate, weekStartDay);
+        const { startDate, endDate } = this.getWeekRange(targetDate, preferences);
+
+        // Get previous week for comparison (any instant in the previous week will do)
+        const prevWeek = this.getWeekRange(new Date(startDate.getTime() - 1), preferences);
 
         // Get current week totals
         const currentWeekTotals = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    type: { $ne: 'transfer' },
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
@@ -410,7 +618,7 @@ class SummaryService {
         const prevWeekTotals = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                     date: { $gte: prevWeek.startDate, $lte: prevWeek.endDate },
                 },
             },
@@ -426,11 +634,13 @@ class SummaryService {
         const categoryBreakdown = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                     type: 'expense',
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
+            // Split transactions count each line against its own category
+            ...Transaction.categoryLineStages(),
             {
                 $group: {
                     _id: '$categoryId',
@@ -464,18 +674,19 @@ class SummaryService {
             },
         ]);
 
-        // Get daily breakdown for the week
+        // Get daily breakdown for the week (without transfers)
         const dailyBreakdown = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    type: { $ne: 'transfer' },
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
             {
                 $group: {
                     _id: {
-                        date: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+                        date: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
                         type: '$type',
                     },
                     total: { $sum: '$amount' },
@@ -536,27 +747,31 @@ class SummaryService {
 
     /**
      * Get comprehensive monthly summary with budget awareness and savings integration
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {number} month - Month (1-12)
      * @param {number} year - Year
      * @param {boolean} includeComparison - Include previous month comparison
+     * @param {Object} preferences - User preferences (timezone, fiscal month start)
      * @returns {Object} - Monthly summary data
      */
-    async getComprehensiveMonthlySummary(userId, month, year, includeComparison = true) {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+    async getComprehensiveMonthlySummary(workspaceId, month, year, includeComparison = true, preferences) {
+        const { startDate, endDate } = getMonthRange(year, month, preferences);
 
         // Get previous month dates
         const prevMonth = month === 1 ? 12 : month - 1;
         const prevYear = month === 1 ? year - 1 : year;
-        const prevStartDate = new Date(prevYear, prevMonth - 1, 1);
-        const prevEndDate = new Date(prevYear, prevMonth, 0, 23, 59, 59, 999);
+        const { startDate: prevStartDate, endDate: prevEndDate } = getMonthRange(
+            prevYear,
+            prevMonth,
+            preferences
+        );
 
         // Get current month totals
         const monthlyTotals = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                    type: { $ne: 'transfer' },
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
@@ -575,7 +790,7 @@ class SummaryService {
             prevMonthTotals = await Transaction.aggregate([
                 {
                     $match: {
-                        userId: new mongoose.Types.ObjectId(userId),
+                        workspaceId: new mongoose.Types.ObjectId(workspaceId),
                         date: { $gte: prevStartDate, $lte: prevEndDate },
                     },
                 },
@@ -592,11 +807,13 @@ class SummaryService {
         const categoryBreakdown = await Transaction.aggregate([
             {
                 $match: {
-                    userId: new mongoose.Types.ObjectId(userId),
+                    workspaceId: new mongoose.Types.ObjectId(workspaceId),
                     type: 'expense',
                     date: { $gte: startDate, $lte: endDate },
                 },
             },
+            // Split transactions count each line against its own category
+            ...Transaction.categoryLineStages(),
             {
                 $group: {
                     _id: '$categoryId',
@@ -630,22 +847,17 @@ class SummaryService {
             },
         ]);
 
-        // Get budgets for this month
+        // Get budgets overlapping this month
         const budgets = await Budget.find({
-            userId,
-            month,
-            year,
+            workspaceId,
+            startDate: { $lte: endDate },
+            endDate: { $gte: startDate },
         }).populate('categoryId', 'name icon color');
 
         // Calculate budget spending
         const budgetStatus = await Promise.all(
             budgets.map(async (budget) => {
-                const spent = await this.calculateCategorySpending(
-                    userId,
-                    budget.categoryId._id,
-                    startDate,
-                    endDate
-                );
+                const spent = await this.calculateBudgetSpending(workspaceId, budget, startDate, endDate);
                 const remaining = budget.amount - spent;
                 const percentage = Math.round((spent / budget.amount) * 100);
                 
@@ -654,6 +866,9 @@ class SummaryService {
                     category: budget.categoryId.name,
                     icon: budget.categoryId.icon,
                     color: budget.categoryId.color,
+                    periodType: budget.periodType,
+                    startDate: budget.startDate,
+                    endDate: budget.endDate,
                     budgeted: budget.amount,
                     spent,
                     remaining,
@@ -671,7 +886,7 @@ class SummaryService {
         };
 
         try {
-            const savings = await Savings.findOne({ userId });
+            const savings = await Savings.findOne({ workspaceId });
             if (savings) {
                 savingsData.currentBalance = savings.balance;
                 
@@ -688,7 +903,7 @@ class SummaryService {
             const savingsTransactions = await SavingsTransaction.aggregate([
                 {
                     $match: {
-                        userId: new mongoose.Types.ObjectId(userId),
+                        workspaceId: new mongoose.Types.ObjectId(workspaceId),
                         createdAt: { $gte: startDate, $lte: endDate },
                     },
                 },
@@ -762,7 +977,7 @@ class SummaryService {
         return {
             month,
             year,
-            daysInMonth: endDate.getDate(),
+            daysInMonth: getDaysInRange(startDate, endDate),
             summary: {
                 income,
                 expense,
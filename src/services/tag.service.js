@@ -0,0 +1,233 @@
+/**
+ * Tag Service
+ * Handles business logic for the tag registry (rename, merge, colour)
+ */
+
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const Transaction = require('../models/Transaction');
+const auditService = require('./audit.service');
+
+class TagService {
+    /**
+     * Get all tags in a workspace with the number of transactions using each
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Array} - Tags with transactionCount
+     */
+    async getAll(workspaceId) {
+        const [tags, usage] = await Promise.all([
+            Tag.find({ workspaceId }).sort({ name: 1 }),
+            Transaction.aggregate([
+                { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId), tags: { $ne: [] } } },
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const counts = new Map(usage.map((entry) => [entry._id, entry.count]));
+
+        return tags.map((tag) => ({
+            ...tag.toJSON(),
+            transactionCount: counts.get(tag.name) || 0,
+        }));
+    }
+
+    /**
+     * Create a tag
+     * @param {Object} data - { name, color }
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the tag
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Created tag
+     */
+    async create(data, workspaceId, userId, context = {}) {
+        const name = Tag.normalizeName(data.name);
+
+        const existing = await Tag.findOne({ workspaceId, name });
+        if (existing) {
+            const error = new Error('A tag with this name already exists');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const tag = await Tag.create({
+            workspaceId,
+            userId,
+            name,
+            color: data.color || '#808080',
+        });
+
+        await auditService.recordCreate('Tag', tag, context);
+
+        return tag;
+    }
+
+    /**
+     * Rename a tag and/or change its colour. Renaming updates every
+     * transaction carrying the tag.
+     * @param {string} tagId - Tag ID
+     * @param {Object} data - { name, color }
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - Updated tag
+     */
+    async update(tagId, data, workspaceId, context = {}) {
+        const tag = await this.findTag(tagId, workspaceId);
+        const before = auditService.snapshot(tag);
+        const oldName = tag.name;
+        let transactionsUpdated = 0;
+
+        if (data.name !== undefined) {
+            const name = Tag.normalizeName(data.name);
+
+            if (name !== oldName) {
+                const existing = await Tag.findOne({ workspaceId, name });
+                if (existing) {
+                    const error = new Error('A tag with this name already exists; merge the tags instead');
+                    error.statusCode = 400;
+                    throw error;
+                }
+
+                tag.name = name;
+            }
+        }
+
+        if (data.color) tag.color = data.color;
+
+        await tag.save();
+
+        if (tag.name !== oldName) {
+            // Tags are unique per transaction, so the positional operator hits the only match
+            const result = await Transaction.updateMany(
+                { workspaceId, tags: oldName },
+                { $set: { 'tags.$': tag.name } }
+            );
+            transactionsUpdated = result.modifiedCount;
+        }
+
+        await auditService.recordUpdate('Tag', before, tag, context, { transactionsUpdated });
+
+        return tag;
+    }
+
+    /**
+     * Merge tags into another one: their transactions get the target tag
+     * instead, and the merged tags are removed from the registry
+     * @param {Array} sourceIds - IDs of the tags to merge away
+     * @param {string} targetId - ID of the tag to keep
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {Object} - { tag, merged, transactionsUpdated }
+     */
+    async merge(sourceIds, targetId, workspaceId, context = {}) {
+        const ids = [...new Set(sourceIds.map(String))];
+
+        if (ids.includes(String(targetId))) {
+            const error = new Error('Cannot merge a tag into itself');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const target = await this.findTag(targetId, workspaceId);
+        const sources = await Tag.find({ _id: { $in: ids }, workspaceId });
+
+        if (sources.length !== ids.length) {
+            const error = new Error('Tag not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const sourceNames = sources.map((source) => source.name);
+
+        // $addToSet and $pull cannot touch the same field in one update
+        await Transaction.updateMany(
+            { workspaceId, tags: { $in: sourceNames } },
+            { $addToSet: { tags: target.name } }
+        );
+        const result = await Transaction.updateMany(
+            { workspaceId, tags: { $in: sourceNames } },
+            { $pull: { tags: { $in: sourceNames } } }
+        );
+
+        await Tag.deleteMany({ _id: { $in: sources.map((source) => source._id) } });
+
+        for (const source of sources) {
+            await auditService.recordDelete('Tag', source, context, { mergedInto: target._id });
+        }
+
+        return {
+            tag: target,
+            merged: sourceNames,
+            transactionsUpdated: result.modifiedCount,
+        };
+    }
+
+    /**
+     * Delete a tag and remove it from every transaction
+     * @param {string} tagId - Tag ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
+     * @returns {boolean} - Success status
+     */
+    async delete(tagId, workspaceId, context = {}) {
+        const tag = await this.findTag(tagId, workspaceId);
+
+        const result = await Transaction.updateMany(
+            { workspaceId, tags: tag.name },
+            { $pull: { tags: tag.name } }
+        );
+
+        await tag.deleteOne();
+        await auditService.recordDelete('Tag', tag, context, {
+            transactionsUpdated: result.modifiedCount,
+        });
+
+        return true;
+    }
+
+    /**
+     * Register tag names used on a transaction that are not in the registry yet
+     * @param {Array} names - Normalized tag names
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user who used them
+     */
+    async ensureTags(names, workspaceId, userId) {
+        if (!names.length) return;
+
+        try {
+            await Tag.bulkWrite(
+                names.map((name) => ({
+                    updateOne: {
+                        filter: { workspaceId, name },
+                        update: { $setOnInsert: { userId } },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+        } catch (error) {
+            // A concurrent request registered the same tag first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    /**
+     * Find a tag in a workspace
+     * @param {string} tagId - Tag ID
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Tag
+     */
+    async findTag(tagId, workspaceId) {
+        const tag = await Tag.findOne({ _id: tagId, workspaceId });
+
+        if (!tag) {
+            const error = new Error('Tag not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return tag;
+    }
+}
+
+module.exports = new TagService();
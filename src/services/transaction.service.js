@@ -5,44 +5,109 @@
 
 const Transaction = require('../models/Transaction');
 const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const DuplicateDismissal = require('../models/DuplicateDismissal');
+const auditService = require('./audit.service');
+const tagService = require('./tag.service');
+const attachmentService = require('./attachment.service');
+const categoryRuleService = require('./categoryRule.service');
+const payeeService = require('./payee.service');
+const financialAccountService = require('./financialAccount.service');
+const categorySuggestionService = require('./categorySuggestion.service');
+const { getMonthRange, getYearRange, parseUserDate } = require('../utils/dateRanges');
 
 class TransactionService {
     /**
-     * Get all transactions for a user with filters
-     * @param {string} userId - User ID
-     * @param {Object} filters - { type, categoryId, month, year, page, limit }
+     * Get all transactions in a workspace with filters
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} filters - { type, categoryId, accountId, payeeId, tags, tagMatch, month, year, page, limit }
+     * @param {Object} preferences - User preferences (month/year filters use its timezone and fiscal month start)
      * @returns {Object} - { transactions, total, page, limit }
      */
-    async getAll(userId, filters = {}) {
+    async getAll(workspaceId, filters = {}, preferences) {
+        const { page = 1, limit = 20 } = filters;
+        const query = this.buildQuery(workspaceId, filters, preferences);
+
+        // Calculate skip for pagination
+        const skip = (page - 1) * limit;
+
+        // Execute queries in parallel
+        const [transactions, total] = await Promise.all([
+            Transaction.find(query)
+                .populate('categoryId', 'name icon color type')
+                .populate('splits.categoryId', 'name icon color type')
+                .populate('payeeId', 'name')
+                .populate('accountId', 'name type currency')
+                .populate('transferAccountId', 'name type currency')
+                .sort({ date: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Transaction.countDocuments(query),
+        ]);
+
+        return {
+            transactions,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit),
+        };
+    }
+
+    /**
+     * Build the query for a transaction listing or export
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} filters - { type, categoryId, accountId, payeeId, tags, tagMatch, month, year, search }
+     * @param {Object} preferences - User preferences (month/year ranges follow them)
+     * @returns {Object} - Mongo query
+     */
+    buildQuery(workspaceId, filters = {}, preferences) {
         const {
             type,
             categoryId,
+            accountId,
+            payeeId,
+            tags,
+            tagMatch = 'any',
             month,
             year,
-            page = 1,
-            limit = 20,
             search,
         } = filters;
 
-        const query = { userId };
+        const query = { workspaceId };
 
         // Apply filters
         if (type) {
             query.type = type;
         }
 
+        // Split transactions match on any of their lines
         if (categoryId) {
-            query.categoryId = categoryId;
+            Object.assign(query, Transaction.categoryCondition(categoryId));
+        }
+
+        // An account's transactions include the transfers into it
+        if (accountId) {
+            query.$and = [{ $or: [{ accountId }, { transferAccountId: accountId }] }];
+        }
+
+        // 'none' lists the transactions no payee was linked to
+        if (payeeId) {
+            query.payeeId = payeeId === 'none' ? null : payeeId;
+        }
+
+        // Transactions with any (or all) of the tags
+        if (tags && tags.length) {
+            const names = Tag.normalizeNames(tags);
+            query.tags = tagMatch === 'all' ? { $all: names } : { $in: names };
         }
 
         // Date range filter for month/year
         if (month && year) {
-            const startDate = new Date(year, month - 1, 1);
-            const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+            const { startDate, endDate } = getMonthRange(year, month, preferences);
             query.date = { $gte: startDate, $lte: endDate };
         } else if (year) {
-            const startDate = new Date(year, 0, 1);
-            const endDate = new Date(year, 11, 31, 23, 59, 59, 999);
+            const { startDate, endDate } = getYearRange(year, preferences);
             query.date = { $gte: startDate, $lte: endDate };
         }
 
@@ -51,39 +116,25 @@ class TransactionService {
             query.description = { $regex: search, $options: 'i' };
         }
 
-        // Calculate skip for pagination
-        const skip = (page - 1) * limit;
-
-        // Execute queries in parallel
-        const [transactions, total] = await Promise.all([
-            Transaction.find(query)
-                .populate('categoryId', 'name icon color type')
-                .sort({ date: -1, createdAt: -1 })
-                .skip(skip)
-                .limit(limit),
-            Transaction.countDocuments(query),
-        ]);
-
-        return {
-            transactions,
-            total,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            totalPages: Math.ceil(total / limit),
-        };
+        return query;
     }
 
     /**
      * Get a single transaction by ID
      * @param {string} transactionId - Transaction ID
-     * @param {string} userId - User ID for authorization
+     * @param {string} workspaceId - Workspace ID for authorization
      * @returns {Object} - Transaction object
      */
-    async getById(transactionId, userId) {
+    async getById(transactionId, workspaceId) {
         const transaction = await Transaction.findOne({
             _id: transactionId,
-            userId,
-        }).populate('categoryId', 'name icon color type');
+            workspaceId,
+        })
+            .populate('categoryId', 'name icon color type')
+            .populate('splits.categoryId', 'name icon color type')
+            .populate('payeeId', 'name')
+            .populate('accountId', 'name type currency')
+            .populate('transferAccountId', 'name type currency');
 
         if (!transaction) {
             const error = new Error('Transaction not found');
@@ -95,42 +146,84 @@ class TransactionService {
     }
 
     /**
-     * Create a new transaction
-     * @param {Object} data - { type, amount, categoryId, description, date }
-     * @param {string} userId - User ID
+     * Create a new transaction. The payee is linked from the description
+     * unless one is given. Without a category (or split lines), the
+     * workspace's categorization rules pick one, then the payee's default.
+     * Without an account, it goes to the workspace's default account.
+     * @param {Object} data - { type, amount, categoryId, accountId, payeeId, description, date, splits, tags }
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - ID of the user creating the transaction
+     * @param {Object} preferences - User preferences (timezone for date-only dates)
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Created transaction
      */
-    async create(data, userId) {
-        const { type, amount, categoryId, description, date } = data;
-
-        // Verify category exists and belongs to user
-        const category = await Category.findOne({ _id: categoryId, userId });
-        if (!category) {
-            const error = new Error('Category not found');
-            error.statusCode = 404;
-            throw error;
-        }
+    async create(data, workspaceId, userId, preferences, context = {}) {
+        const { type, amount, description, date } = data;
+        const splits = data.splits || [];
+        const tags = Tag.normalizeNames(data.tags || []);
+
+        const transactionDate = date ? parseUserDate(date, preferences) : new Date();
+
+        const account = await financialAccountService.resolveAccount(data.accountId, workspaceId);
+        const payee = data.payeeId
+            ? await payeeService.findPayee(data.payeeId, workspaceId)
+            : await payeeService.resolve(description, workspaceId);
+
+        // A split transaction takes its category from its first line
+        let categoryId = splits.length ? splits[0].categoryId : data.categoryId;
+        let categoryRuleId = null;
+
+        if (splits.length) {
+            await this.verifySplits(splits, type, workspaceId);
+        } else {
+            if (!categoryId) {
+                const rule = await categoryRuleService.categorize(
+                    { type, amount, description: description || '', date: transactionDate },
+                    workspaceId
+                );
+                if (rule) {
+                    categoryId = rule.categoryId;
+                    categoryRuleId = rule._id;
+                } else {
+                    categoryId = await this.getPayeeCategory(payee, type, workspaceId);
+                }
+
+                if (!categoryId) {
+                    const error = new Error('Category is required (no categorization rule or payee default matched)');
+                    error.statusCode = 400;
+                    throw error;
+                }
+            }
 
-        // Verify category type matches transaction type
-        if (category.type !== type) {
-            const error = new Error(
-                `Cannot create ${type} transaction with ${category.type} category`
-            );
-            error.statusCode = 400;
-            throw error;
+            await this.verifyCategory(categoryId, type, workspaceId);
         }
 
         const transaction = await Transaction.create({
+            workspaceId,
             userId,
             categoryId,
+            categoryRuleId,
+            accountId: account._id,
+            payeeId: payee ? payee._id : null,
             type,
             amount,
             description: description || '',
-            date: date ? new Date(date) : new Date(),
+            date: transactionDate,
+            splits,
+            tags,
         });
 
+        await tagService.ensureTags(tags, workspaceId, userId);
+        await categorySuggestionService.learn([transaction]);
+        await auditService.recordCreate('Transaction', transaction, context);
+
         // Populate category for response
-        await transaction.populate('categoryId', 'name icon color type');
+        await transaction.populate([
+            { path: 'categoryId', select: 'name icon color type' },
+            { path: 'splits.categoryId', select: 'name icon color type' },
+            { path: 'payeeId', select: 'name' },
+            { path: 'accountId', select: 'name type currency' },
+        ]);
 
         return transaction;
     }
@@ -138,14 +231,16 @@ class TransactionService {
     /**
      * Update a transaction
      * @param {string} transactionId - Transaction ID
-     * @param {Object} data - Update data
-     * @param {string} userId - User ID for authorization
+     * @param {Object} data - Update data; splits and tags replace the current ones, payeeId null unlinks
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} preferences - User preferences (timezone for date-only dates)
+     * @param {Object} context - Request context for the audit trail
      * @returns {Object} - Updated transaction
      */
-    async update(transactionId, data, userId) {
+    async update(transactionId, data, workspaceId, preferences, context = {}) {
         const transaction = await Transaction.findOne({
             _id: transactionId,
-            userId,
+            workspaceId,
         });
 
         if (!transaction) {
@@ -154,50 +249,95 @@ class TransactionService {
             throw error;
         }
 
-        // If category is being changed, verify it
-        if (data.categoryId) {
-            const category = await Category.findOne({ _id: data.categoryId, userId });
-            if (!category) {
-                const error = new Error('Category not found');
-                error.statusCode = 404;
-                throw error;
-            }
+        if (transaction.type === 'transfer') {
+            const error = new Error('Edit transfers through /api/accounts/transfers/:id');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const before = auditService.snapshot(transaction);
+        const newType = data.type || transaction.type;
+        const splits = data.splits === undefined ? transaction.splits : data.splits || [];
 
-            // Verify type compatibility
-            const newType = data.type || transaction.type;
-            if (category.type !== newType) {
+        if (splits.length) {
+            if (data.categoryId && data.splits === undefined) {
                 const error = new Error(
-                    `Cannot use ${category.type} category for ${newType} transaction`
+                    'Change the split lines to recategorize a split transaction, or remove them first'
                 );
                 error.statusCode = 400;
                 throw error;
             }
 
-            transaction.categoryId = data.categoryId;
+            // New lines, or existing lines under a new type
+            if (data.splits || data.type) {
+                await this.verifySplits(splits, newType, workspaceId);
+            }
+
+            transaction.splits = splits;
+            transaction.categoryId = splits[0].categoryId;
+            if (data.splits) transaction.categoryRuleId = null;
+        } else {
+            transaction.splits = [];
+
+            // If category or type is being changed, verify it
+            if (data.categoryId || data.type) {
+                const categoryId = data.categoryId || transaction.categoryId;
+                await this.verifyCategory(categoryId, newType, workspaceId);
+                transaction.categoryId = categoryId;
+            }
+
+            // A category chosen by hand replaces the rule's choice
+            if (data.categoryId) transaction.categoryRuleId = null;
         }
 
         // Update fields
         if (data.type) transaction.type = data.type;
         if (data.amount) transaction.amount = data.amount;
         if (data.description !== undefined) transaction.description = data.description;
-        if (data.date) transaction.date = new Date(data.date);
+        if (data.date) transaction.date = parseUserDate(data.date, preferences);
+        if (data.tags !== undefined) transaction.tags = Tag.normalizeNames(data.tags || []);
+
+        if (data.accountId) {
+            transaction.accountId = (await financialAccountService.resolveAccount(data.accountId, workspaceId))._id;
+        }
+
+        // A payee chosen by hand wins; otherwise a new description may match one
+        if (data.payeeId !== undefined) {
+            transaction.payeeId = data.payeeId
+                ? (await payeeService.findPayee(data.payeeId, workspaceId))._id
+                : null;
+        } else if (data.description !== undefined && !transaction.payeeId) {
+            const payee = await payeeService.resolve(transaction.description, workspaceId);
+            if (payee) transaction.payeeId = payee._id;
+        }
 
         await transaction.save();
-        await transaction.populate('categoryId', 'name icon color type');
+        if (data.tags) {
+            await tagService.ensureTags(transaction.tags, workspaceId, context.actorId || transaction.userId);
+        }
+        await categorySuggestionService.relearn([{ before, after: transaction }]);
+        await auditService.recordUpdate('Transaction', before, transaction, context);
+        await transaction.populate([
+            { path: 'categoryId', select: 'name icon color type' },
+            { path: 'splits.categoryId', select: 'name icon color type' },
+            { path: 'payeeId', select: 'name' },
+            { path: 'accountId', select: 'name type currency' },
+        ]);
 
         return transaction;
     }
 
     /**
-     * Delete a transaction
+     * Delete a transaction and its attachments
      * @param {string} transactionId - Transaction ID
-     * @param {string} userId - User ID for authorization
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @param {Object} context - Request context for the audit trail
      * @returns {boolean} - Success status
      */
-    async delete(transactionId, userId) {
+    async delete(transactionId, workspaceId, context = {}) {
         const transaction = await Transaction.findOne({
             _id: transactionId,
-            userId,
+            workspaceId,
         });
 
         if (!transaction) {
@@ -207,26 +347,94 @@ class TransactionService {
         }
 
         await transaction.deleteOne();
+        await attachmentService.deleteForTransactions([transaction._id]);
+        await DuplicateDismissal.deleteMany({ workspaceId, transactionIds: transaction._id });
+        await categorySuggestionService.forget([transaction]);
+        await auditService.recordDelete('Transaction', transaction, context);
         return true;
     }
 
     /**
      * Get transactions for a specific date range
-     * @param {string} userId - User ID
+     * @param {string} workspaceId - Workspace ID
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
      * @returns {Array} - List of transactions
      */
-    async getByDateRange(userId, startDate, endDate) {
+    async getByDateRange(workspaceId, startDate, endDate) {
         const transactions = await Transaction.find({
-            userId,
+            workspaceId,
             date: { $gte: startDate, $lte: endDate },
         })
             .populate('categoryId', 'name icon color type')
+            .populate('splits.categoryId', 'name icon color type')
             .sort({ date: -1 });
 
         return transactions;
     }
+
+    /**
+     * A payee's default category, if it has one for the transaction type
+     * @param {Object|null} payee - Payee
+     * @param {string} type - Transaction type
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object|null} - Category ID
+     */
+    async getPayeeCategory(payee, type, workspaceId) {
+        if (!payee || !payee.defaultCategoryId) return null;
+
+        const category = await Category.findOne({ _id: payee.defaultCategoryId, workspaceId, type }).select('_id');
+        return category ? category._id : null;
+    }
+
+    /**
+     * Verify a category exists in the workspace and matches the transaction type
+     * @param {string} categoryId - Category ID
+     * @param {string} type - Transaction type
+     * @param {string} workspaceId - Workspace ID
+     */
+    async verifyCategory(categoryId, type, workspaceId) {
+        const category = await Category.findOne({ _id: categoryId, workspaceId });
+        if (!category) {
+            const error = new Error('Category not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (category.type !== type) {
+            const error = new Error(
+                `Cannot use ${category.type} category for ${type} transaction`
+            );
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * Verify every split line's category (the amounts are checked by the model)
+     * @param {Array} splits - [{ categoryId, amount, note }]
+     * @param {string} type - Transaction type
+     * @param {string} workspaceId - Workspace ID
+     */
+    async verifySplits(splits, type, workspaceId) {
+        const categoryIds = [...new Set(splits.map((line) => String(line.categoryId)))];
+        const categories = await Category.find({ _id: { $in: categoryIds }, workspaceId });
+
+        if (categories.length !== categoryIds.length) {
+            const error = new Error('Category not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const mismatched = categories.find((category) => category.type !== type);
+        if (mismatched) {
+            const error = new Error(
+                `Cannot use ${mismatched.type} category "${mismatched.name}" for ${type} transaction`
+            );
+            error.statusCode = 400;
+            throw error;
+        }
+    }
 }
 
 module.exports = new TransactionService();
@@ -0,0 +1,271 @@
+/**
+ * Transaction Export Service
+ * Streams filtered transactions as CSV, XLSX or OFX. Rows are read with a
+ * cursor so large histories are never fully buffered in memory.
+ */
+
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Account = require('../models/Account');
+const transactionService = require('./transaction.service');
+const { formatCsvRow } = require('../utils/csv');
+const { createSheetWriter } = require('../utils/xlsx');
+const { writeChunk } = require('../utils/streams');
+const { toDateKey } = require('../utils/recurrence');
+const { resolvePreferences, getZonedParts } = require('../utils/dateRanges');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+};
+
+const COLUMNS = [
+    { header: 'Date', type: 'date', width: 12 },
+    { header: 'Type', type: 'text', width: 10 },
+    { header: 'Account', type: 'text', width: 20 },
+    { header: 'Category', type: 'text', width: 24 },
+    { header: 'Amount', type: 'money', width: 14 },
+    { header: 'Description', type: 'text', width: 48 },
+    { header: 'Tags', type: 'text', width: 24 },
+    { header: 'ID', type: 'text', width: 26 },
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class TransactionExportService {
+    /**
+     * Write a chunk, waiting for the stream to drain when its buffer is full;
+     * rejects when the client disconnects
+     * @param {Object} stream - Writable stream
+     * @param {string|Buffer} chunk - Data to write
+     */
+    async write(stream, chunk) {
+        await writeChunk(stream, chunk);
+    }
+
+    /**
+     * Content type and file name for a download
+     * @param {string} format - 'csv', 'xlsx' or 'ofx'
+     * @returns {Object} - { contentType, fileName }
+     */
+    getDownloadInfo(format) {
+        const { contentType, extension } = EXPORT_FORMATS[format];
+
+        return {
+            contentType,
+            fileName: `transactions-${new Date().toISOString().slice(0, 10)}.${extension}`,
+        };
+    }
+
+    /**
+     * Stream a workspace's transactions, oldest first, in the given format
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} filters - Same filters as TransactionService.getAll (without paging)
+     * @param {string} format - 'csv', 'xlsx' or 'ofx'
+     * @param {Object} user - Exporting user (preferences for dates, currency for OFX without an account filter)
+     * @param {Object} stream - Writable stream (e.g. Express response)
+     */
+    async streamTransactions(workspaceId, filters, format, user, stream) {
+        const query = transactionService.buildQuery(workspaceId, filters, user.preferences);
+        const { timezone } = resolvePreferences(user.preferences);
+
+        const [categories, accounts] = await Promise.all([
+            Category.find({ workspaceId }).select('name').lean(),
+            Account.find({ workspaceId }).select('name currency').lean(),
+        ]);
+        const categoryNames = new Map(categories.map((category) => [String(category._id), category.name]));
+        const accountNames = new Map(accounts.map((account) => [String(account._id), account.name]));
+        const account = filters.accountId
+            ? accounts.find((entry) => String(entry._id) === String(filters.accountId))
+            : null;
+
+        const rows = this.readRows(query, timezone, { categoryNames, accountNames, accountId: filters.accountId });
+
+        if (format === 'xlsx') {
+            await this.writeXlsx(rows, stream);
+        } else if (format === 'ofx') {
+            await this.writeOfx(rows, query, account ? account._id : workspaceId, timezone,
+                account ? account.currency : user.currency, stream);
+        } else {
+            await this.writeCsv(rows, stream);
+        }
+
+        stream.end();
+    }
+
+    /**
+     * Read matching transactions as export rows. Transfers are signed from
+     * the filtered account's side, else as money leaving their account.
+     * @param {Object} names - { categoryNames, accountNames, accountId (filter) }
+     * @returns {AsyncGenerator} - { id, date (YYYY-MM-DD), type, account, category, amount (signed), description, tags }
+     */
+    async* readRows(query, timezone, { categoryNames, accountNames, accountId = null }) {
+        const accountName = (id) => accountNames.get(String(id)) || '';
+
+        const cursor = Transaction.find(query)
+            .select('date type amount description categoryId accountId transferAccountId transferAmount splits tags')
+            .sort({ date: 1, _id: 1 })
+            .lean()
+            .cursor();
+
+        // A failed write (e.g. the client disconnected) ends the loop early; the cursor closes here
+        try {
+            yield* this.toRows(cursor, timezone, categoryNames, accountName, accountId);
+        } finally {
+            await cursor.close();
+        }
+    }
+
+    /**
+     * Turn transactions from a cursor into export rows
+     */
+    async* toRows(cursor, timezone, categoryNames, accountName, accountId) {
+        for await (const transaction of cursor) {
+            if (transaction.type === 'transfer') {
+                const incoming = Boolean(accountId) && String(transaction.transferAccountId) === String(accountId);
+
+                yield {
+                    id: String(transaction._id),
+                    date: this.dateKey(transaction.date, timezone),
+                    type: transaction.type,
+                    account: accountName(incoming ? transaction.transferAccountId : transaction.accountId),
+                    category: incoming
+                        ? `Transfer from ${accountName(transaction.accountId)}`
+                        : `Transfer to ${accountName(transaction.transferAccountId)}`,
+                    amount: incoming ? transaction.transferAmount || transaction.amount : -transaction.amount,
+                    description: transaction.description || '',
+                    tags: (transaction.tags || []).join(', '),
+                };
+                continue;
+            }
+
+            const categoryIds = transaction.splits && transaction.splits.length
+                ? transaction.splits.map((line) => line.categoryId)
+                : [transaction.categoryId];
+
+            yield {
+                id: String(transaction._id),
+                date: this.dateKey(transaction.date, timezone),
+                type: transaction.type,
+                account: accountName(transaction.accountId),
+                // Split transactions list every line's category
+                category: categoryIds.map((categoryId) => categoryNames.get(String(categoryId)) || '').join('; '),
+                amount: transaction.type === 'expense' ? -transaction.amount : transaction.amount,
+                description: transaction.description || '',
+                tags: (transaction.tags || []).join(', '),
+            };
+        }
+    }
+
+    /**
+     * Calendar date of an instant in the user's timezone
+     */
+    dateKey(date, timezone) {
+        const { year, month, day } = getZonedParts(date, timezone);
+        return toDateKey(year, month, day);
+    }
+
+    /**
+     * CSV with a header row; a BOM lets Excel detect UTF-8
+     */
+    async writeCsv(rows, stream) {
+        const text = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+        await this.write(stream, `\uFEFF${formatCsvRow(COLUMNS.map((column) => column.header))}`);
+
+        for await (const row of rows) {
+            await this.write(stream, formatCsvRow([
+                row.date,
+                row.type,
+                text(row.account),
+                text(row.category),
+                row.amount.toFixed(2),
+                text(row.description),
+                text(row.tags),
+                row.id,
+            ]));
+        }
+    }
+
+    /**
+     * Single-sheet workbook with real dates and numbers
+     */
+    async writeXlsx(rows, stream) {
+        const sheet = await createSheetWriter((chunk) => this.write(stream, chunk), {
+            sheetName: 'Transactions',
+            columns: COLUMNS,
+        });
+
+        for await (const row of rows) {
+            await sheet.addRow([
+                row.date, row.type, row.account, row.category, row.amount, row.description, row.tags, row.id,
+            ]);
+        }
+
+        await sheet.end();
+    }
+
+    /**
+     * OFX 2 bank statement. The transaction ID is the FITID, the category and
+     * description go in MEMO, and the ledger balance is the exported total.
+     * The account ID is the filtered account's, else the workspace's.
+     */
+    async writeOfx(rows, query, acctId, timezone, currency, stream) {
+        const [first, last] = await Promise.all([
+            Transaction.findOne(query).sort({ date: 1 }).select('date').lean(),
+            Transaction.findOne(query).sort({ date: -1 }).select('date').lean(),
+        ]);
+        const ofxDate = (date) => this.dateKey(date, timezone).replace(/-/g, '');
+        const now = new Date();
+        const start = first ? ofxDate(first.date) : ofxDate(now);
+        const end = last ? ofxDate(last.date) : ofxDate(now);
+        const curdef = /^[A-Za-z]{3}$/.test(currency || '') ? currency.toUpperCase() : 'USD';
+        const status = '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>';
+
+        await this.write(stream, '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n'
+            + '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>\n'
+            + '<OFX>\n'
+            + `<SIGNONMSGSRSV1><SONRS>${status}<DTSERVER>${now.toISOString().replace(/\D/g, '').slice(0, 14)}`
+            + '</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>\n'
+            + `<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID>${status}<STMTRS>\n`
+            + `<CURDEF>${curdef}</CURDEF>\n`
+            + '<BANKACCTFROM><BANKID>BUDGETTRACKER</BANKID>'
+            + `<ACCTID>${acctId}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>\n`
+            + `<BANKTRANLIST><DTSTART>${start}</DTSTART><DTEND>${end}</DTEND>\n`);
+
+        let balanceCents = 0;
+        for await (const row of rows) {
+            balanceCents += Math.round(row.amount * 100);
+            const name = (row.description || row.category).slice(0, 32);
+            const memo = [row.category, row.description].filter(Boolean).join(' - ');
+
+            await this.write(stream, '<STMTTRN>'
+                + `<TRNTYPE>${row.type === 'transfer' ? 'XFER' : row.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`
+                + `<DTPOSTED>${row.date.replace(/-/g, '')}</DTPOSTED>`
+                + `<TRNAMT>${row.amount.toFixed(2)}</TRNAMT>`
+                + `<FITID>${row.id}</FITID>`
+                + (name ? `<NAME>${this.escapeXml(name)}</NAME>` : '')
+                + (memo ? `<MEMO>${this.escapeXml(memo.slice(0, 255))}</MEMO>` : '')
+                + '</STMTTRN>\n');
+        }
+
+        await this.write(stream, '</BANKTRANLIST>\n'
+            + `<LEDGERBAL><BALAMT>${(balanceCents / 100).toFixed(2)}</BALAMT><DTASOF>${end}</DTASOF></LEDGERBAL>\n`
+            + '</STMTRS></STMTTRNRS></BANKMSGSRSV1>\n'
+            + '</OFX>\n');
+    }
+
+    /**
+     * Escape text for an OFX element
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+module.exports = new TransactionExportService();
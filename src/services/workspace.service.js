@@ -0,0 +1,454 @@
+/**
+ * Workspace Service
+ * Handles shared workspaces, member roles, invitations and the personal workspace migration
+ */
+
+const Workspace = require('../models/Workspace');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Tag = require('../models/Tag');
+const Payee = require('../models/Payee');
+const Account = require('../models/Account');
+const ImportBatch = require('../models/ImportBatch');
+const ImportProfile = require('../models/ImportProfile');
+const CategoryRule = require('../models/CategoryRule');
+const CategoryClassifier = require('../models/CategoryClassifier');
+const DuplicateDismissal = require('../models/DuplicateDismissal');
+const Budget = require('../models/Budget');
+const Savings = require('../models/Savings');
+const SavingsTransaction = require('../models/SavingsTransaction');
+const categoryService = require('./category.service');
+const attachmentService = require('./attachment.service');
+const mailService = require('./mail.service');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { WORKSPACE_INVITATION_EXPIRES_DAYS, APP_URL } = require('../config/env');
+
+// Every model whose documents belong to a workspace; extend this when adding workspace-scoped models
+const WORKSPACE_MODELS = [
+    Transaction,
+    RecurringTransaction,
+    Budget,
+    Category,
+    Tag,
+    Payee,
+    Account,
+    ImportBatch,
+    ImportProfile,
+    CategoryRule,
+    CategoryClassifier,
+    DuplicateDismissal,
+    SavingsTransaction,
+    Savings,
+];
+
+class WorkspaceService {
+    /**
+     * Get a user's personal workspace, creating it on first use. Data from
+     * before workspaces existed (documents without a workspaceId) is moved into it.
+     * @param {Object} user - User document
+     * @returns {Object} - Personal workspace
+     */
+    async ensurePersonalWorkspace(user) {
+        if (user.personalWorkspaceId) {
+            const workspace = await Workspace.findById(user.personalWorkspaceId);
+            if (workspace) {
+                return workspace;
+            }
+        }
+
+        let workspace = await Workspace.findOne({ ownerId: user._id, personal: true });
+
+        if (!workspace) {
+            try {
+                workspace = await Workspace.create({
+                    name: 'Personal',
+                    ownerId: user._id,
+                    personal: true,
+                    members: [{ userId: user._id, role: 'owner' }],
+                });
+            } catch (error) {
+                // Another request created it concurrently
+                if (error.code !== 11000) throw error;
+                workspace = await Workspace.findOne({ ownerId: user._id, personal: true });
+            }
+        }
+
+        await this.migrateLegacyData(user._id, workspace._id);
+        await User.updateOne({ _id: user._id }, { $set: { personalWorkspaceId: workspace._id } });
+        user.personalWorkspaceId = workspace._id;
+
+        return workspace;
+    }
+
+    /**
+     * Move a user's pre-workspace documents into a workspace
+     * @param {string} userId - User ID
+     * @param {string} workspaceId - Target workspace ID
+     * @returns {number} - Number of documents moved
+     */
+    async migrateLegacyData(userId, workspaceId) {
+        let migrated = 0;
+
+        for (const Model of WORKSPACE_MODELS) {
+            const result = await Model.updateMany(
+                { userId, workspaceId: null },
+                { $set: { workspaceId } }
+            );
+            migrated += result.modifiedCount;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Get every workspace a user belongs to
+     * @param {string} userId - User ID
+     * @returns {Array} - Workspaces with the user's role
+     */
+    async getUserWorkspaces(userId) {
+        const workspaces = await Workspace.find({ 'members.userId': userId })
+            .sort({ personal: -1, createdAt: 1 });
+
+        return workspaces.map((workspace) => this.formatWorkspace(workspace, userId));
+    }
+
+    /**
+     * Get a workspace with its members
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - Requesting member's ID
+     * @returns {Object} - Workspace with member details and the user's role
+     */
+    async getById(workspaceId, userId) {
+        const workspace = await Workspace.findOne({ _id: workspaceId, 'members.userId': userId })
+            .populate('members.userId', 'name email profilePhoto');
+
+        if (!workspace) {
+            const error = new Error('Workspace not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const member = workspace.members.find((m) => m.userId._id.equals(userId));
+
+        return {
+            ...workspace.toObject(),
+            role: member.role,
+        };
+    }
+
+    /**
+     * Create a shared workspace with default categories
+     * @param {string} userId - Owner's user ID
+     * @param {string} name - Workspace name
+     * @returns {Object} - Created workspace
+     */
+    async create(userId, name) {
+        const workspace = await Workspace.create({
+            name,
+            ownerId: userId,
+            personal: false,
+            members: [{ userId, role: 'owner' }],
+        });
+
+        await categoryService.createDefaults(workspace._id, userId);
+
+        return this.formatWorkspace(workspace, userId);
+    }
+
+    /**
+     * Rename a workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} data - { name }
+     * @param {string} userId - Requesting owner's ID
+     * @returns {Object} - Updated workspace
+     */
+    async update(workspaceId, data, userId) {
+        const workspace = await this.findWorkspace(workspaceId);
+
+        if (data.name !== undefined) workspace.name = data.name;
+
+        await workspace.save();
+        return this.formatWorkspace(workspace, userId);
+    }
+
+    /**
+     * Delete a shared workspace and everything in it
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Deleted document counts per model
+     */
+    async delete(workspaceId) {
+        const workspace = await this.findWorkspace(workspaceId);
+
+        if (workspace.personal) {
+            const error = new Error('Your personal workspace cannot be deleted');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        return this.purgeWorkspace(workspace._id);
+    }
+
+    /**
+     * Remove a workspace, its invitations and every document scoped to it
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} - Deleted document counts per model
+     */
+    async purgeWorkspace(workspaceId) {
+        const deleted = {};
+
+        // Attachments also have files in storage to remove
+        deleted.Attachment = await attachmentService.deleteForWorkspace(workspaceId);
+
+        for (const Model of WORKSPACE_MODELS) {
+            const result = await Model.deleteMany({ workspaceId });
+            deleted[Model.modelName] = result.deletedCount;
+        }
+
+        await WorkspaceInvitation.deleteMany({ workspaceId });
+        await Workspace.deleteOne({ _id: workspaceId });
+        deleted.Workspace = 1;
+
+        return deleted;
+    }
+
+    /**
+     * Invite someone to a workspace by email
+     * @param {string} workspaceId - Workspace ID
+     * @param {Object} inviter - Inviting user document
+     * @param {Object} data - { email, role }
+     * @returns {Object} - Invitation
+     */
+    async invite(workspaceId, inviter, data) {
+        const workspace = await this.findWorkspace(workspaceId);
+        const email = data.email.toLowerCase();
+
+        const existingUser = await User.findOne({ email }).select('_id');
+        if (existingUser && workspace.getRole(existingUser._id)) {
+            const error = new Error('This user is already a member of the workspace');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        // A new invitation replaces any pending one for the same address
+        await WorkspaceInvitation.deleteMany({ workspaceId, email, acceptedAt: null });
+
+        const invitationToken = generateToken();
+        const invitation = await WorkspaceInvitation.create({
+            workspaceId,
+            email,
+            role: data.role,
+            tokenHash: hashToken(invitationToken),
+            invitedBy: inviter._id,
+            expiresAt: new Date(Date.now() + WORKSPACE_INVITATION_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+        });
+
+        const acceptUrl = `${APP_URL}/invitations/accept?token=${invitationToken}`;
+
+        await mailService.send({
+            to: email,
+            subject: `${inviter.name} invited you to "${workspace.name}" on Budget Tracker`,
+            text: [
+                'Hi,',
+                '',
+                `${inviter.name} invited you to join the "${workspace.name}" workspace as ${data.role === 'editor' ? 'an editor' : 'a viewer'}.`,
+                'Sign in (or create an account with this email address) and accept the invitation:',
+                acceptUrl,
+                '',
+                `Invitation code: ${invitationToken}`,
+                `This invitation expires in ${WORKSPACE_INVITATION_EXPIRES_DAYS} days.`,
+            ].join('\n'),
+        });
+
+        return invitation.toJSON();
+    }
+
+    /**
+     * Get pending invitations of a workspace
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Array} - Pending invitations
+     */
+    async getInvitations(workspaceId) {
+        return WorkspaceInvitation.find({
+            workspaceId,
+            acceptedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .populate('invitedBy', 'name email')
+            .sort({ createdAt: -1 });
+    }
+
+    /**
+     * Revoke a pending invitation
+     * @param {string} invitationId - Invitation ID
+     * @param {string} workspaceId - Workspace ID for authorization
+     * @returns {boolean} - Success status
+     */
+    async revokeInvitation(invitationId, workspaceId) {
+        const result = await WorkspaceInvitation.deleteOne({
+            _id: invitationId,
+            workspaceId,
+            acceptedAt: null,
+        });
+
+        if (result.deletedCount === 0) {
+            const error = new Error('Invitation not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return true;
+    }
+
+    /**
+     * Accept an invitation as the signed-in user
+     * @param {string} token - Plain invitation token from the email
+     * @param {Object} user - Accepting user document
+     * @returns {Object} - Joined workspace
+     */
+    async acceptInvitation(token, user) {
+        const invitation = await WorkspaceInvitation.findOne({
+            tokenHash: hashToken(token),
+            acceptedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+
+        if (!invitation) {
+            const error = new Error('Invitation is invalid or has expired');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (invitation.email !== user.email) {
+            const error = new Error('This invitation was sent to a different email address');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        const workspace = await this.findWorkspace(invitation.workspaceId);
+
+        if (!workspace.getRole(user._id)) {
+            workspace.members.push({ userId: user._id, role: invitation.role });
+            await workspace.save();
+        }
+
+        invitation.acceptedAt = new Date();
+        invitation.acceptedBy = user._id;
+        await invitation.save();
+
+        return this.formatWorkspace(workspace, user._id);
+    }
+
+    /**
+     * Change a member's role
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} memberId - Member's user ID
+     * @param {string} role - 'editor' or 'viewer'
+     * @returns {Object} - Updated member
+     */
+    async updateMemberRole(workspaceId, memberId, role) {
+        const workspace = await this.findWorkspace(workspaceId);
+        const member = workspace.members.find((m) => m.userId.equals(memberId));
+
+        if (!member) {
+            const error = new Error('Member not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (member.role === 'owner') {
+            const error = new Error("The owner's role cannot be changed");
+            error.statusCode = 400;
+            throw error;
+        }
+
+        member.role = role;
+        await workspace.save();
+
+        return member.toObject();
+    }
+
+    /**
+     * Remove a member. Owners can remove anyone else; other members can only leave.
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} memberId - Member's user ID
+     * @param {string} actorId - Requesting user's ID
+     * @returns {boolean} - Success status
+     */
+    async removeMember(workspaceId, memberId, actorId) {
+        const workspace = await this.findWorkspace(workspaceId);
+        const member = workspace.members.find((m) => m.userId.equals(memberId));
+
+        if (!member) {
+            const error = new Error('Member not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (member.role === 'owner') {
+            const error = new Error('The owner cannot leave the workspace; delete it instead');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (!member.userId.equals(actorId) && workspace.getRole(actorId) !== 'owner') {
+            const error = new Error('Only the workspace owner can remove other members');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        workspace.members = workspace.members.filter((m) => !m.userId.equals(memberId));
+        await workspace.save();
+
+        return true;
+    }
+
+    /**
+     * Remove a user from every workspace they do not own
+     * @param {string} userId - User ID
+     * @returns {number} - Number of workspaces left
+     */
+    async leaveAllWorkspaces(userId) {
+        const result = await Workspace.updateMany(
+            { ownerId: { $ne: userId }, 'members.userId': userId },
+            { $pull: { members: { userId } } }
+        );
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * Find a workspace by ID or throw 404
+     */
+    async findWorkspace(workspaceId) {
+        const workspace = await Workspace.findById(workspaceId);
+
+        if (!workspace) {
+            const error = new Error('Workspace not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return workspace;
+    }
+
+    /**
+     * Shape a workspace for responses, including the user's role
+     */
+    formatWorkspace(workspace, userId) {
+        return {
+            _id: workspace._id,
+            name: workspace.name,
+            personal: workspace.personal,
+            ownerId: workspace.ownerId,
+            role: workspace.getRole(userId),
+            memberCount: workspace.members.length,
+            createdAt: workspace.createdAt,
+            updatedAt: workspace.updatedAt,
+        };
+    }
+}
+
+module.exports = new WorkspaceService();
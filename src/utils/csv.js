@@ -0,0 +1,102 @@
+/**
+ * CSV Helpers
+ * Delimiter detection and RFC 4180 parsing (quoted fields, doubled quotes,
+ * line breaks inside quotes) for bank statement imports, and row formatting
+ * for exports
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} - Rows (arrays of strings); blank lines are dropped
+ */
+const parseCsv = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) endRow();
+
+    return rows;
+};
+
+/**
+ * Guess the delimiter: the candidate that splits the first lines into the
+ * same (largest) number of fields
+ * @param {string} text - CSV content
+ * @returns {string} - Delimiter
+ */
+const detectDelimiter = (text) => {
+    const sample = text.slice(0, 16 * 1024);
+    let best = { delimiter: ',', score: 0 };
+
+    for (const delimiter of DELIMITERS) {
+        const rows = parseCsv(sample, delimiter).slice(0, 20);
+        if (rows.length === 0) continue;
+
+        const widths = rows.map((row) => row.length);
+        const width = widths[0];
+        if (width < 2) continue;
+
+        const consistent = widths.filter((value) => value === width).length / widths.length;
+        const score = consistent * width;
+        if (score > best.score) best = { delimiter, score };
+    }
+
+    return best.delimiter;
+};
+
+/**
+ * Format one CSV line, quoting fields that need it
+ * @param {Array} values - Field values (null and undefined become empty)
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Line ending in CRLF
+ */
+const formatCsvRow = (values, delimiter = ',') => `${values.map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(delimiter)}\r\n`;
+
+module.exports = {
+    DELIMITERS,
+    parseCsv,
+    detectDelimiter,
+    formatCsvRow,
+};
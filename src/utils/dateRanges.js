@@ -0,0 +1,230 @@
+/**
+ * Date Range Helpers
+ * Timezone-aware day/week/month/year boundaries driven by user preferences
+ */
+
+const DEFAULT_PREFERENCES = {
+    timezone: 'UTC',
+    weekStartDay: 1, // Monday
+    fiscalMonthStartDay: 1,
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that exposes wall-clock parts in a timezone
+ */
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short',
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timeZone - e.g. 'Asia/Colombo'
+ * @returns {boolean}
+ */
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Fill in defaults for missing preference values
+ * @param {Object} preferences - User preferences (may be partial or undefined)
+ * @returns {Object} - { timezone, weekStartDay, fiscalMonthStartDay }
+ */
+const resolvePreferences = (preferences = {}) => ({
+    timezone: preferences?.timezone || DEFAULT_PREFERENCES.timezone,
+    weekStartDay: preferences?.weekStartDay ?? DEFAULT_PREFERENCES.weekStartDay,
+    fiscalMonthStartDay: preferences?.fiscalMonthStartDay || DEFAULT_PREFERENCES.fiscalMonthStartDay,
+});
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: WEEKDAYS[parts.weekday],
+    };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+const getOffsetMs = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Instant of local midnight for a calendar date in a timezone.
+ * Month/day overflow is normalised like the Date constructor (e.g. month 13).
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12, may overflow)
+ * @param {number} day - Day of month (may overflow)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - UTC instant
+ */
+const zonedMidnight = (year, month, day, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day);
+    const offset = getOffsetMs(new Date(wallClock), timeZone);
+    const candidate = wallClock - offset;
+
+    // Re-check across DST transitions
+    const correctedOffset = getOffsetMs(new Date(candidate), timeZone);
+    return new Date(correctedOffset === offset ? candidate : wallClock - correctedOffset);
+};
+
+/**
+ * The (fiscal) month a date falls in. A fiscal month is labelled by the
+ * calendar month it starts in, e.g. with start day 25 "March" is Mar 25 - Apr 24.
+ * @param {Object} preferences - User preferences
+ * @param {Date} date - Reference instant (default now)
+ * @returns {Object} - { month, year }
+ */
+const getCurrentMonth = (preferences, date = new Date()) => {
+    const { timezone, fiscalMonthStartDay } = resolvePreferences(preferences);
+    const p = getZonedParts(date, timezone);
+
+    if (p.day >= fiscalMonthStartDay) {
+        return { month: p.month, year: p.year };
+    }
+    return p.month === 1
+        ? { month: 12, year: p.year - 1 }
+        : { month: p.month - 1, year: p.year };
+};
+
+/**
+ * Boundaries of a (fiscal) month in the user's timezone
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Object} preferences - User preferences
+ * @returns {Object} - { startDate, endDate }
+ */
+const getMonthRange = (year, month, preferences) => {
+    const { timezone, fiscalMonthStartDay } = resolvePreferences(preferences);
+
+    const startDate = zonedMidnight(year, month, fiscalMonthStartDay, timezone);
+    const nextStart = zonedMidnight(year, month + 1, fiscalMonthStartDay, timezone);
+
+    return { startDate, endDate: new Date(nextStart.getTime() - 1) };
+};
+
+/**
+ * Boundaries of a year (twelve fiscal months) in the user's timezone
+ * @param {number} year - Year
+ * @param {Object} preferences - User preferences
+ * @returns {Object} - { startDate, endDate }
+ */
+const getYearRange = (year, preferences) => {
+    const { timezone, fiscalMonthStartDay } = resolvePreferences(preferences);
+
+    const startDate = zonedMidnight(year, 1, fiscalMonthStartDay, timezone);
+    const nextStart = zonedMidnight(year + 1, 1, fiscalMonthStartDay, timezone);
+
+    return { startDate, endDate: new Date(nextStart.getTime() - 1) };
+};
+
+/**
+ * Start instants of each of the twelve (fiscal) months of a year, plus the
+ * start of the following year - usable as $bucket boundaries
+ * @param {number} year - Year
+ * @param {Object} preferences - User preferences
+ * @returns {Array<Date>} - 13 boundaries
+ */
+const getMonthBoundaries = (year, preferences) => {
+    const { timezone, fiscalMonthStartDay } = resolvePreferences(preferences);
+    const boundaries = [];
+    for (let month = 1; month <= 13; month++) {
+        boundaries.push(zonedMidnight(year, month, fiscalMonthStartDay, timezone));
+    }
+    return boundaries;
+};
+
+/**
+ * Boundaries of the week containing a date
+ * @param {Date} date - Reference instant
+ * @param {Object} preferences - User preferences (weekStartDay: 0 = Sunday, 1 = Monday, ...)
+ * @returns {Object} - { startDate, endDate }
+ */
+const getWeekRange = (date, preferences) => {
+    const { timezone, weekStartDay } = resolvePreferences(preferences);
+    const p = getZonedParts(date, timezone);
+    const diff = (p.weekday - weekStartDay + 7) % 7;
+
+    const startDate = zonedMidnight(p.year, p.month, p.day - diff, timezone);
+    const nextStart = zonedMidnight(p.year, p.month, p.day - diff + 7, timezone);
+
+    return { startDate, endDate: new Date(nextStart.getTime() - 1) };
+};
+
+/**
+ * Number of calendar days covered by a range
+ */
+const getDaysInRange = (startDate, endDate) => Math.round((endDate.getTime() + 1 - startDate.getTime()) / DAY_MS);
+
+/**
+ * Instant for a date given by a user. A date-only value (YYYY-MM-DD) is that
+ * day's midnight in the user's timezone, so it falls in the month it names;
+ * full timestamps are kept as they are.
+ * @param {string|Date} value - Date-only string or ISO timestamp
+ * @param {Object} preferences - User preferences (timezone)
+ * @returns {Date} - UTC instant
+ */
+const parseUserDate = (value, preferences) => {
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return new Date(value);
+
+    const { timezone } = resolvePreferences(preferences);
+    return zonedMidnight(Number(match[1]), Number(match[2]), Number(match[3]), timezone);
+};
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    isValidTimezone,
+    resolvePreferences,
+    getZonedParts,
+    zonedMidnight,
+    getCurrentMonth,
+    getMonthRange,
+    getYearRange,
+    getMonthBoundaries,
+    getWeekRange,
+    getDaysInRange,
+    parseUserDate,
+};
@@ -0,0 +1,189 @@
+/**
+ * Import Parsing Helpers
+ * Date and amount parsing for bank statement imports, plus format detection
+ */
+
+const { toDateKey, isValidDateKey } = require('./recurrence');
+
+// Supported date formats, most common first; a trailing time is ignored
+const DATE_FORMATS = [
+    'YYYY-MM-DD',
+    'DD/MM/YYYY',
+    'MM/DD/YYYY',
+    'DD.MM.YYYY',
+    'DD-MM-YYYY',
+    'MM-DD-YYYY',
+    'YYYY/MM/DD',
+    'YYYYMMDD',
+    'DD/MM/YY',
+    'MM/DD/YY',
+    'DD.MM.YY',
+];
+
+const DECIMAL_SEPARATORS = ['.', ','];
+
+const datePatterns = new Map(
+    DATE_FORMATS.map((format) => {
+        const order = format.match(/YYYY|YY|MM|DD/g);
+        const source = format
+            .replace(/[./-]/g, (separator) => `\\${separator}`)
+            .replace('YYYY', '(\\d{4})')
+            .replace('YY', '(\\d{2})')
+            .replace('MM', format === 'YYYYMMDD' ? '(\\d{2})' : '(\\d{1,2})')
+            .replace('DD', format === 'YYYYMMDD' ? '(\\d{2})' : '(\\d{1,2})');
+        return [format, { order, pattern: new RegExp(`^${source}(?:[ T].*)?$`) }];
+    })
+);
+
+/**
+ * Parse a date in the given format
+ * @param {string} value - Raw value
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {string|null} - Date key (YYYY-MM-DD), or null when it does not parse
+ */
+const parseDate = (value, format) => {
+    const entry = datePatterns.get(format);
+    const match = entry && String(value).trim().match(entry.pattern);
+    if (!match) return null;
+
+    const parts = {};
+    entry.order.forEach((token, index) => {
+        parts[token] = parseInt(match[index + 1], 10);
+    });
+
+    // Two-digit years are taken as 2000-2099
+    const year = parts.YYYY ?? 2000 + parts.YY;
+    const key = toDateKey(year, parts.MM, parts.DD);
+
+    return isValidDateKey(key) ? key : null;
+};
+
+/**
+ * Formats under which every sample parses, in DATE_FORMATS order
+ * @param {Array} values - Sample values (blanks are ignored)
+ * @returns {Array} - Matching formats
+ */
+const detectDateFormats = (values) => {
+    const samples = values.map((value) => String(value).trim()).filter(Boolean);
+    if (!samples.length) return [];
+
+    return DATE_FORMATS.filter((format) => samples.every((value) => parseDate(value, format)));
+};
+
+/**
+ * Parse a bank statement amount. Understands currency symbols, thousands
+ * separators, a leading or trailing minus, parentheses and CR/DR suffixes.
+ * @param {string} value - Raw value
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} - Signed amount rounded to cents; null when blank, NaN when unreadable
+ */
+const parseAmount = (value, decimalSeparator = '.') => {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+
+    let negative = false;
+
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (/\bDR$/i.test(text)) {
+        negative = true;
+        text = text.slice(0, -2);
+    } else if (/\bCR$/i.test(text)) {
+        text = text.slice(0, -2);
+    }
+
+    text = text.replace(/[\s']/g, '').replace(/\u2212/g, '-');
+    if (text.endsWith('-')) {
+        negative = !negative;
+        text = text.slice(0, -1);
+    }
+
+    // Drop currency symbols and codes around the number
+    text = text.replace(/^[^\d.,-]+|[^\d.,]+$/g, '');
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    }
+
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    text = text.split(thousandsSeparator).join('');
+    if (decimalSeparator === ',') text = text.replace(',', '.');
+
+    if (!/^\d+(\.\d+)?$/.test(text) && !/^\.\d+$/.test(text)) return NaN;
+
+    const amount = Math.round(parseFloat(text) * 100) / 100;
+    return negative ? -amount : amount;
+};
+
+/**
+ * Guess the decimal separator from sample amounts ("1.234,56" or "12,5" style
+ * values mean a comma); falls back to the given default
+ * @param {Array} values - Sample values
+ * @param {string} fallback - Separator when the samples are ambiguous
+ * @returns {string} - '.' or ','
+ */
+const detectDecimalSeparator = (values, fallback = '.') => {
+    let comma = 0;
+    let dot = 0;
+
+    for (const value of values) {
+        const text = String(value).trim();
+        if (/,\d{1,2}\)?(\s*[A-Za-z]*)?$/.test(text)) comma++;
+        else if (/\.\d{1,2}\)?(\s*[A-Za-z]*)?$/.test(text)) dot++;
+    }
+
+    if (comma > dot) return ',';
+    if (dot > comma) return '.';
+    return fallback;
+};
+
+// Header names that usually hold each field
+const HEADER_HINTS = {
+    date: /^(transaction |posting |booking |value )?date$|^date|datum|fecha|posted/i,
+    amount: /^(transaction )?amount|^value$|betrag|importe|montant/i,
+    debit: /debit|withdrawal|paid out|money out|outflow/i,
+    credit: /credit|deposit|paid in|money in|inflow/i,
+    description: /desc|memo|narrat|details|payee|merchant|particulars|reference|text|name/i,
+    category: /categ/i,
+};
+
+/**
+ * Suggest a column mapping from header names
+ * @param {Array} headers - Header row
+ * @returns {Object} - { date, amount, debit, credit, description, category } column indexes (or null)
+ */
+const suggestMapping = (headers) => {
+    const mapping = { date: null, amount: null, debit: null, credit: null, description: null, category: null };
+    const taken = new Set();
+
+    for (const field of Object.keys(mapping)) {
+        const index = headers.findIndex((header, i) => !taken.has(i) && HEADER_HINTS[field].test(header.trim()));
+        if (index !== -1) {
+            mapping[field] = index;
+            taken.add(index);
+        }
+    }
+
+    // Separate debit/credit columns replace a single amount column
+    if (mapping.amount !== null) {
+        mapping.debit = null;
+        mapping.credit = null;
+    } else if (mapping.debit === null || mapping.credit === null) {
+        mapping.debit = null;
+        mapping.credit = null;
+    }
+
+    return mapping;
+};
+
+module.exports = {
+    DATE_FORMATS,
+    DECIMAL_SEPARATORS,
+    parseDate,
+    detectDateFormats,
+    parseAmount,
+    detectDecimalSeparator,
+    suggestMapping,
+};
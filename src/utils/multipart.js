@@ -0,0 +1,110 @@
+/**
+ * Multipart Helpers
+ * Minimal multipart/form-data parser for buffered request bodies
+ * (RFC 7578). Bodies are size-capped before they get here.
+ */
+
+/**
+ * Read the boundary from a Content-Type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} - Boundary, or null when not multipart/form-data
+ */
+const getBoundary = (contentType = '') => {
+    if (!/^multipart\/form-data\b/i.test(contentType)) return null;
+
+    const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    return match ? (match[1] || match[2]).trim() : null;
+};
+
+/**
+ * Parse part headers into a lowercase-keyed object
+ */
+const parseHeaders = (raw) => {
+    const headers = {};
+    for (const line of raw.split('\r\n')) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    }
+    return headers;
+};
+
+/**
+ * Read name and filename from a Content-Disposition header
+ * (filename* with UTF-8 encoding wins over filename)
+ */
+const parseDisposition = (value = '') => {
+    const name = value.match(/\bname="([^"]*)"/i);
+    const filename = value.match(/\bfilename="([^"]*)"/i);
+    const encodedFilename = value.match(/\bfilename\*=UTF-8''([^;]+)/i);
+
+    let decodedFilename = null;
+    if (encodedFilename) {
+        try {
+            decodedFilename = decodeURIComponent(encodedFilename[1]);
+        } catch (error) {
+            decodedFilename = null;
+        }
+    }
+
+    return {
+        name: name ? name[1] : null,
+        filename: decodedFilename ?? (filename ? filename[1] : null),
+    };
+};
+
+const malformed = () => {
+    const error = new Error('Malformed multipart body');
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Split a multipart body into its parts
+ * @param {Buffer} body - Raw request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Array} - [{ name, filename, contentType, data }]; filename is null for plain fields
+ */
+const parseMultipart = (body, boundary) => {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const separator = Buffer.from(`\r\n--${boundary}`);
+    const parts = [];
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) throw malformed();
+    position += delimiter.length;
+
+    // "--" after a delimiter closes the body
+    while (body.subarray(position, position + 2).toString() !== '--') {
+        if (body.subarray(position, position + 2).toString() !== '\r\n') throw malformed();
+        position += 2;
+
+        const end = body.indexOf(separator, position);
+        if (end === -1) throw malformed();
+
+        const part = body.subarray(position, end);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) throw malformed();
+
+        const headers = parseHeaders(part.subarray(0, headerEnd).toString('utf8'));
+        const { name, filename } = parseDisposition(headers['content-disposition']);
+        if (!name) throw malformed();
+
+        parts.push({
+            name,
+            filename,
+            contentType: headers['content-type'] || null,
+            data: part.subarray(headerEnd + 4),
+        });
+
+        position = end + separator.length;
+    }
+
+    return parts;
+};
+
+module.exports = {
+    getBoundary,
+    parseMultipart,
+};
@@ -0,0 +1,91 @@
+/**
+ * OFX Helpers
+ * Reads bank and credit card transactions from OFX/QFX statements, both the
+ * SGML (1.x, unclosed elements) and XML (2.x) flavours
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Account aggregates whose ACCTID identifies the statement's own account
+const ACCOUNT_AGGREGATES = ['BANKACCTFROM', 'CCACCTFROM'];
+
+/**
+ * Whether text looks like an OFX document
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+const isOfx = (text) => /^\s*OFXHEADER\s*:/i.test(text) || /<OFX>/i.test(text.slice(0, 4096));
+
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        // Out-of-range references and lone surrogates are left as they are
+        const valid = code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+        return valid ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Extract the statement transactions
+ * @param {string} text - OFX content
+ * @returns {Array} - [{ accountId, type, fitId, datePosted, amount, name, memo, checkNumber }]
+ *                    with the raw element values (accountId is null if the file has none)
+ */
+const parseOfx = (text) => {
+    const transactions = [];
+    const tokens = text.matchAll(/<(\/?)([A-Z0-9._]+)[^>]*>([^<]*)/gi);
+
+    let accountId = null;
+    let accountDepth = 0;
+    let current = null;
+
+    for (const [, closing, rawTag, rawValue] of tokens) {
+        const tag = rawTag.toUpperCase();
+        const value = decodeEntities(rawValue.trim());
+
+        if (ACCOUNT_AGGREGATES.includes(tag)) {
+            accountDepth += closing ? -1 : 1;
+            if (!closing) accountId = null;
+            continue;
+        }
+
+        if (tag === 'STMTTRN') {
+            if (current) transactions.push(current);
+            current = closing ? null : {
+                accountId,
+                type: '',
+                fitId: '',
+                datePosted: '',
+                amount: '',
+                name: '',
+                memo: '',
+                checkNumber: '',
+            };
+            continue;
+        }
+
+        if (closing || !value) continue;
+
+        if (accountDepth > 0 && !current && tag === 'ACCTID') {
+            accountId = value;
+        } else if (current) {
+            if (tag === 'TRNTYPE') current.type = value;
+            else if (tag === 'FITID') current.fitId = value;
+            else if (tag === 'DTPOSTED') current.datePosted = value;
+            else if (tag === 'TRNAMT') current.amount = value;
+            else if (tag === 'NAME' && !current.name) current.name = value;
+            else if (tag === 'MEMO') current.memo = value;
+            else if (tag === 'CHECKNUM') current.checkNumber = value;
+        }
+    }
+
+    if (current) transactions.push(current);
+
+    return transactions;
+};
+
+module.exports = {
+    isOfx,
+    parseOfx,
+};
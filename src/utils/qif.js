@@ -0,0 +1,89 @@
+/**
+ * QIF Helpers
+ * Reads transactions from Quicken Interchange Format statements
+ */
+
+// Sections that hold bank-style transactions (lists and investment sections are skipped)
+const TRANSACTION_SECTIONS = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Whether text looks like a QIF document
+ * @param {string} text - File content
+ * @returns {boolean}
+ */
+const isQif = (text) => /^\s*!(Type|Account|Option)/i.test(text);
+
+/**
+ * Rewrite a QIF date ("1/ 5'24", "01/05/2024", "5.1.24") in a shape the
+ * import date formats understand; an apostrophe separates a 2000s year
+ * @param {string} value - Raw D line
+ * @returns {string}
+ */
+const normalizeQifDate = (value) => value.replace(/\s+/g, '').replace(/'/g, '/');
+
+/**
+ * Extract the statement transactions
+ * @param {string} text - QIF content
+ * @returns {Array} - [{ date, amount, payee, memo, category, checkNumber, splits: [{ category, memo, amount }] }]
+ *                    with the raw line values
+ */
+const parseQif = (text) => {
+    const transactions = [];
+    let section = null;
+    let current = null;
+
+    const newRecord = () => ({
+        date: '',
+        amount: '',
+        payee: '',
+        memo: '',
+        category: '',
+        checkNumber: '',
+        splits: [],
+    });
+
+    for (const rawLine of text.split(/\r\n|\r|\n/)) {
+        const line = rawLine.trimEnd();
+        if (!line) continue;
+
+        if (line[0] === '!') {
+            const match = line.match(/^!Type:(.*)$/i);
+            // !Account blocks describe the account and end with ^ like a record
+            section = match ? match[1].trim().toLowerCase() : 'account';
+            current = null;
+            continue;
+        }
+
+        if (!TRANSACTION_SECTIONS.includes(section)) continue;
+
+        if (line[0] === '^') {
+            if (current && (current.date || current.amount)) transactions.push(current);
+            current = null;
+            continue;
+        }
+
+        current = current || newRecord();
+        const code = line[0];
+        const value = line.slice(1).trim();
+        const split = current.splits[current.splits.length - 1];
+
+        if (code === 'D') current.date = normalizeQifDate(value);
+        else if (code === 'T' || (code === 'U' && !current.amount)) current.amount = value;
+        else if (code === 'P') current.payee = value;
+        else if (code === 'M') current.memo = value;
+        else if (code === 'L') current.category = value;
+        else if (code === 'N') current.checkNumber = value;
+        else if (code === 'S') current.splits.push({ category: value, memo: '', amount: '' });
+        else if (code === 'E' && split) split.memo = value;
+        else if (code === '$' && split) split.amount = value;
+    }
+
+    if (current && (current.date || current.amount)) transactions.push(current);
+
+    return transactions;
+};
+
+module.exports = {
+    isQif,
+    parseQif,
+};
@@ -0,0 +1,152 @@
+/**
+ * Recurrence Helpers
+ * RRULE-style schedule expansion over calendar dates ("YYYY-MM-DD" strings).
+ * Dates are plain calendar days; callers turn them into instants with the
+ * schedule's timezone (see zonedMidnight in dateRanges).
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety net for schedules that can never produce another date
+const MAX_CANDIDATES = 100000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format calendar parts as a date key
+ */
+const toDateKey = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Split a date key into calendar parts
+ * @returns {Object} - { year, month (1-12), day }
+ */
+const parseDateKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return { year, month, day };
+};
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ */
+const isValidDateKey = (key) => {
+    if (typeof key !== 'string' || !DATE_PATTERN.test(key)) return false;
+    const { year, month, day } = parseDateKey(key);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Weekday of a calendar date (0 = Sunday)
+ */
+const weekdayOf = (key) => {
+    const { year, month, day } = parseDateKey(key);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Add days to a date key
+ */
+const addDays = (key, days) => {
+    const { year, month, day } = parseDateKey(key);
+    const date = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+    return toDateKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+/**
+ * Last Monday-Friday day of a month
+ */
+const lastBusinessDay = (year, month) => {
+    let day = daysInMonth(year, month);
+    while ([0, 6].includes(weekdayOf(toDateKey(year, month, day)))) {
+        day--;
+    }
+    return day;
+};
+
+/**
+ * Candidate dates of a schedule from its start date, ignoring end conditions
+ * @param {Object} schedule - { frequency, interval, byWeekday, byMonthDay, lastBusinessDay, startDate }
+ */
+function* candidateDates(schedule) {
+    const interval = schedule.interval || 1;
+    const start = schedule.startDate;
+    const { year: startYear, month: startMonth, day: startDay } = parseDateKey(start);
+
+    if (schedule.frequency === 'daily') {
+        for (let k = 0; ; k++) {
+            yield addDays(start, k * interval);
+        }
+    }
+
+    if (schedule.frequency === 'weekly') {
+        const weekdays = schedule.byWeekday && schedule.byWeekday.length
+            ? [...new Set(schedule.byWeekday)].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+            : [weekdayOf(start)];
+        // Weeks run Monday to Sunday, as in RRULE's default WKST
+        const firstMonday = addDays(start, -((weekdayOf(start) + 6) % 7));
+
+        for (let k = 0; ; k++) {
+            const monday = addDays(firstMonday, k * 7 * interval);
+            for (const weekday of weekdays) {
+                const date = addDays(monday, (weekday + 6) % 7);
+                if (date >= start) yield date;
+            }
+        }
+    }
+
+    if (schedule.frequency === 'monthly') {
+        for (let k = 0; ; k++) {
+            const monthIndex = startMonth - 1 + k * interval;
+            const year = startYear + Math.floor(monthIndex / 12);
+            const month = (monthIndex % 12) + 1;
+            const day = schedule.lastBusinessDay
+                ? lastBusinessDay(year, month)
+                : Math.min(schedule.byMonthDay || startDay, daysInMonth(year, month));
+            const date = toDateKey(year, month, day);
+            if (date >= start) yield date;
+        }
+    }
+
+    if (schedule.frequency === 'yearly') {
+        for (let k = 0; ; k++) {
+            const year = startYear + k * interval;
+            // Feb 29 falls back to Feb 28 in non-leap years
+            yield toDateKey(year, startMonth, Math.min(startDay, daysInMonth(year, startMonth)));
+        }
+    }
+}
+
+/**
+ * Occurrences of a schedule in order, honouring its end conditions
+ * @param {Object} schedule - Schedule fields plus optional endDate and count
+ * @yields {Object} - { date, index } where index counts from 0
+ */
+function* iterateOccurrences(schedule) {
+    let index = 0;
+    let candidates = 0;
+
+    for (const date of candidateDates(schedule)) {
+        if (++candidates > MAX_CANDIDATES) return;
+        if (schedule.count && index >= schedule.count) return;
+        if (schedule.endDate && date > schedule.endDate) return;
+
+        yield { date, index };
+        index++;
+    }
+}
+
+module.exports = {
+    FREQUENCIES,
+    toDateKey,
+    parseDateKey,
+    isValidDateKey,
+    addDays,
+    weekdayOf,
+    lastBusinessDay,
+    iterateOccurrences,
+};
@@ -0,0 +1,18 @@
+/**
+ * Request Context Helper
+ * Collects who made a request and from where, for services that record audit entries
+ */
+
+/**
+ * Build the audit context of a request
+ * @param {Object} req - Express request (after protect and requestId)
+ * @returns {Object} - { actorId, ipAddress, userAgent, requestId }
+ */
+const getRequestContext = (req) => ({
+    actorId: req.user ? req.user._id : null,
+    ipAddress: req.ip || '',
+    userAgent: req.get('User-Agent') || '',
+    requestId: req.id || null,
+});
+
+module.exports = { getRequestContext };
@@ -0,0 +1,75 @@
+/**
+ * Safe Regex Helpers
+ * User-supplied regular expressions run on RE2, which matches in linear time
+ * (no backtracking), so a pattern like (a|aa)+$ cannot stall the server.
+ * RE2 has no backreferences or lookarounds; such patterns are rejected.
+ */
+
+const { RE2 } = require('re2-wasm');
+
+// Compiled patterns kept for reuse; the oldest are freed past this size
+const CACHE_SIZE = 500;
+
+const cache = new Map();
+
+/**
+ * Check that a pattern compiles on RE2
+ * @param {string} pattern - Pattern
+ * @returns {string|null} - Error message, or null when it is usable
+ */
+const checkPattern = (pattern) => {
+    try {
+        const regex = new RE2(pattern, 'u');
+        regex.wrapper.delete();
+        return null;
+    } catch (error) {
+        return 'Description pattern must be a valid regular expression without backreferences or lookarounds';
+    }
+};
+
+/**
+ * Compiled pattern, from the cache when possible
+ * @param {string} pattern - Pattern
+ * @param {boolean} caseSensitive - Match case
+ * @returns {Object} - RE2 instance
+ */
+const compile = (pattern, caseSensitive) => {
+    const key = `${caseSensitive ? 's' : 'i'}:${pattern}`;
+    let regex = cache.get(key);
+
+    if (!regex) {
+        regex = new RE2(pattern, caseSensitive ? 'u' : 'iu');
+        if (cache.size >= CACHE_SIZE) {
+            const [oldestKey, oldest] = cache.entries().next().value;
+            cache.delete(oldestKey);
+            oldest.wrapper.delete();
+        }
+        cache.set(key, regex);
+    }
+
+    return regex;
+};
+
+/**
+ * Whether text matches a pattern; patterns that do not compile never match
+ * @param {string} pattern - Pattern
+ * @param {string} text - Text to search
+ * @param {boolean} caseSensitive - Match case
+ * @returns {boolean}
+ */
+const testPattern = (pattern, text, caseSensitive = false) => {
+    let regex;
+    try {
+        regex = compile(pattern, caseSensitive);
+    } catch (error) {
+        return false;
+    }
+
+    regex.lastIndex = 0;
+    return regex.test(text);
+};
+
+module.exports = {
+    checkPattern,
+    testPattern,
+};
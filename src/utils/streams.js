@@ -0,0 +1,56 @@
+/**
+ * Stream Helpers
+ * Backpressure-aware writes for downloads that stop, rather than wait for
+ * ever, when the client goes away
+ */
+
+/**
+ * Error for a destination that closed before the download finished
+ * @returns {Error} - Error with code ERR_STREAM_PREMATURE_CLOSE
+ */
+const prematureClose = () => {
+    const error = new Error('The client closed the connection');
+    error.code = 'ERR_STREAM_PREMATURE_CLOSE';
+    return error;
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full.
+ * Rejects when the stream is closed or fails instead of draining.
+ * @param {Object} stream - Writable stream (e.g. Express response)
+ * @param {string|Buffer} chunk - Data to write
+ */
+const writeChunk = async (stream, chunk) => {
+    if (stream.destroyed || stream.writableEnded) throw prematureClose();
+    if (stream.write(chunk)) return;
+
+    await new Promise((resolve, reject) => {
+        const settle = (error) => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+            stream.off('error', onError);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onDrain = () => settle();
+        const onClose = () => settle(prematureClose());
+        const onError = (error) => settle(error);
+
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+        stream.on('error', onError);
+    });
+};
+
+/**
+ * Whether an error only means the client went away
+ * @param {Error} error - Error from a write
+ * @returns {boolean} - True for a closed or reset connection
+ */
+const isClientAbort = (error) => ['ERR_STREAM_PREMATURE_CLOSE', 'ERR_STREAM_DESTROYED', 'ECONNRESET', 'EPIPE']
+    .includes(error && error.code);
+
+module.exports = {
+    writeChunk,
+    isClientAbort,
+};
@@ -0,0 +1,22 @@
+/**
+ * Token Helpers
+ * Random token generation and hashing for tokens stored server-side
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex encoded token
+ */
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a token so only the digest is persisted
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,151 @@
+/**
+ * TOTP Helpers
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step counter for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a secret at a given time step (RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of steps accepted either side of now
+ * @returns {number|null} - Matching time step, or null if invalid
+ */
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const current = getTimeStep();
+    for (let offset = -window; offset <= window; offset++) {
+        const step = current + offset;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (usually the email)
+ * @param {string} issuer - Issuer shown in the app
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    getTimeStep,
+    base32Encode,
+    base32Decode,
+};
@@ -4,6 +4,13 @@
  */
 
 const { body, param, query } = require('express-validator');
+const AccessToken = require('../models/AccessToken');
+const Account = require('../models/Account');
+const User = require('../models/User');
+const { isValidTimezone } = require('./dateRanges');
+const { FREQUENCIES, isValidDateKey } = require('./recurrence');
+const { DELIMITERS } = require('./csv');
+const { DATE_FORMATS, DECIMAL_SEPARATORS } = require('./importParsing');
 
 // Common validation rules
 const commonRules = {
@@ -74,6 +81,88 @@ const authValidators = {
             .withMessage('Password is required'),
     ],
 
+    loginTwoFactor: [
+        body('challengeToken')
+            .isString()
+            .withMessage('Challenge token must be a string')
+            .notEmpty()
+            .withMessage('Challenge token is required'),
+        body('code')
+            .optional()
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits'),
+        body('recoveryCode')
+            .optional()
+            .isString()
+            .isLength({ min: 6, max: 20 })
+            .withMessage('Invalid recovery code'),
+        body()
+            .custom((value) => {
+                if (!value.code && !value.recoveryCode) {
+                    throw new Error('Authentication code or recovery code is required');
+                }
+                return true;
+            }),
+    ],
+
+    twoFactorCode: [
+        body('code')
+            .notEmpty()
+            .withMessage('Authentication code is required')
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits'),
+    ],
+
+    deleteAccount: [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required to delete your account'),
+    ],
+
+    disableTwoFactor: [
+        body('password')
+            .notEmpty()
+            .withMessage('Current password is required'),
+    ],
+
+    refreshToken: [
+        body('refreshToken')
+            .isString()
+            .withMessage('Refresh token must be a string')
+            .notEmpty()
+            .withMessage('Refresh token is required'),
+    ],
+
+    forgotPassword: [
+        commonRules.email,
+    ],
+
+    resetPassword: [
+        body('token')
+            .isString()
+            .withMessage('Reset token must be a string')
+            .notEmpty()
+            .withMessage('Reset token is required'),
+        commonRules.password,
+        body('confirmPassword')
+            .notEmpty()
+            .withMessage('Please confirm your password')
+            .custom((value, { req }) => {
+                if (value !== req.body.password) {
+                    throw new Error('Passwords do not match');
+                }
+                return true;
+            }),
+    ],
+
+    verifyEmail: [
+        body('token')
+            .isString()
+            .withMessage('Verification token must be a string')
+            .notEmpty()
+            .withMessage('Verification token is required'),
+    ],
+
     updateProfile: [
         body('name')
             .optional()
@@ -113,6 +202,37 @@ const authValidators = {
             .withMessage('Country cannot exceed 100 characters'),
     ],
 
+    updatePreferences: [
+        body('timezone')
+            .optional()
+            .trim()
+            .custom((value) => isValidTimezone(value))
+            .withMessage('Timezone must be a valid IANA timezone (e.g. Asia/Colombo)'),
+        body('weekStartDay')
+            .optional()
+            .isInt({ min: 0, max: 6 })
+            .withMessage('Week start day must be between 0 (Sunday) and 6 (Saturday)')
+            .toInt(),
+        body('locale')
+            .optional()
+            .trim()
+            .custom((value) => User.isValidLocale(value))
+            .withMessage('Locale must be a valid locale tag (e.g. en-US)'),
+        body('numberFormat')
+            .optional()
+            .isIn(User.NUMBER_FORMATS)
+            .withMessage(`Number format must be one of: ${User.NUMBER_FORMATS.join(', ')}`),
+        body('dateFormat')
+            .optional()
+            .isIn(User.DATE_FORMATS)
+            .withMessage(`Date format must be one of: ${User.DATE_FORMATS.join(', ')}`),
+        body('fiscalMonthStartDay')
+            .optional()
+            .isInt({ min: 1, max: 28 })
+            .withMessage('Fiscal month start day must be between 1 and 28')
+            .toInt(),
+    ],
+
     changePassword: [
         body('currentPassword')
             .notEmpty()
@@ -131,9 +251,124 @@ const authValidators = {
                 }
                 return true;
             }),
+        body('revokeOtherSessions')
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('revokeOtherSessions must be a boolean'),
+    ],
+
+    createAccessToken: [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Token name is required')
+            .isLength({ max: 100 })
+            .withMessage('Name cannot exceed 100 characters'),
+        body('scopes')
+            .isArray({ min: 1 })
+            .withMessage('At least one scope is required'),
+        body('scopes.*')
+            .isIn(AccessToken.SCOPES)
+            .withMessage(`Scope must be one of: ${AccessToken.SCOPES.join(', ')}`),
+        body('expiresInDays')
+            .optional({ nullable: true })
+            .isInt({ min: 1, max: 365 })
+            .withMessage('expiresInDays must be between 1 and 365'),
+    ],
+
+    accessTokenId: [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid token ID'),
+    ],
+
+    sessionId: [
+        param('id')
+            .isMongoId()
+            .withMessage('Invalid session ID'),
     ],
 };
 
+// Split lines of a transaction (the model checks that they add up to the amount)
+const splitRules = [
+    body('splits')
+        .optional({ nullable: true })
+        .isArray({ max: 50 })
+        .withMessage('Splits must be an array of at most 50 lines')
+        .custom((splits) => splits.length !== 1)
+        .withMessage('A split transaction needs at least 2 lines'),
+    body('splits.*.categoryId')
+        .isMongoId()
+        .withMessage('Invalid split line category ID'),
+    body('splits.*.amount')
+        .isFloat({ min: 0.01 })
+        .withMessage('Split line amount must be a positive number')
+        .toFloat(),
+    body('splits.*.note')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Split line note cannot exceed 200 characters'),
+];
+
+// Free-form tags (commas separate tags in query strings)
+const tagRules = [
+    body('tags')
+        .optional({ nullable: true })
+        .isArray({ max: 20 })
+        .withMessage('Tags must be an array of at most 20 tags'),
+    body('tags.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Each tag must be between 1 and 50 characters')
+        .not()
+        .contains(',')
+        .withMessage('Tags cannot contain commas'),
+];
+
+// Listing filters shared by the transaction list and export
+const transactionFilterRules = [
+    // A repeated parameter (?tags=a&tags=b) arrives as an array
+    query(['type', 'accountId', 'categoryId', 'payeeId', 'month', 'year', 'tags', 'tagMatch', 'search'])
+        .optional()
+        .isString()
+        .withMessage('Each filter can only be given once'),
+    query('type')
+        .optional()
+        .isIn(['income', 'expense', 'transfer'])
+        .withMessage('Type must be income, expense or transfer'),
+    query('accountId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid account ID'),
+    query('categoryId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid category ID'),
+    query('payeeId')
+        .optional()
+        .custom((value) => value === 'none' || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('Payee must be a payee ID or none'),
+    query('month')
+        .optional()
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Month must be between 1 and 12'),
+    query('year')
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('Invalid year'),
+    query('tags')
+        .optional()
+        .isLength({ max: 1000 })
+        .withMessage('Tags filter is too long'),
+    query('tagMatch')
+        .optional()
+        .isIn(['any', 'all'])
+        .withMessage('Tag match must be either any or all'),
+];
+
 // Transaction validation schemas
 const transactionValidators = {
     create: [
@@ -147,11 +382,22 @@ const transactionValidators = {
             .withMessage('Amount is required')
             .isFloat({ min: 0.01 })
             .withMessage('Amount must be a positive number'),
+        // Optional: split transactions take their category from the lines and
+        // the categorization rules pick one for the rest
         body('categoryId')
-            .notEmpty()
-            .withMessage('Category is required')
+            .optional()
             .isMongoId()
             .withMessage('Invalid category ID'),
+        // Optional: the workspace's default account when not given
+        body('accountId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid account ID'),
+        // Optional: linked from the description when not given (null unlinks on update)
+        body('payeeId')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Invalid payee ID'),
         body('description')
             .optional()
             .trim()
@@ -161,6 +407,8 @@ const transactionValidators = {
             .optional()
             .isISO8601()
             .withMessage('Invalid date format'),
+        ...splitRules,
+        ...tagRules,
     ],
 
     update: [
@@ -179,6 +427,16 @@ const transactionValidators = {
             .optional()
             .isMongoId()
             .withMessage('Invalid category ID'),
+        // Optional: the workspace's default account when not given
+        body('accountId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid account ID'),
+        // Optional: linked from the description when not given (null unlinks on update)
+        body('payeeId')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Invalid payee ID'),
         body('description')
             .optional()
             .trim()
@@ -188,6 +446,8 @@ const transactionValidators = {
             .optional()
             .isISO8601()
             .withMessage('Invalid date format'),
+        ...splitRules,
+        ...tagRules,
     ],
 
     getAll: [
@@ -199,18 +459,90 @@ const transactionValidators = {
             .optional()
             .isInt({ min: 1, max: 100 })
             .withMessage('Limit must be between 1 and 100'),
+        ...transactionFilterRules,
+    ],
+
+    export: [
+        query('format')
+            .optional()
+            .isString()
+            .withMessage('Format can only be given once')
+            .bail()
+            .isIn(['csv', 'xlsx', 'ofx'])
+            .withMessage('Format must be csv, xlsx or ofx'),
+        ...transactionFilterRules,
+    ],
+
+    suggestCategory: [
+        query('description')
+            .isString()
+            .withMessage('Description is required')
+            .trim()
+            .isLength({ min: 1, max: 500 })
+            .withMessage('Description must be between 1 and 500 characters'),
+        // A repeated parameter arrives as an array
+        query(['amount', 'type', 'limit'])
+            .optional()
+            .isString()
+            .withMessage('Each parameter can only be given once'),
+        query('amount')
+            .optional()
+            .isFloat({ min: 0.01 })
+            .withMessage('Amount must be a positive number')
+            .toFloat(),
         query('type')
             .optional()
             .isIn(['income', 'expense'])
             .withMessage('Type must be either income or expense'),
-        query('month')
+        query('limit')
             .optional()
-            .isInt({ min: 1, max: 12 })
-            .withMessage('Month must be between 1 and 12'),
-        query('year')
+            .isInt({ min: 1, max: 20 })
+            .withMessage('Limit must be between 1 and 20')
+            .toInt(),
+    ],
+
+    duplicates: [
+        query('days')
             .optional()
-            .isInt({ min: 2000, max: 2100 })
-            .withMessage('Invalid year'),
+            .isInt({ min: 0, max: 14 })
+            .withMessage('Days must be between 0 and 14'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+    ],
+
+    mergeDuplicate: [
+        body('keepId')
+            .isMongoId()
+            .withMessage('Invalid transaction ID to keep'),
+        body('removeId')
+            .isMongoId()
+            .withMessage('Invalid transaction ID to remove'),
+    ],
+
+    dismissDuplicate: [
+        body('transactionIds')
+            .isArray({ min: 2, max: 2 })
+            .withMessage('transactionIds must be an array of 2 transaction IDs'),
+        body('transactionIds.*')
+            .isMongoId()
+            .withMessage('Invalid transaction ID'),
+    ],
+
+    attachments: [commonRules.mongoId('id')],
+
+    attachment: [
+        commonRules.mongoId('id'),
+        commonRules.mongoId('attachmentId'),
+        query('inline')
+            .optional()
+            .isBoolean()
+            .withMessage('inline must be true or false'),
     ],
 };
 
@@ -264,56 +596,856 @@ const categoryValidators = {
     ],
 };
 
-// Budget validation schemas
-const budgetValidators = {
+// Tag validation schemas
+const tagValidators = {
     create: [
-        body('categoryId')
-            .notEmpty()
-            .withMessage('Category is required')
-            .isMongoId()
-            .withMessage('Invalid category ID'),
-        body('amount')
-            .notEmpty()
-            .withMessage('Budget amount is required')
-            .isFloat({ min: 0.01 })
-            .withMessage('Amount must be a positive number'),
-        // Support both new date range (startDate/endDate) and legacy (month/year)
-        body('startDate')
-            .optional()
-            .isISO8601()
-            .withMessage('Start date must be a valid date'),
-        body('endDate')
-            .optional()
-            .isISO8601()
-            .withMessage('End date must be a valid date'),
-        body('periodType')
+        body('name')
+            .isString()
+            .withMessage('Tag name is required')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Tag name must be between 1 and 50 characters')
+            .not()
+            .contains(',')
+            .withMessage('Tag names cannot contain commas'),
+        body('color')
             .optional()
-            .isIn(['daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'yearly', 'custom'])
-            .withMessage('Invalid period type'),
-        body('month')
+            .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+            .withMessage('Color must be a valid hex color code'),
+    ],
+
+    update: [
+        commonRules.mongoId('id'),
+        body('name')
             .optional()
-            .isInt({ min: 1, max: 12 })
-            .withMessage('Month must be between 1 and 12'),
-        body('year')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Tag name must be between 1 and 50 characters')
+            .not()
+            .contains(',')
+            .withMessage('Tag names cannot contain commas'),
+        body('color')
             .optional()
-            .isInt({ min: 2000, max: 2100 })
-            .withMessage('Invalid year'),
-        body('notes')
+            .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+            .withMessage('Color must be a valid hex color code'),
+    ],
+
+    merge: [
+        body('sourceIds')
+            .isArray({ min: 1, max: 50 })
+            .withMessage('sourceIds must be an array of 1 to 50 tag IDs'),
+        body('sourceIds.*')
+            .isMongoId()
+            .withMessage('Invalid tag ID'),
+        body('targetId')
+            .isMongoId()
+            .withMessage('Invalid target tag ID'),
+    ],
+
+    id: [commonRules.mongoId('id')],
+};
+
+// Rules shared by payee create and update
+const payeeAliasRules = [
+    body('aliases')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Aliases must be an array of up to 50 names'),
+    body('aliases.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each alias must be between 1 and 100 characters'),
+];
+
+// Payee validation schemas
+const payeeValidators = {
+    create: [
+        body('name')
+            .isString()
+            .withMessage('Payee name is required')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Payee name must be between 1 and 100 characters'),
+        body('defaultCategoryId')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+        ...payeeAliasRules,
+    ],
+
+    update: [
+        commonRules.mongoId('id'),
+        body('name')
             .optional()
             .isString()
-            .isLength({ max: 500 })
-            .withMessage('Notes cannot exceed 500 characters'),
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Payee name must be between 1 and 100 characters'),
+        body('defaultCategoryId')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+        ...payeeAliasRules,
+    ],
+
+    merge: [
+        body('sourceIds')
+            .isArray({ min: 1, max: 50 })
+            .withMessage('sourceIds must be an array of 1 to 50 payee IDs'),
+        body('sourceIds.*')
+            .isMongoId()
+            .withMessage('Invalid payee ID'),
+        body('targetId')
+            .isMongoId()
+            .withMessage('Invalid target payee ID'),
     ],
 
+    id: [commonRules.mongoId('id')],
+};
+
+// Rules shared by account create and update
+const financialAccountFieldRules = [
+    body('openingBalance')
+        .optional()
+        .isFloat()
+        .withMessage('Opening balance must be a number')
+        .toFloat(),
+    body('currency')
+        .optional()
+        .matches(/^[A-Za-z]{3}$/)
+        .withMessage('Currency must be a 3-letter ISO code'),
+    body('isDefault')
+        .optional()
+        .isBoolean()
+        .withMessage('isDefault must be a boolean')
+        .toBoolean(),
+];
+
+// Rules shared by transfer create and update
+const transferFieldRules = [
+    body('transferAmount')
+        .optional({ nullable: true })
+        .isFloat({ min: 0.01 })
+        .withMessage('Transfer amount must be a positive number'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters'),
+    body('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid date format'),
+];
+
+// Account and transfer validation schemas
+const financialAccountValidators = {
     getAll: [
-        query('month')
+        query('includeArchived')
             .optional()
-            .isInt({ min: 1, max: 12 })
-            .withMessage('Month must be between 1 and 12'),
-        query('year')
+            .isIn(['true', 'false'])
+            .withMessage('includeArchived must be true or false'),
+    ],
+
+    create: [
+        body('name')
+            .isString()
+            .withMessage('Account name is required')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Account name must be between 1 and 100 characters'),
+        body('type')
+            .isIn(Account.TYPES)
+            .withMessage('Type must be cash, bank or credit_card'),
+        ...financialAccountFieldRules,
+    ],
+
+    update: [
+        commonRules.mongoId('id'),
+        body('name')
             .optional()
-            .isInt({ min: 2000, max: 2100 })
-            .withMessage('Invalid year'),
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Account name must be between 1 and 100 characters'),
+        body('type')
+            .optional()
+            .isIn(Account.TYPES)
+            .withMessage('Type must be cash, bank or credit_card'),
+        body('archived')
+            .optional()
+            .isBoolean()
+            .withMessage('archived must be a boolean')
+            .toBoolean(),
+        ...financialAccountFieldRules,
+    ],
+
+    id: [commonRules.mongoId('id')],
+
+    ledger: [
+        commonRules.mongoId('id'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 200 })
+            .withMessage('Limit must be between 1 and 200'),
+    ],
+
+    createTransfer: [
+        body('fromAccountId')
+            .isMongoId()
+            .withMessage('Invalid source account ID'),
+        body('toAccountId')
+            .isMongoId()
+            .withMessage('Invalid destination account ID'),
+        body('amount')
+            .notEmpty()
+            .withMessage('Amount is required')
+            .isFloat({ min: 0.01 })
+            .withMessage('Amount must be a positive number'),
+        ...transferFieldRules,
+    ],
+
+    updateTransfer: [
+        commonRules.mongoId('id'),
+        body('fromAccountId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid source account ID'),
+        body('toAccountId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid destination account ID'),
+        body('amount')
+            .optional()
+            .isFloat({ min: 0.01 })
+            .withMessage('Amount must be a positive number'),
+        ...transferFieldRules,
+    ],
+};
+
+// Budget validation schemas
+const budgetValidators = {
+    create: [
+        body('categoryId')
+            .notEmpty()
+            .withMessage('Category is required')
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+        body('amount')
+            .notEmpty()
+            .withMessage('Budget amount is required')
+            .isFloat({ min: 0.01 })
+            .withMessage('Amount must be a positive number'),
+        // Support both new date range (startDate/endDate) and legacy (month/year)
+        body('startDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Start date must be a valid date'),
+        body('endDate')
+            .optional()
+            .isISO8601()
+            .withMessage('End date must be a valid date'),
+        body('periodType')
+            .optional()
+            .isIn(['daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'yearly', 'custom'])
+            .withMessage('Invalid period type'),
+        body('month')
+            .optional()
+            .isInt({ min: 1, max: 12 })
+            .withMessage('Month must be between 1 and 12'),
+        body('year')
+            .optional()
+            .isInt({ min: 2000, max: 2100 })
+            .withMessage('Invalid year'),
+        body('notes')
+            .optional()
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Notes cannot exceed 500 characters'),
+    ],
+
+    getAll: [
+        query('month')
+            .optional()
+            .isInt({ min: 1, max: 12 })
+            .withMessage('Month must be between 1 and 12'),
+        query('year')
+            .optional()
+            .isInt({ min: 2000, max: 2100 })
+            .withMessage('Invalid year'),
+    ],
+};
+
+// Workspace validation schemas
+const workspaceValidators = {
+    create: [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Workspace name is required')
+            .isLength({ max: 50 })
+            .withMessage('Workspace name cannot exceed 50 characters'),
+    ],
+
+    update: [
+        commonRules.mongoId('id'),
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Workspace name cannot be empty')
+            .isLength({ max: 50 })
+            .withMessage('Workspace name cannot exceed 50 characters'),
+    ],
+
+    workspaceId: [
+        commonRules.mongoId('id'),
+    ],
+
+    invite: [
+        commonRules.mongoId('id'),
+        commonRules.email,
+        body('role')
+            .isIn(['editor', 'viewer'])
+            .withMessage('Role must be editor or viewer'),
+    ],
+
+    invitationId: [
+        commonRules.mongoId('id'),
+        commonRules.mongoId('invitationId'),
+    ],
+
+    acceptInvitation: [
+        body('token')
+            .trim()
+            .notEmpty()
+            .withMessage('Invitation token is required'),
+    ],
+
+    updateMember: [
+        commonRules.mongoId('id'),
+        commonRules.mongoId('userId'),
+        body('role')
+            .isIn(['editor', 'viewer'])
+            .withMessage('Role must be editor or viewer'),
+    ],
+
+    memberId: [
+        commonRules.mongoId('id'),
+        commonRules.mongoId('userId'),
+    ],
+};
+
+// Admin validation schemas
+const adminValidators = {
+    listUsers: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('search')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Search cannot exceed 100 characters'),
+        query('role')
+            .optional()
+            .isIn(User.ROLES)
+            .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+        query('status')
+            .optional()
+            .isIn(['active', 'disabled'])
+            .withMessage('Status must be active or disabled'),
+    ],
+
+    userId: [
+        commonRules.mongoId('id'),
+    ],
+
+    disableUser: [
+        commonRules.mongoId('id'),
+        body('reason')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Reason cannot exceed 500 characters'),
+    ],
+
+    updateRole: [
+        commonRules.mongoId('id'),
+        body('role')
+            .isIn(User.ROLES)
+            .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+    ],
+
+    getAuditLog: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('actorId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid actorId format'),
+        query('userId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid userId format'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid from date'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid to date'),
+    ],
+};
+
+// Recurring transaction validation schemas
+
+/**
+ * Template and schedule rules shared by create, update and preview
+ * @param {boolean} required - Whether the core fields must be present (create)
+ */
+const recurringTransactionFields = (required) => {
+    // Core fields are required on create and optional on update
+    const field = (name) => (required
+        ? body(name).exists({ values: 'null' }).withMessage(`${name} is required`).bail()
+        : body(name).optional());
+
+    return [
+        field('type')
+            .isIn(['income', 'expense'])
+            .withMessage('Type must be either income or expense'),
+        field('amount')
+            .isFloat({ min: 0.01 })
+            .withMessage('Amount must be a positive number'),
+        field('categoryId')
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+        // null posts to the workspace's default account
+        body('accountId')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Invalid account ID'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Description cannot exceed 500 characters'),
+        field('frequency')
+            .isIn(FREQUENCIES)
+            .withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+        body('interval')
+            .optional()
+            .isInt({ min: 1, max: 365 })
+            .withMessage('Interval must be between 1 and 365')
+            .toInt(),
+        body('byWeekday')
+            .optional()
+            .isArray({ max: 7 })
+            .withMessage('byWeekday must be an array of weekdays'),
+        body('byWeekday.*')
+            .isInt({ min: 0, max: 6 })
+            .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)')
+            .toInt(),
+        body('byMonthDay')
+            .optional({ nullable: true })
+            .isInt({ min: 1, max: 31 })
+            .withMessage('byMonthDay must be between 1 and 31')
+            .toInt(),
+        body('lastBusinessDay')
+            .optional()
+            .isBoolean()
+            .withMessage('lastBusinessDay must be a boolean')
+            .toBoolean(),
+        field('startDate')
+            .custom(isValidDateKey)
+            .withMessage('Start date must be a valid YYYY-MM-DD date'),
+        body('endDate')
+            .optional({ nullable: true })
+            .custom(isValidDateKey)
+            .withMessage('End date must be a valid YYYY-MM-DD date'),
+        body('count')
+            .optional({ nullable: true })
+            .isInt({ min: 1, max: 10000 })
+            .withMessage('Count must be between 1 and 10000')
+            .toInt(),
+        body('timezone')
+            .optional()
+            .custom(isValidTimezone)
+            .withMessage('Timezone must be a valid IANA timezone (e.g. Asia/Colombo)'),
+        body('active')
+            .optional()
+            .isBoolean()
+            .withMessage('active must be a boolean')
+            .toBoolean(),
+    ];
+};
+
+const previewLimit = query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100');
+
+const recurringTransactionValidators = {
+    getAll: [
+        query('active')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('active must be true or false'),
+    ],
+
+    id: [
+        commonRules.mongoId('id'),
+    ],
+
+    create: recurringTransactionFields(true),
+
+    update: [
+        commonRules.mongoId('id'),
+        ...recurringTransactionFields(false),
+    ],
+
+    previewSchedule: [
+        previewLimit,
+        ...recurringTransactionFields(true),
+    ],
+
+    preview: [
+        commonRules.mongoId('id'),
+        previewLimit,
+    ],
+
+    occurrence: [
+        commonRules.mongoId('id'),
+        param('date')
+            .custom(isValidDateKey)
+            .withMessage('Occurrence date must be a valid YYYY-MM-DD date'),
+    ],
+
+    updateOccurrence: [
+        commonRules.mongoId('id'),
+        param('date')
+            .custom(isValidDateKey)
+            .withMessage('Occurrence date must be a valid YYYY-MM-DD date'),
+        body('skip')
+            .optional()
+            .isBoolean()
+            .withMessage('skip must be a boolean')
+            .toBoolean(),
+        body('amount')
+            .optional()
+            .isFloat({ min: 0.01 })
+            .withMessage('Amount must be a positive number'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Description cannot exceed 500 characters'),
+        body('categoryId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+    ],
+};
+
+// Import validation schemas
+
+/**
+ * Statement settings shared by batches and profiles
+ */
+const importSettingsRules = [
+    body('delimiter')
+        .optional()
+        .isIn(DELIMITERS)
+        .withMessage('Delimiter must be a comma, semicolon, tab or pipe'),
+    body('hasHeader')
+        .optional()
+        .isBoolean()
+        .withMessage('hasHeader must be a boolean')
+        .toBoolean(),
+    body('dateFormat')
+        .optional()
+        .isIn(DATE_FORMATS)
+        .withMessage(`Date format must be one of: ${DATE_FORMATS.join(', ')}`),
+    body('decimalSeparator')
+        .optional()
+        .isIn(DECIMAL_SEPARATORS)
+        .withMessage('Decimal separator must be . or ,'),
+    body('invertAmounts')
+        .optional()
+        .isBoolean()
+        .withMessage('invertAmounts must be a boolean')
+        .toBoolean(),
+    body('columns')
+        .optional()
+        .isObject()
+        .withMessage('columns must be an object of column indexes'),
+    body(['columns.date', 'columns.amount', 'columns.debit', 'columns.credit', 'columns.description', 'columns.category'])
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 200 })
+        .withMessage('Column indexes must be between 0 and 200')
+        .toInt(),
+    body(['defaultExpenseCategoryId', 'defaultIncomeCategoryId'])
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('Invalid category ID'),
+    body('accountId')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('Invalid account ID'),
+];
+
+const importValidators = {
+    getAll: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+    ],
+
+    upload: [
+        body('profileId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid profile ID'),
+    ],
+
+    id: [commonRules.mongoId('id')],
+
+    updateSettings: [
+        commonRules.mongoId('id'),
+        ...importSettingsRules,
+        body('saveProfile')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Profile name must be between 1 and 100 characters'),
+    ],
+
+    preview: [
+        commonRules.mongoId('id'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 500 })
+            .withMessage('Limit must be between 1 and 500'),
+    ],
+
+    commit: [
+        commonRules.mongoId('id'),
+        body('includeDuplicates')
+            .optional()
+            .isBoolean()
+            .withMessage('includeDuplicates must be a boolean')
+            .toBoolean(),
+        body('skipRows')
+            .optional()
+            .isArray()
+            .withMessage('skipRows must be an array of line numbers'),
+        body('skipRows.*')
+            .isInt({ min: 1 })
+            .withMessage('skipRows must contain line numbers')
+            .toInt(),
+    ],
+
+    profileId: [commonRules.mongoId('profileId')],
+
+    updateProfile: [
+        commonRules.mongoId('profileId'),
+        body('name')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Profile name must be between 1 and 100 characters'),
+        ...importSettingsRules,
+    ],
+};
+
+// Fields shared by rule create and update
+const categoryRuleFieldRules = [
+    body('priority')
+        .optional()
+        .isInt({ min: 0, max: 10000 })
+        .withMessage('Priority must be an integer between 0 and 10000')
+        .toInt(),
+    body('active')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('active must be a boolean'),
+    body('descriptionPattern')
+        .optional({ nullable: true })
+        .isString()
+        .withMessage('Description pattern must be a string')
+        .isLength({ max: 200 })
+        .withMessage('Description pattern cannot exceed 200 characters'),
+    body('descriptionMatch')
+        .optional()
+        .isIn(['contains', 'startsWith', 'endsWith', 'equals', 'regex'])
+        .withMessage('Description match must be contains, startsWith, endsWith, equals or regex'),
+    body('caseSensitive')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('caseSensitive must be a boolean'),
+    body(['minAmount', 'maxAmount'])
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Amount limits must be non-negative numbers')
+        .toFloat(),
+    body('weekdays')
+        .optional()
+        .isArray({ max: 7 })
+        .withMessage('weekdays must be an array of up to 7 days'),
+    body('weekdays.*')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Weekdays must be integers from 0 (Sunday) to 6 (Saturday)')
+        .toInt(),
+    body('timezone')
+        .optional()
+        .isString()
+        .withMessage('Timezone must be a string'),
+];
+
+// Category rule validation schemas
+const categoryRuleValidators = {
+    create: [
+        body('name')
+            .isString()
+            .withMessage('Rule name is required')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Rule name must be between 1 and 100 characters'),
+        body('categoryId')
+            .notEmpty()
+            .withMessage('Category is required')
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+        ...categoryRuleFieldRules,
+    ],
+
+    update: [
+        commonRules.mongoId('id'),
+        body('name')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Rule name must be between 1 and 100 characters'),
+        body('categoryId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+        ...categoryRuleFieldRules,
+    ],
+
+    id: [commonRules.mongoId('id')],
+
+    rerun: [
+        body('ruleIds')
+            .optional()
+            .isArray({ max: 100 })
+            .withMessage('ruleIds must be an array of up to 100 rule IDs'),
+        body('ruleIds.*')
+            .isMongoId()
+            .withMessage('Invalid rule ID'),
+        body('categoryId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid category ID'),
+        body('from')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid from date'),
+        body('to')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid to date'),
+        body('excludeTransactionIds')
+            .optional()
+            .isArray({ max: 1000 })
+            .withMessage('excludeTransactionIds must be an array of up to 1000 transaction IDs'),
+        body('excludeTransactionIds.*')
+            .isMongoId()
+            .withMessage('Invalid transaction ID'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 500 })
+            .withMessage('Limit must be between 1 and 500'),
+    ],
+};
+
+// Audit log validation schemas
+const auditValidators = {
+    getAll: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('entityType')
+            .optional()
+            .isIn(['Transaction', 'Attachment', 'RecurringTransaction', 'Budget', 'Category', 'Tag', 'Savings',
+                'CategoryRule', 'Payee', 'Account'])
+            .withMessage('Entity type must be Transaction, Attachment, RecurringTransaction, Budget, Category, Tag, '
+                + 'Savings, CategoryRule, Payee or Account'),
+        query('entityId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid entityId format'),
+        query('action')
+            .optional()
+            .trim()
+            .isLength({ max: 50 })
+            .withMessage('Action cannot exceed 50 characters'),
+        query('actorId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid actorId format'),
+        query('requestId')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Request ID cannot exceed 100 characters'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid from date'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid to date'),
     ],
 };
 
@@ -321,5 +1453,14 @@ module.exports = {
     authValidators,
     transactionValidators,
     categoryValidators,
+    tagValidators,
+    payeeValidators,
+    financialAccountValidators,
     budgetValidators,
+    workspaceValidators,
+    adminValidators,
+    auditValidators,
+    recurringTransactionValidators,
+    importValidators,
+    categoryRuleValidators,
 };
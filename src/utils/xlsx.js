@@ -0,0 +1,151 @@
+/**
+ * XLSX Helpers
+ * Streams a single-sheet Excel workbook row by row. Text is written as inline
+ * strings, so no shared string table has to be held in memory.
+ */
+
+const { createZipWriter } = require('./zip');
+
+// Cell styles (indexes into cellXfs below)
+const STYLES = { text: 0, date: 1, money: 2, header: 3 };
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+
+const STATIC_PARTS = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" '
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" '
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" '
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" '
+        + 'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" '
+        + 'Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" '
+        + 'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" '
+        + 'Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" '
+        + 'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" '
+        + 'Target="styles.xml"/>'
+        + '</Relationships>',
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+        + '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill>'
+        + '<fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="4">'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+        + '</cellXfs>'
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>',
+};
+
+/**
+ * Escape text for XML, dropping characters XML cannot contain
+ * @param {string} value - Text
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const textCell = (value, style = STYLES.text) => {
+    if (value === null || value === undefined || value === '') return '<c/>';
+
+    const styleAttribute = style ? ` s="${style}"` : '';
+    return `<c t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const cellXml = (value, type) => {
+    if (type === 'date' && value) {
+        const [year, month, day] = value.split('-').map(Number);
+        const serial = Date.UTC(year, month - 1, day) / 86400000 + EXCEL_EPOCH_OFFSET;
+        return `<c s="${STYLES.date}"><v>${serial}</v></c>`;
+    }
+    if ((type === 'money' || type === 'number') && Number.isFinite(value)) {
+        return `<c${type === 'money' ? ` s="${STYLES.money}"` : ''}><v>${value}</v></c>`;
+    }
+    return textCell(value);
+};
+
+/**
+ * Start a workbook with one sheet
+ * @param {Function} write - async (chunk: Buffer) => void
+ * @param {Object} options - { sheetName, columns: [{ header, type ('text', 'number', 'money', 'date'), width }] }
+ * @returns {Object} - { addRow(values), end() }
+ */
+const createSheetWriter = async (write, { sheetName, columns }) => {
+    const zip = createZipWriter(write);
+
+    for (const [name, xml] of Object.entries(STATIC_PARTS)) {
+        const part = await zip.addEntry(name);
+        await part.write(xml);
+        await part.end();
+    }
+
+    const workbook = await zip.addEntry('xl/workbook.xml');
+    await workbook.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>');
+    await workbook.end();
+
+    const sheet = await zip.addEntry('xl/worksheets/sheet1.xml');
+    const widths = columns.map((column, index) => {
+        const position = index + 1;
+        return `<col min="${position}" max="${position}" width="${column.width || 12}" customWidth="1"/>`;
+    }).join('');
+    await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0">'
+        + '<pane ySplit="1" topLeftCell="A2" state="frozen"/>'
+        + '</sheetView></sheetViews>'
+        + `<cols>${widths}</cols><sheetData>`
+        + `<row>${columns.map((column) => textCell(column.header, STYLES.header)).join('')}</row>`);
+
+    return {
+        /**
+         * Append a row
+         * @param {Array} values - One value per column (date columns take YYYY-MM-DD keys)
+         */
+        async addRow(values) {
+            const cells = values.map((value, index) => cellXml(value, columns[index].type));
+            await sheet.write(`<row>${cells.join('')}</row>`);
+        },
+
+        /**
+         * Close the sheet and the archive
+         */
+        async end() {
+            await sheet.write('</sheetData></worksheet>');
+            await sheet.end();
+            await zip.finish();
+        },
+    };
+};
+
+module.exports = {
+    createSheetWriter,
+};
@@ -0,0 +1,144 @@
+/**
+ * ZIP Helpers
+ * Minimal streaming ZIP writer (deflated entries with data descriptors), so
+ * archives such as XLSX workbooks can be written without buffering them
+ */
+
+const zlib = require('zlib');
+const { once } = require('events');
+
+const CRC_TABLE = new Int32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+/**
+ * Continue a CRC-32 over a buffer
+ * @param {number} crc - CRC so far (0 to start)
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Updated CRC (unsigned)
+ */
+const crc32 = (crc, buffer) => {
+    let c = crc ^ -1;
+    for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ -1) >>> 0;
+};
+
+// MS-DOS time and date words for a local timestamp
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// General purpose flags: sizes follow the data (bit 3), UTF-8 names (bit 11)
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+
+/**
+ * Create a ZIP writer. Entries are written one at a time, in order.
+ * @param {Function} write - async (chunk: Buffer) => void, e.g. a backpressure-aware stream write
+ * @returns {Object} - { addEntry(name) => { write(data), end() }, finish() }
+ */
+const createZipWriter = (write) => {
+    const entries = [];
+    const { time, date } = dosDateTime(new Date());
+    let offset = 0;
+
+    const emit = async (chunk) => {
+        offset += chunk.length;
+        await write(chunk);
+    };
+
+    /**
+     * Start an entry
+     * @param {string} name - Path inside the archive
+     * @returns {Object} - { write(data: string|Buffer), end() }
+     */
+    const addEntry = async (name) => {
+        const entry = { name: Buffer.from(name), offset, crc: 0, size: 0, compressedSize: 0 };
+        entries.push(entry);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(FLAGS, 6);
+        header.writeUInt16LE(DEFLATE, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        // CRC and sizes (14-25) are zero here and written in the data descriptor
+        header.writeUInt16LE(entry.name.length, 26);
+        await emit(Buffer.concat([header, entry.name]));
+
+        const deflate = zlib.createDeflateRaw();
+        const pumped = (async () => {
+            for await (const chunk of deflate) {
+                entry.compressedSize += chunk.length;
+                await emit(chunk);
+            }
+        })();
+        // A failed write stops the pump (destroying deflate); write() and end() report it
+        pumped.catch(() => {});
+
+        return {
+            async write(data) {
+                const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+                entry.crc = crc32(entry.crc, buffer);
+                entry.size += buffer.length;
+                // deflate never drains once the pump has stopped, so wait for whichever comes first
+                if (!deflate.write(buffer)) await Promise.race([once(deflate, 'drain'), pumped]);
+            },
+
+            async end() {
+                deflate.end();
+                await pumped;
+
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                await emit(descriptor);
+            },
+        };
+    };
+
+    /**
+     * Write the central directory; call after the last entry has ended
+     */
+    const finish = async () => {
+        const start = offset;
+
+        for (const entry of entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(FLAGS, 8);
+            header.writeUInt16LE(DEFLATE, 10);
+            header.writeUInt16LE(time, 12);
+            header.writeUInt16LE(date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await emit(Buffer.concat([header, entry.name]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await emit(end);
+    };
+
+    return { addEntry, finish };
+};
+
+module.exports = {
+    crc32,
+    createZipWriter,
+};
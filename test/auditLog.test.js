@@ -0,0 +1,83 @@
+/**
+ * Audit log redaction tests, with the collection writes captured instead of run
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../src/models/AuditLog');
+const User = require('../src/models/User');
+const Workspace = require('../src/models/Workspace');
+const Session = require('../src/models/Session');
+const AccessToken = require('../src/models/AccessToken');
+const auditService = require('../src/services/audit.service');
+const accountService = require('../src/services/account.service');
+const workspaceService = require('../src/services/workspace.service');
+
+const USER_ID = new mongoose.Types.ObjectId();
+const WORKSPACE_ID = new mongoose.Types.ObjectId();
+
+let updates;
+
+beforeEach((t) => {
+    updates = [];
+    t.mock.method(AuditLog.collection, 'updateMany', async (filter, update) => {
+        updates.push({ filter, update });
+        return { modifiedCount: 2 };
+    });
+});
+
+describe('audit log redaction', () => {
+    it('still rejects updates through the model', async () => {
+        await assert.rejects(
+            AuditLog.updateMany({ actorId: USER_ID }, { $set: { ipAddress: '' } }),
+            /cannot be modified or deleted/
+        );
+    });
+
+    it('only clears the fields that hold personal data', async () => {
+        await assert.rejects(AuditLog.redact({ actorId: USER_ID }, ['action']), /cannot be redacted/);
+        assert.equal(updates.length, 0);
+    });
+
+    it('strips snapshots from purged workspaces and entries about the user', async () => {
+        const count = await auditService.anonymizeUser(USER_ID.toString(), [WORKSPACE_ID]);
+
+        assert.equal(count, 4);
+        const [owned, acted] = updates;
+
+        assert.deepEqual(owned.filter.$or[0].workspaceId.$in, [WORKSPACE_ID]);
+        assert.equal(owned.filter.$or[1].entityType, 'User');
+        assert.ok(owned.filter.$or[1].entityId.equals(USER_ID), 'user ID is cast to an ObjectId');
+        assert.deepEqual(
+            { ...owned.update.$set, redactedAt: null },
+            { before: null, after: null, details: null, ipAddress: '', userAgent: '', redactedAt: null }
+        );
+        assert.ok(owned.update.$set.redactedAt instanceof Date);
+
+        assert.ok(acted.filter.actorId.equals(USER_ID));
+        assert.deepEqual(Object.keys(acted.update.$set).sort(), ['ipAddress', 'redactedAt', 'userAgent']);
+    });
+
+    it('redacts the audit trail while purging an account, before its workspaces go', async (t) => {
+        const steps = [];
+        t.mock.method(User, 'findById', async () => null);
+        t.mock.method(Workspace, 'find', () => ({ select: async () => [{ _id: WORKSPACE_ID }] }));
+        t.mock.method(auditService, 'anonymizeUser', async (userId, workspaceIds) => {
+            steps.push(['anonymize', workspaceIds]);
+            return 3;
+        });
+        t.mock.method(workspaceService, 'purgeWorkspace', async (workspaceId) => {
+            steps.push(['purge', workspaceId]);
+            return { Transaction: 1 };
+        });
+        t.mock.method(workspaceService, 'leaveAllWorkspaces', async () => {});
+        t.mock.method(Session, 'deleteMany', async () => ({ deletedCount: 0 }));
+        t.mock.method(AccessToken, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+        const deleted = await accountService.purgeUser(USER_ID);
+
+        assert.deepEqual(steps, [['anonymize', [WORKSPACE_ID]], ['purge', WORKSPACE_ID]]);
+        assert.equal(deleted.AuditLogRedacted, 3);
+    });
+});
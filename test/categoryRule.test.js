@@ -0,0 +1,112 @@
+/**
+ * Categorization rule matching tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CategoryRule = require('../src/models/CategoryRule');
+const categoryRuleService = require('../src/services/categoryRule.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildRule = (fields) => new CategoryRule({
+    workspaceId: id(),
+    userId: id(),
+    name: 'Rule',
+    categoryId: id(),
+    type: 'expense',
+    ...fields,
+});
+
+const matches = (description, rule) => CategoryRule.matchesDescription(description, rule);
+
+describe('rule description matching', () => {
+    it('compares plain text case-insensitively unless asked not to', () => {
+        assert.equal(matches('UBER *TRIP 1234', { descriptionPattern: 'uber' }), true);
+        assert.equal(matches('UBER *TRIP 1234', { descriptionPattern: 'uber', caseSensitive: true }), false);
+        assert.equal(matches('Paid to Uber', { descriptionPattern: 'uber', descriptionMatch: 'startsWith' }), false);
+        assert.equal(matches('Paid to Uber', { descriptionPattern: 'uber', descriptionMatch: 'endsWith' }), true);
+        assert.equal(matches(' Rent ', { descriptionPattern: 'rent', descriptionMatch: 'equals' }), true);
+    });
+
+    it('treats regex characters literally outside regex mode', () => {
+        assert.equal(matches('UBER trip', { descriptionPattern: 'UBER|LYFT' }), false);
+        assert.equal(matches('pay UBER|LYFT', { descriptionPattern: 'UBER|LYFT' }), true);
+    });
+
+    it('matches regular expressions in regex mode', () => {
+        const rule = { descriptionPattern: '^(uber|lyft)\\b', descriptionMatch: 'regex' };
+
+        assert.equal(matches('LYFT ride 42', rule), true);
+        assert.equal(matches('Refund LYFT', rule), false);
+        assert.equal(matches('LYFT ride', { ...rule, caseSensitive: true }), false);
+        assert.equal(matches('Café Müller', { descriptionPattern: 'café m.ller', descriptionMatch: 'regex' }), true);
+    });
+
+    it('runs patterns that backtrack catastrophically in linear time', () => {
+        const started = Date.now();
+
+        for (const pattern of ['(\\w|\\d)+$', '(a|aa)+$', '^(a|a)*$', '(a+)+$']) {
+            const description = `${(pattern.includes('\\w') ? '1' : 'a').repeat(500)}!`;
+            assert.equal(matches(description, { descriptionPattern: pattern, descriptionMatch: 'regex' }), false);
+        }
+
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('rejects patterns RE2 cannot run when a rule is saved', async () => {
+        for (const pattern of ['(a)\\1', '(?=a)b', 'foo(?!bar)', '[unclosed']) {
+            await assert.rejects(
+                buildRule({ descriptionPattern: pattern, descriptionMatch: 'regex' }).validate(),
+                (error) => Boolean(error.errors.descriptionPattern),
+                pattern
+            );
+        }
+
+        await buildRule({ descriptionPattern: 'UBER|LYFT', descriptionMatch: 'regex' }).validate();
+        // Outside regex mode the same text is just text
+        await buildRule({ descriptionPattern: '[unclosed' }).validate();
+    });
+});
+
+describe('rule selection', () => {
+    const date = new Date('2026-03-02T12:00:00Z'); // a Monday
+
+    const rules = [
+        { _id: 'coffee', type: 'expense', descriptionPattern: 'coffee', minAmount: null, maxAmount: 10, weekdays: [], timezone: 'UTC' },
+        { _id: 'weekend', type: 'expense', descriptionPattern: null, minAmount: null, maxAmount: null, weekdays: [0, 6], timezone: 'UTC' },
+        { _id: 'big', type: 'expense', descriptionPattern: null, minAmount: 100, maxAmount: null, weekdays: [], timezone: 'UTC' },
+        { _id: 'salary', type: 'income', descriptionPattern: 'acme', minAmount: null, maxAmount: null, weekdays: [], timezone: 'UTC' },
+    ];
+
+    const pick = (transaction) => {
+        const rule = categoryRuleService.findMatch({ type: 'expense', date, ...transaction }, rules);
+        return rule && rule._id;
+    };
+
+    it('takes the first rule whose conditions all hold', () => {
+        assert.equal(pick({ description: 'Coffee shop', amount: 4 }), 'coffee');
+        assert.equal(pick({ description: 'Coffee beans', amount: 120 }), 'big');
+        assert.equal(pick({ description: 'Groceries', amount: 40 }), null);
+    });
+
+    it('checks weekdays in the rule timezone', () => {
+        // Sunday 23:30 in UTC is already Monday in Tokyo
+        const sunday = new Date('2026-03-01T23:30:00Z');
+
+        assert.equal(pick({ description: 'Groceries', amount: 40, date: sunday }), 'weekend');
+        assert.equal(categoryRuleService.findMatch(
+            { type: 'expense', description: 'Groceries', amount: 40, date: sunday },
+            [{ ...rules[1], timezone: 'Asia/Tokyo' }]
+        ), null);
+    });
+
+    it('only applies rules of the transaction type', () => {
+        assert.equal(pick({ description: 'ACME payroll', amount: 40 }), null);
+        assert.equal(categoryRuleService.findMatch(
+            { type: 'income', description: 'ACME payroll', amount: 4000, date },
+            rules
+        )._id, 'salary');
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Date range tests: timezones, DST and fiscal months
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    resolvePreferences,
+    zonedMidnight,
+    getCurrentMonth,
+    getMonthRange,
+    getYearRange,
+    getMonthBoundaries,
+    getWeekRange,
+    getDaysInRange,
+    parseUserDate,
+} = require('../src/utils/dateRanges');
+
+const iso = ({ startDate, endDate }) => [startDate.toISOString(), endDate.toISOString()];
+
+describe('date ranges', () => {
+    it('fills in default preferences, keeping a Sunday week start', () => {
+        assert.deepEqual(resolvePreferences(undefined), { timezone: 'UTC', weekStartDay: 1, fiscalMonthStartDay: 1 });
+        assert.equal(resolvePreferences({ weekStartDay: 0 }).weekStartDay, 0);
+    });
+
+    it('finds local midnight on both sides of a DST change', () => {
+        assert.equal(zonedMidnight(2026, 3, 8, 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+        assert.equal(zonedMidnight(2026, 3, 9, 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+    });
+
+    it('bounds a calendar month in the user timezone', () => {
+        assert.deepEqual(
+            iso(getMonthRange(2026, 3, { timezone: 'Asia/Colombo' })),
+            ['2026-02-28T18:30:00.000Z', '2026-03-31T18:29:59.999Z']
+        );
+    });
+
+    it('bounds a fiscal month across the year end', () => {
+        assert.deepEqual(
+            iso(getMonthRange(2026, 12, { fiscalMonthStartDay: 25 })),
+            ['2026-12-25T00:00:00.000Z', '2027-01-24T23:59:59.999Z']
+        );
+    });
+
+    it('labels a date with the fiscal month it falls in', () => {
+        const preferences = { fiscalMonthStartDay: 25 };
+
+        assert.deepEqual(getCurrentMonth(preferences, new Date('2026-01-10T12:00:00Z')), { month: 12, year: 2025 });
+        assert.deepEqual(getCurrentMonth(preferences, new Date('2026-01-25T00:00:00Z')), { month: 1, year: 2026 });
+    });
+
+    it('reads the current month on the user clock', () => {
+        const date = new Date('2026-03-31T12:00:00Z');
+
+        assert.deepEqual(getCurrentMonth({ timezone: 'Pacific/Auckland' }, date), { month: 4, year: 2026 });
+        assert.deepEqual(getCurrentMonth({ timezone: 'UTC' }, date), { month: 3, year: 2026 });
+    });
+
+    it('splits a fiscal year into twelve months that meet end to end', () => {
+        const preferences = { timezone: 'Europe/London', fiscalMonthStartDay: 6 };
+        const boundaries = getMonthBoundaries(2026, preferences);
+        const year = getYearRange(2026, preferences);
+
+        assert.equal(boundaries.length, 13);
+        assert.equal(boundaries[0].getTime(), year.startDate.getTime());
+        assert.equal(boundaries[12].getTime(), year.endDate.getTime() + 1);
+        assert.equal(boundaries[3].getTime(), getMonthRange(2026, 4, preferences).startDate.getTime());
+    });
+
+    it('starts the week on the preferred day', () => {
+        const wednesday = new Date('2026-03-04T12:00:00Z');
+
+        assert.deepEqual(
+            iso(getWeekRange(wednesday, { weekStartDay: 0 })),
+            ['2026-03-01T00:00:00.000Z', '2026-03-07T23:59:59.999Z']
+        );
+    });
+
+    it('counts a week with a DST change as seven days', () => {
+        const range = getWeekRange(new Date('2026-03-04T12:00:00Z'), { timezone: 'America/New_York' });
+
+        assert.deepEqual(iso(range), ['2026-03-02T05:00:00.000Z', '2026-03-09T03:59:59.999Z']);
+        assert.equal(getDaysInRange(range.startDate, range.endDate), 7);
+    });
+
+    it('reads date-only input as midnight in the user timezone', () => {
+        const preferences = { timezone: 'America/Los_Angeles' };
+
+        assert.equal(parseUserDate('2026-03-01', preferences).toISOString(), '2026-03-01T08:00:00.000Z');
+        assert.equal(parseUserDate('2026-03-01T10:00:00Z', preferences).toISOString(), '2026-03-01T10:00:00.000Z');
+    });
+});
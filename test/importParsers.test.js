@@ -0,0 +1,150 @@
+/**
+ * Bank statement parser tests: CSV, OFX, QIF and the date/amount readers
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, detectDelimiter, formatCsvRow } = require('../src/utils/csv');
+const { isOfx, parseOfx } = require('../src/utils/ofx');
+const { isQif, parseQif } = require('../src/utils/qif');
+const { parseDate, detectDateFormats, parseAmount } = require('../src/utils/importParsing');
+
+describe('CSV', () => {
+    it('parses quoted fields, doubled quotes and line breaks inside quotes', () => {
+        const text = 'Date,Description,Amount\r\n2026-03-01,"Coffee, large",-4.50\n'
+            + '2026-03-02,"Say ""hi""\nthere",10\n\n';
+
+        assert.deepEqual(parseCsv(text, ','), [
+            ['Date', 'Description', 'Amount'],
+            ['2026-03-01', 'Coffee, large', '-4.50'],
+            ['2026-03-02', 'Say "hi"\nthere', '10'],
+        ]);
+    });
+
+    it('detects a semicolon delimiter', () => {
+        assert.equal(detectDelimiter('Date;Amount;Memo\n01.03.2026;-4,50;Coffee\n'), ';');
+    });
+
+    it('quotes exported fields that need it', () => {
+        assert.equal(formatCsvRow(['a,b', 'say "hi"', null, 3]), '"a,b","say ""hi""",,3\r\n');
+    });
+});
+
+describe('OFX', () => {
+    const sgml = [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        '',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+        '<BANKACCTFROM><BANKID>123<ACCTID>9876<ACCTTYPE>CHECKING</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260301120000[-5:EST]<TRNAMT>-4.50<FITID>A1',
+        '<NAME>Joe&apos;s Caf&#233;<MEMO>Ref &#99999999; &#xD800; &amp; more',
+        '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260302<TRNAMT>100.00<FITID>A2<NAME>Salary',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+    ].join('\n');
+
+    it('reads SGML statements with unclosed elements', () => {
+        assert.equal(isOfx(sgml), true);
+
+        const [first, second] = parseOfx(sgml);
+        assert.equal(first.accountId, '9876');
+        assert.equal(first.datePosted, '20260301120000[-5:EST]');
+        assert.equal(first.amount, '-4.50');
+        assert.equal(first.name, "Joe's Café");
+        assert.deepEqual(
+            { fitId: second.fitId, type: second.type, amount: second.amount, name: second.name },
+            { fitId: 'A2', type: 'CREDIT', amount: '100.00', name: 'Salary' }
+        );
+    });
+
+    it('keeps invalid character references as written', () => {
+        assert.equal(parseOfx(sgml)[0].memo, 'Ref &#99999999; &#xD800; & more');
+    });
+
+    it('reads XML statements', () => {
+        const xml = '<?xml version="1.0"?><OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>'
+            + '<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM><BANKTRANLIST>'
+            + '<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><TRNAMT>-12.00</TRNAMT><FITID>X1</FITID><NAME>Books</NAME></STMTTRN>'
+            + '</BANKTRANLIST></CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>';
+
+        const transactions = parseOfx(xml);
+        assert.equal(transactions.length, 1);
+        assert.deepEqual(
+            { accountId: transactions[0].accountId, amount: transactions[0].amount, name: transactions[0].name },
+            { accountId: '4111', amount: '-12.00', name: 'Books' }
+        );
+    });
+});
+
+describe('QIF', () => {
+    const qif = [
+        '!Type:Bank',
+        "D1/ 5'26",
+        'T-1,234.56',
+        'PLandlord',
+        'LHousing:Rent',
+        'N1042',
+        '^',
+        'D01/06/2026',
+        'U-30.00',
+        'PShop',
+        'SGroceries',
+        'EFood',
+        '$-20.00',
+        'SHousehold',
+        '$-10.00',
+        '^',
+        '!Type:Memorized',
+        'KC',
+        'T-5',
+        '^',
+    ].join('\r\n');
+
+    it('reads bank transactions and their splits, skipping list sections', () => {
+        assert.equal(isQif(qif), true);
+
+        const transactions = parseQif(qif);
+        assert.equal(transactions.length, 2);
+        assert.deepEqual(transactions[0], {
+            date: '1/5/26',
+            amount: '-1,234.56',
+            payee: 'Landlord',
+            memo: '',
+            category: 'Housing:Rent',
+            checkNumber: '1042',
+            splits: [],
+        });
+        assert.equal(transactions[1].amount, '-30.00');
+        assert.deepEqual(transactions[1].splits, [
+            { category: 'Groceries', memo: 'Food', amount: '-20.00' },
+            { category: 'Household', memo: '', amount: '-10.00' },
+        ]);
+    });
+
+    it('gives dates the import date formats can read', () => {
+        assert.equal(parseDate(parseQif(qif)[0].date, 'MM/DD/YY'), '2026-01-05');
+    });
+});
+
+describe('import dates and amounts', () => {
+    it('parses dates in the chosen format and rejects impossible ones', () => {
+        assert.equal(parseDate('31/12/25', 'DD/MM/YY'), '2025-12-31');
+        assert.equal(parseDate('20260301', 'YYYYMMDD'), '2026-03-01');
+        assert.equal(parseDate('2026-03-01T10:00:00', 'YYYY-MM-DD'), '2026-03-01');
+        assert.equal(parseDate('02/30/2026', 'MM/DD/YYYY'), null);
+    });
+
+    it('narrows the date format down from samples', () => {
+        assert.deepEqual(detectDateFormats(['13/01/2026', '01/02/2026']), ['DD/MM/YYYY']);
+    });
+
+    it('reads signs, separators and currency symbols', () => {
+        assert.equal(parseAmount('(1.234,56)', ','), -1234.56);
+        assert.equal(parseAmount('12.50 DR'), -12.5);
+        assert.equal(parseAmount('$1,000.00-'), -1000);
+        assert.equal(parseAmount('EUR 3,5', ','), 3.5);
+        assert.equal(parseAmount(''), null);
+        assert.ok(Number.isNaN(parseAmount('abc')));
+    });
+});
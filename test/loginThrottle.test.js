@@ -0,0 +1,174 @@
+/**
+ * Login throttle tests, run against the in-memory attempt store
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../src/models/User');
+const authService = require('../src/services/auth.service');
+const loginThrottle = require('../src/services/loginThrottle.service');
+const totp = require('../src/utils/totp');
+const {
+    LOGIN_MAX_ACCOUNT_FAILURES,
+    LOGIN_LOCKOUT_MINUTES,
+    LOGIN_ATTEMPT_WINDOW_MINUTES,
+} = require('../src/config/env');
+
+const START = Date.UTC(2026, 0, 1, 12);
+const EMAIL = 'ada@example.com';
+const IP = '203.0.113.7';
+
+let store;
+
+beforeEach((t) => {
+    store = loginThrottle.createMemoryStore();
+    loginThrottle.setStore(store);
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+});
+
+// Wait out the backoff after the latest failure
+const waitOutBackoff = (t, failures) => {
+    t.mock.timers.tick(loginThrottle.getBackoffSeconds(failures) * 1000);
+};
+
+const accountRecord = () => store.get(`account:${EMAIL}`);
+
+describe('login throttle', () => {
+    it('grows the backoff exponentially up to a cap', () => {
+        assert.deepEqual(
+            [1, 2, 3, 4, 5, 6, 12].map((failures) => loginThrottle.getBackoffSeconds(failures)),
+            [0, 0, 1, 2, 4, 8, 60]
+        );
+    });
+
+    it('makes clients wait after repeated failures', async (t) => {
+        await loginThrottle.recordFailure(EMAIL, IP);
+        await loginThrottle.recordFailure(EMAIL, IP);
+        await loginThrottle.assertAllowed(EMAIL, IP);
+
+        await loginThrottle.recordFailure(EMAIL, IP);
+        await assert.rejects(loginThrottle.assertAllowed(EMAIL, IP), (error) => {
+            assert.equal(error.statusCode, 429);
+            assert.equal(error.retryAfter, 1);
+            return true;
+        });
+
+        waitOutBackoff(t, 3);
+        await loginThrottle.assertAllowed(EMAIL, IP);
+    });
+
+    it('locks the account after too many failures, then lets it in again', async (t) => {
+        let result;
+        for (let failures = 1; failures <= LOGIN_MAX_ACCOUNT_FAILURES; failures++) {
+            result = await loginThrottle.recordFailure(EMAIL, IP);
+            waitOutBackoff(t, failures);
+        }
+
+        assert.equal(result.locked, true);
+        await assert.rejects(loginThrottle.assertAllowed(EMAIL, '198.51.100.1'), /locked/);
+
+        t.mock.timers.tick(LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+        await loginThrottle.assertAllowed(EMAIL, '198.51.100.1');
+    });
+
+    it('forgets failures older than the attempt window', async (t) => {
+        await loginThrottle.recordFailure(EMAIL, IP);
+        await loginThrottle.recordFailure(EMAIL, IP);
+        t.mock.timers.tick(LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000 + 1);
+        await loginThrottle.recordFailure(EMAIL, IP);
+
+        assert.equal((await accountRecord()).failures, 1);
+    });
+
+    it('clears the account on success but keeps the IP counter', async () => {
+        await loginThrottle.recordFailure(EMAIL, IP);
+        await loginThrottle.recordSuccess(EMAIL);
+
+        assert.equal(await accountRecord(), null);
+        assert.equal((await store.get(`ip:${IP}`)).failures, 1);
+    });
+});
+
+describe('login with the throttle', () => {
+    const secret = totp.generateSecret();
+    let user;
+
+    beforeEach((t) => {
+        user = {
+            _id: 'user-1',
+            email: EMAIL,
+            twoFactorEnabled: false,
+            twoFactorSecret: secret,
+            twoFactorLastUsedStep: null,
+            twoFactorRecoveryCodes: [],
+            disabledAt: null,
+            passwordResetRequired: false,
+            comparePassword: async (password) => password === 'correct horse',
+            save: async () => user,
+            toJSON: () => ({ email: EMAIL }),
+        };
+        t.mock.method(User, 'findOne', () => ({ select: async () => user }));
+        t.mock.method(User, 'findById', () => ({ select: async () => user }));
+        t.mock.method(authService, 'issueTokens', async () => ({ token: 'token', refreshToken: 'refresh' }));
+    });
+
+    const wrongCode = () => totp.generateCode(secret, totp.getTimeStep() + 10);
+
+    it('clears the account failures after a password-only login', async () => {
+        await assert.rejects(authService.login(EMAIL, 'wrong', { ipAddress: IP }), /Invalid email or password/);
+
+        const result = await authService.login(EMAIL, 'correct horse', { ipAddress: IP });
+
+        assert.equal(result.token, 'token');
+        assert.equal(await accountRecord(), null);
+    });
+
+    it('keeps the account failures when the password only opens the 2FA step', async () => {
+        user.twoFactorEnabled = true;
+        await loginThrottle.recordFailure(EMAIL, IP);
+        await loginThrottle.recordFailure(EMAIL, IP);
+
+        const result = await authService.login(EMAIL, 'correct horse', { ipAddress: IP });
+
+        assert.equal(result.twoFactorRequired, true);
+        assert.equal((await accountRecord()).failures, 2);
+    });
+
+    it('locks out code guessing even when the password is sent again between guesses', async (t) => {
+        user.twoFactorEnabled = true;
+        let error;
+
+        for (let failures = 1; failures <= LOGIN_MAX_ACCOUNT_FAILURES; failures++) {
+            const { challengeToken } = await authService.login(EMAIL, 'correct horse', { ipAddress: IP });
+            error = await authService.loginWithTwoFactor(challengeToken, { code: wrongCode() }, { ipAddress: IP })
+                .catch((err) => err);
+            waitOutBackoff(t, failures);
+        }
+
+        assert.equal(error.statusCode, 429);
+        await assert.rejects(authService.login(EMAIL, 'correct horse', { ipAddress: IP }), (err) => {
+            assert.equal(err.statusCode, 429);
+            return true;
+        });
+    });
+
+    it('clears the account failures once the code verifies', async () => {
+        user.twoFactorEnabled = true;
+
+        const { challengeToken } = await authService.login(EMAIL, 'correct horse', { ipAddress: IP });
+        await assert.rejects(
+            authService.loginWithTwoFactor(challengeToken, { code: wrongCode() }, { ipAddress: IP }),
+            /Invalid authentication code/
+        );
+        assert.equal((await accountRecord()).failures, 1);
+
+        const result = await authService.loginWithTwoFactor(
+            challengeToken,
+            { code: totp.generateCode(secret) },
+            { ipAddress: IP }
+        );
+
+        assert.equal(result.token, 'token');
+        assert.equal(await accountRecord(), null);
+    });
+});
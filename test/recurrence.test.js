@@ -0,0 +1,84 @@
+/**
+ * Recurrence rule tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidDateKey, iterateOccurrences } = require('../src/utils/recurrence');
+
+// First n occurrence dates of a schedule
+const take = (schedule, n) => {
+    const dates = [];
+    for (const { date } of iterateOccurrences(schedule)) {
+        if (dates.length === n) break;
+        dates.push(date);
+    }
+    return dates;
+};
+
+describe('recurrence rules', () => {
+    it('accepts only real calendar dates', () => {
+        assert.equal(isValidDateKey('2028-02-29'), true);
+        assert.equal(isValidDateKey('2026-02-29'), false);
+        assert.equal(isValidDateKey('2026-2-01'), false);
+    });
+
+    it('repeats every n days', () => {
+        assert.deepEqual(
+            take({ frequency: 'daily', interval: 3, startDate: '2026-03-30' }, 3),
+            ['2026-03-30', '2026-04-02', '2026-04-05']
+        );
+    });
+
+    it('repeats on chosen weekdays every other week, from the start date on', () => {
+        assert.deepEqual(
+            take({ frequency: 'weekly', interval: 2, byWeekday: [5, 1], startDate: '2026-03-04' }, 4),
+            ['2026-03-06', '2026-03-16', '2026-03-20', '2026-03-30']
+        );
+    });
+
+    it('treats Sunday as the end of the week', () => {
+        assert.deepEqual(
+            take({ frequency: 'weekly', byWeekday: [0, 1], startDate: '2026-03-02' }, 4),
+            ['2026-03-02', '2026-03-08', '2026-03-09', '2026-03-15']
+        );
+    });
+
+    it('moves a monthly day past the month end to the last day', () => {
+        assert.deepEqual(
+            take({ frequency: 'monthly', startDate: '2026-01-31' }, 4),
+            ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']
+        );
+    });
+
+    it('skips a monthly day that comes before the start date', () => {
+        assert.deepEqual(
+            take({ frequency: 'monthly', byMonthDay: 15, startDate: '2026-01-20' }, 2),
+            ['2026-02-15', '2026-03-15']
+        );
+    });
+
+    it('picks the last weekday of the month', () => {
+        assert.deepEqual(
+            take({ frequency: 'monthly', lastBusinessDay: true, startDate: '2026-01-01' }, 3),
+            ['2026-01-30', '2026-02-27', '2026-03-31']
+        );
+    });
+
+    it('keeps a Feb 29 yearly date on Feb 28 in other years', () => {
+        assert.deepEqual(
+            take({ frequency: 'yearly', startDate: '2024-02-29' }, 5),
+            ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']
+        );
+    });
+
+    it('stops at the count or the end date', () => {
+        const counted = [...iterateOccurrences({ frequency: 'daily', startDate: '2026-03-30', count: 2 })];
+        assert.deepEqual(counted, [{ date: '2026-03-30', index: 0 }, { date: '2026-03-31', index: 1 }]);
+
+        assert.deepEqual(
+            take({ frequency: 'daily', interval: 3, startDate: '2026-03-30', endDate: '2026-04-04' }, 10),
+            ['2026-03-30', '2026-04-02']
+        );
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Refresh token rotation tests, with the Session queries mocked
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../src/models/Session');
+const sessionService = require('../src/services/session.service');
+
+const TOKEN = 'refresh-token';
+
+describe('refresh token rotation', () => {
+    it('swaps the token in a single conditional update', async (t) => {
+        const session = { _id: 'session-1' };
+        const findOneAndUpdate = t.mock.method(Session, 'findOneAndUpdate', async () => session);
+
+        const result = await sessionService.rotate(TOKEN, { ipAddress: '203.0.113.7' });
+
+        assert.equal(result.session, session);
+        const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+        assert.equal(filter.tokenHash, sessionService.hashToken(TOKEN));
+        assert.equal(filter.revokedAt, null);
+        assert.ok(filter.expiresAt.$gt instanceof Date);
+        assert.equal(update.$set.tokenHash, sessionService.hashToken(result.refreshToken));
+        assert.equal(update.$set.ipAddress, '203.0.113.7');
+        assert.deepEqual(update.$push, { previousTokenHashes: sessionService.hashToken(TOKEN) });
+    });
+
+    it('treats a token another request already rotated as reuse', async (t) => {
+        const family = { revokedAt: null, save: async () => family };
+        t.mock.method(Session, 'findOneAndUpdate', async () => null);
+        t.mock.method(Session, 'exists', async () => null);
+        t.mock.method(Session, 'findOne', async () => family);
+
+        await assert.rejects(sessionService.rotate(TOKEN), /Invalid refresh token/);
+        assert.equal(family.revokedReason, 'reuse_detected');
+    });
+
+    it('refuses a revoked or expired session without revoking anything', async (t) => {
+        t.mock.method(Session, 'findOneAndUpdate', async () => null);
+        t.mock.method(Session, 'exists', async () => ({ _id: 'session-1' }));
+        const findOne = t.mock.method(Session, 'findOne', async () => null);
+
+        await assert.rejects(sessionService.rotate(TOKEN), /expired or been revoked/);
+        assert.equal(findOne.mock.callCount(), 0);
+    });
+});